@@ -12,10 +12,13 @@ import feedRouter from "./routes/feedRoutes.js";
 import engagementRouter from "./routes/engagementRoutes.js";
 import postRouter from "./routes/postRoutes.js";
 import commentRouter from "./routes/commentRoutes.js";
+import categoryRouter from "./routes/categoryRoutes.js";
+import searchRouter from "./routes/searchRoutes.js";
 import globalErrorHandler from "./utils/globalErrorHandler.js";
 
 import "./jobs/decayUserRising.js";
 import "./jobs/postEvergreenRecompute.js";
+import "./jobs/accountDeletion.js";
 import "./session/sessionExpiryWorker.js";
 
 const app = express();
@@ -86,6 +89,8 @@ app.use("/api/v1/engagement", engagementRouter);
 app.use("/api/v1/feed", feedRouter);
 app.use("/api/v1/post", postRouter);
 app.use("/api/v1/comment", commentRouter);
+app.use("/api/v1/category", categoryRouter);
+app.use("/api/v1/search", searchRouter);
 
 app.use((req, res) => {
   res.status(404).json({
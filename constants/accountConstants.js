@@ -0,0 +1,32 @@
+/**
+ * @file constants/accountConstants.js
+ * @description
+ * Settings for the background job that permanently deletes an account and
+ * everything that points at it.
+ */
+
+/**
+ * @constant {number} ACCOUNT_DELETION_BATCH_SIZE
+ * @description
+ * Posts or comments of the deleted user handled per round trip. The job saves
+ * its progress between steps, so a smaller batch loses less work on a crash
+ * at the cost of more queries.
+ */
+export const ACCOUNT_DELETION_BATCH_SIZE = 200;
+
+/**
+ * @constant {number} ACCOUNT_DELETION_LOCK_MS
+ * @description
+ * How long a worker owns a deletion job once it picks it up. A job whose lock
+ * ran out (its worker died mid-way) is picked up again and resumes at the
+ * step it had reached.
+ */
+export const ACCOUNT_DELETION_LOCK_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * @constant {number} ACCOUNT_DELETION_MAX_ATTEMPTS
+ * @description
+ * Failed runs after which a deletion job is left alone and only logged, so a
+ * step that keeps failing does not retry forever.
+ */
+export const ACCOUNT_DELETION_MAX_ATTEMPTS = 10;
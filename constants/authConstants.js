@@ -0,0 +1,66 @@
+/**
+ * @file constants/authConstants.js
+ * @description
+ * Settings for the account recovery flows that run outside a logged-in session.
+ */
+
+/**
+ * @constant {number} PASSWORD_RESET_TTL_MS
+ * @description
+ * How long a password reset link stays valid after it is sent. The token is
+ * also cleared as soon as it is used, so each link works at most once.
+ */
+export const PASSWORD_RESET_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * @constant {number} RANDOM_TOKEN_BYTES
+ * @description
+ * Random bytes in a password reset, email verification or refresh token before
+ * hex encoding. Only the SHA-256 hash of a token is stored.
+ */
+export const RANDOM_TOKEN_BYTES = 32;
+
+/**
+ * @constant {number} EMAIL_VERIFICATION_TTL_MS
+ * @description
+ * How long an email verification link stays valid. A new link can be asked
+ * for at any time; sending one replaces the previous token.
+ */
+export const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * @constant {string[]} UNVERIFIED_BLOCKED_ACTIONS
+ * @description
+ * Actions an account cannot take until its email address is verified, checked
+ * by `authController.requireVerified`. "post" covers new posts, reposts and
+ * quotes; "comment" covers comments and replies. The UNVERIFIED_BLOCKED_ACTIONS
+ * environment variable overrides the list as comma-separated names, and an
+ * empty value lifts every restriction.
+ */
+export const UNVERIFIED_BLOCKED_ACTIONS = ["post", "comment"];
+
+/**
+ * @constant {number} ACCESS_TOKEN_TTL_SECONDS
+ * @description
+ * Lifetime of an access JWT. Clients get a new one from POST /user/refresh, so
+ * a leaked access token is only useful for this long, and entries in the
+ * revocation list never need to outlive it.
+ */
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60; // 15 minutes
+
+/**
+ * @constant {number} REFRESH_TOKEN_TTL_MS
+ * @description
+ * How long a refresh token can be exchanged for new tokens. Every exchange
+ * issues a new refresh token with a fresh lifetime, so an active login never
+ * expires while one left unused for this long does.
+ */
+export const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+/**
+ * @constant {string} REFRESH_COOKIE_PATH
+ * @description
+ * The refresh token cookie is only sent to the user routes, where refresh and
+ * logout live, instead of with every API request.
+ */
+export const REFRESH_COOKIE_PATH = "/api/v1/user";
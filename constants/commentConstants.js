@@ -0,0 +1,30 @@
+/**
+ * @file constants/commentConstants.js
+ * @description
+ * Orderings offered when listing a post's comments and the decay used to rank
+ * them by likes.
+ */
+
+/**
+ * @constant {string[]} COMMENT_SORTS
+ * @description
+ * Values accepted by the `sort` query on GET /post/:postId/comments.
+ * "top" ranks by likes with time decay, "new" is newest first and "old" oldest first.
+ */
+export const COMMENT_SORTS = ["top", "new", "old"];
+
+/**
+ * @constant {number} COMMENT_DECAY_OFFSET_HOURS
+ * @description
+ * Added to a comment's age before decay so brand-new comments are not ranked on
+ * a near-zero denominator.
+ */
+export const COMMENT_DECAY_OFFSET_HOURS = 2;
+
+/**
+ * @constant {number} COMMENT_DECAY_GRAVITY
+ * @description
+ * Exponent applied to the offset age in the "top" ranking:
+ * likes / (ageHours + offset) ^ gravity. Higher values let older comments sink faster.
+ */
+export const COMMENT_DECAY_GRAVITY = 1.5;
@@ -47,4 +47,8 @@ export const RISING_CREATOR_MAX = 25;
 
 export const SPECIFIC_MAX = 2;
 // This limit applies to the most granular level of interests – "specifics".
-// -- not fully implemented yet --
+// Each subcategory node keeps at most this many specifics (e.g. Fitness > Running > "marathon").
+
+export const HASHTAG_MAX = 30;
+// Number of hashtag interest nodes kept per user. Hashtags form one flat pool
+// next to the category tree; the weakest tag drops out once it is full.
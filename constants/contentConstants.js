@@ -0,0 +1,53 @@
+/**
+ * @file constants/contentConstants.js
+ * @description
+ * Limits that apply to user-authored content (posts and comments) rather than to
+ * ranking or interest profiles.
+ */
+
+/**
+ * @constant {number} MAX_REVISIONS
+ * @description
+ * How many earlier versions are kept per post or comment. Each edit stores the
+ * version it replaced; once the history is full the oldest entry is dropped.
+ */
+export const MAX_REVISIONS = 20;
+
+/**
+ * @constant {string[]} EDITABLE_POST_FIELDS
+ * @description
+ * Post fields the creator may change through PATCH /post/:postId. Each revision
+ * stores the previous value of every one of them.
+ */
+export const EDITABLE_POST_FIELDS = ["text", "image", "category", "subCategory", "specific"];
+
+/**
+ * @constant {number} MAX_HASHTAGS
+ * @description
+ * How many distinct hashtags are kept from one post, comment or reply. Tags past
+ * this count are left in the text but are not indexed.
+ */
+export const MAX_HASHTAGS = 30;
+
+/**
+ * @constant {number} MAX_MENTIONS
+ * @description
+ * How many distinct @userName mentions are resolved from one post, comment or
+ * reply. Keeps a single text from fanning out into an unbounded user lookup.
+ */
+export const MAX_MENTIONS = 20;
+
+/**
+ * @constant {number} MAX_BOOKMARK_COLLECTION_LENGTH
+ * @description
+ * Longest name accepted for a saved-posts collection.
+ */
+export const MAX_BOOKMARK_COLLECTION_LENGTH = 50;
+
+/**
+ * @constant {string[]} POST_VISIBILITIES
+ * @description
+ * Who can see a post: everyone, only the creator's followers, or only the
+ * creator. Posts without the field are treated as public.
+ */
+export const POST_VISIBILITIES = ["public", "followers", "private"];
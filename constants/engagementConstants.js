@@ -0,0 +1,22 @@
+/**
+ * @file constants/engagementConstants.js
+ * @description
+ * Limits for ingesting engagement events from clients: how many can be sent in one
+ * batch and how long an event ID is remembered to drop retried duplicates.
+ */
+
+/**
+ * @constant {number} MAX_ENGAGEMENT_BATCH
+ * @description
+ * Maximum number of events accepted by POST /engagement/batch in a single request.
+ */
+export const MAX_ENGAGEMENT_BATCH = 100;
+
+/**
+ * @constant {number} EVENT_DEDUP_TTL_SECONDS
+ * @description
+ * How long a processed event ID is remembered. A retry carrying the same ID within
+ * this window is acknowledged but not applied again. Kafka consumers use the same
+ * window when dropping redelivered messages.
+ */
+export const EVENT_DEDUP_TTL_SECONDS = 24 * 60 * 60; // 24 hours
@@ -78,3 +78,45 @@ export const UNKNOWN_SLOTS = 1;
 
 export const RECENT_WINDOW_MS = 60 * 60 * 1000;
 // Defines the time window (in milliseconds) for what qualifies as "recent" content.
+
+export const FEED_CURSOR_TTL_SECONDS = 30 * 60;
+// How long a feed continuation cursor stays valid. The cursor holds the ranked
+// candidate set of the page that issued it, so the client can keep scrolling
+// through the same ranking before we pay for a fresh candidate pull.
+
+export const GLOBAL_AVG_CACHE_TTL_SECONDS = 60;
+// How long per-category engagement averages are cached in Redis while scoring.
+// They only feed the cold-start fallback for posts outside the user's interests,
+// so a minute of staleness is fine and saves a GlobalStats read per feed request.
+
+export const TOP_SUB_SAMPLE_LIMITS = [
+  { topLimit: 6, rndLimit: 3 },
+  { topLimit: 4, rndLimit: 2 },
+];
+// Per-rank sample sizes for a category's strongest subcategories (best first),
+// so the user's favourite subcategory contributes the most candidates.
+
+export const EXTRA_SUB_SAMPLE_LIMITS = { topLimit: 2, rndLimit: 1 };
+// Sample size for the one additional subcategory drawn, weighted by score,
+// from the rest of the category's top subcategories.
+
+export const DIVERSITY_LAMBDA = 0.7;
+// Trade-off used by the maximal-marginal-relevance re-ranking stage.
+// 1 keeps the pure score order, lower values push harder for variety by penalising
+// posts that look like ones already picked for the page.
+
+export const DIVERSITY_WEIGHTS = {
+  category: 1,
+  subCategory: 1,
+  creator: 2,
+};
+// How much a shared value on each dimension counts towards two posts being "similar".
+// A repeated creator is felt more than a repeated topic.
+
+export const DIVERSITY_CAPS = {
+  category: 6,
+  subCategory: 4,
+  creator: 2,
+};
+// Hard per-page limits: at most N posts from the same category, subcategory or creator.
+// Candidates over a cap are held back for the next page instead of being dropped.
@@ -36,16 +36,51 @@ export const WEIGHTS = {
   // Weight for a 'like'.
   comment: 2.5,
   // Weight for a 'comment'.
+  save: 3.0,
+  // Weight for saving a post to read later. Stronger than a comment, since the
+  // user wants to come back to it, but below a share.
   share: 5.0,
   // Weight for a 'share'.
   completion: 4.0,
   // Weight for a 'completion' (e.g., watching a video entirely).
+  dwell: 3.0,
+  // Weight for time spent on the post, reached at DWELL_SATURATION_MS and
+  // scaled down for shorter views (see dwellFactor in utils/score.js).
 };
 
+export const DWELL_MIN_MS = 2000;
+// Views shorter than this are treated as a glance and earn no dwell weight.
+
+export const DWELL_SATURATION_MS = 30 * 1000;
+// View duration at which the dwell weight maxes out. The curve in between is
+// logarithmic, so the first seconds of attention count the most.
+
+export const MAX_VIEW_DURATION_MS = 10 * 60 * 1000;
+// Upper bound accepted from clients. Longer values are almost always a tab
+// left open, not attention.
+
+export const VIEW_TIME_EMA_ALPHA = 0.1;
+// Smoothing factor for a post's rolling averageViewTime.
+
 export const SKIP_WEIGHT = -1.5;
 // The negative weight applied when a user 'skips' or explicitly signals
 // disinterest in a post, creator, or interest. This rapidly decreases its score.
 
+export const NOT_INTERESTED_WEIGHT = -6;
+// Applied to the post's category/subcategory/specific when the user says
+// "not interested in this topic". Four skips' worth in one action, and the
+// topic stays filtered out of the feed until the user takes it back.
+
+export const SHOW_FEWER_WEIGHT = -4.5;
+// Applied to the creator on "show fewer from this creator".
+
+export const SHOW_FEWER_SKIPS = 4;
+// Skips counted against the creator on "show fewer", so a couple of these
+// push the creator into the watched and then the skipped pool.
+
+export const HIDE_POST_WEIGHT = -3;
+// Applied to both the post's interests and its creator when a single post is hidden.
+
 export const SKIP_THRESHOLD = 10;
 // If a creator accumulates this many skips, they might be
 // temporarily removed from the user's active pools,
@@ -61,6 +96,21 @@ export const CREATOR_WEIGHT = 0.3;
 // score. This allows the system to balance a user's broad topic interests
 // with their specific preferred content creators.
 
+export const SUBCATEGORY_WEIGHT = 0.6;
+// Share of the subcategory affinity added on top of the category interest.
+// Uses the user's subcategory node when there is one, otherwise a small slice
+// of the subcategory's global average smoothed towards its category.
+
+export const SPECIFIC_WEIGHT = 0.5;
+// Share of a matching "specific" interest node's score that is added on top of
+// the category interest when a post lands on one of the user's specifics
+// (the third and most granular interest tier).
+
+export const HASHTAG_WEIGHT = 0.3;
+// Share of the user's affinity for a post's hashtags added on top of the
+// category interest. Uses the strongest matching hashtag node; posts without a
+// tag the user has a node for get nothing extra.
+
 // --- Trending Algorithm Parameters ---
 export const TRENDING_WEIGHT = 8.0;
 // A multiplier that amplifies how much engagement contributes to a post's trending score.
@@ -0,0 +1,44 @@
+/**
+ * @file constants/searchConstants.js
+ * @description
+ * What GET /search can look in, how many hits it returns per page, and how much
+ * a hit is lifted when it matches the searcher's own interests.
+ */
+
+/**
+ * @constant {string[]} SEARCH_TYPES
+ * @description
+ * Values accepted by the `type` query. "all" returns one page of each kind.
+ */
+export const SEARCH_TYPES = ["all", "posts", "users", "comments"];
+
+/**
+ * @constant {number} SEARCH_DEFAULT_LIMIT
+ * @description
+ * Hits returned per kind when the request does not set `limit`.
+ */
+export const SEARCH_DEFAULT_LIMIT = 20;
+
+/**
+ * @constant {number} SEARCH_MAX_LIMIT
+ * @description
+ * Upper bound for `limit`. Text search scores every matching document, so large
+ * pages are expensive.
+ */
+export const SEARCH_MAX_LIMIT = 50;
+
+/**
+ * @constant {number} SEARCH_CATEGORY_BOOST
+ * @description
+ * Fraction added to a hit's text score when its category (a comment's post
+ * category) is one of the user's top interests: score * (1 + boost).
+ */
+export const SEARCH_CATEGORY_BOOST = 0.5;
+
+/**
+ * @constant {number} SEARCH_CREATOR_BOOST
+ * @description
+ * Fraction added when the post's creator, the comment's author or the user hit
+ * itself is one of the user's top creators. Stacks with the category boost.
+ */
+export const SEARCH_CREATOR_BOOST = 0.5;
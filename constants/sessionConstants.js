@@ -69,3 +69,13 @@ export const WATCHED_THRESHOLD = 2;
  * This prevents immediately re-recommending content that a user has explicitly shown strong disinterest in.
  */
 export const REENTRY_DELAY_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * @constant {number} HIDDEN_CREATOR_REENTRY_MS
+ * @description
+ * How long a creator the user explicitly hid stays in the skipped pool before
+ * being allowed back. Much longer than the regular hard-skip delay since this
+ * is a deliberate choice rather than an inferred one. The user can lift it early
+ * by undoing the action from their profile.
+ */
+export const HIDDEN_CREATOR_REENTRY_MS = 90 * 24 * 60 * 60 * 1000; // 90 days
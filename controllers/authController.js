@@ -4,35 +4,57 @@ import catchAsync from "../utils/catchAsync.js";
 import AppError from "../utils/appError.js";
 import isEnabled from "../utils/isRedisEnabled.js";
 
-import { loginUserService, signUpService, verifyTokenService } from "../services/auth/authService.js";
-import { loginSchema, signUpSchema } from "../validators/authValidator.js";
+import {
+  loginUserService,
+  signUpService,
+  verifyTokenService,
+  forgotPasswordService,
+  resetPasswordService,
+  sendVerificationEmailService,
+  verifyEmailService,
+} from "../services/auth/authService.js";
+import {
+  createSendToken,
+  sendTokens,
+  rotateRefreshTokenService,
+  logoutService,
+  revokeAllTokensService,
+} from "../services/auth/tokenService.js";
+import { linkRedisSessionService } from "../services/auth/loginSessionService.js";
+import {
+  loginSchema,
+  signUpSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  refreshSchema,
+  deleteMeSchema,
+} from "../validators/authValidator.js";
+import { deactivateMeService, deleteMeService } from "../services/user/userService.js";
 
 import startUserSession from "../session/sessionBegin.js";
 import { refreshUserSession, getSessionData } from "../session/sessionHelpers.js";
 import { SESSION_TTL_SECONDS } from "../constants/sessionConstants.js";
+import { UNVERIFIED_BLOCKED_ACTIONS, REFRESH_COOKIE_PATH } from "../constants/authConstants.js";
 
-const signToken = (userId) =>
-  jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
-  });
+const verifyURL = (req) => (token) => `${req.protocol}://${req.get("host")}/api/v1/user/verifyEmail/${token}`;
 
-const createSendToken = (user, statusCode, res) => {
-  const token = signToken(user._id);
+const readToken = (req) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith("Bearer")) {
+    return req.headers.authorization.split(" ")[1];
+  }
+  return req.cookies.jwt;
+};
 
-  const cookieOptions = {
-    expires: new Date(Date.now() + process.env.JWT_COOKIE_EXPIRES_IN * 24 * 60 * 60 * 1000),
+const clearAuthCookies = (req, res) => {
+  res.cookie("jwt", "loggedout", {
+    expires: new Date(Date.now() + 10 * 1000),
     httpOnly: true,
-  };
-
-  res.cookie("jwt", token, cookieOptions);
-
-  res.status(statusCode).json({
-    status: "success",
-    token,
-    data: {
-      user,
-    },
   });
+  res.clearCookie("refreshToken", { path: REFRESH_COOKIE_PATH });
+
+  if (req.cookies.sid) {
+    res.clearCookie("sid");
+  }
 };
 
 export const signUp = catchAsync(async (req, res, next) => {
@@ -47,7 +69,10 @@ export const signUp = catchAsync(async (req, res, next) => {
 
   const newUser = await signUpService(value);
 
-  createSendToken(newUser, 201, res);
+  // The account exists either way; a failed send is logged and the user can ask for a new link.
+  await sendVerificationEmailService(newUser, verifyURL(req)).catch(() => null);
+
+  await createSendToken(newUser, 201, res);
 });
 
 export const login = catchAsync(async (req, res, next) => {
@@ -57,29 +82,100 @@ export const login = catchAsync(async (req, res, next) => {
 
   const user = await loginUserService(value);
 
-  createSendToken(user, 200, res);
+  await createSendToken(user, 200, res);
 });
 
-export const logout = catchAsync(async (req, res, next) => {
-  res.cookie("jwt", "loggedout", {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true,
-  });
+// Revokes this login's tokens server-side; clearing the cookies alone would leave a copied token usable.
+export const logout = catchAsync(async (req, res) => {
+  await logoutService(readToken(req), req.cookies.refreshToken);
 
-  if (req.cookies.sid) {
-    res.clearCookie("sid");
-  }
+  clearAuthCookies(req, res);
   res.status(200).json({ status: "success" });
 });
 
-export const protect = catchAsync(async (req, res, next) => {
-  let token;
+export const logoutAll = catchAsync(async (req, res) => {
+  await revokeAllTokensService(req.user._id);
 
-  if (req.headers.authorization && req.headers.authorization.startsWith("Bearer")) {
-    token = req.headers.authorization.split(" ")[1];
-  } else if (req.cookies.jwt) {
-    token = req.cookies.jwt;
-  }
+  clearAuthCookies(req, res);
+  res.status(200).json({ status: "success" });
+});
+
+export const deactivateMe = catchAsync(async (req, res) => {
+  await deactivateMeService(req.user._id);
+
+  clearAuthCookies(req, res);
+  res.status(200).json({
+    status: "success",
+    message: "your account is deactivated, log in again to reactivate it",
+  });
+});
+
+export const deleteMe = catchAsync(async (req, res, next) => {
+  const { error, value } = deleteMeSchema.validate(req.body);
+  if (error) return next(new AppError(error.details[0].message, 400));
+
+  await deleteMeService(req.user._id, value.password);
+
+  clearAuthCookies(req, res);
+  res.status(202).json({
+    status: "success",
+    message: "your account has been deleted, the rest of your data will be removed shortly",
+  });
+});
+
+export const refresh = catchAsync(async (req, res, next) => {
+  const { error, value } = refreshSchema.validate(req.body);
+  if (error) return next(new AppError(error.details[0].message, 400));
+
+  const refreshToken = value.refreshToken || req.cookies.refreshToken;
+  if (!refreshToken) return next(new AppError("please log in to access this page", 401));
+
+  const { user, ...tokens } = await rotateRefreshTokenService(refreshToken);
+
+  sendTokens(res, 200, user, tokens);
+});
+
+export const forgotPassword = catchAsync(async (req, res, next) => {
+  const { error, value } = forgotPasswordSchema.validate(req.body);
+  if (error) return next(new AppError(error.details[0].message, 400));
+
+  await forgotPasswordService(value.email, (token) => `${req.protocol}://${req.get("host")}/api/v1/user/resetPassword/${token}`);
+
+  res.status(200).json({
+    status: "success",
+    message: "if an account uses this email, a reset link has been sent to it",
+  });
+});
+
+export const resetPassword = catchAsync(async (req, res, next) => {
+  const { error, value } = resetPasswordSchema.validate(req.body);
+  if (error) return next(new AppError(error.details[0].message, 400));
+
+  const user = await resetPasswordService(req.params.token, value.password, value.passwordConfirm);
+
+  await createSendToken(user, 200, res);
+});
+
+export const verifyEmail = catchAsync(async (req, res) => {
+  await verifyEmailService(req.params.token);
+
+  res.status(200).json({
+    status: "success",
+    message: "email address verified",
+  });
+});
+
+export const resendVerificationEmail = catchAsync(async (req, res) => {
+  await sendVerificationEmailService(req.user, verifyURL(req));
+
+  res.status(200).json({
+    status: "success",
+    message: "a new verification link has been sent",
+  });
+});
+
+export const protect = catchAsync(async (req, res, next) => {
+  const token = readToken(req);
 
   if (!token) {
     return next(new AppError("please log in to access this page", 401));
@@ -88,6 +184,8 @@ export const protect = catchAsync(async (req, res, next) => {
   const user = await verifyTokenService(token);
 
   req.user = user;
+  // The login (refresh-token family) this access token belongs to.
+  req.loginFamily = jwt.decode(token)?.fam;
 
   if (isEnabled()) {
     let { sid } = req.cookies;
@@ -108,6 +206,14 @@ export const protect = catchAsync(async (req, res, next) => {
       }
     }
 
+    if (req.loginFamily) {
+      try {
+        await linkRedisSessionService(req.loginFamily, sid);
+      } catch (err) {
+        console.error("Error linking session to login:", err);
+      }
+    }
+
     res.cookie("sid", sid, {
       httpOnly: true,
       maxAge: SESSION_TTL_SECONDS * 1000,
@@ -120,3 +226,40 @@ export const protect = catchAsync(async (req, res, next) => {
 
   next();
 });
+
+// For public routes whose response depends on who is asking. A missing or
+// bad token leaves the request anonymous instead of failing it; no session is started.
+export const identify = catchAsync(async (req, res, next) => {
+  const token = readToken(req);
+  if (!token || token === "loggedout") return next();
+
+  req.user = await verifyTokenService(token).catch(() => undefined);
+
+  next();
+});
+
+const blockedForUnverified = () => {
+  const configured = process.env.UNVERIFIED_BLOCKED_ACTIONS;
+  if (configured === undefined) return UNVERIFIED_BLOCKED_ACTIONS;
+
+  return configured
+    .split(",")
+    .map((action) => action.trim())
+    .filter(Boolean);
+};
+
+// Goes after protect. Which actions need a verified email is set by UNVERIFIED_BLOCKED_ACTIONS.
+export const requireVerified = (action) => (req, res, next) => {
+  if (req.user.isVerified || !blockedForUnverified().includes(action)) return next();
+
+  return next(new AppError(`please verify your email address before you ${action}`, 403));
+};
+
+export const restrictTo =
+  (...roles) =>
+  (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return next(new AppError("you don't have permission to do this action", 403));
+    }
+    next();
+  };
@@ -0,0 +1,83 @@
+import catchAsync from "../utils/catchAsync.js";
+import AppError from "../utils/appError.js";
+import {
+  listTaxonomyService,
+  createCategoryService,
+  updateCategoryService,
+  deleteCategoryService,
+  addSubCategoryService,
+  updateSubCategoryService,
+  deleteSubCategoryService,
+} from "../services/category/categoryService.js";
+import { mergeTaxonomyService } from "../services/category/categoryMergeService.js";
+import { createCategorySchema, updateAliasesSchema, addSubCategorySchema, mergeTaxonomySchema } from "../validators/categoryValidator.js";
+
+export const getTaxonomy = catchAsync(async (req, res) => {
+  const categories = await listTaxonomyService();
+
+  res.status(200).json({
+    status: "success",
+    results: categories.length,
+    data: { categories },
+  });
+});
+
+export const createCategory = catchAsync(async (req, res, next) => {
+  const { error, value } = createCategorySchema.validate(req.body);
+  if (error) return next(new AppError(error.details[0].message, 400));
+
+  const category = await createCategoryService(value);
+
+  res.status(201).json({ status: "success", data: { category } });
+});
+
+export const updateCategory = catchAsync(async (req, res, next) => {
+  const { error, value } = updateAliasesSchema.validate(req.body);
+  if (error) return next(new AppError(error.details[0].message, 400));
+
+  const category = await updateCategoryService(req.params.category, value);
+
+  res.status(200).json({ status: "success", data: { category } });
+});
+
+export const deleteCategory = catchAsync(async (req, res) => {
+  await deleteCategoryService(req.params.category);
+
+  res.status(204).send();
+});
+
+export const addSubCategory = catchAsync(async (req, res, next) => {
+  const { error, value } = addSubCategorySchema.validate(req.body);
+  if (error) return next(new AppError(error.details[0].message, 400));
+
+  const category = await addSubCategoryService(req.params.category, value);
+
+  res.status(201).json({ status: "success", data: { category } });
+});
+
+export const updateSubCategory = catchAsync(async (req, res, next) => {
+  const { error, value } = updateAliasesSchema.validate(req.body);
+  if (error) return next(new AppError(error.details[0].message, 400));
+
+  const category = await updateSubCategoryService(req.params.category, req.params.subCategory, value);
+
+  res.status(200).json({ status: "success", data: { category } });
+});
+
+export const deleteSubCategory = catchAsync(async (req, res) => {
+  await deleteSubCategoryService(req.params.category, req.params.subCategory);
+
+  res.status(204).send();
+});
+
+export const mergeTaxonomy = catchAsync(async (req, res, next) => {
+  const { error, value } = mergeTaxonomySchema.validate(req.body);
+  if (error) return next(new AppError(error.details[0].message, 400));
+
+  const { category, posts, users } = await mergeTaxonomyService(value);
+
+  res.status(200).json({
+    status: "success",
+    data: { category, rewritten: { posts, users } },
+  });
+});
@@ -1,19 +1,95 @@
 import catchAsync from "../utils/catchAsync.js";
 import AppError from "../utils/appError.js";
-import { addCommentService, deleteCommentService } from "../services/comment/commentService.js";
+import {
+  addCommentService,
+  deleteCommentService,
+  editCommentService,
+  addReplyService,
+  getRepliesService,
+  editReplyService,
+  deleteReplyService,
+  toggleCommentLikeService,
+  toggleReplyLikeService,
+} from "../services/comment/commentService.js";
+import { scoreInteractionService, publishInteraction } from "../services/engagement/engagementService.js";
+import { retractEngagementService, publishRetraction } from "../services/engagement/retractionService.js";
 import addCommentSchema from "../validators/commentValidator.js";
 
 export const addComment = catchAsync(async (req, res, next) => {
   const { error, value } = addCommentSchema.validate(req.body);
   if (error) return next(new AppError(error.details[0].message, 400));
-  const comment = await addCommentService(req.user._id, req.params.postId, value.text);
+  const comment = await addCommentService(req.user._id, req.params.postId, value.text, req.user);
+  publishInteraction(await scoreInteractionService(req.user._id, req.sessionId, req.params.postId, "comment"));
   res.status(201).json({ status: "success", comment });
 });
 
 export const deleteComment = catchAsync(async (req, res, next) => {
   await deleteCommentService(req.user._id, req.params.postId, req.params.commentId);
+  publishRetraction(await retractEngagementService(req.user._id, req.sessionId, req.params.postId, "comment"));
   res.status(204).json({
     status: "success",
     message: "comment deleted",
   });
 });
+
+export const editComment = catchAsync(async (req, res, next) => {
+  const { error, value } = addCommentSchema.validate(req.body);
+  if (error) return next(new AppError(error.details[0].message, 400));
+
+  const comment = await editCommentService(req.user._id, req.params.postId, req.params.commentId, value.text, req.user);
+
+  res.status(200).json({ status: "success", comment });
+});
+
+export const addReply = catchAsync(async (req, res, next) => {
+  const { error, value } = addCommentSchema.validate(req.body);
+  if (error) return next(new AppError(error.details[0].message, 400));
+
+  const reply = await addReplyService(req.user._id, req.params.postId, req.params.commentId, value.text, req.user);
+  publishInteraction(await scoreInteractionService(req.user._id, req.sessionId, req.params.postId, "comment"));
+
+  res.status(201).json({ status: "success", reply });
+});
+
+export const getReplies = catchAsync(async (req, res) => {
+  const page = parseInt(req.sanitizedQuery.page, 10) || 1;
+  const limit = parseInt(req.sanitizedQuery.limit, 10) || 20;
+
+  const result = await getRepliesService(req.params.postId, req.params.commentId, page, limit, req.user);
+
+  res.status(200).json({
+    status: "success",
+    ...result,
+  });
+});
+
+export const editReply = catchAsync(async (req, res, next) => {
+  const { error, value } = addCommentSchema.validate(req.body);
+  if (error) return next(new AppError(error.details[0].message, 400));
+
+  const reply = await editReplyService(req.user._id, req.params.postId, req.params.commentId, req.params.replyId, value.text, req.user);
+
+  res.status(200).json({ status: "success", reply });
+});
+
+export const deleteReply = catchAsync(async (req, res) => {
+  await deleteReplyService(req.user._id, req.params.postId, req.params.commentId, req.params.replyId, req.user);
+  publishRetraction(await retractEngagementService(req.user._id, req.sessionId, req.params.postId, "comment"));
+
+  res.status(204).json({
+    status: "success",
+    message: "reply deleted",
+  });
+});
+
+export const toggleCommentLike = catchAsync(async (req, res) => {
+  const result = await toggleCommentLikeService(req.user._id, req.params.postId, req.params.commentId, req.user);
+
+  res.status(200).json(result);
+});
+
+export const toggleReplyLike = catchAsync(async (req, res) => {
+  const result = await toggleReplyLikeService(req.user._id, req.params.postId, req.params.commentId, req.params.replyId, req.user);
+
+  res.status(200).json(result);
+});
@@ -1,7 +1,17 @@
+/* eslint-disable no-restricted-syntax, no-await-in-loop */
+import { v4 as uuid } from "uuid";
 import catchAsync from "../utils/catchAsync.js";
 import AppError from "../utils/appError.js";
-import { engagementSchema, skipSchema } from "../validators/engagementValidator.js";
-import { markPostSeenService, getPostAndUserService } from "../services/engagement/engagementService.js";
+import { engagementSchema, skipSchema, feedbackSchema, engagementBatchSchema } from "../validators/engagementValidator.js";
+import {
+  markPostSeenService,
+  getPostAndUserService,
+  resolveRepostService,
+  computeEngagementScore,
+  processEngagementBatchService,
+} from "../services/engagement/engagementService.js";
+import { runOnce } from "../services/engagement/eventDedupService.js";
+import { applyFeedbackService } from "../services/feedback/feedbackService.js";
 import { scoreInterestDB, skipInterestDB } from "../services/interest/interestServiceDB.js";
 import { scoreCreatorDB, skipCreatorDB } from "../services/creator/creatorServiceDB.js";
 import { scoreInterestRedis, skipInterestRedis } from "../services/interest/interestServiceRedis.js";
@@ -9,88 +19,127 @@ import { scoreCreatorRedis, skipCreatorRedis } from "../services/creator/creator
 import publishScoreEvent from "../kafka/producers/scoreProducer.js";
 import publishEngagementEvent from "../kafka/producers/engagementProducer.js";
 import isEnabled from "../utils/isRedisEnabled.js";
-import { WEIGHTS } from "../constants/scoringConfig.js";
+import { SKIP_WEIGHT } from "../constants/scoringConfig.js";
 
 export const calculateEngagement = catchAsync(async (req, res, next) => {
   const { error, value } = engagementSchema.validate(req.body.engagement);
   if (error) return next(new AppError(error.details[0].message, 400));
 
-  const { postId, viewed = 0, completed = 0, liked = 0, commented = 0, shared = 0 } = value;
+  const { postId, viewDurationMs = 0, eventId: clientEventId } = value;
 
   const userId = req.user._id;
-  const { post } = await getPostAndUserService(postId, userId);
-  const { category, subCategory, specific, creator } = post;
-
-  await markPostSeenService(userId, postId);
-
-  const engagementScore =
-    +viewed * WEIGHTS.view +
-    +completed * WEIGHTS.completion +
-    +liked * WEIGHTS.like +
-    +commented * WEIGHTS.comment +
-    +shared * WEIGHTS.share;
-
-  const engagementEvent = {
-    postId: postId.toString(),
-    userId: userId.toString(),
-    category,
-    subCategory,
-    creatorId: creator._id.toString(),
-    engagementScore,
-  };
-  await publishEngagementEvent(engagementEvent);
-
-  if (isEnabled()) {
-    const { sessionId } = req;
-    if (!sessionId) console.warn("Redis enabled but no sessionId.");
-
-    await scoreInterestRedis(userId, sessionId, category, subCategory, specific, engagementScore);
-
-    await scoreCreatorRedis(userId, sessionId, creator._id, engagementScore);
-  } else {
-    await scoreInterestDB(userId, {
-      categoryName: category,
-      subName: subCategory,
-      specificName: specific,
+  const { post: served } = await getPostAndUserService(postId, userId);
+  const post = await resolveRepostService(served);
+  const { category, subCategory, specific, hashtags, creator } = post;
+
+  const eventId = clientEventId || uuid();
+
+  const applied = await runOnce(`api:${userId}`, clientEventId, async () => {
+    await markPostSeenService(userId, postId);
+
+    const engagementScore = computeEngagementScore(value);
+
+    const engagementEvent = {
+      eventId,
+      postId: post._id.toString(),
+      userId: userId.toString(),
+      category,
+      subCategory,
+      creatorId: creator._id.toString(),
       engagementScore,
+      viewDurationMs,
+    };
+    await publishEngagementEvent(engagementEvent);
+
+    if (isEnabled()) {
+      const { sessionId } = req;
+      if (!sessionId) console.warn("Redis enabled but no sessionId.");
+
+      await scoreInterestRedis(userId, sessionId, category, subCategory, specific, engagementScore, hashtags);
+
+      await scoreCreatorRedis(userId, sessionId, creator._id, engagementScore);
+    } else {
+      await scoreInterestDB(userId, {
+        categoryName: category,
+        subName: subCategory,
+        specificName: specific,
+        hashtags,
+        engagementScore,
+      });
+      await scoreCreatorDB(userId, creator._id, engagementScore);
+    }
+
+    await publishScoreEvent({
+      eventId,
+      postId: post._id.toString(),
+      userId: userId.toString(),
+      engagementType: "engagement",
+      scoreDelta: engagementScore,
+      timestamp: new Date().toISOString(),
     });
-    await scoreCreatorDB(userId, creator._id, engagementScore);
-  }
-
-  await publishScoreEvent({
-    postId: postId.toString(),
-    userId: userId.toString(),
-    engagementType: "engagement",
-    scoreDelta: engagementScore,
-    timestamp: new Date().toISOString(),
   });
 
-  res.status(200).json({ status: "success" });
+  res.status(200).json({ status: "success", ...(!applied && { duplicate: true }) });
 });
 
 export const calculateSkips = catchAsync(async (req, res, next) => {
   const { error, value } = skipSchema.validate(req.body.skip);
   if (error) return next(new AppError(error.details[0].message, 400));
 
-  const { postId } = value;
+  const { postId, eventId } = value;
   const userId = req.user._id;
-  const { post } = await getPostAndUserService(postId, userId);
-  const { category, subCategory, specific, creator } = post;
-
-  await markPostSeenService(userId, postId);
-
-  if (isEnabled()) {
-    const { sessionId } = req;
-    if (!sessionId) console.warn("Redis enabled but no sessionId.");
-    await Promise.all([skipInterestRedis(sessionId, category, subCategory, specific), skipCreatorRedis(sessionId, creator._id.toString())]);
-  } else {
-    await skipInterestDB(userId, {
-      categoryName: category,
-      subCategoryName: subCategory,
-      specificName: specific,
-    });
-    await skipCreatorDB(userId, creator._id);
+  const { post: served } = await getPostAndUserService(postId, userId);
+  const post = await resolveRepostService(served);
+  const { category, subCategory, specific, hashtags, creator } = post;
+
+  const applied = await runOnce(`api:${userId}`, eventId, async () => {
+    await markPostSeenService(userId, postId);
+
+    if (isEnabled()) {
+      const { sessionId } = req;
+      if (!sessionId) console.warn("Redis enabled but no sessionId.");
+      await Promise.all([
+        skipInterestRedis(userId, sessionId, category, subCategory, specific, SKIP_WEIGHT, hashtags),
+        skipCreatorRedis(sessionId, creator._id.toString()),
+      ]);
+    } else {
+      await skipInterestDB(userId, {
+        categoryName: category,
+        subCategoryName: subCategory,
+        specificName: specific,
+        hashtags,
+      });
+      await skipCreatorDB(userId, creator._id);
+    }
+  });
+
+  res.status(200).json({ status: "success", ...(!applied && { duplicate: true }) });
+});
+
+export const recordFeedback = catchAsync(async (req, res, next) => {
+  const { error, value } = feedbackSchema.validate(req.body.feedback);
+  if (error) return next(new AppError(error.details[0].message, 400));
+
+  const feedback = await applyFeedbackService(req.user._id, req.sessionId, value.postId, value.action);
+
+  res.status(201).json({ status: "success", data: { feedback } });
+});
+
+export const calculateEngagementBatch = catchAsync(async (req, res, next) => {
+  const { error, value } = engagementBatchSchema.validate(req.body);
+  if (error) return next(new AppError(error.details[0].message, 400));
+
+  const { results, published } = await processEngagementBatchService(req.user._id, req.sessionId, value.events);
+
+  for (const { engagementEvent, scoreEvent } of published) {
+    await publishEngagementEvent(engagementEvent);
+    await publishScoreEvent(scoreEvent);
   }
 
-  res.status(200).json({ status: "success" });
+  res.status(200).json({
+    status: "success",
+    results: results.length,
+    processed: results.filter((r) => r.status === "processed").length,
+    data: { results },
+  });
 });
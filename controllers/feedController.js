@@ -4,7 +4,7 @@ import catchAsync from "../utils/catchAsync.js";
 import AppError from "../utils/appError.js";
 import isEnabled from "../utils/isRedisEnabled.js";
 import { getSessionData } from "../session/sessionHelpers.js";
-import { makeSeenSet } from "../utils/feedHelpers.js";
+import { makeSeenSet, fetchRandom } from "../utils/feedHelpers.js";
 import {
   buildInterestPools,
   selectCandidates,
@@ -12,19 +12,14 @@ import {
   batchFetchPosts,
   fetchGeneralPools,
   scorePosts,
+  filterByFeedback,
+  hydrateCursorCandidates,
   assembleFeed,
   formatFeedPosts,
 } from "../services/feed/feedService.js";
+import { saveFeedCursor, loadFeedCursor } from "../services/feed/feedCursorService.js";
 
-const generateFeed = catchAsync(async (req, res, next) => {
-  const user = await User.findById(req.user._id).lean();
-  if (!user) throw new AppError("User not found", 404);
-
-  const sessionData = isEnabled() ? (await getSessionData(req.sessionId)) || {} : {};
-
-  const nowMs = Date.now();
-  const seenPostIds = makeSeenSet(user);
-
+const pullRankedCandidates = async (user, sessionData, seenPostIds, nowMs) => {
   const { categoryPools, creatorPools } = buildInterestPools(user, sessionData);
 
   const skippedCreators = (creatorPools.skipped || [])
@@ -83,19 +78,61 @@ const generateFeed = catchAsync(async (req, res, next) => {
     creatorBucketMap,
     categoryBucketMap,
     skippedCreators,
+    user,
   );
 
-  const { risingPosts, trendingPosts, recentPosts, evergreenPosts } = await fetchGeneralPools(seenPostIds, nowMs, skippedCreators);
+  const { risingPosts, trendingPosts, recentPosts, evergreenPosts } = await fetchGeneralPools(seenPostIds, nowMs, skippedCreators, user);
 
   candidatePosts.push(...risingPosts, ...trendingPosts, ...recentPosts, ...evergreenPosts);
 
-  const scoredPosts = await scorePosts(candidatePosts, categoryPools, creatorPools, nowMs);
+  return scorePosts(candidatePosts, categoryPools, creatorPools, nowMs);
+};
+
+const generateFeed = catchAsync(async (req, res, next) => {
+  const explain = req.sanitizedQuery.explain === "true";
+  if (explain && process.env.NODE_ENV === "production" && req.user.role !== "admin") {
+    return next(new AppError("you don't have permission to do this action", 403));
+  }
+
+  const user = await User.findById(req.user._id).lean();
+  if (!user) throw new AppError("User not found", 404);
+
+  const nowMs = Date.now();
+  const seenPostIds = makeSeenSet(user);
+
+  const { cursor } = req.sanitizedQuery;
+  const cursorState = typeof cursor === "string" && cursor ? await loadFeedCursor(user._id, cursor) : null;
+
+  const servedIds = cursorState?.served || [];
+  servedIds.forEach((id) => seenPostIds.add(id));
+
+  let rankedPosts = cursorState
+    ? filterByFeedback(await hydrateCursorCandidates(cursorState.candidates, seenPostIds, user), user.feedback, nowMs)
+    : [];
+
+  if (!rankedPosts.length) {
+    const sessionData = isEnabled() ? (await getSessionData(req.sessionId)) || {} : {};
+    rankedPosts = filterByFeedback(await pullRankedCandidates(user, sessionData, seenPostIds, nowMs), user.feedback, nowMs);
+  }
+
+  const finalFeed = await assembleFeed(rankedPosts, seenPostIds, fetchRandom, user);
+
+  const pageIds = new Set(finalFeed.map((p) => p._id.toString()));
+  const remaining = rankedPosts
+    .filter((p) => !pageIds.has(p._id.toString()))
+    .map((p) => ({
+      postId: p._id,
+      bucket: p.bucket,
+      overallScore: p.overallScore,
+      selectedBy: p.selectedBy,
+      scoreBreakdown: p.scoreBreakdown,
+    }));
 
-  const finalFeed = await assembleFeed(scoredPosts, seenPostIds);
+  const nextCursor = await saveFeedCursor(user._id, remaining, [...servedIds, ...pageIds]);
 
-  const formattedFeed = await formatFeedPosts(finalFeed, user);
+  const formattedFeed = await formatFeedPosts(finalFeed, user, { explain });
 
-  res.status(200).json({ status: "success", data: { posts: formattedFeed } });
+  res.status(200).json({ status: "success", data: { posts: formattedFeed, nextCursor } });
 });
 
 export default generateFeed;
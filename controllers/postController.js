@@ -6,8 +6,24 @@ import {
   getPostCommentsService,
   toggleLikeService,
   deletePostService,
+  editPostService,
+  getPostsByHashtagService,
+  repostService,
+  undoRepostService,
 } from "../services/post/postService.js";
-import { createPostSchema, postIdParamSchema } from "../validators/postValidator.js";
+import { savePostService, unsavePostService } from "../services/bookmark/bookmarkService.js";
+import { scoreInteractionService, publishInteraction } from "../services/engagement/engagementService.js";
+import { retractEngagementService, publishRetraction } from "../services/engagement/retractionService.js";
+import {
+  createPostSchema,
+  editPostSchema,
+  postIdParamSchema,
+  postCommentsQuerySchema,
+  hashtagParamSchema,
+  hashtagPostsQuerySchema,
+  savePostSchema,
+  repostSchema,
+} from "../validators/postValidator.js";
 
 export const createPost = catchAsync(async (req, res, next) => {
   const { error, value } = createPostSchema.validate(req.body);
@@ -30,7 +46,7 @@ export const getPost = catchAsync(async (req, res, next) => {
 
   if (error) return next(new AppError(error.details[0].message, 400));
 
-  const post = await getPostService(req.params.postId);
+  const post = await getPostService(req.params.postId, req.user);
 
   res.status(200).json({
     status: "success",
@@ -39,11 +55,26 @@ export const getPost = catchAsync(async (req, res, next) => {
 });
 
 export const getPostComments = catchAsync(async (req, res, next) => {
-  const { postId } = req.params;
-  const page = parseInt(req.sanitizedQuery.page, 10) || 1;
-  const limit = parseInt(req.sanitizedQuery.limit, 10) || 20;
+  const { error, value } = postCommentsQuerySchema.validate(req.sanitizedQuery);
+  if (error) return next(new AppError(error.details[0].message, 400));
 
-  const result = await getPostCommentsService(postId, page, limit);
+  const { page, limit, sort, asOf } = value;
+  const result = await getPostCommentsService(req.params.postId, page, limit, { sort, asOf, viewer: req.user });
+
+  res.status(200).json({
+    status: "success",
+    ...result,
+  });
+});
+
+export const getPostsByHashtag = catchAsync(async (req, res, next) => {
+  const { error: paramError } = hashtagParamSchema.validate(req.params);
+  if (paramError) return next(new AppError(paramError.details[0].message, 400));
+
+  const { error, value } = hashtagPostsQuerySchema.validate(req.sanitizedQuery);
+  if (error) return next(new AppError(error.details[0].message, 400));
+
+  const result = await getPostsByHashtagService(req.params.tag, value.page, value.limit, req.user);
 
   res.status(200).json({
     status: "success",
@@ -56,17 +87,105 @@ export const toggleLike = catchAsync(async (req, res, next) => {
 
   if (error) return next(new AppError(error.details[0].message, 400));
 
-  const result = await toggleLikeService(req.user._id, req.params.postId);
+  const result = await toggleLikeService(req.user._id, req.params.postId, req.user);
+
+  if (result.liked) {
+    publishInteraction(await scoreInteractionService(req.user._id, req.sessionId, req.params.postId, "like"));
+  } else {
+    publishRetraction(await retractEngagementService(req.user._id, req.sessionId, req.params.postId, "like"));
+  }
 
   res.status(200).json(result);
 });
 
+export const repost = catchAsync(async (req, res, next) => {
+  const { error: paramError } = postIdParamSchema.validate(req.params);
+  if (paramError) return next(new AppError(paramError.details[0].message, 400));
+
+  const { error, value } = repostSchema.validate(req.body || {});
+  if (error) return next(new AppError(error.details[0].message, 400));
+
+  const post = await repostService(req.user._id, req.params.postId, value.text, value.visibility);
+
+  publishInteraction(await scoreInteractionService(req.user._id, req.sessionId, post.repostOf, "share"));
+
+  res.status(201).json({
+    status: "success",
+    data: {
+      message: post.kind === "quote" ? "post quoted" : "post reposted",
+      post,
+    },
+  });
+});
+
+export const undoRepost = catchAsync(async (req, res, next) => {
+  const { error } = postIdParamSchema.validate(req.params);
+  if (error) return next(new AppError(error.details[0].message, 400));
+
+  const repostDoc = await undoRepostService(req.user._id, req.params.postId);
+
+  publishRetraction(await retractEngagementService(req.user._id, req.sessionId, repostDoc.repostOf, "share"));
+
+  res.status(204).send();
+});
+
+export const savePost = catchAsync(async (req, res, next) => {
+  const { error: paramError } = postIdParamSchema.validate(req.params);
+  if (paramError) return next(new AppError(paramError.details[0].message, 400));
+
+  const { error, value } = savePostSchema.validate(req.body || {});
+  if (error) return next(new AppError(error.details[0].message, 400));
+
+  const { bookmark, created } = await savePostService(req.user._id, req.params.postId, value.collection, req.user);
+
+  if (created) {
+    publishInteraction(await scoreInteractionService(req.user._id, req.sessionId, req.params.postId, "save"));
+  }
+
+  res.status(created ? 201 : 200).json({
+    status: "success",
+    data: { bookmark },
+  });
+});
+
+export const unsavePost = catchAsync(async (req, res, next) => {
+  const { error } = postIdParamSchema.validate(req.params);
+  if (error) return next(new AppError(error.details[0].message, 400));
+
+  const removed = await unsavePostService(req.user._id, req.params.postId);
+
+  if (removed) {
+    publishRetraction(await retractEngagementService(req.user._id, req.sessionId, req.params.postId, "save"));
+  }
+
+  res.status(204).send();
+});
+
+export const editPost = catchAsync(async (req, res, next) => {
+  const { error: paramError } = postIdParamSchema.validate(req.params);
+  if (paramError) return next(new AppError(paramError.details[0].message, 400));
+
+  const { error, value } = editPostSchema.validate(req.body);
+  if (error) return next(new AppError(error.details[0].message, 400));
+
+  const post = await editPostService(req.user._id, req.params.postId, value);
+
+  res.status(200).json({
+    status: "success",
+    data: post,
+  });
+});
+
 export const deletePost = catchAsync(async (req, res, next) => {
   const { error } = postIdParamSchema.validate(req.params);
 
   if (error) return next(new AppError(error.details[0].message, 400));
 
-  await deletePostService(req.user._id, req.params.postId);
+  const deleted = await deletePostService(req.user._id, req.params.postId);
+
+  if (deleted.repostOf) {
+    publishRetraction(await retractEngagementService(req.user._id, req.sessionId, deleted.repostOf, "share"));
+  }
 
   res.status(204).json({
     status: "success",
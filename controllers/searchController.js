@@ -0,0 +1,20 @@
+import catchAsync from "../utils/catchAsync.js";
+import AppError from "../utils/appError.js";
+import { searchService } from "../services/search/searchService.js";
+import searchQuerySchema from "../validators/searchValidator.js";
+
+const search = catchAsync(async (req, res, next) => {
+  const { error, value } = searchQuerySchema.validate(req.sanitizedQuery);
+  if (error) return next(new AppError(error.details[0].message, 400));
+
+  const pages = await searchService(req.user, value);
+
+  res.status(200).json({
+    status: "success",
+    query: value.q,
+    data: Object.fromEntries(Object.entries(pages).map(([type, page]) => [type, page.items])),
+    cursors: Object.fromEntries(Object.entries(pages).map(([type, page]) => [type, page.nextCursor])),
+  });
+});
+
+export default search;
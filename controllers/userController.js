@@ -1,13 +1,19 @@
 import catchAsync from "../utils/catchAsync.js";
 import AppError from "../utils/appError.js";
+import { followUnFollowService, getUserPostsService, updateMeService, updateMyPasswordService } from "../services/user/userService.js";
+import { createSendToken, revokeLoginSessionService, revokeAllTokensService } from "../services/auth/tokenService.js";
+import { listLoginSessionsService } from "../services/auth/loginSessionService.js";
+import { listFeedbackService, undoFeedbackService } from "../services/feedback/feedbackService.js";
+import { getMentionsService } from "../services/mention/mentionService.js";
+import { getSavedPostsService, listCollectionsService } from "../services/bookmark/bookmarkService.js";
 import {
-  followUnFollowService,
-  getUserPostsService,
-  updateMeService,
-  updateMyPasswordService,
-  createSendToken,
-} from "../services/user/userService.js";
-import { userIdParamSchema, updateMeSchema, updatePasswordSchema } from "../validators/userValidator.js";
+  userIdParamSchema,
+  updateMeSchema,
+  updatePasswordSchema,
+  feedbackIdParamSchema,
+  sessionIdParamSchema,
+  savedPostsQuerySchema,
+} from "../validators/userValidator.js";
 import { getSessionData, setSessionData, refreshUserSession } from "../session/sessionHelpers.js";
 
 import isEnabled from "../utils/isRedisEnabled.js";
@@ -17,7 +23,7 @@ export const getMe = catchAsync(async (req, res, next) => {
     return next(new AppError("You are not logged in!", 401));
   }
 
-  const { firstName, lastName, userName, email, bio, profilePicture } = req.user;
+  const { firstName, lastName, userName, email, bio, profilePicture, isVerified } = req.user;
 
   res.status(200).json({
     status: "success",
@@ -29,6 +35,7 @@ export const getMe = catchAsync(async (req, res, next) => {
         email,
         bio,
         profilePicture,
+        isVerified,
       },
     },
   });
@@ -86,12 +93,63 @@ export const followUnFollow = catchAsync(async (req, res, next) => {
   });
 });
 
+export const getMyFeedback = catchAsync(async (req, res) => {
+  const feedback = await listFeedbackService(req.user._id);
+
+  res.status(200).json({
+    status: "success",
+    results: feedback.length,
+    data: { feedback },
+  });
+});
+
+export const undoFeedback = catchAsync(async (req, res, next) => {
+  const { error } = feedbackIdParamSchema.validate(req.params);
+  if (error) return next(new AppError(error.details[0].message, 400));
+
+  await undoFeedbackService(req.user._id, req.sessionId, req.params.feedbackId);
+
+  res.status(204).send();
+});
+
+export const getMySessions = catchAsync(async (req, res) => {
+  const sessions = await listLoginSessionsService(req.user._id, req.loginFamily);
+
+  res.status(200).json({
+    status: "success",
+    results: sessions.length,
+    data: {
+      sessions,
+    },
+  });
+});
+
+export const revokeMySession = catchAsync(async (req, res, next) => {
+  const { error } = sessionIdParamSchema.validate(req.params);
+  if (error) return next(new AppError(error.details[0].message, 400));
+
+  await revokeLoginSessionService(req.user._id, req.params.sessionId);
+
+  res.status(204).send();
+});
+
+// Logs out every device except the one making the request.
+export const revokeMyOtherSessions = catchAsync(async (req, res, next) => {
+  // Tokens issued before logins were tracked carry no family, so the current
+  // session could not be told apart from the others and would be revoked too.
+  if (!req.loginFamily) return next(new AppError("sign in again before revoking your other sessions", 400));
+
+  await revokeAllTokensService(req.user._id, req.loginFamily);
+
+  res.status(204).send();
+});
+
 export const getUserPosts = catchAsync(async (req, res, next) => {
   const { error } = userIdParamSchema.validate(req.params);
   if (error) return next(new AppError(error.details[0].message, 400));
 
   const page = parseInt(req.sanitizedQuery.page, 10) || 1;
-  const { posts, results } = await getUserPostsService(req.params.id, page);
+  const { posts, results } = await getUserPostsService(req.params.id, page, undefined, req.user);
 
   res.status(200).json({
     status: "success",
@@ -101,6 +159,45 @@ export const getUserPosts = catchAsync(async (req, res, next) => {
   });
 });
 
+export const getMyMentions = catchAsync(async (req, res) => {
+  const page = parseInt(req.sanitizedQuery.page, 10) || 1;
+  const limit = Math.min(parseInt(req.sanitizedQuery.limit, 10) || 20, 100);
+
+  const { mentions, results } = await getMentionsService(req.user._id, page, limit, req.user);
+
+  res.status(200).json({
+    status: "success",
+    results,
+    page,
+    data: { mentions },
+  });
+});
+
+export const getMySaved = catchAsync(async (req, res, next) => {
+  const { error, value } = savedPostsQuerySchema.validate(req.sanitizedQuery);
+  if (error) return next(new AppError(error.details[0].message, 400));
+
+  const { saved, total, page, results } = await getSavedPostsService(req.user._id, { ...value, viewer: req.user });
+
+  res.status(200).json({
+    status: "success",
+    results,
+    total,
+    page,
+    data: { saved },
+  });
+});
+
+export const getMySavedCollections = catchAsync(async (req, res) => {
+  const collections = await listCollectionsService(req.user._id);
+
+  res.status(200).json({
+    status: "success",
+    results: collections.length,
+    data: { collections },
+  });
+});
+
 export const updateMe = catchAsync(async (req, res, next) => {
   if (req.body.password || req.body.passwordConfirm) {
     return next(new AppError("This route is not for password updates. Please use /updateMyPassword", 400));
@@ -125,5 +222,5 @@ export const updateMyPassword = catchAsync(async (req, res, next) => {
 
   user.password = undefined;
 
-  createSendToken(user, 200, res);
+  await createSendToken(user, 200, res);
 });
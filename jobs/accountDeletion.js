@@ -0,0 +1,11 @@
+import cron from "node-cron";
+import { processAccountDeletions } from "../services/user/accountDeletionService.js";
+
+cron.schedule("*/1 * * * *", async () => {
+  try {
+    const ran = await processAccountDeletions();
+    if (ran) console.log(`[accountDeletionCron] ${new Date().toISOString()} — ran ${ran} account deletion job(s)`);
+  } catch (err) {
+    console.error("[accountDeletionCron] error processing account deletions:", err);
+  }
+});
@@ -3,6 +3,7 @@ import mongoose from "mongoose";
 import kafka from "../kafkaClient.js";
 import Post from "../../models/postModel.js";
 import { validateScore } from "../validator.js";
+import { runOnce } from "../../services/engagement/eventDedupService.js";
 
 dotenv.config();
 
@@ -34,15 +35,19 @@ async function run() {
           console.error("Skipping invalid score message:", validateScore.errors);
           return;
         }
-        const { postId, scoreDelta, timestamp } = raw;
+        const { eventId, postId, scoreDelta, timestamp } = raw;
 
-        await Post.updateOne(
-          { _id: postId },
-          {
-            $inc: { cumulativeScore: scoreDelta },
-            $set: { lastScoreUpdatedAt: new Date(timestamp) },
-          },
+        const applied = await runOnce(GROUP_ID, eventId, () =>
+          Post.updateOne(
+            { _id: postId },
+            {
+              $inc: { cumulativeScore: scoreDelta },
+              $set: { lastScoreUpdatedAt: new Date(timestamp) },
+            },
+          ),
         );
+
+        if (!applied) console.log(`skipping duplicate score event: ${eventId}`);
       } catch (err) {
         console.error("error updating cumulativeScore:", err, message.value.toString());
       }
@@ -6,10 +6,13 @@ import GlobalStats from "../../models/globalStatsModel.js";
 import CreatorStats from "../../models/creatorStatsModel.js";
 import UserInterestStats from "../../models/userInterestStatsModel.js";
 import { validateEngagement } from "../validator.js";
+import { recordViewDurationService } from "../../services/engagement/engagementService.js";
+import { runEachOnce } from "../../services/engagement/eventDedupService.js";
 
 dotenv.config();
 
 const DB = process.env.DB.replace("<db_password>", process.env.DB_PASSWORD);
+const GROUP_ID = "engagement-stats";
 
 mongoose
   .connect(DB)
@@ -20,7 +23,7 @@ mongoose
   });
 
 async function run() {
-  const consumer = kafka.consumer({ groupId: "engagement-stats" });
+  const consumer = kafka.consumer({ groupId: GROUP_ID });
   await consumer.connect();
   await consumer.subscribe({
     topic: "engagement-events",
@@ -35,49 +38,36 @@ async function run() {
           console.error("Skipping invalid score message:", validateEngagement.errors);
           return;
         }
-        const { postId, userId, category, subCategory, creatorId, engagementScore } = raw;
+        const { eventId, postId, userId, category, subCategory, creatorId, engagementScore, viewDurationMs = 0, retraction = false } = raw;
 
-        const dbUpdates = [
-          Post.findByIdAndUpdate(postId, {
-            $inc: { impressionCount: 1, engagementSum: engagementScore },
+        // A retraction undoes an earlier event's engagement, not its impression.
+        const impressions = retraction ? 0 : 1;
+
+        const inc = () => ({ $inc: { impressionCount: impressions, totalEngagement: engagementScore } });
+        const upsert = { upsert: true, new: true };
+
+        // Each write is claimed separately: after a partial failure the redelivered
+        // event only re-applies the writes that did not land.
+        const updates = {
+          post: () => Post.findByIdAndUpdate(postId, { $inc: { impressionCount: impressions, engagementSum: engagementScore } }),
+          globalCategory: () => GlobalStats.findOneAndUpdate({ entityType: "category", name: category }, inc(), upsert),
+          userCategory: () => UserInterestStats.findOneAndUpdate({ userId, entityType: "category", name: category }, inc(), upsert),
+          creator: () => CreatorStats.findOneAndUpdate({ creatorId }, inc(), upsert),
+          viewDuration: () => recordViewDurationService(postId, viewDurationMs),
+          ...(subCategory && {
+            globalSubcategory: () => GlobalStats.findOneAndUpdate({ entityType: "subcategory", name: subCategory }, inc(), upsert),
+            userSubcategory: () =>
+              UserInterestStats.findOneAndUpdate({ userId, entityType: "subcategory", name: subCategory }, inc(), upsert),
           }),
-          GlobalStats.findOneAndUpdate(
-            { entityType: "category", name: category },
-            { $inc: { impressionCount: 1, totalEngagement: engagementScore } },
-            { upsert: true, new: true },
-          ),
-          UserInterestStats.findOneAndUpdate(
-            { userId, entityType: "category", name: category },
-            { $inc: { impressionCount: 1, totalEngagement: engagementScore } },
-            { upsert: true, new: true },
-          ),
-          CreatorStats.findOneAndUpdate(
-            { creatorId },
-            { $inc: { impressionCount: 1, totalEngagement: engagementScore } },
-            { upsert: true, new: true },
-          ),
-        ];
+        };
 
-        if (subCategory) {
-          dbUpdates.push(
-            GlobalStats.findOneAndUpdate(
-              { entityType: "subcategory", name: subCategory },
-              {
-                $inc: { impressionCount: 1, totalEngagement: engagementScore },
-              },
-              { upsert: true, new: true },
-            ),
-            UserInterestStats.findOneAndUpdate(
-              { userId, entityType: "subcategory", name: subCategory },
-              {
-                $inc: { impressionCount: 1, totalEngagement: engagementScore },
-              },
-              { upsert: true, new: true },
-            ),
-          );
+        const applied = await runEachOnce(GROUP_ID, eventId, updates);
+
+        if (!applied) {
+          console.log(`skipping duplicate engagement event: ${eventId}`);
+          return;
         }
 
-        await Promise.all(dbUpdates);
         console.log(`processed engagement event for post: ${postId}`);
       } catch (err) {
         console.error("error updating engagement stats:", err, message.value.toString());
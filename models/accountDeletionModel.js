@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// One document per account being permanently deleted. `step` is how far the
+// cleanup got, so a run that dies part-way resumes instead of starting over.
+const accountDeletionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "done", "failed"],
+      default: "pending",
+    },
+    step: {
+      type: Number,
+      default: 0,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+accountDeletionSchema.index({ status: 1, lockedUntil: 1 });
+
+const AccountDeletion = mongoose.model("AccountDeletion", accountDeletionSchema);
+
+export default AccountDeletion;
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+const bookmarkSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    post: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    // Optional user-named folder; null means the bookmark is unfiled.
+    collectionName: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+bookmarkSchema.index({ user: 1, post: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, createdAt: -1 });
+bookmarkSchema.index({ user: 1, collectionName: 1, createdAt: -1 });
+bookmarkSchema.index({ post: 1 });
+
+const Bookmark = mongoose.model("Bookmark", bookmarkSchema);
+
+export default Bookmark;
@@ -1,17 +1,42 @@
 import mongoose from "mongoose";
 
+const subCategoryAliasSchema = new mongoose.Schema(
+  {
+    alias: {
+      type: String,
+      required: true,
+    },
+    subCategory: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false },
+);
+
 const categorySchema = new mongoose.Schema({
   category: {
     type: String,
     required: true,
+    unique: true,
+  },
+  aliases: {
+    type: [String],
+    default: [],
   },
   subCategories: [
     {
       type: String,
     },
   ],
+  subCategoryAliases: {
+    type: [subCategoryAliasSchema],
+    default: [],
+  },
 });
 
+categorySchema.index({ aliases: 1 });
+
 const Category = mongoose.model("Category", categorySchema);
 
 export default Category;
@@ -20,10 +20,34 @@ const replySchema = new mongoose.Schema(
       ],
       default: [],
     },
+    hashtags: {
+      type: [String],
+      default: [],
+    },
+    mentions: {
+      type: [
+        {
+          type: mongoose.Schema.ObjectId,
+          ref: "User",
+        },
+      ],
+      default: [],
+    },
   },
   { timestamps: true },
 );
 
+const commentRevisionSchema = new mongoose.Schema(
+  {
+    text: String,
+    editedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
 const commentSchema = new mongoose.Schema(
   {
     author: {
@@ -48,13 +72,40 @@ const commentSchema = new mongoose.Schema(
       ],
       default: [],
     },
+    hashtags: {
+      type: [String],
+      default: [],
+    },
+    mentions: {
+      type: [
+        {
+          type: mongoose.Schema.ObjectId,
+          ref: "User",
+        },
+      ],
+      default: [],
+    },
     replies: [replySchema],
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    revisions: {
+      type: [commentRevisionSchema],
+      default: [],
+      select: false,
+    },
   },
   {
     timestamps: true,
   },
 );
 
+commentSchema.index({ mentions: 1, createdAt: -1 });
+commentSchema.index({ "replies.mentions": 1 });
+commentSchema.index({ hashtags: 1 });
+commentSchema.index({ text: "text" });
+
 const Comment = mongoose.model("Comment", commentSchema);
 
 export default Comment;
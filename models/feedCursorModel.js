@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+const feedCursorSchema = new mongoose.Schema({
+  cursorId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  candidates: [
+    {
+      _id: false,
+      postId: {
+        type: mongoose.Schema.ObjectId,
+        ref: "Post",
+      },
+      bucket: String,
+      overallScore: Number,
+      selectedBy: String,
+      scoreBreakdown: mongoose.Schema.Types.Mixed,
+    },
+  ],
+  served: [
+    {
+      type: mongoose.Schema.ObjectId,
+      ref: "Post",
+    },
+  ],
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+feedCursorSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const FeedCursor = mongoose.model("FeedCursor", feedCursorSchema);
+
+export default FeedCursor;
@@ -4,7 +4,7 @@ const globalStatsSchema = new mongoose.Schema(
   {
     entityType: {
       type: String,
-      enum: ["category", "subcategory"],
+      enum: ["category", "subcategory", "specific"],
       required: true,
       index: true,
     },
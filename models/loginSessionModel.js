@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+// One document per login (refresh-token family), which is what a user sees as
+// a device in their session list. `sid` links the login to its Redis session.
+const loginSessionSchema = new mongoose.Schema(
+  {
+    family: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    sid: {
+      type: String,
+      default: null,
+    },
+    lastAccessAt: {
+      type: Date,
+      default: Date.now,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true },
+);
+
+loginSessionSchema.index({ user: 1, revokedAt: 1 });
+loginSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginSession = mongoose.model("LoginSession", loginSessionSchema);
+
+export default LoginSession;
@@ -1,5 +1,19 @@
 import mongoose from "mongoose";
-import Category from "./categoryModel.js";
+
+const postRevisionSchema = new mongoose.Schema(
+  {
+    text: String,
+    image: String,
+    category: String,
+    subCategory: String,
+    specific: String,
+    editedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
 
 const postSchema = new mongoose.Schema({
   creator: {
@@ -12,6 +26,31 @@ const postSchema = new mongoose.Schema({
   image: {
     type: String,
   },
+  // "repost" re-shares another post as is; "quote" adds the reposter's own text.
+  kind: {
+    type: String,
+    enum: ["post", "repost", "quote"],
+    default: "post",
+  },
+  repostOf: {
+    type: mongoose.Schema.ObjectId,
+    ref: "Post",
+    default: null,
+  },
+  shareCount: {
+    type: Number,
+    default: 0,
+  },
+  visibility: {
+    type: String,
+    enum: ["public", "followers", "private"],
+    default: "public",
+  },
+  // Cleared while the creator's account is deactivated or being deleted.
+  creatorActive: {
+    type: Boolean,
+    default: true,
+  },
   likes: {
     type: [
       {
@@ -42,6 +81,19 @@ const postSchema = new mongoose.Schema({
     type: String,
     default: null,
   },
+  hashtags: {
+    type: [String],
+    default: [],
+  },
+  mentions: {
+    type: [
+      {
+        type: mongoose.Schema.ObjectId,
+        ref: "User",
+      },
+    ],
+    default: [],
+  },
   impressionCount: {
     type: Number,
     default: 0,
@@ -71,6 +123,15 @@ const postSchema = new mongoose.Schema({
     },
   },
   averageViewTime: Number,
+  editedAt: {
+    type: Date,
+    default: null,
+  },
+  revisions: {
+    type: [postRevisionSchema],
+    default: [],
+    select: false,
+  },
 });
 
 postSchema.index({
@@ -86,22 +147,22 @@ postSchema.index({
   trendingScore: -1,
   createdAt: -1,
 });
+postSchema.index({
+  category: 1,
+  subCategory: 1,
+  specific: 1,
+  bayesianScore: -1,
+  createdAt: -1,
+});
 postSchema.index({ creator: 1, trendingScore: -1, createdAt: -1 });
 postSchema.index({ isRising: 1, trendingScore: -1, createdAt: -1 });
 postSchema.index({ isEvergreen: 1, trendingScore: -1, createdAt: -1 });
 postSchema.index({ createdAt: -1 });
-
-postSchema.post("save", async (doc, next) => {
-  const { category, subCategory } = doc;
-
-  await Category.findOneAndUpdate(
-    { category },
-    { $addToSet: { subCategories: subCategory } },
-    { upsert: true, new: true, setDefaultsOnInsert: true },
-  );
-
-  next();
-});
+postSchema.index({ hashtags: 1, createdAt: -1 });
+postSchema.index({ mentions: 1, createdAt: -1 });
+postSchema.index({ text: "text" });
+postSchema.index({ repostOf: 1, creator: 1, kind: 1 });
+postSchema.index({ creator: 1, visibility: 1, createdAt: -1 });
 
 const Post = mongoose.model("Post", postSchema);
 
@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+const processedEventSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+processedEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ProcessedEvent = mongoose.model("ProcessedEvent", processedEventSchema);
+
+export default ProcessedEvent;
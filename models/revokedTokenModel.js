@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+// Revocation list used when Redis is disabled; entries expire with the access tokens they block.
+const revokedTokenSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RevokedToken = mongoose.model("RevokedToken", revokedTokenSchema);
+
+export default RevokedToken;
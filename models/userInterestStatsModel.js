@@ -10,7 +10,7 @@ const userInterestStatsSchema = new mongoose.Schema(
     },
     entityType: {
       type: String,
-      enum: ["category", "subcategory"],
+      enum: ["category", "subcategory", "specific"],
       required: true,
     },
     name: {
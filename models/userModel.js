@@ -41,6 +41,18 @@ const interestSchema = new mongoose.Schema({
   risingSubs: [subInterestSchema],
 });
 
+const hashtagInterestSchema = new mongoose.Schema({
+  name: String,
+  score: {
+    type: Number,
+    default: 0,
+  },
+  lastUpdated: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
 const creatorSchema = new mongoose.Schema({
   creatorId: {
     type: mongoose.Schema.ObjectId,
@@ -128,6 +140,33 @@ const creatorInterestSchema = new mongoose.Schema({
   ],
 });
 
+const feedbackSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ["notInterested", "showFewer", "hidePost", "hideCreator"],
+    required: true,
+  },
+  post: {
+    type: mongoose.Schema.ObjectId,
+    ref: "Post",
+  },
+  creator: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+  },
+  category: String,
+  subCategory: String,
+  specific: String,
+  hashtags: [String],
+  weight: Number,
+  skips: Number,
+  expiresAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
 const userSchema = new mongoose.Schema(
   {
     firstName: {
@@ -191,6 +230,7 @@ const userSchema = new mongoose.Schema(
     following: [followingSchema],
     topInterests: [interestSchema],
     risingInterests: [interestSchema],
+    hashtagInterests: [hashtagInterestSchema],
     creatorsInterests: {
       type: creatorInterestSchema,
       default: () => ({
@@ -202,7 +242,13 @@ const userSchema = new mongoose.Schema(
         lastWatchDecay: Date.now,
       }),
     },
+    feedback: [feedbackSchema],
     lastRisingReset: { type: Date, default: Date.now },
+    role: {
+      type: String,
+      enum: ["user", "admin"],
+      default: "user",
+    },
     isVerified: {
       type: Boolean,
       default: false,
@@ -215,10 +261,20 @@ const userSchema = new mongoose.Schema(
     passwordChangedAt: Date,
     passwordResetToken: String,
     passwordResetExpires: Date,
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
   },
   { timestamps: true },
 );
 
+userSchema.index({ userName: "text", firstName: "text", lastName: "text" }, { weights: { userName: 3, firstName: 1, lastName: 1 } });
+
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
 
@@ -236,6 +292,13 @@ userSchema.pre("save", function (next) {
   return next();
 });
 
+// Deactivated accounts are left out of every find unless the query asks about `active` itself.
+userSchema.pre(/^find/, function (next) {
+  if (this.getFilter().active === undefined) this.where({ active: { $ne: false } });
+
+  next();
+});
+
 userSchema.methods.comparePassword = async function (candidatePassword) {
   // eslint-disable-next-line no-return-await
   return await bcrypt.compare(candidatePassword, this.password);
@@ -0,0 +1,33 @@
+import express from "express";
+import * as authController from "../controllers/authController.js";
+import * as categoryController from "../controllers/categoryController.js";
+
+const router = express.Router();
+
+router.get("/", categoryController.getTaxonomy);
+
+router.post("/", authController.protect, authController.restrictTo("admin"), categoryController.createCategory);
+
+router.post("/merge", authController.protect, authController.restrictTo("admin"), categoryController.mergeTaxonomy);
+
+router.patch("/:category", authController.protect, authController.restrictTo("admin"), categoryController.updateCategory);
+
+router.delete("/:category", authController.protect, authController.restrictTo("admin"), categoryController.deleteCategory);
+
+router.post("/:category/subcategories", authController.protect, authController.restrictTo("admin"), categoryController.addSubCategory);
+
+router.patch(
+  "/:category/subcategories/:subCategory",
+  authController.protect,
+  authController.restrictTo("admin"),
+  categoryController.updateSubCategory,
+);
+
+router.delete(
+  "/:category/subcategories/:subCategory",
+  authController.protect,
+  authController.restrictTo("admin"),
+  categoryController.deleteSubCategory,
+);
+
+export default router;
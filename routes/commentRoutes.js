@@ -4,8 +4,27 @@ import * as commentController from "../controllers/commentController.js";
 
 const router = express.Router();
 
-router.post("/:postId/comments", authController.protect, commentController.addComment);
+router.post("/:postId/comments", authController.protect, authController.requireVerified("comment"), commentController.addComment);
+
+router.patch("/:postId/comments/:commentId", authController.protect, commentController.editComment);
 
 router.delete("/:postId/comments/:commentId", authController.protect, commentController.deleteComment);
 
+router.patch("/:postId/comments/:commentId/like", authController.protect, commentController.toggleCommentLike);
+
+router.get("/:postId/comments/:commentId/replies", authController.protect, commentController.getReplies);
+
+router.post(
+  "/:postId/comments/:commentId/replies",
+  authController.protect,
+  authController.requireVerified("comment"),
+  commentController.addReply,
+);
+
+router.patch("/:postId/comments/:commentId/replies/:replyId", authController.protect, commentController.editReply);
+
+router.delete("/:postId/comments/:commentId/replies/:replyId", authController.protect, commentController.deleteReply);
+
+router.patch("/:postId/comments/:commentId/replies/:replyId/like", authController.protect, commentController.toggleReplyLike);
+
 export default router;
@@ -6,5 +6,7 @@ const router = express.Router();
 
 router.post("/positive", authController.protect, engagementController.calculateEngagement);
 router.post("/negative", authController.protect, engagementController.calculateSkips);
+router.post("/batch", authController.protect, engagementController.calculateEngagementBatch);
+router.post("/feedback", authController.protect, engagementController.recordFeedback);
 
 export default router;
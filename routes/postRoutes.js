@@ -4,14 +4,26 @@ import * as postController from "../controllers/postController.js";
 
 const router = express.Router();
 
-router.post("/", authController.protect, postController.createPost);
+router.post("/", authController.protect, authController.requireVerified("post"), postController.createPost);
+
+router.get("/hashtag/:tag", authController.protect, postController.getPostsByHashtag);
 
 router.get("/:postId", authController.protect, postController.getPost);
 
-router.get("/:postId/comments", postController.getPostComments);
+router.get("/:postId/comments", authController.identify, postController.getPostComments);
+
+router.patch("/:postId", authController.protect, postController.editPost);
 
 router.patch("/:postId/like", authController.protect, postController.toggleLike);
 
+router.post("/:postId/repost", authController.protect, authController.requireVerified("post"), postController.repost);
+
+router.delete("/:postId/repost", authController.protect, postController.undoRepost);
+
+router.post("/:postId/save", authController.protect, postController.savePost);
+
+router.delete("/:postId/save", authController.protect, postController.unsavePost);
+
 router.delete("/:postId", authController.protect, postController.deletePost);
 
 export default router;
@@ -0,0 +1,9 @@
+import express from "express";
+import * as authController from "../controllers/authController.js";
+import search from "../controllers/searchController.js";
+
+const router = express.Router();
+
+router.get("/", authController.protect, search);
+
+export default router;
@@ -7,13 +7,29 @@ const router = express.Router();
 router.post("/signup", authController.signUp);
 router.post("/login", authController.login);
 router.get("/logout", authController.protect, authController.logout);
+router.post("/logoutAll", authController.protect, authController.logoutAll);
+router.post("/refresh", authController.refresh);
+router.post("/forgotPassword", authController.forgotPassword);
+router.patch("/resetPassword/:token", authController.resetPassword);
+router.get("/verifyEmail/:token", authController.verifyEmail);
+router.post("/resendVerificationEmail", authController.protect, authController.resendVerificationEmail);
 
 router.get("/me", authController.protect, userController.getMe);
+router.get("/me/feedback", authController.protect, userController.getMyFeedback);
+router.delete("/me/feedback/:feedbackId", authController.protect, userController.undoFeedback);
+router.get("/me/mentions", authController.protect, userController.getMyMentions);
+router.get("/me/saved", authController.protect, userController.getMySaved);
+router.get("/me/saved/collections", authController.protect, userController.getMySavedCollections);
+router.get("/me/sessions", authController.protect, userController.getMySessions);
+router.delete("/me/sessions", authController.protect, userController.revokeMyOtherSessions);
+router.delete("/me/sessions/:sessionId", authController.protect, userController.revokeMySession);
 
-router.get("/:id/posts", userController.getUserPosts);
+router.get("/:id/posts", authController.identify, userController.getUserPosts);
 
 router.patch("/updateMe", authController.protect, userController.updateMe);
 router.patch("/updatePassword", authController.protect, userController.updateMyPassword);
+router.patch("/deactivateMe", authController.protect, authController.deactivateMe);
+router.delete("/deleteMe", authController.protect, authController.deleteMe);
 
 router.post("/:id/follow", authController.protect, userController.followUnFollow);
 
@@ -2,6 +2,10 @@ import jwt from "jsonwebtoken";
 import { promisify } from "util";
 import User from "../../models/userModel.js";
 import AppError from "../../utils/appError.js";
+import mailer from "../mail/mailer.js";
+import { hashToken, randomToken, isAccessTokenRevoked, revokeAllTokensService } from "./tokenService.js";
+import { reactivateAccountService } from "../user/userService.js";
+import { PASSWORD_RESET_TTL_MS, EMAIL_VERIFICATION_TTL_MS } from "../../constants/authConstants.js";
 
 export const signUpService = async (userData) => {
   const newUser = await User.create(userData);
@@ -13,11 +17,14 @@ export const signUpService = async (userData) => {
 };
 
 export const loginUserService = async ({ userName, email, password }) => {
+  // Deactivated accounts can log in too; logging in reactivates them.
+  const anyStatus = { active: { $in: [true, false] } };
+
   let user;
   if (userName) {
-    user = await User.findOne({ userName }).select("+password");
+    user = await User.findOne({ userName, ...anyStatus }).select("+password +active");
   } else if (email) {
-    user = await User.findOne({ email }).select("+password");
+    user = await User.findOne({ email, ...anyStatus }).select("+password +active");
   }
   if (!user) throw new AppError("user name or email is incorrect", 400);
 
@@ -26,7 +33,10 @@ export const loginUserService = async ({ userName, email, password }) => {
     throw new AppError("the password you entered is incorrect", 400);
   }
 
+  if (user.active === false) await reactivateAccountService(user._id);
+
   user.password = undefined;
+  user.active = undefined;
   return user;
 };
 
@@ -41,5 +51,115 @@ export const verifyTokenService = async (token) => {
   if (user.changedPasswordAfter(decoded.iat)) {
     throw new AppError("user recently changed password! please log in again", 401);
   }
+  if (await isAccessTokenRevoked(decoded)) {
+    throw new AppError("this token has been revoked, please log in again", 401);
+  }
+  return user;
+};
+
+const passwordResetEmail = (user, resetURL) => ({
+  to: user.email,
+  subject: `Your password reset link (valid for ${PASSWORD_RESET_TTL_MS / 60000} minutes)`,
+  text: [
+    `Hi ${user.firstName},`,
+    "",
+    "Someone asked to reset the password of your Mates account. To choose a new one, send a PATCH request with",
+    `your new password and passwordConfirm to:\n${resetURL}`,
+    "",
+    "If this wasn't you, ignore this email; your password stays the same.",
+  ].join("\n"),
+});
+
+const verificationEmail = (user, verifyURL) => ({
+  to: user.email,
+  subject: "Confirm your email address",
+  text: [
+    `Hi ${user.firstName},`,
+    "",
+    `Welcome to Mates! Open this link within ${EMAIL_VERIFICATION_TTL_MS / 3600000} hours to confirm your email address:`,
+    verifyURL,
+    "",
+    "If you did not sign up, you can ignore this email.",
+  ].join("\n"),
+});
+
+const createEmailToken = () => {
+  const token = randomToken();
+  return { token, hash: hashToken(token) };
+};
+
+/**
+ * Mails a single-use reset link to the account with this email. Only the
+ * token's hash is stored. Unknown addresses are ignored without an error so
+ * the endpoint cannot be used to find out who has an account.
+ */
+export const forgotPasswordService = async (email, buildResetURL) => {
+  const user = await User.findOne({ email });
+  if (!user) return;
+
+  const { token, hash } = createEmailToken();
+  user.passwordResetToken = hash;
+  user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await mailer.send(passwordResetEmail(user, buildResetURL(token)));
+  } catch (err) {
+    console.error("Error sending password reset email:", err);
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+    throw new AppError("there was an error sending the email, please try again later", 500);
+  }
+};
+
+// Saving the new password moves passwordChangedAt, so changedPasswordAfter rejects every JWT issued
+// before it; refresh tokens are revoked so none of them can mint new ones.
+export const resetPasswordService = async (token, password, passwordConfirm) => {
+  const user = await User.findOne({ passwordResetToken: hashToken(token), passwordResetExpires: { $gt: new Date() } });
+  if (!user) throw new AppError("reset token is invalid or has expired", 400);
+
+  user.password = password;
+  user.passwordConfirm = passwordConfirm;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  await user.save();
+  await revokeAllTokensService(user._id);
+
+  user.password = undefined;
+  return user;
+};
+
+/**
+ * Mails a link that confirms the account's email address. Sending a new link
+ * replaces the previous token. The token is written with updateOne so a user
+ * document whose password was stripped for the response can be passed in.
+ */
+export const sendVerificationEmailService = async (user, buildVerifyURL) => {
+  if (user.isVerified) throw new AppError("your email address is already verified", 400);
+
+  const { token, hash } = createEmailToken();
+  await User.updateOne(
+    { _id: user._id },
+    { emailVerificationToken: hash, emailVerificationExpires: new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS) },
+  );
+
+  try {
+    await mailer.send(verificationEmail(user, buildVerifyURL(token)));
+  } catch (err) {
+    console.error("Error sending verification email:", err);
+    throw new AppError("there was an error sending the email, please try again later", 500);
+  }
+};
+
+export const verifyEmailService = async (token) => {
+  const user = await User.findOne({ emailVerificationToken: hashToken(token), emailVerificationExpires: { $gt: new Date() } });
+  if (!user) throw new AppError("verification link is invalid or has expired", 400);
+
+  user.isVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save({ validateBeforeSave: false });
+
   return user;
 };
@@ -0,0 +1,80 @@
+import redis from "../../session/redisClient.js";
+import LoginSession from "../../models/loginSessionModel.js";
+import mergeSessionIntoUser from "../../session/mergeSession.js";
+import { getSessionData, clearSession } from "../../session/sessionHelpers.js";
+import isEnabled from "../../utils/isRedisEnabled.js";
+import { SESSION_LAST_ACCESS_ZSET } from "../../constants/sessionConstants.js";
+import { REFRESH_TOKEN_TTL_MS } from "../../constants/authConstants.js";
+
+export const deviceOf = (req) => ({
+  userAgent: req?.get("user-agent") || "",
+  ip: req?.ip || "",
+});
+
+export const recordLoginService = (userId, family, device = {}) =>
+  LoginSession.create({
+    family,
+    user: userId,
+    ...device,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+
+// Every refresh keeps the login listed for another refresh-token lifetime.
+export const touchLoginService = (family) =>
+  LoginSession.updateOne({ family, revokedAt: null }, { lastAccessAt: new Date(), expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS) });
+
+// Remembers which Redis session the login is using; only writes when it changed.
+export const linkRedisSessionService = (family, sid) =>
+  LoginSession.updateOne({ family, revokedAt: null, sid: { $ne: sid } }, { sid, lastAccessAt: new Date() });
+
+/**
+ * Marks the login as revoked and drops its Redis session. The session is
+ * merged into the user first, the same way the expiry worker would, so
+ * revoking a device loses none of what was learned during it.
+ */
+export const endLoginService = async (family) => {
+  const login = await LoginSession.findOneAndUpdate({ family, revokedAt: null }, { revokedAt: new Date() });
+  if (!login?.sid || !isEnabled()) return;
+
+  if (!(await getSessionData(login.sid))) return;
+
+  try {
+    await mergeSessionIntoUser(login.user, login.sid);
+  } catch (err) {
+    // Leave the session for the expiry worker rather than lose it.
+    console.error(`Error merging session ${login.sid} of revoked login:`, err);
+    return;
+  }
+  await clearSession(login.sid);
+};
+
+// While Redis is on, the session's last-access score is fresher than what the login stored.
+const liveLastAccess = async (logins) => {
+  if (!isEnabled()) return logins;
+
+  const scores = await Promise.all(logins.map((l) => (l.sid ? redis.zscore(SESSION_LAST_ACCESS_ZSET, l.sid) : null)));
+
+  return logins.map((l, i) => {
+    const score = Number(scores[i]);
+    return score > l.lastAccessAt.getTime() ? { ...l, lastAccessAt: new Date(score) } : l;
+  });
+};
+
+/**
+ * The user's logins that can still be refreshed, most recently used first.
+ * `current` flags the one the request was made with.
+ */
+export const listLoginSessionsService = async (userId, currentFamily = null) => {
+  const logins = await LoginSession.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } }).lean();
+
+  return (await liveLastAccess(logins))
+    .sort((a, b) => b.lastAccessAt - a.lastAccessAt)
+    .map(({ _id, userAgent, ip, createdAt, lastAccessAt, family }) => ({
+      _id,
+      userAgent,
+      ip,
+      createdAt,
+      lastAccessAt,
+      current: family === currentFamily,
+    }));
+};
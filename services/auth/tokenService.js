@@ -0,0 +1,161 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import { v4 as uuid } from "uuid";
+import redis from "../../session/redisClient.js";
+import User from "../../models/userModel.js";
+import RefreshToken from "../../models/refreshTokenModel.js";
+import RevokedToken from "../../models/revokedTokenModel.js";
+import LoginSession from "../../models/loginSessionModel.js";
+import AppError from "../../utils/appError.js";
+import isEnabled from "../../utils/isRedisEnabled.js";
+import { deviceOf, recordLoginService, touchLoginService, endLoginService } from "./loginSessionService.js";
+import { ACCESS_TOKEN_TTL_SECONDS, REFRESH_TOKEN_TTL_MS, REFRESH_COOKIE_PATH, RANDOM_TOKEN_BYTES } from "../../constants/authConstants.js";
+
+export const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+export const randomToken = () => crypto.randomBytes(RANDOM_TOKEN_BYTES).toString("hex");
+
+const revokedKey = (kind, id) => `revoked:${kind}:${id}`;
+
+// An access token carries its own id (jti) and the family of the login it
+// belongs to (fam). Revoking either blocks the token until it would have expired anyway.
+const revoke = async (kind, id) => {
+  const key = revokedKey(kind, id);
+
+  if (isEnabled()) {
+    await redis.set(key, "1", "EX", ACCESS_TOKEN_TTL_SECONDS);
+  } else {
+    await RevokedToken.updateOne({ key }, { expiresAt: new Date(Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000) }, { upsert: true });
+  }
+};
+
+// Tokens signed without jti/fam (issued before refresh tokens existed) cannot be revoked one by one.
+export const isAccessTokenRevoked = async ({ jti, fam }) => {
+  const keys = [jti && revokedKey("jti", jti), fam && revokedKey("fam", fam)].filter(Boolean);
+  if (!keys.length) return false;
+
+  if (isEnabled()) return (await redis.exists(...keys)) > 0;
+
+  return Boolean(await RevokedToken.exists({ key: { $in: keys }, expiresAt: { $gt: new Date() } }));
+};
+
+/**
+ * Issues a short-lived access token and a refresh token for the user. A login
+ * starts a new family, recorded with the device it came from; a refresh
+ * continues the family of the token it spent.
+ */
+export const issueTokensService = async (userId, family = null, device = {}) => {
+  const refreshToken = randomToken();
+  const fam = family || uuid();
+
+  if (family) await touchLoginService(fam);
+  else await recordLoginService(userId, fam, device);
+
+  await RefreshToken.create({
+    tokenHash: hashToken(refreshToken),
+    user: userId,
+    family: fam,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+
+  const accessToken = jwt.sign({ id: userId, jti: uuid(), fam }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  });
+
+  return { accessToken, refreshToken };
+};
+
+export const revokeFamilyService = async (family) => {
+  await RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+  await revoke("fam", family);
+  await endLoginService(family);
+};
+
+/**
+ * Exchanges a refresh token for a new pair. Each refresh token works once:
+ * one that comes back after it was spent or revoked has leaked, so its whole
+ * family is revoked and whoever holds it has to log in again.
+ */
+export const rotateRefreshTokenService = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  const spent = await RefreshToken.findOneAndUpdate({ tokenHash, usedAt: null, revokedAt: null, expiresAt: { $gt: now } }, { usedAt: now });
+
+  if (!spent) {
+    const known = await RefreshToken.findOne({ tokenHash });
+    if (known && (known.usedAt || known.revokedAt)) {
+      await revokeFamilyService(known.family);
+      throw new AppError("this refresh token is no longer valid, please log in again", 401);
+    }
+    throw new AppError("invalid or expired refresh token", 401);
+  }
+
+  const user = await User.findById(spent.user);
+  if (!user) throw new AppError("the user belonging to this token no longer exists", 401);
+
+  return { user, ...(await issueTokensService(user._id, spent.family)) };
+};
+
+// Ends one login: the family of the presented access token and, if it differs, of the refresh token.
+export const logoutService = async (accessToken, refreshToken) => {
+  const claims = accessToken ? jwt.decode(accessToken) : null;
+  const families = new Set(claims?.fam ? [claims.fam] : []);
+
+  if (claims?.jti) await revoke("jti", claims.jti);
+
+  if (refreshToken) {
+    const doc = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) }, "family");
+    if (doc) families.add(doc.family);
+  }
+
+  await Promise.all([...families].map(revokeFamilyService));
+};
+
+// Ends every login of the user: logout everywhere, or after the password changed.
+// `keepFamily` spares one login, for "log out my other devices".
+export const revokeAllTokensService = async (userId, keepFamily = null) => {
+  const families = await RefreshToken.distinct("family", {
+    user: userId,
+    revokedAt: null,
+    ...(keepFamily && { family: { $ne: keepFamily } }),
+  });
+
+  await Promise.all(families.map(revokeFamilyService));
+};
+
+export const revokeLoginSessionService = async (userId, sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) throw new AppError("invalid session id", 400);
+
+  const login = await LoginSession.findOne({ _id: sessionId, user: userId, revokedAt: null }, "family");
+  if (!login) throw new AppError("Session not found", 404);
+
+  await revokeFamilyService(login.family);
+};
+
+const cookieOptions = (maxAge) => ({
+  maxAge,
+  httpOnly: true,
+  sameSite: "Lax",
+  secure: process.env.NODE_ENV === "production",
+});
+
+export const sendTokens = (res, statusCode, user, { accessToken, refreshToken }) => {
+  res.cookie("jwt", accessToken, cookieOptions(ACCESS_TOKEN_TTL_SECONDS * 1000));
+  res.cookie("refreshToken", refreshToken, { ...cookieOptions(REFRESH_TOKEN_TTL_MS), path: REFRESH_COOKIE_PATH });
+
+  res.status(statusCode).json({
+    status: "success",
+    token: accessToken,
+    refreshToken,
+    data: {
+      user,
+    },
+  });
+};
+
+// A fresh login; the device is read off the request the response belongs to.
+export const createSendToken = async (user, statusCode, res) => {
+  sendTokens(res, statusCode, user, await issueTokensService(user._id, null, deviceOf(res.req)));
+};
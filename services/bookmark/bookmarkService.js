@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+import Bookmark from "../../models/bookmarkModel.js";
+import Post from "../../models/postModel.js";
+import AppError from "../../utils/appError.js";
+import { visibilityFilter, canViewPost } from "../../utils/postVisibility.js";
+
+/**
+ * Saves a post for the user, optionally into a named collection. Saving an
+ * already saved post only moves it between collections; `created` tells the
+ * caller whether this was a new save worth scoring.
+ */
+export const savePostService = async (userId, postId, collectionName = null, viewer = null) => {
+  if (!mongoose.isValidObjectId(postId)) throw new AppError(`Invalid postId: ${postId}`, 400);
+  if (!(await Post.exists({ _id: postId, ...visibilityFilter(viewer) }))) throw new AppError("Post not found", 404);
+
+  const existing = await Bookmark.findOne({ user: userId, post: postId });
+  if (existing) {
+    existing.collectionName = collectionName;
+    await existing.save();
+    return { bookmark: existing, created: false };
+  }
+
+  const bookmark = await Bookmark.create({ user: userId, post: postId, collectionName });
+  return { bookmark, created: true };
+};
+
+// Returns whether there was a bookmark to remove, so only real unsaves are retracted.
+export const unsavePostService = async (userId, postId) => {
+  if (!mongoose.isValidObjectId(postId)) throw new AppError(`Invalid postId: ${postId}`, 400);
+
+  const { deletedCount } = await Bookmark.deleteOne({ user: userId, post: postId });
+  return deletedCount > 0;
+};
+
+/**
+ * Lists the user's saved posts, most recently saved first. Bookmarks whose
+ * post has since been deleted, or hidden from `viewer`, are skipped.
+ */
+export const getSavedPostsService = async (userId, { page = 1, limit = 20, collection, viewer = null } = {}) => {
+  const filter = { user: userId, ...(collection !== undefined && { collectionName: collection }) };
+  const skip = (page - 1) * limit;
+
+  const [bookmarks, total] = await Promise.all([
+    Bookmark.find(filter).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit).populate("post").lean(),
+    Bookmark.countDocuments(filter),
+  ]);
+
+  const saved = bookmarks
+    .filter((b) => b.post && canViewPost(b.post, viewer))
+    .map((b) => ({ post: b.post, collection: b.collectionName, savedAt: b.createdAt }));
+
+  return { saved, total, page, results: saved.length };
+};
+
+export const listCollectionsService = async (userId) => {
+  const groups = await Bookmark.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId.toString()), collectionName: { $ne: null } } },
+    { $group: { _id: "$collectionName", count: { $sum: 1 }, lastSavedAt: { $max: "$createdAt" } } },
+    { $sort: { lastSavedAt: -1 } },
+  ]);
+
+  return groups.map(({ _id, count, lastSavedAt }) => ({ name: _id, count, lastSavedAt }));
+};
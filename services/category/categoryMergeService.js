@@ -0,0 +1,222 @@
+/* eslint-disable no-restricted-syntax, no-await-in-loop */
+import Post from "../../models/postModel.js";
+import User from "../../models/userModel.js";
+import GlobalStats from "../../models/globalStatsModel.js";
+import UserInterestStats from "../../models/userInterestStatsModel.js";
+import AppError from "../../utils/appError.js";
+import isEnabled from "../../utils/isRedisEnabled.js";
+import redis from "../../session/redisClient.js";
+import { getSessionData, setSessionData } from "../../session/sessionHelpers.js";
+import { insertIntoPools } from "../../utils/nodeHelpers.js";
+import { findCategoryOrFail, resolveSubCategory } from "./categoryService.js";
+import { TOP_CAT_MAX, RISING_CAT_MAX, TOP_SUB_MAX, RISING_SUB_MAX, SPECIFIC_MAX } from "../../constants/constants.js";
+import { SESSION_LAST_ACCESS_ZSET } from "../../constants/sessionConstants.js";
+
+// Keeps one node per name, preferring the higher score, ordered best first.
+const unionNodes = (nodes) => {
+  const byName = new Map();
+  nodes.forEach((node) => {
+    const kept = byName.get(node.name);
+    if (!kept || (node.score ?? 0) > (kept.score ?? 0)) byName.set(node.name, node);
+  });
+  return [...byName.values()].sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+};
+
+// Folds `source` into `target` (or renames it when the user has no target node).
+const foldNode = (source, target, name) => {
+  if (!target) return { ...source, name };
+
+  const stronger = (source.score ?? 0) > (target.score ?? 0) ? source : target;
+  return {
+    ...stronger,
+    name,
+    lastUpdated: Math.max(new Date(source.lastUpdated || 0).getTime(), new Date(target.lastUpdated || 0).getTime()),
+  };
+};
+
+/**
+ * Moves the interest node for category `from` onto `into` inside one
+ * profile's pools. Subcategory nodes of both are unioned. Returns the new
+ * pools, or null when the profile has no `from` node.
+ */
+export function mergeCategoryNodes(topCats, risingCats, from, into) {
+  const all = [...topCats, ...risingCats];
+  const source = all.find((c) => c.name === from);
+  if (!source) return null;
+
+  const target = all.find((c) => c.name === into);
+  const merged = foldNode(source, target, into);
+
+  if (target) {
+    const subs = unionNodes([
+      ...(source.topSubs || []),
+      ...(source.risingSubs || []),
+      ...(target.topSubs || []),
+      ...(target.risingSubs || []),
+    ]);
+    merged.topSubs = subs.slice(0, TOP_SUB_MAX);
+    merged.risingSubs = subs.slice(TOP_SUB_MAX, TOP_SUB_MAX + RISING_SUB_MAX);
+  }
+
+  const top = topCats.filter((c) => c.name !== from && c.name !== into);
+  const rising = risingCats.filter((c) => c.name !== from && c.name !== into);
+  insertIntoPools(top, rising, TOP_CAT_MAX, RISING_CAT_MAX, merged, { key: "name" });
+
+  return { top, rising };
+}
+
+/**
+ * Same as mergeCategoryNodes for two subcategories of `category`; specific
+ * nodes are unioned up to SPECIFIC_MAX.
+ */
+export function mergeSubCategoryNodes(topCats, risingCats, category, from, into) {
+  const catIndex = topCats.findIndex((c) => c.name === category);
+  const pool = catIndex !== -1 ? topCats : risingCats;
+  const index = catIndex !== -1 ? catIndex : risingCats.findIndex((c) => c.name === category);
+  if (index === -1) return null;
+
+  const cat = pool[index];
+  const subs = [...(cat.topSubs || []), ...(cat.risingSubs || [])];
+  const source = subs.find((s) => s.name === from);
+  if (!source) return null;
+
+  const target = subs.find((s) => s.name === into);
+  const merged = foldNode(source, target, into);
+  if (target) merged.specific = unionNodes([...(source.specific || []), ...(target.specific || [])]).slice(0, SPECIFIC_MAX);
+
+  const topSubs = (cat.topSubs || []).filter((s) => s.name !== from && s.name !== into);
+  const risingSubs = (cat.risingSubs || []).filter((s) => s.name !== from && s.name !== into);
+  insertIntoPools(topSubs, risingSubs, TOP_SUB_MAX, RISING_SUB_MAX, merged, { key: "name" });
+
+  const nextPool = [...pool];
+  nextPool[index] = { ...cat, topSubs, risingSubs };
+
+  return pool === topCats ? { top: nextPool, rising: risingCats } : { top: topCats, rising: nextPool };
+}
+
+// Adds every `from` counter onto `into` (per key, e.g. per user) and drops the `from` rows.
+async function mergeStats(Model, entityType, from, into, keyFields = []) {
+  const sources = await Model.find({ entityType, name: from }).lean();
+  if (!sources.length) return;
+
+  const ops = sources.map((src) => ({
+    updateOne: {
+      filter: { entityType, name: into, ...Object.fromEntries(keyFields.map((key) => [key, src[key]])) },
+      update: { $inc: { impressionCount: src.impressionCount || 0, totalEngagement: src.totalEngagement || 0 } },
+      upsert: true,
+    },
+  }));
+  ops.push({ deleteMany: { filter: { entityType, name: from } } });
+
+  await Model.bulkWrite(ops);
+}
+
+async function rewriteProfiles(userFilter, rewrite) {
+  let users = 0;
+
+  const cursor = User.find(userFilter, "topInterests risingInterests").lean().cursor();
+  for await (const user of cursor) {
+    const next = rewrite(user.topInterests || [], user.risingInterests || []);
+    if (next) {
+      await User.updateOne({ _id: user._id }, { $set: { topInterests: next.top, risingInterests: next.rising } });
+      users += 1;
+    }
+  }
+
+  if (isEnabled()) {
+    const sessionIds = await redis.zrange(SESSION_LAST_ACCESS_ZSET, 0, -1);
+    for (const sessionId of sessionIds) {
+      const sessionData = await getSessionData(sessionId);
+      const next = sessionData && rewrite(sessionData.topCategories || [], sessionData.risingCategories || []);
+      if (next) {
+        sessionData.topCategories = next.top;
+        sessionData.risingCategories = next.rising;
+        await setSessionData(sessionId, sessionData);
+      }
+    }
+  }
+
+  return users;
+}
+
+async function mergeCategories(fromName, intoName) {
+  const source = await findCategoryOrFail(fromName);
+  const target = await findCategoryOrFail(intoName);
+  if (source._id.equals(target._id)) throw new AppError("cannot merge a category into itself", 400);
+
+  const from = source.category;
+  const into = target.category;
+
+  const { modifiedCount: posts } = await Post.updateMany({ category: from }, { $set: { category: into } });
+  await mergeStats(GlobalStats, "category", from, into);
+  await mergeStats(UserInterestStats, "category", from, into, ["userId"]);
+
+  const users = await rewriteProfiles({ $or: [{ "topInterests.name": from }, { "risingInterests.name": from }] }, (top, rising) =>
+    mergeCategoryNodes(top, rising, from, into),
+  );
+  await User.updateMany(
+    { "feedback.category": from },
+    { $set: { "feedback.$[f].category": into } },
+    { arrayFilters: [{ "f.category": from }] },
+  );
+
+  source.subCategories.forEach((sub) => target.subCategories.addToSet(sub));
+  source.subCategoryAliases.forEach(({ alias, subCategory }) => {
+    if (!resolveSubCategory(target, alias)) target.subCategoryAliases.push({ alias, subCategory });
+  });
+  target.aliases = [...new Set([...target.aliases, from, ...source.aliases])];
+
+  await source.deleteOne();
+  await target.save();
+
+  return { category: target, posts, users };
+}
+
+async function mergeSubCategories(categoryName, fromName, intoName) {
+  const doc = await findCategoryOrFail(categoryName);
+  const from = resolveSubCategory(doc, fromName);
+  const into = resolveSubCategory(doc, intoName);
+  if (!from || !into) throw new AppError(`subCategory ${from ? intoName : fromName} not found in ${doc.category}`, 404);
+  if (from === into) throw new AppError("cannot merge a subCategory into itself", 400);
+
+  const { category } = doc;
+
+  const { modifiedCount: posts } = await Post.updateMany({ category, subCategory: from }, { $set: { subCategory: into } });
+  await mergeStats(GlobalStats, "subcategory", from, into);
+  await mergeStats(UserInterestStats, "subcategory", from, into, ["userId"]);
+
+  const users = await rewriteProfiles({ $or: [{ "topInterests.name": category }, { "risingInterests.name": category }] }, (top, rising) =>
+    mergeSubCategoryNodes(top, rising, category, from, into),
+  );
+  await User.updateMany(
+    { feedback: { $elemMatch: { category, subCategory: from } } },
+    { $set: { "feedback.$[f].subCategory": into } },
+    { arrayFilters: [{ "f.category": category, "f.subCategory": from }] },
+  );
+
+  doc.subCategories.pull(from);
+  doc.subCategoryAliases = [
+    ...doc.subCategoryAliases.map(({ alias, subCategory }) => ({ alias, subCategory: subCategory === from ? into : subCategory })),
+    { alias: from, subCategory: into },
+  ];
+  await doc.save();
+
+  return { category: doc, posts, users };
+}
+
+/**
+ * Merges one taxonomy entry into another and rewrites everything that stores
+ * the old name: posts, GlobalStats, UserInterestStats, users' interest nodes
+ * (DB and live Redis sessions) and muted topics. The old name becomes an
+ * alias of the target so clients still sending it keep working.
+ * Subcategories can only be merged within their category.
+ */
+export const mergeTaxonomyService = async ({ from, into }) => {
+  if (!from.subCategory) return mergeCategories(from.category, into.category);
+
+  if (into.category && into.category.toLowerCase() !== from.category.toLowerCase()) {
+    throw new AppError("subCategories can only be merged within the same category", 400);
+  }
+
+  return mergeSubCategories(from.category, from.subCategory, into.subCategory);
+};
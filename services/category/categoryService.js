@@ -0,0 +1,129 @@
+import Category from "../../models/categoryModel.js";
+import Post from "../../models/postModel.js";
+import AppError from "../../utils/appError.js";
+
+// Taxonomy names and aliases are matched without regard to case.
+export const CASE_INSENSITIVE = { locale: "en", strength: 2 };
+
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+export const findCategoryByName = (name) => Category.findOne({ $or: [{ category: name }, { aliases: name }] }).collation(CASE_INSENSITIVE);
+
+export const findCategoryOrFail = async (name) => {
+  const doc = await findCategoryByName(name);
+  if (!doc) throw new AppError(`category ${name} not found`, 404);
+  return doc;
+};
+
+export const resolveSubCategory = (doc, name) => {
+  if (!name) return null;
+
+  const direct = doc.subCategories.find((sub) => sameName(sub, name));
+  if (direct) return direct;
+
+  const alias = doc.subCategoryAliases.find((entry) => sameName(entry.alias, name));
+  return alias ? alias.subCategory : null;
+};
+
+const assertCategoryNameFree = async (names, exceptId) => {
+  const filter = { $or: [{ category: { $in: names } }, { aliases: { $in: names } }] };
+  if (exceptId) filter._id = { $ne: exceptId };
+
+  const clash = await Category.findOne(filter).collation(CASE_INSENSITIVE);
+
+  if (clash) throw new AppError(`${names.join(", ")} is already used by category ${clash.category}`, 409);
+};
+
+const assertSubCategoryNameFree = (doc, names, except) => {
+  const taken = names.find((name) => {
+    const owner = resolveSubCategory(doc, name);
+    return owner && !(except && sameName(owner, except));
+  });
+
+  if (taken) throw new AppError(`${taken} is already used in category ${doc.category}`, 409);
+};
+
+/**
+ * Maps a category/subcategory pair (names or aliases) onto the canonical
+ * taxonomy entry. Post creation and edits store only canonical names.
+ */
+export const resolveTopicService = async (category, subCategory) => {
+  const doc = await findCategoryByName(category);
+  if (!doc) throw new AppError(`unknown category: ${category}`, 400);
+
+  const canonicalSub = resolveSubCategory(doc, subCategory);
+  if (!canonicalSub) throw new AppError(`unknown subCategory for ${doc.category}: ${subCategory}`, 400);
+
+  return { category: doc.category, subCategory: canonicalSub };
+};
+
+export const listTaxonomyService = async () =>
+  Category.find({}, "category subCategories").sort({ category: 1 }).collation(CASE_INSENSITIVE).lean();
+
+export const createCategoryService = async ({ category, aliases = [], subCategories = [] }) => {
+  await assertCategoryNameFree([category, ...aliases]);
+
+  return Category.create({ category, aliases, subCategories: [...new Set(subCategories)] });
+};
+
+export const updateCategoryService = async (name, { aliases }) => {
+  const doc = await findCategoryOrFail(name);
+
+  await assertCategoryNameFree(aliases, doc._id);
+
+  doc.aliases = aliases;
+  await doc.save();
+  return doc;
+};
+
+export const deleteCategoryService = async (name) => {
+  const doc = await findCategoryOrFail(name);
+
+  if (await Post.exists({ category: doc.category })) {
+    throw new AppError(`category ${doc.category} still has posts; merge it into another category instead`, 409);
+  }
+
+  await doc.deleteOne();
+};
+
+export const addSubCategoryService = async (name, { subCategory, aliases = [] }) => {
+  const doc = await findCategoryOrFail(name);
+
+  assertSubCategoryNameFree(doc, [subCategory, ...aliases]);
+
+  doc.subCategories.push(subCategory);
+  aliases.forEach((alias) => doc.subCategoryAliases.push({ alias, subCategory }));
+  await doc.save();
+  return doc;
+};
+
+export const updateSubCategoryService = async (name, subName, { aliases }) => {
+  const doc = await findCategoryOrFail(name);
+
+  const subCategory = resolveSubCategory(doc, subName);
+  if (!subCategory) throw new AppError(`subCategory ${subName} not found in ${doc.category}`, 404);
+
+  assertSubCategoryNameFree(doc, aliases, subCategory);
+
+  doc.subCategoryAliases = [
+    ...doc.subCategoryAliases.filter((entry) => entry.subCategory !== subCategory),
+    ...aliases.map((alias) => ({ alias, subCategory })),
+  ];
+  await doc.save();
+  return doc;
+};
+
+export const deleteSubCategoryService = async (name, subName) => {
+  const doc = await findCategoryOrFail(name);
+
+  const subCategory = resolveSubCategory(doc, subName);
+  if (!subCategory) throw new AppError(`subCategory ${subName} not found in ${doc.category}`, 404);
+
+  if (await Post.exists({ category: doc.category, subCategory })) {
+    throw new AppError(`subCategory ${subCategory} still has posts; merge it into another subCategory instead`, 409);
+  }
+
+  doc.subCategories.pull(subCategory);
+  doc.subCategoryAliases = doc.subCategoryAliases.filter((entry) => entry.subCategory !== subCategory);
+  await doc.save();
+};
@@ -1,19 +1,26 @@
 import Comment from "../../models/commentModel.js";
 import Post from "../../models/postModel.js";
 import AppError from "../../utils/appError.js";
+import { MAX_REVISIONS } from "../../constants/contentConstants.js";
+import { extractEntitiesService } from "../mention/mentionService.js";
+import { getPostService } from "../post/postService.js";
 
-export const addCommentService = async (userId, postId, text) => {
-  const post = await Post.findById(postId);
-  if (!post) throw new AppError("post not found", 404);
+// `viewer` is the acting user: comments and replies are only as reachable as
+// the post they are on, so posts the viewer may not see are reported missing.
+export const addCommentService = async (userId, postId, text, viewer = null) => {
+  await getPostService(postId, viewer);
 
-  const comment = await Comment.create({ author: userId, post: postId, text });
+  const entities = await extractEntitiesService(text);
+  const comment = await Comment.create({ author: userId, post: postId, text, ...entities });
   await Post.findByIdAndUpdate(postId, { $push: { comments: comment._id } });
   return comment;
 };
 
 export const deleteCommentService = async (userId, postId, commentId) => {
   const comment = await Comment.findById(commentId);
-  if (!comment) throw new AppError("comment not found", 404);
+  // A comment addressed under another post is treated as missing, so the delete
+  // and its retraction can only ever touch the post the comment was left on.
+  if (!comment || !comment.post?.equals(postId)) throw new AppError("comment not found", 404);
 
   const post = await Post.findById(postId);
   if (!post) throw new AppError("Post not found", 404);
@@ -26,3 +33,129 @@ export const deleteCommentService = async (userId, postId, commentId) => {
   post.comments.pull(commentId);
   await post.save();
 };
+
+const findCommentOnPost = async (postId, commentId, viewer, projection) => {
+  const comment = await Comment.findById(commentId, projection);
+  if (!comment || !comment.post?.equals(postId)) throw new AppError("comment not found", 404);
+
+  await getPostService(postId, viewer);
+
+  return comment;
+};
+
+export const editCommentService = async (userId, postId, commentId, text, viewer = null) => {
+  const comment = await findCommentOnPost(postId, commentId, viewer, "+revisions");
+
+  if (!userId.equals(comment.author)) {
+    throw new AppError("you don't have permission to do this action", 401);
+  }
+
+  if (comment.text === text) return comment;
+
+  const editedAt = new Date();
+  comment.revisions.push({ text: comment.text, editedAt });
+  if (comment.revisions.length > MAX_REVISIONS) comment.revisions.splice(0, comment.revisions.length - MAX_REVISIONS);
+
+  comment.text = text;
+  Object.assign(comment, await extractEntitiesService(text));
+  comment.editedAt = editedAt;
+  await comment.save();
+
+  return comment;
+};
+
+const findOwnReply = (comment, replyId, userId) => {
+  const reply = comment.replies.id(replyId);
+  if (!reply) throw new AppError("reply not found", 404);
+
+  if (!userId.equals(reply.author)) {
+    throw new AppError("you don't have permission to do this action", 401);
+  }
+
+  return reply;
+};
+
+export const addReplyService = async (userId, postId, commentId, text, viewer = null) => {
+  const comment = await findCommentOnPost(postId, commentId, viewer);
+
+  comment.replies.push({ author: userId, text, ...(await extractEntitiesService(text)) });
+  await comment.save();
+
+  return comment.replies[comment.replies.length - 1];
+};
+
+export const getRepliesService = async (postId, commentId, page = 1, limit = 20, viewer = null) => {
+  const comment = await findCommentOnPost(postId, commentId, viewer);
+
+  const skip = (page - 1) * limit;
+  const replies = comment.replies.slice(skip, skip + limit);
+
+  return {
+    replies,
+    total: comment.replies.length,
+    page,
+    results: replies.length,
+  };
+};
+
+export const editReplyService = async (userId, postId, commentId, replyId, text, viewer = null) => {
+  const comment = await findCommentOnPost(postId, commentId, viewer);
+  const reply = findOwnReply(comment, replyId, userId);
+
+  reply.text = text;
+  Object.assign(reply, await extractEntitiesService(text));
+  await comment.save();
+
+  return reply;
+};
+
+export const deleteReplyService = async (userId, postId, commentId, replyId, viewer = null) => {
+  const comment = await findCommentOnPost(postId, commentId, viewer);
+  findOwnReply(comment, replyId, userId);
+
+  comment.replies.pull(replyId);
+  await comment.save();
+};
+
+export const toggleCommentLikeService = async (userId, postId, commentId, viewer = null) => {
+  const comment = await findCommentOnPost(postId, commentId, viewer);
+
+  const alreadyLiked = comment.likes.some((id) => id.equals(userId));
+
+  const updateOp = alreadyLiked ? { $pull: { likes: userId } } : { $addToSet: { likes: userId } };
+
+  const updated = await Comment.findByIdAndUpdate(commentId, updateOp, {
+    new: true,
+    select: "likes",
+  });
+
+  return {
+    liked: !alreadyLiked,
+    totalLikes: updated.likes.length,
+    likes: updated.likes,
+  };
+};
+
+export const toggleReplyLikeService = async (userId, postId, commentId, replyId, viewer = null) => {
+  const comment = await findCommentOnPost(postId, commentId, viewer);
+
+  const reply = comment.replies.id(replyId);
+  if (!reply) throw new AppError("reply not found", 404);
+
+  const alreadyLiked = reply.likes.some((id) => id.equals(userId));
+
+  const updateOp = alreadyLiked ? { $pull: { "replies.$.likes": userId } } : { $addToSet: { "replies.$.likes": userId } };
+
+  const updated = await Comment.findOneAndUpdate({ _id: commentId, "replies._id": reply._id }, updateOp, {
+    new: true,
+    select: "replies",
+  });
+
+  const { likes } = updated.replies.id(reply._id);
+
+  return {
+    liked: !alreadyLiked,
+    totalLikes: likes.length,
+    likes,
+  };
+};
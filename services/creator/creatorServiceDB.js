@@ -1,3 +1,4 @@
+/* eslint-disable no-param-reassign */
 import { findOrInitNode, updateNodeScore, insertIntoPools } from "../../utils/nodeHelpers.js";
 import { TOP_CREATOR_MAX, RISING_CREATOR_MAX } from "../../constants/constants.js";
 import { SKIP_WEIGHT, SKIP_THRESHOLD } from "../../constants/scoringConfig.js";
@@ -8,10 +9,7 @@ function computeReentryAt() {
   return new Date(Date.now() + ONE_WEEK_MS);
 }
 
-export async function scoreCreatorDB(userId, creatorId, engagementScore) {
-  const user = await User.findById(userId);
-  if (!user) throw new Error("User not found");
-
+export function applyCreatorScore(user, creatorId, engagementScore) {
   const ci = user.creatorsInterests;
   const { topCreators } = ci;
   const { risingCreators } = ci;
@@ -35,7 +33,6 @@ export async function scoreCreatorDB(userId, creatorId, engagementScore) {
       entry.score = 0;
       entry.reentryAt = computeReentryAt();
     }
-    await user.save({ validateBeforeSave: false });
     return;
   }
 
@@ -56,16 +53,13 @@ export async function scoreCreatorDB(userId, creatorId, engagementScore) {
           reentryAt: new Date(now),
         });
 
-        await user.save({ validateBeforeSave: false });
         return;
       }
 
-      await user.save({ validateBeforeSave: false });
       return;
     }
 
     entry.reentryAt = computeReentryAt();
-    await user.save({ validateBeforeSave: false });
     return;
   }
 
@@ -79,7 +73,6 @@ export async function scoreCreatorDB(userId, creatorId, engagementScore) {
     if (entry.skips === 0) {
       watchedCreators.splice(watchedIdx, 1);
     } else {
-      await user.save({ validateBeforeSave: false });
       return;
     }
   }
@@ -104,13 +97,17 @@ export async function scoreCreatorDB(userId, creatorId, engagementScore) {
 
   user.creatorsInterests.topCreators = topCreators;
   user.creatorsInterests.risingCreators = risingCreators;
-  await user.save({ validateBeforeSave: false });
 }
 
-export async function skipCreatorDB(userId, creatorId) {
+export async function scoreCreatorDB(userId, creatorId, engagementScore) {
   const user = await User.findById(userId);
   if (!user) throw new Error("User not found");
 
+  applyCreatorScore(user, creatorId, engagementScore);
+  await user.save({ validateBeforeSave: false });
+}
+
+export function applyCreatorSkip(user, creatorId, { weight = SKIP_WEIGHT, skips = 1 } = {}) {
   const ci = user.creatorsInterests;
   const { topCreators } = ci;
   const { risingCreators } = ci;
@@ -122,16 +119,15 @@ export async function skipCreatorDB(userId, creatorId) {
 
   if (followIndex !== -1) {
     const entry = user.following[followIndex];
-    entry.skips = Math.min((entry.skips || 0) + 1, SKIP_THRESHOLD);
+    entry.skips = Math.min((entry.skips || 0) + skips, SKIP_THRESHOLD);
     entry.lastSkipAt = now;
-    entry.score = updateNodeScore(entry, SKIP_WEIGHT);
+    entry.score = updateNodeScore(entry, weight);
     entry.lastUpdated = now;
 
     if (entry.skips >= SKIP_THRESHOLD) {
       entry.score = 0;
       entry.reentryAt = computeReentryAt();
     }
-    await user.save({ validateBeforeSave: false });
     return;
   }
 
@@ -139,10 +135,9 @@ export async function skipCreatorDB(userId, creatorId) {
 
   if (skippedIdx !== -1) {
     const entry = skippedCreators[skippedIdx];
-    entry.skips = Math.min((entry.skips || 0) + 1, SKIP_THRESHOLD);
+    entry.skips = Math.min((entry.skips || 0) + skips, SKIP_THRESHOLD);
     entry.lastSkipUpdate = now;
     entry.reentryAt = computeReentryAt();
-    await user.save({ validateBeforeSave: false });
     return;
   }
 
@@ -150,7 +145,7 @@ export async function skipCreatorDB(userId, creatorId) {
 
   if (watchedIdx !== -1) {
     const entry = watchedCreators[watchedIdx];
-    entry.skips = Math.min((entry.skips || 0) + 1, SKIP_THRESHOLD);
+    entry.skips = Math.min((entry.skips || 0) + skips, SKIP_THRESHOLD);
     entry.lastSkipUpdate = now;
 
     if (entry.skips >= SKIP_THRESHOLD) {
@@ -162,7 +157,6 @@ export async function skipCreatorDB(userId, creatorId) {
         reentryAt: computeReentryAt(),
       });
     }
-    await user.save({ validateBeforeSave: false });
     return;
   }
 
@@ -180,9 +174,9 @@ export async function skipCreatorDB(userId, creatorId) {
     { key: "creatorId" },
   );
 
-  creator.skips = Math.min((creator.skips || 0) + 1, SKIP_THRESHOLD);
+  creator.skips = Math.min((creator.skips || 0) + skips, SKIP_THRESHOLD);
   creator.lastSkipAt = Date.now();
-  updateNodeScore(creator, SKIP_WEIGHT);
+  updateNodeScore(creator, weight);
 
   if (creator.skips >= SKIP_THRESHOLD) {
     user.creatorsInterests.topCreators = topCreators.filter((c) => c.creatorId.toString() !== creatorId.toString());
@@ -195,7 +189,6 @@ export async function skipCreatorDB(userId, creatorId) {
       reentryAt: computeReentryAt(),
     });
     user.creatorsInterests.skippedCreatorsPool = skippedCreators;
-    await user.save({ validateBeforeSave: false });
     return;
   }
 
@@ -209,7 +202,6 @@ export async function skipCreatorDB(userId, creatorId) {
       reentryAt: Date.now(),
     });
     user.creatorsInterests.watchedCreatorsPool = watchedCreators;
-    await user.save({ validateBeforeSave: false });
     return;
   }
 
@@ -217,5 +209,90 @@ export async function skipCreatorDB(userId, creatorId) {
 
   user.creatorsInterests.topCreators = topCreators;
   user.creatorsInterests.risingCreators = risingCreators;
+}
+
+export async function skipCreatorDB(userId, creatorId, { weight = SKIP_WEIGHT, skips = 1 } = {}) {
+  const user = await User.findById(userId);
+  if (!user) throw new Error("User not found");
+
+  applyCreatorSkip(user, creatorId, { weight, skips });
+  await user.save({ validateBeforeSave: false });
+}
+
+export function applyCreatorUnskip(user, creatorId, { weight, skips = 0 }) {
+  const ci = user.creatorsInterests;
+  const isTarget = (c) => c.creatorId.toString() === creatorId.toString();
+  const now = Date.now();
+
+  const followed = user.following.find((f) => f.userId.equals(creatorId));
+  if (followed) {
+    followed.skips = Math.max((followed.skips || 0) - skips, 0);
+    updateNodeScore(followed, weight);
+    return;
+  }
+
+  const skippedIdx = ci.skippedCreatorsPool.findIndex(isTarget);
+  if (skippedIdx !== -1) {
+    const entry = ci.skippedCreatorsPool[skippedIdx];
+    entry.skips = Math.max((entry.skips || 0) - skips, 0);
+    if (entry.skips < SKIP_THRESHOLD) {
+      ci.skippedCreatorsPool.splice(skippedIdx, 1);
+      ci.watchedCreatorsPool.push({ creatorId, skips: entry.skips, lastSkipUpdate: new Date(now), reentryAt: new Date(now) });
+    }
+    return;
+  }
+
+  const watched = ci.watchedCreatorsPool.find(isTarget);
+  if (watched) {
+    watched.skips = Math.max((watched.skips || 0) - skips, 0);
+    return;
+  }
+
+  const creator = ci.topCreators.find(isTarget) || ci.risingCreators.find(isTarget);
+  if (!creator) return;
+
+  creator.skips = Math.max((creator.skips || 0) - skips, 0);
+  updateNodeScore(creator, weight);
+  insertIntoPools(ci.topCreators, ci.risingCreators, TOP_CREATOR_MAX, RISING_CREATOR_MAX, creator, { key: "creatorId" });
+}
+
+export async function unskipCreatorDB(userId, creatorId, { weight, skips = 0 }) {
+  const user = await User.findById(userId);
+  if (!user) throw new Error("User not found");
+
+  applyCreatorUnskip(user, creatorId, { weight, skips });
+  await user.save({ validateBeforeSave: false });
+}
+
+export async function hideCreatorDB(userId, creatorId, reentryAt) {
+  const user = await User.findById(userId);
+  if (!user) throw new Error("User not found");
+
+  const ci = user.creatorsInterests;
+  const idStr = creatorId.toString();
+  const notTarget = (c) => c.creatorId.toString() !== idStr;
+
+  ci.topCreators = ci.topCreators.filter(notTarget);
+  ci.risingCreators = ci.risingCreators.filter(notTarget);
+  ci.watchedCreatorsPool = ci.watchedCreatorsPool.filter(notTarget);
+  ci.skippedCreatorsPool = ci.skippedCreatorsPool.filter(notTarget);
+
+  ci.skippedCreatorsPool.push({
+    creatorId,
+    skips: SKIP_THRESHOLD,
+    lastSkipUpdate: new Date(),
+    reentryAt,
+  });
+
+  await user.save({ validateBeforeSave: false });
+}
+
+export async function unhideCreatorDB(userId, creatorId) {
+  const user = await User.findById(userId);
+  if (!user) throw new Error("User not found");
+
+  const ci = user.creatorsInterests;
+  ci.skippedCreatorsPool = ci.skippedCreatorsPool.filter((c) => c.creatorId.toString() !== creatorId.toString());
+
   await user.save({ validateBeforeSave: false });
 }
@@ -1,3 +1,4 @@
+/* eslint-disable no-param-reassign */
 import { getSessionData, setSessionData, refreshUserSession } from "../../session/sessionHelpers.js";
 
 import { findOrInitNode, updateNodeScore, insertIntoPools } from "../../utils/nodeHelpers.js";
@@ -12,10 +13,7 @@ function computeReentryAtMs() {
   return Date.now() + REENTRY_DURATION_MS;
 }
 
-export async function scoreCreatorRedis(userId, sessionId, creatorId, engagementScore) {
-  const sessionData = await getSessionData(sessionId);
-  if (!sessionData) return;
-
+export function applyCreatorScoreToSession(sessionData, creatorId, engagementScore) {
   const topCreators = Array.isArray(sessionData.topCreators) ? sessionData.topCreators : [];
   const risingCreators = Array.isArray(sessionData.risingCreators) ? sessionData.risingCreators : [];
   const watchedCreators = Array.isArray(sessionData.watchedCreators) ? sessionData.watchedCreators : [];
@@ -38,8 +36,6 @@ export async function scoreCreatorRedis(userId, sessionId, creatorId, engagement
 
     sessionData.followedCreators = followed;
 
-    await setSessionData(sessionId, sessionData);
-    await refreshUserSession(sessionId);
     return;
   }
 
@@ -62,23 +58,17 @@ export async function scoreCreatorRedis(userId, sessionId, creatorId, engagement
         sessionData.skippedCreators = skippedCreators;
         sessionData.watchedCreators = watchedCreators;
 
-        await setSessionData(sessionId, sessionData);
-        await refreshUserSession(sessionId);
         return;
       }
 
       sessionData.skippedCreators = skippedCreators;
 
-      await setSessionData(sessionId, sessionData);
-      await refreshUserSession(sessionId);
       return;
     }
 
     entry.reentryAt = computeReentryAtMs();
     sessionData.skippedCreators = skippedCreators;
 
-    await setSessionData(sessionId, sessionData);
-    await refreshUserSession(sessionId);
     return;
   }
 
@@ -94,9 +84,7 @@ export async function scoreCreatorRedis(userId, sessionId, creatorId, engagement
     } else {
       sessionData.watchedCreators = watchedCreators;
 
-      await setSessionData(sessionId, sessionData);
-      await refreshUserSession(sessionId);
-      return; // Exit.
+      return;
     }
   }
 
@@ -119,15 +107,18 @@ export async function scoreCreatorRedis(userId, sessionId, creatorId, engagement
 
   sessionData.topCreators = topCreators;
   sessionData.risingCreators = risingCreators;
-
-  await setSessionData(sessionId, sessionData);
-  await refreshUserSession(sessionId);
 }
 
-export async function skipCreatorRedis(sessionId, creatorId) {
+export async function scoreCreatorRedis(userId, sessionId, creatorId, engagementScore) {
   const sessionData = await getSessionData(sessionId);
   if (!sessionData) return;
 
+  applyCreatorScoreToSession(sessionData, creatorId, engagementScore);
+  await setSessionData(sessionId, sessionData);
+  await refreshUserSession(sessionId);
+}
+
+export function applyCreatorSkipToSession(sessionData, creatorId, { weight = SKIP_WEIGHT, skips = 1 } = {}) {
   const topCreators = Array.isArray(sessionData.topCreators) ? sessionData.topCreators : [];
   const risingCreators = Array.isArray(sessionData.risingCreators) ? sessionData.risingCreators : [];
   const watchedCreators = Array.isArray(sessionData.watchedCreators) ? sessionData.watchedCreators : [];
@@ -138,9 +129,9 @@ export async function skipCreatorRedis(sessionId, creatorId) {
   const idxF = followed.findIndex((c) => c.creatorId === creatorId.toString());
   if (idxF !== -1) {
     const entry = followed[idxF];
-    entry.skips = Math.min((entry.skips || 0) + 1, SKIP_THRESHOLD);
+    entry.skips = Math.min((entry.skips || 0) + skips, SKIP_THRESHOLD);
     entry.lastSkipAt = now;
-    entry.score = updateNodeScore(entry, SKIP_WEIGHT);
+    entry.score = updateNodeScore(entry, weight);
     entry.lastUpdated = now;
 
     if (entry.skips >= SKIP_THRESHOLD) {
@@ -148,27 +139,23 @@ export async function skipCreatorRedis(sessionId, creatorId) {
       entry.reentryAt = computeReentryAtMs();
     }
     sessionData.followedCreators = followed;
-    await setSessionData(sessionId, sessionData);
-    await refreshUserSession(sessionId);
     return;
   }
 
   const skippedIdx = skippedCreators.findIndex((c) => c.creatorId === creatorId.toString());
   if (skippedIdx !== -1) {
     const entry = skippedCreators[skippedIdx];
-    entry.skips = Math.min((entry.skips || 0) + 1, SKIP_THRESHOLD);
+    entry.skips = Math.min((entry.skips || 0) + skips, SKIP_THRESHOLD);
     entry.lastSkipUpdate = now;
     entry.reentryAt = computeReentryAtMs();
     sessionData.skippedCreators = skippedCreators;
-    await setSessionData(sessionId, sessionData);
-    await refreshUserSession(sessionId);
     return;
   }
 
   const watchedIdx = watchedCreators.findIndex((c) => c.creatorId === creatorId.toString());
   if (watchedIdx !== -1) {
     const entry = watchedCreators[watchedIdx];
-    entry.skips = Math.min((entry.skips || 0) + 1, SKIP_THRESHOLD);
+    entry.skips = Math.min((entry.skips || 0) + skips, SKIP_THRESHOLD);
     entry.lastSkipUpdate = now;
 
     if (entry.skips >= SKIP_THRESHOLD) {
@@ -183,8 +170,6 @@ export async function skipCreatorRedis(sessionId, creatorId) {
     sessionData.watchedCreators = watchedCreators;
     sessionData.skippedCreators = skippedCreators;
 
-    await setSessionData(sessionId, sessionData);
-    await refreshUserSession(sessionId);
     return;
   }
 
@@ -201,9 +186,9 @@ export async function skipCreatorRedis(sessionId, creatorId) {
     },
     { key: "creatorId" },
   );
-  creatorNode.skips = Math.min((creatorNode.skips || 0) + 1, SKIP_THRESHOLD);
+  creatorNode.skips = Math.min((creatorNode.skips || 0) + skips, SKIP_THRESHOLD);
   creatorNode.lastSkipAt = Date.now();
-  updateNodeScore(creatorNode, SKIP_WEIGHT);
+  updateNodeScore(creatorNode, weight);
 
   if (creatorNode.skips >= SKIP_THRESHOLD) {
     sessionData.topCreators = topCreators.filter((c) => c.creatorId.toString() !== creatorId.toString());
@@ -215,8 +200,6 @@ export async function skipCreatorRedis(sessionId, creatorId) {
       reentryAt: computeReentryAtMs(),
     });
     sessionData.skippedCreators = skippedCreators;
-    await setSessionData(sessionId, sessionData);
-    await refreshUserSession(sessionId);
     return;
   }
 
@@ -230,8 +213,6 @@ export async function skipCreatorRedis(sessionId, creatorId) {
       reentryAt: Date.now(),
     });
     sessionData.watchedCreators = watchedCreators;
-    await setSessionData(sessionId, sessionData);
-    await refreshUserSession(sessionId);
     return;
   }
 
@@ -239,6 +220,101 @@ export async function skipCreatorRedis(sessionId, creatorId) {
 
   sessionData.topCreators = topCreators;
   sessionData.risingCreators = risingCreators;
+}
+
+export async function skipCreatorRedis(sessionId, creatorId, { weight = SKIP_WEIGHT, skips = 1 } = {}) {
+  const sessionData = await getSessionData(sessionId);
+  if (!sessionData) return;
+
+  applyCreatorSkipToSession(sessionData, creatorId, { weight, skips });
+  await setSessionData(sessionId, sessionData);
+  await refreshUserSession(sessionId);
+}
+
+export function applyCreatorUnskipToSession(sessionData, creatorId, { weight, skips = 0 }) {
+  const idStr = creatorId.toString();
+  const isTarget = (c) => c.creatorId.toString() === idStr;
+  const now = Date.now();
+
+  const followed = (sessionData.followedCreators || []).find(isTarget);
+  if (followed) {
+    followed.skips = Math.max((followed.skips || 0) - skips, 0);
+    updateNodeScore(followed, weight);
+    return;
+  }
+
+  const skippedCreators = sessionData.skippedCreators || [];
+  const skippedIdx = skippedCreators.findIndex(isTarget);
+  if (skippedIdx !== -1) {
+    const entry = skippedCreators[skippedIdx];
+    entry.skips = Math.max((entry.skips || 0) - skips, 0);
+    if (entry.skips < SKIP_THRESHOLD) {
+      skippedCreators.splice(skippedIdx, 1);
+      sessionData.watchedCreators = [
+        ...(sessionData.watchedCreators || []),
+        { creatorId: idStr, skips: entry.skips, lastSkipUpdate: now, reentryAt: now },
+      ];
+    }
+    sessionData.skippedCreators = skippedCreators;
+    return;
+  }
+
+  const watched = (sessionData.watchedCreators || []).find(isTarget);
+  if (watched) {
+    watched.skips = Math.max((watched.skips || 0) - skips, 0);
+    return;
+  }
+
+  const topCreators = sessionData.topCreators || [];
+  const risingCreators = sessionData.risingCreators || [];
+  const creatorNode = topCreators.find(isTarget) || risingCreators.find(isTarget);
+  if (!creatorNode) return;
+
+  creatorNode.skips = Math.max((creatorNode.skips || 0) - skips, 0);
+  updateNodeScore(creatorNode, weight);
+  insertIntoPools(topCreators, risingCreators, TOP_CREATOR_MAX, RISING_CREATOR_MAX, creatorNode, { key: "creatorId" });
+
+  sessionData.topCreators = topCreators;
+  sessionData.risingCreators = risingCreators;
+}
+
+export async function unskipCreatorRedis(sessionId, creatorId, { weight, skips = 0 }) {
+  const sessionData = await getSessionData(sessionId);
+  if (!sessionData) return;
+
+  applyCreatorUnskipToSession(sessionData, creatorId, { weight, skips });
+  await setSessionData(sessionId, sessionData);
+  await refreshUserSession(sessionId);
+}
+
+export async function hideCreatorRedis(sessionId, creatorId, reentryAt) {
+  const sessionData = await getSessionData(sessionId);
+  if (!sessionData) return;
+
+  const idStr = creatorId.toString();
+  const notTarget = (c) => c.creatorId.toString() !== idStr;
+
+  sessionData.topCreators = (sessionData.topCreators || []).filter(notTarget);
+  sessionData.risingCreators = (sessionData.risingCreators || []).filter(notTarget);
+  sessionData.watchedCreators = (sessionData.watchedCreators || []).filter(notTarget);
+  sessionData.skippedCreators = (sessionData.skippedCreators || []).filter(notTarget);
+
+  sessionData.skippedCreators.push({
+    creatorId: idStr,
+    skips: SKIP_THRESHOLD,
+    lastSkipUpdate: Date.now(),
+    reentryAt: new Date(reentryAt).getTime(),
+  });
+
+  await setSessionData(sessionId, sessionData);
+  await refreshUserSession(sessionId);
+}
+
+export async function unhideCreatorRedis(sessionId, creatorId) {
+  const sessionData = await getSessionData(sessionId);
+  if (!sessionData) return;
+
+  sessionData.skippedCreators = (sessionData.skippedCreators || []).filter((c) => c.creatorId.toString() !== creatorId.toString());
 
   await setSessionData(sessionId, sessionData);
   await refreshUserSession(sessionId);
@@ -1,15 +1,121 @@
+/* eslint-disable no-restricted-syntax, no-await-in-loop, no-continue */
+import { v4 as uuid } from "uuid";
 import Post from "../../models/postModel.js";
 import GlobalStats from "../../models/globalStatsModel.js";
 import CreatorStats from "../../models/creatorStatsModel.js";
 import UserInterestStats from "../../models/userInterestStatsModel.js";
 import User from "../../models/userModel.js";
 import AppError from "../../utils/appError.js";
+import isEnabled from "../../utils/isRedisEnabled.js";
+import { dwellFactor } from "../../utils/score.js";
+import { getSessionData, setSessionData, refreshUserSession } from "../../session/sessionHelpers.js";
+import { applyInterestScore, applyInterestSkip } from "../interest/interestServiceDB.js";
+import { applyCreatorScore, applyCreatorSkip } from "../creator/creatorServiceDB.js";
+import { applyInterestScoreToSession, applyInterestSkipToSession } from "../interest/interestServiceRedis.js";
+import { applyCreatorScoreToSession, applyCreatorSkipToSession } from "../creator/creatorServiceRedis.js";
+import { claimEvent, releaseEvent } from "./eventDedupService.js";
+import publishEngagementEvent from "../../kafka/producers/engagementProducer.js";
+import publishScoreEvent from "../../kafka/producers/scoreProducer.js";
+import { batchEventSchema } from "../../validators/engagementValidator.js";
+import { WEIGHTS, VIEW_TIME_EMA_ALPHA, SKIP_WEIGHT } from "../../constants/scoringConfig.js";
 
-export const updateEngagementStatsService = async ({ postId, userId, category, subCategory, creator, engagementScore }) => {
+// Only what the client alone can observe. Likes, comments, saves and shares are
+// scored where they happen (see scoreInteractionService).
+export const computeEngagementScore = ({ viewed = 0, completed = 0, viewDurationMs = 0 }) =>
+  +viewed * WEIGHTS.view + +completed * WEIGHTS.completion + dwellFactor(viewDurationMs) * WEIGHTS.dwell;
+
+export const recordViewDurationService = async (postId, viewDurationMs) => {
+  if (!viewDurationMs) return;
+
+  await Post.findByIdAndUpdate(postId, [
+    {
+      $set: {
+        averageViewTime: {
+          $add: [
+            { $multiply: [1 - VIEW_TIME_EMA_ALPHA, { $ifNull: ["$averageViewTime", viewDurationMs] }] },
+            VIEW_TIME_EMA_ALPHA * viewDurationMs,
+          ],
+        },
+      },
+    },
+  ]);
+};
+
+// Scores an action taken outside the engagement endpoint (e.g. a reply or a
+// save) as if the client had reported it with the given weight. Returns the
+// matching Kafka events for callers that also count it on the post, or null
+// when the post is gone.
+export const scoreInteractionService = async (userId, sessionId, postId, kind) => {
+  const post = await Post.findById(postId, "category subCategory specific hashtags creator");
+  if (!post) return null;
+
+  const { category, subCategory, specific, hashtags, creator } = post;
+  const engagementScore = WEIGHTS[kind];
+
+  if (isEnabled()) {
+    const sessionData = sessionId ? await getSessionData(sessionId) : null;
+    if (sessionData) {
+      await applyInterestScoreToSession(sessionData, userId, category, subCategory, specific, engagementScore, hashtags);
+      applyCreatorScoreToSession(sessionData, creator, engagementScore);
+      await setSessionData(sessionId, sessionData);
+      await refreshUserSession(sessionId);
+    }
+  } else {
+    const user = await User.findById(userId);
+    if (user) {
+      await applyInterestScore(user, { categoryName: category, subName: subCategory, specificName: specific, hashtags, engagementScore });
+      applyCreatorScore(user, creator, engagementScore);
+      await user.save({ validateBeforeSave: false });
+    }
+  }
+
+  const eventId = uuid();
+
+  return {
+    engagementEvent: {
+      eventId,
+      postId: postId.toString(),
+      userId: userId.toString(),
+      category,
+      subCategory,
+      creatorId: creator.toString(),
+      engagementScore,
+    },
+    scoreEvent: {
+      eventId,
+      postId: postId.toString(),
+      userId: userId.toString(),
+      engagementType: "engagement",
+      scoreDelta: engagementScore,
+      timestamp: new Date().toISOString(),
+    },
+  };
+};
+
+// Best effort, like publishRetraction: the action itself has already been stored.
+export const publishInteraction = (interaction) => {
+  if (!interaction) return;
+
+  Promise.all([publishEngagementEvent(interaction.engagementEvent), publishScoreEvent(interaction.scoreEvent)]).catch((err) =>
+    console.error(`failed to publish interaction for post ${interaction.engagementEvent.postId}:`, err.message),
+  );
+};
+
+export const updateEngagementStatsService = async ({
+  postId,
+  userId,
+  category,
+  subCategory,
+  creator,
+  engagementScore,
+  viewDurationMs = 0,
+}) => {
   await Post.findByIdAndUpdate(postId, {
     $inc: { impressionCount: 1, engagementSum: engagementScore },
   });
 
+  await recordViewDurationService(postId, viewDurationMs);
+
   await GlobalStats.findOneAndUpdate(
     { entityType: "category", name: category },
     { $inc: { impressionCount: 1, totalEngagement: engagementScore } },
@@ -56,3 +162,153 @@ export const getPostAndUserService = async (postId, userId) => {
 
   return { post, user };
 };
+
+// Engagement with a plain repost is credited to the post it shares, so the
+// original's topic, creator and trending metrics get the signal.
+export const resolveRepostService = async (post) => {
+  if (post.kind !== "repost") return post;
+
+  const original = await Post.findById(post.repostOf);
+  if (!original) throw new AppError("Post not found", 404);
+  return original;
+};
+
+const loadRepostOriginals = async (posts) => {
+  const ids = posts.filter((p) => p.kind === "repost").map((p) => p.repostOf);
+  if (!ids.length) return new Map();
+
+  const originals = await Post.find({ _id: { $in: ids } });
+  return new Map(originals.map((p) => [p._id.toString(), p]));
+};
+
+export const processEngagementBatchService = async (userId, sessionId, events) => {
+  const results = [];
+  const published = [];
+
+  const validated = events.map((raw, index) => {
+    const { error, value } = batchEventSchema.validate(raw);
+    if (error) {
+      results[index] = { index, postId: raw?.postId ?? null, status: "failed", statusCode: 400, message: error.details[0].message };
+      return null;
+    }
+    return value;
+  });
+
+  const postIds = [...new Set(validated.filter(Boolean).map((e) => e.postId))];
+  const posts = await Post.find({ _id: { $in: postIds } });
+  const postsById = new Map(posts.map((p) => [p._id.toString(), p]));
+  const originalsById = await loadRepostOriginals(posts);
+
+  const useRedis = isEnabled();
+  if (useRedis && !sessionId) console.warn("Redis enabled but no sessionId.");
+
+  const sessionData = useRedis && sessionId ? await getSessionData(sessionId) : null;
+  const user = useRedis ? null : await User.findById(userId);
+  if (!useRedis && !user) throw new AppError("User not found", 404);
+
+  const seen = [];
+  const dedupScope = `api:${userId}`;
+  const claimed = [];
+
+  for (const [index, event] of validated.entries()) {
+    if (!event) continue;
+
+    const post = postsById.get(event.postId);
+    const credited = post?.kind === "repost" ? originalsById.get(post.repostOf.toString()) : post;
+    if (!credited) {
+      results[index] = { index, postId: event.postId, status: "failed", statusCode: 404, message: "Post not found" };
+      continue;
+    }
+
+    const { category, subCategory, specific, hashtags, creator } = credited;
+
+    if (event.eventId) {
+      if (!(await claimEvent(dedupScope, event.eventId))) {
+        results[index] = { index, postId: event.postId, status: "duplicate" };
+        continue;
+      }
+      claimed.push(event.eventId);
+    }
+
+    const eventId = event.eventId || uuid();
+
+    try {
+      if (event.type === "positive") {
+        const engagementScore = computeEngagementScore(event);
+
+        if (sessionData) {
+          await applyInterestScoreToSession(sessionData, userId, category, subCategory, specific, engagementScore, hashtags);
+          applyCreatorScoreToSession(sessionData, creator._id, engagementScore);
+        } else if (user) {
+          await applyInterestScore(user, {
+            categoryName: category,
+            subName: subCategory,
+            specificName: specific,
+            hashtags,
+            engagementScore,
+          });
+          applyCreatorScore(user, creator._id, engagementScore);
+        }
+
+        published.push({
+          engagementEvent: {
+            eventId,
+            postId: credited._id.toString(),
+            userId: userId.toString(),
+            category,
+            subCategory,
+            creatorId: creator._id.toString(),
+            engagementScore,
+            viewDurationMs: event.viewDurationMs,
+          },
+          scoreEvent: {
+            eventId,
+            postId: credited._id.toString(),
+            userId: userId.toString(),
+            engagementType: "engagement",
+            scoreDelta: engagementScore,
+            timestamp: event.clientTimestamp.toISOString(),
+          },
+        });
+
+        results[index] = { index, postId: event.postId, status: "processed", engagementScore };
+      } else {
+        if (sessionData) {
+          applyInterestSkipToSession(sessionData, category, subCategory, specific, SKIP_WEIGHT, hashtags);
+          applyCreatorSkipToSession(sessionData, creator._id.toString());
+        } else if (user) {
+          applyInterestSkip(user, { categoryName: category, subCategoryName: subCategory, specificName: specific, hashtags });
+          applyCreatorSkip(user, creator._id);
+        }
+
+        results[index] = { index, postId: event.postId, status: "processed" };
+      }
+
+      seen.push(post._id);
+    } catch (err) {
+      if (event.eventId) {
+        await releaseEvent(dedupScope, event.eventId);
+        claimed.splice(claimed.indexOf(event.eventId), 1);
+      }
+      results[index] = { index, postId: event.postId, status: "failed", statusCode: err.statusCode || 500, message: err.message };
+    }
+  }
+
+  try {
+    if (sessionData) {
+      await setSessionData(sessionId, sessionData);
+      await refreshUserSession(sessionId);
+    } else if (user) {
+      await user.save({ validateBeforeSave: false });
+    }
+  } catch (err) {
+    await Promise.all(claimed.map((id) => releaseEvent(dedupScope, id)));
+    throw err;
+  }
+
+  if (seen.length) {
+    await User.findByIdAndUpdate(userId, { $addToSet: { seenPosts: { $each: seen } } });
+  }
+
+  return { results, published };
+};
@@ -0,0 +1,65 @@
+import redis from "../../session/redisClient.js";
+import ProcessedEvent from "../../models/processedEventModel.js";
+import isEnabled from "../../utils/isRedisEnabled.js";
+import { EVENT_DEDUP_TTL_SECONDS } from "../../constants/engagementConstants.js";
+
+const dedupKey = (scope, eventId) => `dedup:${scope}:${eventId}`;
+
+export const claimEvent = async (scope, eventId) => {
+  const key = dedupKey(scope, eventId);
+
+  if (isEnabled()) {
+    const result = await redis.set(key, "1", "EX", EVENT_DEDUP_TTL_SECONDS, "NX");
+    return result === "OK";
+  }
+
+  try {
+    await ProcessedEvent.create({ key, expiresAt: new Date(Date.now() + EVENT_DEDUP_TTL_SECONDS * 1000) });
+    return true;
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+};
+
+export const releaseEvent = async (scope, eventId) => {
+  const key = dedupKey(scope, eventId);
+
+  if (isEnabled()) {
+    await redis.del(key);
+  } else {
+    await ProcessedEvent.deleteOne({ key });
+  }
+};
+
+export const runOnce = async (scope, eventId, task) => {
+  if (!eventId) {
+    await task();
+    return true;
+  }
+
+  if (!(await claimEvent(scope, eventId))) return false;
+
+  try {
+    await task();
+  } catch (err) {
+    await releaseEvent(scope, eventId);
+    throw err;
+  }
+
+  return true;
+};
+
+// Claims every named task on its own, so a failure only releases the tasks that
+// failed and a redelivered event re-runs those without repeating the writes
+// that already went through. Resolves false when every task was a duplicate.
+export const runEachOnce = async (scope, eventId, tasks) => {
+  const outcomes = await Promise.allSettled(
+    Object.entries(tasks).map(([name, task]) => runOnce(scope, eventId && `${eventId}:${name}`, task)),
+  );
+
+  const failed = outcomes.find((o) => o.status === "rejected");
+  if (failed) throw failed.reason;
+
+  return outcomes.some((o) => o.value);
+};
@@ -0,0 +1,136 @@
+import { v4 as uuid } from "uuid";
+import Post from "../../models/postModel.js";
+import User from "../../models/userModel.js";
+import isEnabled from "../../utils/isRedisEnabled.js";
+import { adjustNodeScore, insertIntoPools } from "../../utils/nodeHelpers.js";
+import { getSessionData, setSessionData, refreshUserSession } from "../../session/sessionHelpers.js";
+import publishEngagementEvent from "../../kafka/producers/engagementProducer.js";
+import publishScoreEvent from "../../kafka/producers/scoreProducer.js";
+import {
+  TOP_CAT_MAX,
+  RISING_CAT_MAX,
+  TOP_SUB_MAX,
+  RISING_SUB_MAX,
+  SPECIFIC_MAX,
+  TOP_CREATOR_MAX,
+  RISING_CREATOR_MAX,
+  HASHTAG_MAX,
+} from "../../constants/constants.js";
+import { WEIGHTS, EMA_ALPHA_SESSION } from "../../constants/scoringConfig.js";
+
+export const RETRACTABLE_ENGAGEMENTS = ["like", "comment", "save", "share"];
+
+const sameId = (a, b) => a.toString() === b.toString();
+
+// Lowers an existing node and re-ranks it; nodes pushed below zero drop out.
+function lowerNode(primary, secondary, key, id, delta, maxPrimary, maxSecondary) {
+  const node = primary.find((n) => sameId(n[key], id)) || secondary.find((n) => sameId(n[key], id));
+  if (!node) return null;
+
+  adjustNodeScore(node, delta);
+  insertIntoPools(primary, secondary, maxPrimary, maxSecondary, node, { key });
+
+  return node.score >= 0 ? node : null;
+}
+
+function lowerHashtags(nodes, hashtags, delta) {
+  (hashtags || []).forEach((tag) => lowerNode(nodes, [], "name", tag, delta, HASHTAG_MAX, 0));
+}
+
+function lowerInterest(topCats, risingCats, { category, subCategory, specific }, delta) {
+  const cat = lowerNode(topCats, risingCats, "name", category, delta, TOP_CAT_MAX, RISING_CAT_MAX);
+  if (!cat || !subCategory) return;
+
+  const sub = lowerNode(cat.topSubs || [], cat.risingSubs || [], "name", subCategory, delta, TOP_SUB_MAX, RISING_SUB_MAX);
+  if (!sub || !specific) return;
+
+  lowerNode(sub.specific || [], [], "name", specific, delta, SPECIFIC_MAX, 0);
+}
+
+function lowerCreator(topCreators, risingCreators, followed, followKey, creatorId, delta) {
+  const followEntry = followed.find((f) => sameId(f[followKey], creatorId));
+  if (followEntry) {
+    adjustNodeScore(followEntry, delta);
+    followEntry.score = Math.max(followEntry.score, 0);
+    return;
+  }
+
+  lowerNode(topCreators, risingCreators, "creatorId", creatorId, delta, TOP_CREATOR_MAX, RISING_CREATOR_MAX);
+}
+
+/**
+ * Reverses the scoring of a like, comment, save or repost that the user took back.
+ * Only nodes the user already has are lowered, by at most what the
+ * engagement could have added to them. Returns the compensating Kafka
+ * events, or null when the post is gone.
+ */
+export const retractEngagementService = async (userId, sessionId, postId, kind) => {
+  if (!RETRACTABLE_ENGAGEMENTS.includes(kind)) throw new Error(`Unknown engagement kind: ${kind}`);
+
+  const post = await Post.findById(postId, "category subCategory specific hashtags creator");
+  if (!post) return null;
+
+  const { category, subCategory, creator } = post;
+  const engagementScore = -WEIGHTS[kind];
+  const nodeDelta = EMA_ALPHA_SESSION * engagementScore;
+
+  if (isEnabled()) {
+    const sessionData = sessionId ? await getSessionData(sessionId) : null;
+    if (sessionData) {
+      lowerInterest(sessionData.topCategories || [], sessionData.risingCategories || [], post, nodeDelta);
+      lowerHashtags(sessionData.hashtagInterests || [], post.hashtags, nodeDelta);
+      lowerCreator(
+        sessionData.topCreators || [],
+        sessionData.risingCreators || [],
+        sessionData.followedCreators || [],
+        "creatorId",
+        creator,
+        nodeDelta,
+      );
+      await setSessionData(sessionId, sessionData);
+      await refreshUserSession(sessionId);
+    }
+  } else {
+    const user = await User.findById(userId);
+    if (user) {
+      const ci = user.creatorsInterests;
+      lowerInterest(user.topInterests, user.risingInterests, post, nodeDelta);
+      lowerHashtags(user.hashtagInterests || [], post.hashtags, nodeDelta);
+      lowerCreator(ci.topCreators, ci.risingCreators, user.following, "userId", creator, nodeDelta);
+      await user.save({ validateBeforeSave: false });
+    }
+  }
+
+  const eventId = uuid();
+
+  return {
+    engagementEvent: {
+      eventId,
+      postId: postId.toString(),
+      userId: userId.toString(),
+      category,
+      subCategory,
+      creatorId: creator.toString(),
+      engagementScore,
+      retraction: true,
+    },
+    scoreEvent: {
+      eventId,
+      postId: postId.toString(),
+      userId: userId.toString(),
+      engagementType: "retraction",
+      scoreDelta: engagementScore,
+      timestamp: new Date().toISOString(),
+    },
+  };
+};
+
+// Publishing is best effort: the like, comment, save or repost is already gone, so a
+// broker outage must not turn the user's request into an error.
+export const publishRetraction = (retraction) => {
+  if (!retraction) return;
+
+  Promise.all([publishEngagementEvent(retraction.engagementEvent), publishScoreEvent(retraction.scoreEvent)]).catch((err) =>
+    console.error(`failed to publish retraction for post ${retraction.engagementEvent.postId}:`, err.message),
+  );
+};
@@ -0,0 +1,59 @@
+import { v4 as uuid } from "uuid";
+import redis from "../../session/redisClient.js";
+import FeedCursor from "../../models/feedCursorModel.js";
+import isEnabled from "../../utils/isRedisEnabled.js";
+import { FEED_CURSOR_TTL_SECONDS } from "../../constants/feedConstants.js";
+
+const cursorKey = (cursorId) => `feed:cursor:${cursorId}`;
+
+export const saveFeedCursor = async (userId, candidates, served) => {
+  const cursorId = uuid();
+
+  const state = {
+    userId: userId.toString(),
+    candidates: candidates.map((c) => ({
+      postId: c.postId.toString(),
+      bucket: c.bucket,
+      overallScore: c.overallScore ?? 0,
+      selectedBy: c.selectedBy ?? null,
+      scoreBreakdown: c.scoreBreakdown ?? null,
+    })),
+    served: served.map((id) => id.toString()),
+  };
+
+  if (isEnabled()) {
+    await redis.set(cursorKey(cursorId), JSON.stringify(state), "EX", FEED_CURSOR_TTL_SECONDS);
+  } else {
+    await FeedCursor.create({
+      cursorId,
+      ...state,
+      expiresAt: new Date(Date.now() + FEED_CURSOR_TTL_SECONDS * 1000),
+    });
+  }
+
+  return cursorId;
+};
+
+export const loadFeedCursor = async (userId, cursorId) => {
+  let state;
+
+  if (isEnabled()) {
+    const raw = await redis.get(cursorKey(cursorId));
+    state = raw ? JSON.parse(raw) : null;
+  } else {
+    state = await FeedCursor.findOne({ cursorId, expiresAt: { $gt: new Date() } }).lean();
+  }
+
+  if (!state || state.userId.toString() !== userId.toString()) return null;
+
+  return {
+    candidates: (state.candidates || []).map((c) => ({
+      postId: c.postId.toString(),
+      bucket: c.bucket,
+      overallScore: c.overallScore,
+      selectedBy: c.selectedBy,
+      scoreBreakdown: c.scoreBreakdown,
+    })),
+    served: (state.served || []).map((id) => id.toString()),
+  };
+};
@@ -4,9 +4,14 @@ import Post from "../../models/postModel.js";
 import User from "../../models/userModel.js";
 import GlobalStats from "../../models/globalStatsModel.js";
 import CreatorStats from "../../models/creatorStatsModel.js";
-import { fetchCandidates, fetchRandom, pickRandom, sampleCategory } from "../../utils/feedHelpers.js";
+import redis from "../../session/redisClient.js";
+import isEnabled from "../../utils/isRedisEnabled.js";
+import choosePriorCount from "../../utils/smoothingUtils.js";
+import { fetchCandidates, fetchRandom, notSeen, pickRandom, sampleCategory } from "../../utils/feedHelpers.js";
 import interleaveByBucket from "../../utils/interleaveByBucket.js";
-import { FEED_SIZE, RECENT_WINDOW_MS } from "../../constants/feedConstants.js";
+import diversifyFeed from "../../utils/diversifyFeed.js";
+import { visibilityFilter } from "../../utils/postVisibility.js";
+import { FEED_SIZE, RECENT_WINDOW_MS, GLOBAL_AVG_CACHE_TTL_SECONDS } from "../../constants/feedConstants.js";
 import {
   INTEREST_WEIGHT,
   CREATOR_WEIGHT,
@@ -16,19 +21,37 @@ import {
   HALF_LIFE_DAYS,
   MS_PER_DAY,
   BAYESIAN_WEIGHT,
+  SUBCATEGORY_WEIGHT,
+  SPECIFIC_WEIGHT,
+  HASHTAG_WEIGHT,
 } from "../../constants/scoringConfig.js";
 
+const categoryAvgKey = (name) => `feed:catAvg:${name}`;
+
+const findSubNode = (categoryNode, subName) =>
+  (categoryNode.topSubs || []).find((s) => s.name === subName) ?? (categoryNode.risingSubs || []).find((s) => s.name === subName);
+
+const smoothSubcategoryAverage = (subStats, avgCatEng) => {
+  if (!subStats?.impressionCount) return avgCatEng;
+  const priorCount = choosePriorCount(subStats.impressionCount);
+  return (avgCatEng * priorCount + subStats.totalEngagement) / (priorCount + subStats.impressionCount);
+};
+
 export const buildInterestPools = (user, sessionData) => ({
   categoryPools: {
     top: [...(sessionData.topCategories || user.topInterests || [])].sort((a, b) => (b.score ?? 0) - (a.score ?? 0)),
     rising: [...(sessionData.risingCategories || user.risingInterests || [])].sort((a, b) => (b.score ?? 0) - (a.score ?? 0)),
+    hashtags: sessionData.hashtagInterests || user.hashtagInterests || [],
   },
   creatorPools: {
     top: [...(sessionData.topCreators || user.creatorsInterests.topCreators || [])].sort((a, b) => (b.score ?? 0) - (a.score ?? 0)),
     rising: [...(sessionData.risingCreators || user.creatorsInterests.risingCreators || [])].sort(
       (a, b) => (b.score ?? 0) - (a.score ?? 0),
     ),
-    followed: [...(sessionData.followedCreators || user.following || [])].sort((a, b) => (b.score ?? 0) - (a.score ?? 0)),
+    // user.following keys entries by userId; the session and the rest of the pipeline use creatorId.
+    followed: [...(sessionData.followedCreators || (user.following || []).map((f) => ({ ...f, creatorId: f.creatorId ?? f.userId })))].sort(
+      (a, b) => (b.score ?? 0) - (a.score ?? 0),
+    ),
     skipped: sessionData.skippedCreators || user.creatorsInterests.skippedCreatorsPool || [],
     watched: sessionData.watchedCreators || user.creatorsInterests.watchedCreatorsPool || [],
   },
@@ -136,15 +159,17 @@ export const batchFetchPosts = async (
   creatorBucketMap,
   categoryBucketMap,
   skippedCreators,
+  viewer = null,
 ) => {
   const candidatePosts = [];
 
   const postGroups = await Promise.all(
     [...topCats, ...risingCats, ...extraTopCats, ...extraRisingCats].map(async (catObj) => {
-      const posts = await sampleCategory(catObj, seenPostIds, skippedCreators);
+      const posts = await sampleCategory(catObj, seenPostIds, skippedCreators, viewer);
       return posts.map((post) => ({
         ...(post.toObject?.() ?? post),
         bucket: categoryBucketMap[catObj.name] || "UNKNOWN",
+        selectedBy: catObj.name,
       }));
     }),
   );
@@ -168,21 +193,29 @@ export const batchFetchPosts = async (
   let creatorPosts = [];
   if (allCreatorIds.length) {
     const creatorObjectIds = allCreatorIds.map((id) => new mongoose.Types.ObjectId(id));
-    const seenObjectIds = [...seenPostIds].map((id) => new mongoose.Types.ObjectId(id));
+    const followedObjectIds = Object.keys(creatorBucketMap)
+      .filter((id) => creatorBucketMap[id] === "CREATOR:FOLLOWED")
+      .map((id) => new mongoose.Types.ObjectId(id));
+
     creatorPosts = await fetchCandidates({
       filter: {
-        _id: { $nin: seenObjectIds },
+        _id: notSeen(seenPostIds),
         creator: { $in: creatorObjectIds },
+        // Reposts reach followers only.
+        $or: [{ kind: { $ne: "repost" } }, { creator: { $in: followedObjectIds } }],
       },
       sort: { trendingScore: -1, createdAt: -1 },
       topLimit: 20,
       rndLimit: 10,
       bucket: "CREATOR:MIXED",
       skippedCreators,
+      includeReposts: true,
+      viewer,
     });
 
     creatorPosts.forEach((post) => {
       post.bucket = creatorBucketMap[post.creator.toString()] || "UNKNOWN";
+      post.selectedBy = post.creator.toString();
       seenPostIds.add(post._id.toString());
     });
     candidatePosts.push(...creatorPosts);
@@ -191,10 +224,10 @@ export const batchFetchPosts = async (
   return candidatePosts;
 };
 
-export const fetchGeneralPools = async (seenPostIds, nowMs, skippedCreators) => {
+export const fetchGeneralPools = async (seenPostIds, nowMs, skippedCreators, viewer = null) => {
   const risingPosts = await fetchCandidates({
     filter: {
-      _id: { $nin: [...seenPostIds] },
+      _id: notSeen(seenPostIds),
       isRising: true,
       isEvergreen: false,
     },
@@ -203,20 +236,22 @@ export const fetchGeneralPools = async (seenPostIds, nowMs, skippedCreators) =>
     rndLimit: 2,
     bucket: "RISING",
     skippedCreators,
+    viewer,
   });
 
   const trendingPosts = await fetchCandidates({
-    filter: { _id: { $nin: [...seenPostIds] }, isEvergreen: false },
+    filter: { _id: notSeen(seenPostIds), isEvergreen: false },
     sort: { trendingScore: -1, createdAt: -1 },
     topLimit: 8,
     rndLimit: 4,
     bucket: "TRENDING",
     skippedCreators,
+    viewer,
   });
 
   const recentPosts = await fetchCandidates({
     filter: {
-      _id: { $nin: [...seenPostIds] },
+      _id: notSeen(seenPostIds),
       createdAt: { $gte: new Date(nowMs - RECENT_WINDOW_MS) },
     },
     sort: { bayesianScore: -1, createdAt: -1 },
@@ -224,15 +259,17 @@ export const fetchGeneralPools = async (seenPostIds, nowMs, skippedCreators) =>
     rndLimit: 4,
     bucket: "RECENT",
     skippedCreators,
+    viewer,
   });
 
   const evergreenPosts = await fetchCandidates({
-    filter: { _id: { $nin: [...seenPostIds] }, isEvergreen: true },
+    filter: { _id: notSeen(seenPostIds), isEvergreen: true },
     sort: { bayesianScore: -1, createdAt: -1 },
     topLimit: 8,
     rndLimit: 4,
     bucket: "EVERGREEN",
     skippedCreators,
+    viewer,
   });
 
   return {
@@ -243,71 +280,215 @@ export const fetchGeneralPools = async (seenPostIds, nowMs, skippedCreators) =>
   };
 };
 
-export const scorePosts = async (candidatePosts, categoryPools, creatorPools, nowMs) =>
-  Promise.all(
-    candidatePosts.map(async (post) => {
-      const globalCat = await GlobalStats.findOne({
-        entityType: "category",
-        name: post.category,
-      });
-      const avgCatEng = globalCat?.impressionCount ? globalCat.totalEngagement / globalCat.impressionCount : 0;
+export const loadCategoryAverages = async (categories) => {
+  const averages = new Map();
+  if (!categories.length) return averages;
 
-      const globalCre = await CreatorStats.findOne({
-        creatorId: post.creator.toString(),
-      });
-      const avgCreEng = globalCre?.impressionCount ? globalCre.totalEngagement / globalCre.impressionCount : avgCatEng;
+  let missing = categories;
 
-      const categoryNode =
-        categoryPools.top.find((c) => c.name === post.category) ?? categoryPools.rising.find((c) => c.name === post.category);
+  if (isEnabled()) {
+    const cached = await redis.mget(categories.map(categoryAvgKey));
+    missing = categories.filter((name, i) => {
+      if (cached[i] === null) return true;
+      averages.set(name, Number(cached[i]));
+      return false;
+    });
+  }
 
-      const interestScore = categoryNode?.score ?? 0.1 * avgCatEng;
+  if (!missing.length) return averages;
 
-      const creatorNode =
-        creatorPools.top.find((c) => c.creatorId.toString() === post.creator.toString()) ??
-        creatorPools.rising.find((c) => c.creatorId.toString() === post.creator.toString());
+  const stats = await GlobalStats.find({ entityType: "category", name: { $in: missing } }).lean();
+  const statsByName = new Map(stats.map((s) => [s.name, s]));
 
-      const creatorScore = creatorNode?.score ?? 0.1 * avgCreEng;
+  missing.forEach((name) => {
+    const globalCat = statsByName.get(name);
+    averages.set(name, globalCat?.impressionCount ? globalCat.totalEngagement / globalCat.impressionCount : 0);
+  });
 
-      const ageInDays = (nowMs - new Date(post.createdAt)) / MS_PER_DAY;
-      const timeDecay = Math.exp((-Math.log(2) / HALF_LIFE_DAYS) * ageInDays);
+  if (isEnabled()) {
+    const pipeline = redis.pipeline();
+    missing.forEach((name) => {
+      pipeline.set(categoryAvgKey(name), averages.get(name), "EX", GLOBAL_AVG_CACHE_TTL_SECONDS);
+    });
+    await pipeline.exec();
+  }
 
-      post.overallScore =
-        PERSONAL_WEIGHT * timeDecay * (INTEREST_WEIGHT * interestScore + CREATOR_WEIGHT * creatorScore) +
-        RAW_WEIGHT * (post.rawScore || 0) +
-        TREND_WEIGHT * (post.trendingScore || 0) +
-        BAYESIAN_WEIGHT * (post.bayesianScore || 0);
+  return averages;
+};
 
-      return post;
-    }),
+export const loadSubcategoryStats = async (subCategories) => {
+  if (!subCategories.length) return new Map();
+
+  const stats = await GlobalStats.find({ entityType: "subcategory", name: { $in: subCategories } }).lean();
+
+  return new Map(stats.map((s) => [s.name, s]));
+};
+
+export const loadCreatorStats = async (creatorIds) => {
+  if (!creatorIds.length) return new Map();
+
+  const stats = await CreatorStats.find({
+    creatorId: { $in: creatorIds.map((id) => new mongoose.Types.ObjectId(id)) },
+  }).lean();
+
+  return new Map(stats.map((s) => [s.creatorId.toString(), s]));
+};
+
+export const scorePosts = async (candidatePosts, categoryPools, creatorPools, nowMs) => {
+  const [categoryAverages, subcategoryStats, creatorStats] = await Promise.all([
+    loadCategoryAverages([...new Set(candidatePosts.map((p) => p.category))]),
+    loadSubcategoryStats([...new Set(candidatePosts.map((p) => p.subCategory).filter(Boolean))]),
+    loadCreatorStats([...new Set(candidatePosts.map((p) => p.creator.toString()))]),
+  ]);
+
+  const hashtagScores = new Map((categoryPools.hashtags || []).map((h) => [h.name, h.score ?? 0]));
+
+  return candidatePosts.map((post) => {
+    const avgCatEng = categoryAverages.get(post.category) ?? 0;
+
+    const globalCre = creatorStats.get(post.creator.toString());
+    const avgCreEng = globalCre?.impressionCount ? globalCre.totalEngagement / globalCre.impressionCount : avgCatEng;
+
+    const categoryNode =
+      categoryPools.top.find((c) => c.name === post.category) ?? categoryPools.rising.find((c) => c.name === post.category);
+
+    const subNode = categoryNode && post.subCategory ? findSubNode(categoryNode, post.subCategory) : undefined;
+    const specificNode = subNode && post.specific ? (subNode.specific || []).find((s) => s.name === post.specific) : undefined;
+    const specificScore = specificNode?.score ?? 0;
+
+    let subCategoryScore = 0;
+    if (subNode) subCategoryScore = subNode.score ?? 0;
+    else if (post.subCategory) subCategoryScore = 0.1 * smoothSubcategoryAverage(subcategoryStats.get(post.subCategory), avgCatEng);
+
+    const hashtagScore = Math.max(0, ...(post.hashtags || []).map((tag) => hashtagScores.get(tag) ?? 0));
+
+    const interestScore =
+      (categoryNode?.score ?? 0.1 * avgCatEng) +
+      SUBCATEGORY_WEIGHT * subCategoryScore +
+      SPECIFIC_WEIGHT * specificScore +
+      HASHTAG_WEIGHT * hashtagScore;
+
+    const creatorNode =
+      creatorPools.top.find((c) => c.creatorId.toString() === post.creator.toString()) ??
+      creatorPools.rising.find((c) => c.creatorId.toString() === post.creator.toString());
+
+    const creatorScore = creatorNode?.score ?? 0.1 * avgCreEng;
+
+    const ageInDays = (nowMs - new Date(post.createdAt)) / MS_PER_DAY;
+    const timeDecay = Math.exp((-Math.log(2) / HALF_LIFE_DAYS) * ageInDays);
+
+    post.overallScore =
+      PERSONAL_WEIGHT * timeDecay * (INTEREST_WEIGHT * interestScore + CREATOR_WEIGHT * creatorScore) +
+      RAW_WEIGHT * (post.rawScore || 0) +
+      TREND_WEIGHT * (post.trendingScore || 0) +
+      BAYESIAN_WEIGHT * (post.bayesianScore || 0);
+
+    post.scoreBreakdown = {
+      interestScore,
+      interestSource: categoryNode ? "profile" : "categoryAverage",
+      subCategoryScore,
+      subCategorySource: subNode ? "profile" : "subCategoryAverage",
+      specificScore,
+      hashtagScore,
+      creatorScore,
+      creatorSource: creatorNode ? "profile" : "creatorAverage",
+      timeDecay,
+      contributions: {
+        interest: PERSONAL_WEIGHT * timeDecay * INTEREST_WEIGHT * interestScore,
+        creator: PERSONAL_WEIGHT * timeDecay * CREATOR_WEIGHT * creatorScore,
+        raw: RAW_WEIGHT * (post.rawScore || 0),
+        trending: TREND_WEIGHT * (post.trendingScore || 0),
+        bayesian: BAYESIAN_WEIGHT * (post.bayesianScore || 0),
+      },
+    };
+
+    return post;
+  });
+};
+
+export const filterByFeedback = (posts, feedback = [], nowMs = Date.now()) => {
+  const mutedTopics = feedback.filter((f) => f.action === "notInterested");
+  const hiddenCreators = new Set(
+    feedback
+      .filter((f) => f.action === "hideCreator" && (!f.expiresAt || new Date(f.expiresAt).getTime() > nowMs))
+      .map((f) => f.creator.toString()),
   );
 
-export const assembleFeed = async (scoredPosts, seenPostIds, fetchRandomFn = fetchRandom) => {
+  if (!mutedTopics.length && !hiddenCreators.size) return posts;
+
+  return posts.filter(
+    (post) =>
+      !hiddenCreators.has(post.creator.toString()) &&
+      !mutedTopics.some((t) => t.category === post.category && (!t.subCategory || t.subCategory === post.subCategory)),
+  );
+};
+
+// Re-checks visibility, since a post may have been restricted since the cursor was saved.
+export const hydrateCursorCandidates = async (candidates, seenPostIds, viewer = null) => {
+  const pending = candidates.filter((c) => !seenPostIds.has(c.postId));
+  if (!pending.length) return [];
+
+  const posts = await Post.find({
+    _id: { $in: pending.map((c) => new mongoose.Types.ObjectId(c.postId)) },
+    ...visibilityFilter(viewer),
+  }).lean();
+  const postsById = new Map(posts.map((p) => [p._id.toString(), p]));
+
+  return pending
+    .filter((c) => postsById.has(c.postId))
+    .map((c) => {
+      seenPostIds.add(c.postId);
+      return {
+        ...postsById.get(c.postId),
+        bucket: c.bucket,
+        overallScore: c.overallScore,
+        selectedBy: c.selectedBy,
+        scoreBreakdown: c.scoreBreakdown,
+      };
+    });
+};
+
+export const assembleFeed = async (scoredPosts, seenPostIds, fetchRandomFn = fetchRandom, viewer = null) => {
   const NON_EXPLORE = 15;
-  const coreFeed = interleaveByBucket(scoredPosts, NON_EXPLORE);
+  const diversified = diversifyFeed(scoredPosts);
+  const coreFeed = interleaveByBucket(diversified, NON_EXPLORE, "diversityScore");
 
   const need = FEED_SIZE - coreFeed.length;
   const explore =
     need > 0
       ? await fetchRandomFn({
-          filter: { _id: { $nin: [...seenPostIds] } },
+          filter: { _id: notSeen(seenPostIds) },
           limit: need,
           bucket: "EXPLORE",
+          viewer,
         })
       : [];
 
-  explore.forEach((p) => {
+  explore.forEach((p, i) => {
     p.overallScore = 0;
+    p.selection = { position: coreFeed.length + i + 1, explore: true };
   });
 
   return [...coreFeed, ...explore];
 };
 
-export async function formatFeedPosts(posts, currentUser) {
-  const populatedPosts = await Post.populate(posts, {
-    path: "creator",
-    select: "userName profilePicture",
-    model: User,
-  });
+export async function formatFeedPosts(posts, currentUser, { explain = false } = {}) {
+  const populatedPosts = await Post.populate(posts, [
+    {
+      path: "creator",
+      select: "userName profilePicture",
+      model: User,
+    },
+    // An original the viewer may no longer see (restricted since, or its
+    // creator deactivated) populates as null, so the repost card carries none of it.
+    {
+      path: "repostOf",
+      select: "creator text image category subCategory shareCount createdAt",
+      match: visibilityFilter(currentUser),
+      model: Post,
+      populate: { path: "creator", select: "userName profilePicture", model: User },
+    },
+  ]);
 
   const followedIds = new Set((currentUser.following || []).map((f) => f.userId?.toString()));
 
@@ -329,12 +510,24 @@ export async function formatFeedPosts(posts, currentUser) {
       isRising: !!post.isRising,
       isEvergreen: !!post.isEvergreen,
       createdAt: post.createdAt,
+      kind: post.kind ?? "post",
+      shareCount: post.shareCount ?? 0,
+      repostOf: post.repostOf ?? null,
       creator: {
         _id: creatorId,
         userName: post.creator?.userName,
         profilePicture: post.creator?.profilePicture,
         isFollowed: followedIds.has(creatorId),
       },
+      ...(explain && {
+        explain: {
+          pool: post.bucket,
+          selectedBy: post.selectedBy ?? null,
+          score: post.scoreBreakdown ?? null,
+          diversityPenalty: post.diversityPenalty ?? null,
+          selection: post.selection ?? null,
+        },
+      }),
     };
   });
 }
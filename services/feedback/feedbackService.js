@@ -0,0 +1,108 @@
+import User from "../../models/userModel.js";
+import AppError from "../../utils/appError.js";
+import isEnabled from "../../utils/isRedisEnabled.js";
+import { getPostAndUserService, markPostSeenService } from "../engagement/engagementService.js";
+import { skipInterestDB } from "../interest/interestServiceDB.js";
+import { skipInterestRedis } from "../interest/interestServiceRedis.js";
+import { skipCreatorDB, unskipCreatorDB, hideCreatorDB, unhideCreatorDB } from "../creator/creatorServiceDB.js";
+import { skipCreatorRedis, unskipCreatorRedis, hideCreatorRedis, unhideCreatorRedis } from "../creator/creatorServiceRedis.js";
+import { NOT_INTERESTED_WEIGHT, SHOW_FEWER_WEIGHT, SHOW_FEWER_SKIPS, HIDE_POST_WEIGHT } from "../../constants/scoringConfig.js";
+import { HIDDEN_CREATOR_REENTRY_MS } from "../../constants/sessionConstants.js";
+
+const sameTargetFilter = (entry) => {
+  switch (entry.action) {
+    case "notInterested":
+      return { action: entry.action, category: entry.category, subCategory: entry.subCategory ?? null };
+    case "hidePost":
+      return { action: entry.action, post: entry.post };
+    default:
+      return { action: entry.action, creator: entry.creator };
+  }
+};
+
+export const applyFeedbackService = async (userId, sessionId, postId, action) => {
+  const { post } = await getPostAndUserService(postId, userId);
+  const { category, subCategory, specific, hashtags, creator } = post;
+  const creatorId = creator._id;
+
+  await markPostSeenService(userId, postId);
+
+  const useRedis = isEnabled() && !!sessionId;
+
+  const penaliseInterest = (weight) =>
+    useRedis
+      ? skipInterestRedis(userId, sessionId, category, subCategory, specific, weight, hashtags)
+      : skipInterestDB(userId, { categoryName: category, subCategoryName: subCategory, specificName: specific, hashtags, weight });
+
+  const penaliseCreator = (opts) =>
+    useRedis ? skipCreatorRedis(sessionId, creatorId.toString(), opts) : skipCreatorDB(userId, creatorId, opts);
+
+  const entry = { action, post: post._id };
+  const topic = { category, subCategory: subCategory || undefined, specific: specific || undefined, hashtags };
+
+  if (action === "notInterested") {
+    await penaliseInterest(NOT_INTERESTED_WEIGHT);
+    Object.assign(entry, topic, { weight: NOT_INTERESTED_WEIGHT });
+  } else if (action === "showFewer") {
+    await penaliseCreator({ weight: SHOW_FEWER_WEIGHT, skips: SHOW_FEWER_SKIPS });
+    Object.assign(entry, { creator: creatorId, weight: SHOW_FEWER_WEIGHT, skips: SHOW_FEWER_SKIPS });
+  } else if (action === "hidePost") {
+    await penaliseInterest(HIDE_POST_WEIGHT);
+    await penaliseCreator({ weight: HIDE_POST_WEIGHT });
+    Object.assign(entry, topic, { creator: creatorId, weight: HIDE_POST_WEIGHT, skips: 1 });
+  } else if (action === "hideCreator") {
+    const reentryAt = new Date(Date.now() + HIDDEN_CREATOR_REENTRY_MS);
+    await hideCreatorDB(userId, creatorId, reentryAt);
+    if (useRedis) await hideCreatorRedis(sessionId, creatorId, reentryAt);
+    entry.creator = creatorId;
+    entry.expiresAt = reentryAt;
+  }
+
+  await User.findByIdAndUpdate(userId, { $pull: { feedback: sameTargetFilter(entry) } });
+  const updated = await User.findByIdAndUpdate(userId, { $push: { feedback: entry } }, { new: true, select: "feedback" });
+
+  return updated.feedback[updated.feedback.length - 1];
+};
+
+export const listFeedbackService = async (userId) => {
+  const user = await User.findById(userId)
+    .select("feedback")
+    .populate({ path: "feedback.creator", select: "userName profilePicture" })
+    .populate({ path: "feedback.post", select: "text category subCategory" });
+  if (!user) throw new AppError("User not found", 404);
+
+  return [...user.feedback].sort((a, b) => b.createdAt - a.createdAt);
+};
+
+export const undoFeedbackService = async (userId, sessionId, feedbackId) => {
+  const user = await User.findById(userId).select("feedback");
+  if (!user) throw new AppError("User not found", 404);
+
+  const entry = user.feedback.find((f) => f._id.toString() === feedbackId);
+  if (!entry) throw new AppError("Feedback not found", 404);
+
+  const useRedis = isEnabled() && !!sessionId;
+
+  // Give back what applyFeedbackService took away. The penalty went in as a
+  // negative skip weight, so re-running the skip with the opposite sign credits
+  // it back on whatever nodes are still in the pools.
+  if (entry.weight && entry.category) {
+    const { category, subCategory, specific, hashtags } = entry;
+    const weight = -entry.weight;
+    if (useRedis) await skipInterestRedis(userId, sessionId, category, subCategory, specific, weight, hashtags);
+    else await skipInterestDB(userId, { categoryName: category, subCategoryName: subCategory, specificName: specific, hashtags, weight });
+  }
+
+  if (entry.weight && entry.creator) {
+    const opts = { weight: -entry.weight, skips: entry.skips || 0 };
+    if (useRedis) await unskipCreatorRedis(sessionId, entry.creator.toString(), opts);
+    else await unskipCreatorDB(userId, entry.creator, opts);
+  }
+
+  if (entry.action === "hideCreator") {
+    await unhideCreatorDB(userId, entry.creator);
+    if (useRedis) await unhideCreatorRedis(sessionId, entry.creator);
+  }
+
+  await User.findByIdAndUpdate(userId, { $pull: { feedback: { _id: entry._id } } });
+};
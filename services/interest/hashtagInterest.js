@@ -0,0 +1,26 @@
+import { findOrInitNode, updateNodeScore, insertIntoPools } from "../../utils/nodeHelpers.js";
+import { HASHTAG_MAX } from "../../constants/constants.js";
+
+// Hashtag nodes live in one flat pool (user.hashtagInterests in the DB,
+// sessionData.hashtagInterests in Redis). Both interest services share these.
+
+export function applyHashtagScore(nodes, hashtags = [], engagementScore = 0) {
+  hashtags.forEach((tag) => {
+    const node = findOrInitNode(nodes, [], tag, { score: 0, lastUpdated: Date.now() }, { key: "name" });
+    updateNodeScore(node, engagementScore);
+    insertIntoPools(nodes, [], HASHTAG_MAX, 0, node, { key: "name" });
+  });
+
+  return nodes;
+}
+
+// Skips only lower tags the user already has a node for; nodes at or below zero drop out.
+export function applyHashtagSkip(nodes, hashtags = [], weight = 0) {
+  if (!hashtags.length) return nodes;
+
+  nodes.forEach((node) => {
+    if (hashtags.includes(node.name)) updateNodeScore(node, weight);
+  });
+
+  return nodes.filter((node) => node.score > 0).sort((a, b) => b.score - a.score);
+}
@@ -1,3 +1,4 @@
+/* eslint-disable no-param-reassign */
 import GlobalStats from "../../models/globalStatsModel.js";
 import UserInterestStats from "../../models/userInterestStatsModel.js";
 import User from "../../models/userModel.js";
@@ -5,10 +6,12 @@ import { findOrInitNode, updateNodeScore, insertIntoPools } from "../../utils/no
 import { TOP_CAT_MAX, RISING_CAT_MAX, TOP_SUB_MAX, RISING_SUB_MAX, SPECIFIC_MAX } from "../../constants/constants.js";
 import { SKIP_WEIGHT } from "../../constants/scoringConfig.js";
 import choosePriorCount from "../../utils/smoothingUtils.js";
+import { applyHashtagScore, applyHashtagSkip } from "./hashtagInterest.js";
 
-export async function scoreInterestDB(userId, { categoryName, subName, specificName, engagementScore }) {
-  const user = await User.findById(userId);
-  if (!user) throw new Error("User not found");
+export async function applyInterestScore(user, { categoryName, subName, specificName, hashtags = [], engagementScore }) {
+  const userId = user._id;
+
+  user.hashtagInterests = applyHashtagScore(user.hashtagInterests || [], hashtags, engagementScore);
 
   const globalCat = await GlobalStats.findOneAndUpdate(
     { entityType: "category", name: categoryName },
@@ -110,6 +113,25 @@ export async function scoreInterestDB(userId, { categoryName, subName, specificN
     const updatedSubNode = topSubs.find((s) => s.name === subName) || risingSubs.find((s) => s.name === subName);
 
     if (specificName && updatedSubNode) {
+      const globalSpec = await GlobalStats.findOneAndUpdate(
+        { entityType: "specific", name: specificName },
+        { $inc: { impressionCount: 1, totalEngagement: engagementScore } },
+        { upsert: true, new: true },
+      );
+
+      const userStatsSpec = await UserInterestStats.findOneAndUpdate(
+        { userId, entityType: "specific", name: specificName },
+        { $inc: { impressionCount: 1, totalEngagement: engagementScore } },
+        { upsert: true, new: true },
+      );
+
+      const priorCountSpec = choosePriorCount(globalSpec.impressionCount);
+
+      const globalAvgSpec = globalSpec.impressionCount > 0 ? globalSpec.totalEngagement / globalSpec.impressionCount : 0;
+
+      const smoothedAvgSpec =
+        (globalAvgSpec * priorCountSpec + userStatsSpec.totalEngagement) / (priorCountSpec + userStatsSpec.impressionCount);
+
       const specArr = updatedSubNode.specific || [];
 
       let specNode = specArr.find((x) => x.name === specificName);
@@ -121,7 +143,7 @@ export async function scoreInterestDB(userId, { categoryName, subName, specificN
         };
       }
 
-      updateNodeScore(specNode, engagementScore);
+      updateNodeScore(specNode, smoothedAvgSpec);
 
       insertIntoPools(specArr, [], SPECIFIC_MAX, 0, specNode, {
         key: "name",
@@ -133,13 +155,19 @@ export async function scoreInterestDB(userId, { categoryName, subName, specificN
 
   user.topInterests = topCats;
   user.risingInterests = risingCats;
-  await user.save({ validateBeforeSave: false });
 }
 
-export async function skipInterestDB(userId, { categoryName, subCategoryName, specificName }) {
+export async function scoreInterestDB(userId, { categoryName, subName, specificName, hashtags, engagementScore }) {
   const user = await User.findById(userId);
   if (!user) throw new Error("User not found");
 
+  await applyInterestScore(user, { categoryName, subName, specificName, hashtags, engagementScore });
+  await user.save({ validateBeforeSave: false });
+}
+
+export function applyInterestSkip(user, { categoryName, subCategoryName, specificName, hashtags = [], weight = SKIP_WEIGHT }) {
+  user.hashtagInterests = applyHashtagSkip(user.hashtagInterests || [], hashtags, weight);
+
   const topCats = user.topInterests;
   const risingCats = user.risingInterests;
 
@@ -160,12 +188,11 @@ export async function skipInterestDB(userId, { categoryName, subCategoryName, sp
     { key: "name" },
   );
 
-  updateNodeScore(cat, SKIP_WEIGHT);
+  updateNodeScore(cat, weight);
 
   if (cat.score <= 0) {
     user.topInterests = topCats.filter((c) => c.name !== categoryName);
     user.risingInterests = risingCats.filter((c) => c.name !== categoryName);
-    await user.save({ validateBeforeSave: false });
     return;
   }
 
@@ -192,7 +219,7 @@ export async function skipInterestDB(userId, { categoryName, subCategoryName, sp
       { key: "name" },
     );
     if (sub) {
-      updateNodeScore(sub, SKIP_WEIGHT);
+      updateNodeScore(sub, weight);
 
       if (sub.score <= 0) {
         updatedCat.risingSubs = topSubs.filter((s) => s.name !== subCategoryName);
@@ -200,7 +227,6 @@ export async function skipInterestDB(userId, { categoryName, subCategoryName, sp
 
         user.topInterests = topCats;
         user.risingInterests = risingCats;
-        await user.save({ validateBeforeSave: false });
         return;
       }
 
@@ -217,7 +243,7 @@ export async function skipInterestDB(userId, { categoryName, subCategoryName, sp
         const spec = specArr.find((x) => x.name === specificName);
 
         if (spec) {
-          updateNodeScore(spec, SKIP_WEIGHT);
+          updateNodeScore(spec, weight);
 
           if (spec.score <= 0) {
             updatedSub.specific = specArr.filter((x) => x.name !== specificName);
@@ -233,5 +259,12 @@ export async function skipInterestDB(userId, { categoryName, subCategoryName, sp
 
   user.topInterests = topCats;
   user.risingInterests = risingCats;
+}
+
+export async function skipInterestDB(userId, { categoryName, subCategoryName, specificName, hashtags, weight = SKIP_WEIGHT }) {
+  const user = await User.findById(userId);
+  if (!user) throw new Error("User not found");
+
+  applyInterestSkip(user, { categoryName, subCategoryName, specificName, hashtags, weight });
   await user.save({ validateBeforeSave: false });
 }
@@ -1,3 +1,4 @@
+/* eslint-disable no-param-reassign */
 import { getSessionData, setSessionData, refreshUserSession } from "../../session/sessionHelpers.js";
 import { findOrInitNode, updateNodeScore, insertIntoPools } from "../../utils/nodeHelpers.js";
 import { TOP_CAT_MAX, RISING_CAT_MAX, TOP_SUB_MAX, RISING_SUB_MAX, SPECIFIC_MAX } from "../../constants/constants.js";
@@ -5,12 +6,18 @@ import choosePriorCount from "../../utils/smoothingUtils.js";
 import GlobalStats from "../../models/globalStatsModel.js";
 import UserInterestStats from "../../models/userInterestStatsModel.js";
 import { SKIP_WEIGHT } from "../../constants/scoringConfig.js";
-
-export async function scoreInterestRedis(userId, sessionId, categoryName, subName, specificName, engagementScore) {
-  const sessionData = await getSessionData(sessionId);
-  if (!sessionData) {
-    return;
-  }
+import { applyHashtagScore, applyHashtagSkip } from "./hashtagInterest.js";
+
+export async function applyInterestScoreToSession(
+  sessionData,
+  userId,
+  categoryName,
+  subName,
+  specificName,
+  engagementScore,
+  hashtags = [],
+) {
+  sessionData.hashtagInterests = applyHashtagScore(sessionData.hashtagInterests || [], hashtags, engagementScore);
 
   const globalCat = await GlobalStats.findOneAndUpdate(
     { entityType: "category", name: categoryName },
@@ -115,6 +122,25 @@ export async function scoreInterestRedis(userId, sessionId, categoryName, subNam
     const updatedSubCategoryNode = topSubsArray.find((s) => s.name === subName) || risingSubsArray.find((s) => s.name === subName);
 
     if (specificName && updatedSubCategoryNode) {
+      const globalSpec = await GlobalStats.findOneAndUpdate(
+        { entityType: "specific", name: specificName },
+        { $inc: { impressionCount: 1, totalEngagement: engagementScore } },
+        { upsert: true, new: true },
+      );
+
+      const userStatsSpec = await UserInterestStats.findOneAndUpdate(
+        { userId, entityType: "specific", name: specificName },
+        { $inc: { impressionCount: 1, totalEngagement: engagementScore } },
+        { upsert: true, new: true },
+      );
+
+      const priorCountSpec = choosePriorCount(globalSpec.impressionCount);
+
+      const globalAvgSpec = globalSpec.impressionCount > 0 ? globalSpec.totalEngagement / globalSpec.impressionCount : 0;
+
+      const smoothedAvgSpec =
+        (globalAvgSpec * priorCountSpec + userStatsSpec.totalEngagement) / (priorCountSpec + userStatsSpec.impressionCount);
+
       const specificsArray = Array.isArray(updatedSubCategoryNode.specific) ? updatedSubCategoryNode.specific : [];
 
       let specificNode = specificsArray.find((x) => x.name === specificName);
@@ -127,7 +153,7 @@ export async function scoreInterestRedis(userId, sessionId, categoryName, subNam
         };
       }
 
-      updateNodeScore(specificNode, engagementScore);
+      updateNodeScore(specificNode, smoothedAvgSpec);
 
       insertIntoPools(specificsArray, [], SPECIFIC_MAX, 0, specificNode, {
         key: "name",
@@ -136,15 +162,19 @@ export async function scoreInterestRedis(userId, sessionId, categoryName, subNam
       updatedSubCategoryNode.specific = specificsArray;
     }
   }
+}
 
-  await setSessionData(sessionId, sessionData);
+export async function scoreInterestRedis(userId, sessionId, categoryName, subName, specificName, engagementScore, hashtags = []) {
+  const sessionData = await getSessionData(sessionId);
+  if (!sessionData) return;
 
+  await applyInterestScoreToSession(sessionData, userId, categoryName, subName, specificName, engagementScore, hashtags);
+  await setSessionData(sessionId, sessionData);
   await refreshUserSession(sessionId);
 }
 
-export async function skipInterestRedis(userId, sessionId, categoryName, subCategoryName, specificName) {
-  const sessionData = await getSessionData(sessionId);
-  if (!sessionData) return;
+export function applyInterestSkipToSession(sessionData, categoryName, subCategoryName, specificName, weight = SKIP_WEIGHT, hashtags = []) {
+  sessionData.hashtagInterests = applyHashtagSkip(sessionData.hashtagInterests || [], hashtags, weight);
 
   const topCats = sessionData.topCategories || [];
   const risingCats = sessionData.risingCategories || [];
@@ -169,14 +199,12 @@ export async function skipInterestRedis(userId, sessionId, categoryName, subCate
     { key: "name" },
   );
 
-  updateNodeScore(cat, SKIP_WEIGHT);
+  updateNodeScore(cat, weight);
 
   if (cat.score <= 0) {
     sessionData.topCategories = topCats.filter((c) => c.name !== categoryName);
     sessionData.risingCategories = risingCats.filter((c) => c.name !== categoryName);
 
-    await setSessionData(sessionId, sessionData);
-    await refreshUserSession(sessionId);
     return;
   }
 
@@ -203,7 +231,7 @@ export async function skipInterestRedis(userId, sessionId, categoryName, subCate
       { key: "name" },
     );
 
-    updateNodeScore(sub, SKIP_WEIGHT);
+    updateNodeScore(sub, weight);
 
     if (sub.score <= 0) {
       updatedCat.topSubs = topSubs.filter((s) => s.name !== subCategoryName);
@@ -211,8 +239,6 @@ export async function skipInterestRedis(userId, sessionId, categoryName, subCate
 
       sessionData.topCategories = topCats;
       sessionData.risingCategories = risingCats;
-      await setSessionData(sessionId, sessionData);
-      await refreshUserSession(sessionId);
       return;
     }
 
@@ -232,7 +258,7 @@ export async function skipInterestRedis(userId, sessionId, categoryName, subCate
       const spec = specArr.find((x) => x.name === specificName);
 
       if (spec) {
-        updateNodeScore(spec, SKIP_WEIGHT);
+        updateNodeScore(spec, weight);
 
         if (spec.score <= 0) {
           updatedSub.specific = specArr.filter((x) => x.name !== specificName);
@@ -247,7 +273,21 @@ export async function skipInterestRedis(userId, sessionId, categoryName, subCate
 
   sessionData.topCategories = topCats;
   sessionData.risingCategories = risingCats;
+}
+
+export async function skipInterestRedis(
+  userId,
+  sessionId,
+  categoryName,
+  subCategoryName,
+  specificName,
+  weight = SKIP_WEIGHT,
+  hashtags = [],
+) {
+  const sessionData = await getSessionData(sessionId);
+  if (!sessionData) return;
 
+  applyInterestSkipToSession(sessionData, categoryName, subCategoryName, specificName, weight, hashtags);
   await setSessionData(sessionId, sessionData);
   await refreshUserSession(sessionId);
 }
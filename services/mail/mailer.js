@@ -0,0 +1,65 @@
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+
+// MAIL_TRANSPORT picks the delivery: "smtp" sends for real; "file" writes each
+// message as an .eml file to MAIL_OUTBOX_DIR; "console" (the default) logs
+// who it was for. Mails carry live reset and verification links, so production
+// only accepts smtp, and a misspelled transport is an error rather than a silent drop.
+const TRANSPORTS = ["smtp", "file", "console"];
+
+export const mailTransportKind = (env = process.env) => {
+  const kind = env.MAIL_TRANSPORT || "console";
+
+  if (!TRANSPORTS.includes(kind)) {
+    throw new Error(`unknown MAIL_TRANSPORT "${kind}", expected one of: ${TRANSPORTS.join(", ")}`);
+  }
+  if (env.NODE_ENV === "production" && kind !== "smtp") {
+    throw new Error(`MAIL_TRANSPORT must be "smtp" in production, got "${kind}"`);
+  }
+
+  return kind;
+};
+
+// Fail at startup, not on the first password reset.
+mailTransportKind();
+
+const createTransport = (kind) => {
+  if (kind === "smtp") {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER && { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD },
+    });
+  }
+  if (kind === "file") return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" });
+  return nodemailer.createTransport({ jsonTransport: true });
+};
+
+// The stand-in transports only render the message; these decide where it ends up.
+const keepLocally = {
+  file: async (info) => {
+    const dir = process.env.MAIL_OUTBOX_DIR || "mail-outbox";
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, `${Date.now()}-${info.messageId.replace(/[<>@]/g, "")}.eml`), info.message);
+  },
+  // The body holds one-time links; only the envelope goes to the log.
+  console: async (info, message) => console.log(`== mail to ${message.to}: ${message.subject}`),
+};
+
+const mailer = {
+  transport: null,
+
+  async send(message) {
+    const kind = mailTransportKind();
+    this.transport ??= createTransport(kind);
+
+    const info = await this.transport.sendMail({ from: process.env.MAIL_FROM || "Mates <no-reply@mates.app>", ...message });
+    await keepLocally[kind]?.(info, message);
+
+    return info;
+  },
+};
+
+export default mailer;
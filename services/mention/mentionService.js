@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+import User from "../../models/userModel.js";
+import Post from "../../models/postModel.js";
+import Comment from "../../models/commentModel.js";
+import AppError from "../../utils/appError.js";
+import { extractHashtags, extractMentions } from "../../utils/textEntities.js";
+import { visibilityFilter, joinVisiblePost } from "../../utils/postVisibility.js";
+
+// Mentions of user names that do not exist are dropped rather than rejected.
+export const resolveMentionsService = async (text) => {
+  const userNames = extractMentions(text);
+  if (!userNames.length) return [];
+
+  const users = await User.find({ userName: { $in: userNames } }, "_id userName").lean();
+  const idsByName = new Map(users.map((u) => [u.userName, u._id]));
+
+  return userNames.filter((name) => idsByName.has(name)).map((name) => idsByName.get(name));
+};
+
+/**
+ * Parses the structured fields stored next to a post, comment or reply text:
+ * lower-cased hashtags and the ids of mentioned users.
+ */
+export const extractEntitiesService = async (text) => ({
+  hashtags: extractHashtags(text),
+  mentions: await resolveMentionsService(text),
+});
+
+/**
+ * Lists the posts, comments and replies that mention `userId`, newest first,
+ * leaving out anything on a post `viewer` may not see. Each source is read up
+ * to the end of the requested page and the three are merged in memory, so deep
+ * pages cost more than shallow ones.
+ */
+export const getMentionsService = async (userId, page = 1, limit = 20, viewer = null) => {
+  if (!mongoose.isValidObjectId(userId)) throw new AppError(`Invalid userId: ${userId}`, 400);
+
+  const id = new mongoose.Types.ObjectId(userId);
+  const skip = (page - 1) * limit;
+  const window = skip + limit;
+
+  const [posts, comments, replies] = await Promise.all([
+    Post.find({ mentions: id, ...visibilityFilter(viewer) }, "creator text createdAt")
+      .sort({ createdAt: -1 })
+      .limit(window)
+      .lean(),
+    Comment.aggregate([
+      { $match: { mentions: id } },
+      { $sort: { createdAt: -1 } },
+      ...joinVisiblePost(viewer),
+      { $limit: window },
+      { $project: { author: 1, post: 1, text: 1, createdAt: 1 } },
+    ]),
+    Comment.aggregate([
+      { $match: { "replies.mentions": id } },
+      ...joinVisiblePost(viewer),
+      { $unwind: "$replies" },
+      { $match: { "replies.mentions": id } },
+      { $sort: { "replies.createdAt": -1 } },
+      { $limit: window },
+      { $project: { post: 1, reply: "$replies" } },
+    ]),
+  ]);
+
+  const mentions = [
+    ...posts.map((p) => ({ type: "post", postId: p._id, author: p.creator, text: p.text, createdAt: p.createdAt })),
+    ...comments.map((c) => ({ type: "comment", postId: c.post, commentId: c._id, author: c.author, text: c.text, createdAt: c.createdAt })),
+    ...replies.map((r) => ({
+      type: "reply",
+      postId: r.post,
+      commentId: r._id,
+      replyId: r.reply._id,
+      author: r.reply.author,
+      text: r.reply.text,
+      createdAt: r.reply.createdAt,
+    })),
+  ]
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(skip, window);
+
+  return { mentions, page, results: mentions.length };
+};
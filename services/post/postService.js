@@ -1,37 +1,161 @@
+import mongoose from "mongoose";
 import Post from "../../models/postModel.js";
 import Comment from "../../models/commentModel.js";
+import Bookmark from "../../models/bookmarkModel.js";
 import AppError from "../../utils/appError.js";
+import { COMMENT_DECAY_OFFSET_HOURS, COMMENT_DECAY_GRAVITY } from "../../constants/commentConstants.js";
+import { MAX_REVISIONS, EDITABLE_POST_FIELDS } from "../../constants/contentConstants.js";
+import { resolveTopicService } from "../category/categoryService.js";
+import { extractEntitiesService } from "../mention/mentionService.js";
+import { visibilityFilter, canViewPost } from "../../utils/postVisibility.js";
 
-export const createPostService = async (userId, postData) =>
-  Post.create({
+export const createPostService = async (userId, postData) => {
+  const topic = await resolveTopicService(postData.category, postData.subCategory);
+  const entities = await extractEntitiesService(postData.text);
+
+  return Post.create({
     creator: userId,
     ...postData,
+    ...topic,
+    ...entities,
+  });
+};
+
+/**
+ * Reposts `postId` for the user. Without text this is a plain repost, which
+ * shows the original as is and may exist once per user; with text it is a
+ * quote. Either way the new post takes the original's topic and the
+ * original's shareCount goes up. Reposting a plain repost shares what it
+ * points at. Only public posts can be shared.
+ */
+export const repostService = async (userId, postId, text, visibility = "public") => {
+  const target = await Post.findById(postId);
+  if (!target) throw new AppError("post not found", 404);
+
+  const original = target.kind === "repost" ? await Post.findById(target.repostOf) : target;
+  if (!original) throw new AppError("post not found", 404);
+  if (!canViewPost(original, null)) throw new AppError("only public posts can be reposted", 403);
+
+  const kind = text ? "quote" : "repost";
+  if (kind === "repost" && (await Post.exists({ repostOf: original._id, creator: userId, kind }))) {
+    throw new AppError("you have already reposted this post", 409);
+  }
+
+  const entities = text ? await extractEntitiesService(text) : { hashtags: original.hashtags, mentions: [] };
+
+  const post = await Post.create({
+    creator: userId,
+    kind,
+    repostOf: original._id,
+    text: text || "",
+    category: original.category,
+    subCategory: original.subCategory,
+    specific: original.specific,
+    visibility,
+    ...entities,
   });
 
-export const getPostService = async (postId) => {
+  await Post.updateOne({ _id: original._id }, { $inc: { shareCount: 1 } });
+
+  return post;
+};
+
+// Removes the user's plain repost of `postId`; quotes are deleted like any other post.
+export const undoRepostService = async (userId, postId) => {
+  const repost = await Post.findOneAndDelete({ repostOf: postId, creator: userId, kind: "repost" });
+  if (!repost) throw new AppError("you have not reposted this post", 404);
+
+  await Comment.deleteMany({ post: repost._id });
+  await Bookmark.deleteMany({ post: repost._id });
+  await Post.updateOne({ _id: repost.repostOf }, { $inc: { shareCount: -1 } });
+
+  return repost;
+};
+
+// Posts the viewer may not see are reported as missing so their existence does not leak.
+export const getPostService = async (postId, viewer = null) => {
   const post = await Post.findById(postId);
-  if (!post) throw new AppError("post not found", 404);
+  if (!post || !canViewPost(post, viewer)) throw new AppError("post not found", 404);
   return post;
 };
 
-export const getPostCommentsService = async (postId, page = 1, limit = 20) => {
+const COMMENT_ORDER = {
+  new: { createdAt: -1, _id: -1 },
+  old: { createdAt: 1, _id: 1 },
+};
+
+// likes / (ageHours + offset) ^ gravity, aged against `asOf` so every page of
+// one listing ranks against the same clock.
+const topCommentsPipeline = (match, asOf, skip, limit) => [
+  { $match: match },
+  {
+    $addFields: {
+      likeCount: { $size: "$likes" },
+      rankScore: {
+        $divide: [
+          { $size: "$likes" },
+          {
+            $pow: [
+              { $add: [{ $divide: [{ $subtract: [asOf, "$createdAt"] }, 60 * 60 * 1000] }, COMMENT_DECAY_OFFSET_HOURS] },
+              COMMENT_DECAY_GRAVITY,
+            ],
+          },
+        ],
+      },
+    },
+  },
+  { $sort: { rankScore: -1, createdAt: -1, _id: -1 } },
+  { $project: { revisions: 0 } },
+  { $skip: skip },
+  { $limit: limit },
+];
+
+export const getPostCommentsService = async (postId, page = 1, limit = 20, { sort = "new", asOf = new Date(), viewer = null } = {}) => {
+  if (!mongoose.isValidObjectId(postId)) throw new AppError(`Invalid postId: ${postId}`, 400);
+
+  const post = await Post.findById(postId, "creator visibility creatorActive");
+  if (!post || !canViewPost(post, viewer)) throw new AppError("post not found", 404);
+
   const skip = (page - 1) * limit;
 
-  const comments = await Comment.find({ post: postId }).sort({ createdAt: -1 }).skip(skip).limit(limit);
+  // Comments posted after the listing started are left out so later pages do not shift.
+  const match = { post: new mongoose.Types.ObjectId(postId), createdAt: { $lte: asOf } };
 
-  const total = await Comment.countDocuments({ post: postId });
+  const comments =
+    sort === "top"
+      ? await Comment.aggregate(topCommentsPipeline(match, asOf, skip, limit))
+      : await Comment.find(match).sort(COMMENT_ORDER[sort]).skip(skip).limit(limit);
+
+  const total = await Comment.countDocuments(match);
 
   return {
     comments,
     total,
     page,
     results: comments.length,
+    sort,
+    asOf: asOf.toISOString(),
   };
 };
 
-export const toggleLikeService = async (userId, postId) => {
-  const post = await Post.findById(postId, "likes");
-  if (!post) throw new AppError("Post not found", 404);
+export const getPostsByHashtagService = async (tag, page = 1, limit = 20, viewer = null) => {
+  const hashtag = tag.replace(/^#/, "").toLowerCase();
+  const skip = (page - 1) * limit;
+
+  // Plain reposts copy the original's tags but would only list it twice.
+  const filter = { hashtags: hashtag, kind: { $ne: "repost" }, ...visibilityFilter(viewer) };
+
+  const [posts, total] = await Promise.all([
+    Post.find(filter).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit),
+    Post.countDocuments(filter),
+  ]);
+
+  return { hashtag, posts, total, page, results: posts.length };
+};
+
+export const toggleLikeService = async (userId, postId, viewer = null) => {
+  const post = await Post.findById(postId, "likes creator visibility creatorActive");
+  if (!post || !canViewPost(post, viewer)) throw new AppError("Post not found", 404);
 
   const alreadyLiked = post.likes.includes(userId);
 
@@ -49,6 +173,45 @@ export const toggleLikeService = async (userId, postId) => {
   };
 };
 
+export const editPostService = async (userId, postId, edits) => {
+  const post = await Post.findById(postId).select("+revisions");
+  if (!post) throw new AppError("post not found", 404);
+
+  if (!userId.equals(post.creator)) {
+    throw new AppError("you don't have permission to do this action", 401);
+  }
+
+  // Visibility is a setting rather than content: changing it leaves no revision.
+  const { visibility, ...content } = edits;
+  if (visibility) post.visibility = visibility;
+
+  if (post.kind === "repost" && Object.keys(content).length) throw new AppError("reposts cannot be edited", 400);
+  if (post.kind === "quote" && content.category) throw new AppError("a quote keeps the category of the post it quotes", 400);
+
+  const updates = content.category ? { ...content, ...(await resolveTopicService(content.category, content.subCategory)) } : content;
+
+  const changed = EDITABLE_POST_FIELDS.filter((field) => updates[field] !== undefined && updates[field] !== post[field]);
+  if (!changed.length) {
+    if (post.isModified("visibility")) await post.save();
+    return post;
+  }
+
+  const editedAt = new Date();
+  const previous = Object.fromEntries(EDITABLE_POST_FIELDS.map((field) => [field, post[field]]));
+
+  post.revisions.push({ ...previous, editedAt });
+  if (post.revisions.length > MAX_REVISIONS) post.revisions.splice(0, post.revisions.length - MAX_REVISIONS);
+
+  changed.forEach((field) => {
+    post[field] = updates[field];
+  });
+  if (changed.includes("text")) Object.assign(post, await extractEntitiesService(post.text));
+  post.editedAt = editedAt;
+
+  await post.save();
+  return post;
+};
+
 export const deletePostService = async (userId, postId) => {
   const post = await Post.findById(postId);
   if (!post) throw new AppError("post not found", 404);
@@ -58,7 +221,16 @@ export const deletePostService = async (userId, postId) => {
   }
 
   await Comment.deleteMany({ post: post._id });
+  await Bookmark.deleteMany({ post: post._id });
 
   await Post.findByIdAndDelete(post._id);
-  return true;
+
+  if (post.repostOf) {
+    await Post.updateOne({ _id: post.repostOf }, { $inc: { shareCount: -1 } });
+  } else {
+    // Plain reposts have nothing of their own to show once the original is gone; quotes stay up.
+    await Post.deleteMany({ repostOf: post._id, kind: "repost" });
+  }
+
+  return post;
 };
@@ -0,0 +1,148 @@
+import mongoose from "mongoose";
+import Post from "../../models/postModel.js";
+import User from "../../models/userModel.js";
+import Comment from "../../models/commentModel.js";
+import AppError from "../../utils/appError.js";
+import { findCategoryByName } from "../category/categoryService.js";
+import { visibilityFilter, joinVisiblePost } from "../../utils/postVisibility.js";
+import { SEARCH_CATEGORY_BOOST, SEARCH_CREATOR_BOOST } from "../../constants/searchConstants.js";
+
+// Cursors are opaque to clients: the last hit's score and id, base64url encoded.
+export const encodeSearchCursor = (hit) =>
+  Buffer.from(JSON.stringify({ s: hit.searchScore, id: hit._id.toString() })).toString("base64url");
+
+export const decodeSearchCursor = (cursor) => {
+  try {
+    const { s, id } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (typeof s !== "number" || !mongoose.isValidObjectId(id)) throw new Error("malformed");
+    return { searchScore: s, _id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    throw new AppError("invalid search cursor", 400);
+  }
+};
+
+const boostIf = (condition, boost) => ({ $cond: [condition, boost, 0] });
+
+// Text score lifted by the user's interests, then keyset-paged on (searchScore, _id).
+const rankStages = (boosts, after, limit) => [
+  { $addFields: { searchScore: { $multiply: [{ $meta: "textScore" }, { $add: [1, ...boosts] }] } } },
+  ...(after
+    ? [{ $match: { $or: [{ searchScore: { $lt: after.searchScore } }, { searchScore: after.searchScore, _id: { $lt: after._id } }] } }]
+    : []),
+  { $sort: { searchScore: -1, _id: -1 } },
+  { $limit: limit + 1 },
+];
+
+const dateRange = ({ from, to }) => {
+  if (!from && !to) return {};
+  return { createdAt: { ...(from && { $gte: from }), ...(to && { $lte: to }) } };
+};
+
+const toPage = (hits, limit) => {
+  const items = hits.slice(0, limit);
+  return { items, nextCursor: hits.length > limit ? encodeSearchCursor(items[items.length - 1]) : null };
+};
+
+const searchPosts = async (q, filters, interests, limit, after) => {
+  const match = {
+    $text: { $search: q },
+    ...(filters.category && { category: filters.category }),
+    ...(filters.creator && { creator: filters.creator }),
+    ...dateRange(filters),
+    ...visibilityFilter(filters.viewer),
+  };
+
+  const hits = await Post.aggregate([
+    { $match: match },
+    ...rankStages(
+      [
+        boostIf({ $in: ["$category", interests.categories] }, SEARCH_CATEGORY_BOOST),
+        boostIf({ $in: ["$creator", interests.creators] }, SEARCH_CREATOR_BOOST),
+      ],
+      after,
+      limit,
+    ),
+    { $project: { revisions: 0 } },
+  ]);
+
+  return toPage(hits, limit);
+};
+
+const searchComments = async (q, filters, interests, limit, after) => {
+  const match = {
+    $text: { $search: q },
+    ...(filters.creator && { author: filters.creator }),
+    ...dateRange(filters),
+  };
+
+  const hits = await Comment.aggregate([
+    { $match: match },
+    // Comments are only as visible as the post they were left on.
+    ...joinVisiblePost(filters.viewer, { category: 1 }),
+    // ...and disappear with their author while the account is deactivated or being deleted.
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: "author",
+        foreignField: "_id",
+        as: "authorDoc",
+        pipeline: [{ $project: { active: 1 } }],
+      },
+    },
+    { $match: { authorDoc: { $ne: [] }, "authorDoc.active": { $ne: false } } },
+    { $set: { category: { $first: "$postDoc.category" } } },
+    ...(filters.category ? [{ $match: { category: filters.category } }] : []),
+    ...rankStages(
+      [
+        boostIf({ $in: ["$category", interests.categories] }, SEARCH_CATEGORY_BOOST),
+        boostIf({ $in: ["$author", interests.creators] }, SEARCH_CREATOR_BOOST),
+      ],
+      after,
+      limit,
+    ),
+    { $project: { postDoc: 0, authorDoc: 0, revisions: 0, replies: 0 } },
+  ]);
+
+  return toPage(hits, limit);
+};
+
+// Users are matched on names only; the category/creator/date filters do not apply.
+const searchUsers = async (q, filters, interests, limit, after) => {
+  const hits = await User.aggregate([
+    { $match: { $text: { $search: q }, active: { $ne: false } } },
+    ...rankStages([boostIf({ $in: ["$_id", interests.creators] }, SEARCH_CREATOR_BOOST)], after, limit),
+    { $project: { userName: 1, firstName: 1, lastName: 1, profilePicture: 1, bio: 1, searchScore: 1 } },
+  ]);
+
+  return toPage(hits, limit);
+};
+
+const SEARCHERS = { posts: searchPosts, users: searchUsers, comments: searchComments };
+
+/**
+ * Full-text search over post text, user names and comment text. Hits in the
+ * user's top categories or by their top creators rank higher. `type: "all"`
+ * returns the first page of every kind; paging with `cursor` needs one type.
+ */
+export const searchService = async (user, { q, type = "all", category, creator, from, to, limit, cursor }) => {
+  if (cursor && type === "all") throw new AppError("cursor can only be used when searching a single type", 400);
+
+  const filters = { creator: creator && new mongoose.Types.ObjectId(creator), from, to, viewer: user };
+  if (category) {
+    const doc = await findCategoryByName(category);
+    if (!doc) throw new AppError(`unknown category: ${category}`, 400);
+    filters.category = doc.category;
+  }
+
+  const interests = {
+    categories: (user.topInterests || []).map((c) => c.name),
+    creators: (user.creatorsInterests?.topCreators || []).map((c) => new mongoose.Types.ObjectId(c.creatorId.toString())),
+  };
+
+  const after = cursor ? decodeSearchCursor(cursor) : null;
+  const types = type === "all" ? Object.keys(SEARCHERS) : [type];
+
+  const pages = await Promise.all(types.map((t) => SEARCHERS[t](q, filters, interests, limit, after)));
+
+  return Object.fromEntries(types.map((t, i) => [t, pages[i]]));
+};
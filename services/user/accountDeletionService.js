@@ -0,0 +1,174 @@
+/* eslint-disable no-restricted-syntax, no-await-in-loop */
+import User from "../../models/userModel.js";
+import Post from "../../models/postModel.js";
+import Comment from "../../models/commentModel.js";
+import Bookmark from "../../models/bookmarkModel.js";
+import FeedCursor from "../../models/feedCursorModel.js";
+import RefreshToken from "../../models/refreshTokenModel.js";
+import LoginSession from "../../models/loginSessionModel.js";
+import UserInterestStats from "../../models/userInterestStatsModel.js";
+import CreatorStats from "../../models/creatorStatsModel.js";
+import AccountDeletion from "../../models/accountDeletionModel.js";
+import isEnabled from "../../utils/isRedisEnabled.js";
+import redis from "../../session/redisClient.js";
+import { getSessionData, clearSession } from "../../session/sessionHelpers.js";
+import { SESSION_LAST_ACCESS_ZSET } from "../../constants/sessionConstants.js";
+import { ACCOUNT_DELETION_BATCH_SIZE, ACCOUNT_DELETION_LOCK_MS, ACCOUNT_DELETION_MAX_ATTEMPTS } from "../../constants/accountConstants.js";
+
+// Every step only deletes or pulls what still points at the user, so running
+// one again after a crash is harmless.
+
+async function deleteAccount(userId) {
+  await User.deleteOne({ _id: userId });
+}
+
+// Nothing is merged: there is no profile left to learn into.
+async function endSessions(userId) {
+  if (isEnabled()) {
+    const sessionIds = await redis.zrange(SESSION_LAST_ACCESS_ZSET, 0, -1);
+    for (const sessionId of sessionIds) {
+      const sessionData = await getSessionData(sessionId);
+      if (sessionData?.userId === userId.toString()) await clearSession(sessionId);
+    }
+  }
+
+  await RefreshToken.deleteMany({ user: userId });
+  await LoginSession.deleteMany({ user: userId });
+}
+
+// Same cascade as deleting a single post: its comments, bookmarks and plain
+// reposts go with it, quotes stay up, and reposted originals lose a share.
+async function deletePosts(userId) {
+  for (;;) {
+    const posts = await Post.find({ creator: userId }, "repostOf").limit(ACCOUNT_DELETION_BATCH_SIZE).lean();
+    if (!posts.length) return;
+
+    const ids = posts.map((p) => p._id);
+    await Comment.deleteMany({ post: { $in: ids } });
+    await Bookmark.deleteMany({ post: { $in: ids } });
+    await Post.deleteMany({ repostOf: { $in: ids }, kind: "repost" });
+    await Post.deleteMany({ _id: { $in: ids } });
+
+    const shares = posts.filter((p) => p.repostOf);
+    if (shares.length) {
+      await Post.bulkWrite(shares.map((p) => ({ updateOne: { filter: { _id: p.repostOf }, update: { $inc: { shareCount: -1 } } } })));
+    }
+  }
+}
+
+// Comments left on other users' posts, with the replies under them, then the user's replies elsewhere.
+async function deleteComments(userId) {
+  for (;;) {
+    const comments = await Comment.find({ author: userId }, "_id").limit(ACCOUNT_DELETION_BATCH_SIZE).lean();
+    if (!comments.length) break;
+
+    const ids = comments.map((c) => c._id);
+    await Post.updateMany({ comments: { $in: ids } }, { $pull: { comments: { $in: ids } } });
+    await Comment.deleteMany({ _id: { $in: ids } });
+  }
+
+  await Comment.updateMany({ "replies.author": userId }, { $pull: { replies: { author: userId } } });
+}
+
+async function pullLikesAndMentions(userId) {
+  await Post.updateMany({ $or: [{ likes: userId }, { mentions: userId }] }, { $pull: { likes: userId, mentions: userId } });
+  await Comment.updateMany({ $or: [{ likes: userId }, { mentions: userId }] }, { $pull: { likes: userId, mentions: userId } });
+  await Comment.updateMany(
+    { $or: [{ "replies.likes": userId }, { "replies.mentions": userId }] },
+    { $pull: { "replies.$[].likes": userId, "replies.$[].mentions": userId } },
+  );
+}
+
+// Other profiles: follow lists, creator interest pools and hideCreator feedback.
+async function pullFromProfiles(userId) {
+  const asCreator = { creatorId: userId };
+
+  await User.updateMany(
+    {
+      $or: [
+        { followers: userId },
+        { "following.userId": userId },
+        { "creatorsInterests.topCreators.creatorId": userId },
+        { "creatorsInterests.risingCreators.creatorId": userId },
+        { "creatorsInterests.skippedCreatorsPool.creatorId": userId },
+        { "creatorsInterests.watchedCreatorsPool.creatorId": userId },
+        { "feedback.creator": userId },
+      ],
+    },
+    {
+      $pull: {
+        followers: userId,
+        following: { userId },
+        "creatorsInterests.topCreators": asCreator,
+        "creatorsInterests.risingCreators": asCreator,
+        "creatorsInterests.skippedCreatorsPool": asCreator,
+        "creatorsInterests.watchedCreatorsPool": asCreator,
+        feedback: { creator: userId },
+      },
+    },
+  );
+}
+
+async function deleteOwnData(userId) {
+  await UserInterestStats.deleteMany({ userId });
+  await CreatorStats.deleteMany({ creatorId: userId });
+  await Bookmark.deleteMany({ user: userId });
+  await FeedCursor.deleteMany({ userId });
+}
+
+const STEPS = [
+  ["account", deleteAccount],
+  ["sessions", endSessions],
+  ["posts", deletePosts],
+  ["comments", deleteComments],
+  ["likes and mentions", pullLikesAndMentions],
+  ["profiles", pullFromProfiles],
+  ["own data", deleteOwnData],
+];
+
+/**
+ * Runs the remaining steps of one deletion job, saving progress after each.
+ * On failure the job keeps its lock, so it is retried once the lock runs out
+ * and not straight away; after ACCOUNT_DELETION_MAX_ATTEMPTS it is marked failed.
+ */
+export async function runAccountDeletion(job) {
+  let { step } = job;
+
+  try {
+    for (; step < STEPS.length; step += 1) {
+      await STEPS[step][1](job.user);
+      await AccountDeletion.updateOne({ _id: job._id }, { step: step + 1 });
+    }
+
+    await AccountDeletion.updateOne({ _id: job._id }, { status: "done", finishedAt: new Date(), lockedUntil: null, lastError: null });
+  } catch (err) {
+    console.error(`[accountDeletion] user=${job.user} failed at step "${STEPS[step][0]}":`, err);
+
+    await AccountDeletion.updateOne(
+      { _id: job._id },
+      { lastError: err.message, ...(job.attempts >= ACCOUNT_DELETION_MAX_ATTEMPTS && { status: "failed" }) },
+    );
+  }
+}
+
+const claimNextJob = () => {
+  const now = new Date();
+
+  return AccountDeletion.findOneAndUpdate(
+    { status: "pending", $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }] },
+    { lockedUntil: new Date(now.getTime() + ACCOUNT_DELETION_LOCK_MS), $inc: { attempts: 1 } },
+    { new: true, sort: { createdAt: 1 } },
+  );
+};
+
+// Works through every deletion job that is due; returns how many it ran.
+export async function processAccountDeletions() {
+  let ran = 0;
+
+  for (let job = await claimNextJob(); job; job = await claimNextJob()) {
+    await runAccountDeletion(job);
+    ran += 1;
+  }
+
+  return ran;
+}
@@ -1,27 +1,10 @@
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
 import User from "../../models/userModel.js";
 import Post from "../../models/postModel.js";
+import AccountDeletion from "../../models/accountDeletionModel.js";
 import AppError from "../../utils/appError.js";
-
-export const signToken = (userId) =>
-  jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
-  });
-
-export const createSendToken = (user, statusCode, res) => {
-  const token = signToken(user._id);
-  const cookieOptions = {
-    expires: new Date(Date.now() + process.env.JWT_COOKIE_EXPIRES_IN * 24 * 60 * 60 * 1000),
-    httpOnly: true,
-  };
-  res.cookie("jwt", token, cookieOptions);
-  res.status(statusCode).json({
-    status: "success",
-    token,
-    data: { user },
-  });
-};
+import { visibilityFilter } from "../../utils/postVisibility.js";
+import { revokeAllTokensService } from "../auth/tokenService.js";
 
 export const followUnFollowService = async (userId, targetId) => {
   const to = await User.findById(targetId);
@@ -52,12 +35,15 @@ export const followUnFollowService = async (userId, targetId) => {
   return { to, action };
 };
 
-export const getUserPostsService = async (userId, page = 1, limit = 15) => {
+export const getUserPostsService = async (userId, page = 1, limit = 15, viewer = null) => {
   const user = await User.findById(userId);
   if (!user) throw new AppError("User not found", 404);
 
   const skip = (page - 1) * limit;
-  const posts = await Post.find({ creator: userId }).sort({ createdAt: -1 }).skip(skip).limit(limit);
+  const posts = await Post.find({ creator: userId, ...visibilityFilter(viewer) })
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
 
   return { posts, page, results: posts.length };
 };
@@ -86,6 +72,41 @@ export const updateMyPasswordService = async (userId, currentPassword, newPasswo
   user.password = newPassword;
   user.passwordConfirm = newPasswordConfirm;
   await user.save();
+  await revokeAllTokensService(user._id);
 
   return user;
 };
+
+/**
+ * Hides the profile and posts and logs out every device. Nothing is deleted:
+ * logging in again reactivates the account. Tokens go first, while the
+ * profile can still take in what the open sessions learned.
+ */
+export const deactivateMeService = async (userId) => {
+  await revokeAllTokensService(userId);
+  await User.updateOne({ _id: userId }, { active: false });
+  await Post.updateMany({ creator: userId }, { creatorActive: false });
+};
+
+export const reactivateAccountService = async (userId) => {
+  await User.updateOne({ _id: userId, active: false }, { active: true });
+  await Post.updateMany({ creator: userId, creatorActive: false }, { creatorActive: true });
+};
+
+/**
+ * Deletes the account for good. The profile is removed and its posts hidden
+ * right away; everything else that points at the user is cleaned up by the
+ * account deletion job (services/user/accountDeletionService.js).
+ */
+export const deleteMeService = async (userId, password) => {
+  const user = await User.findById(userId).select("+password");
+  if (!user) throw new AppError("User not found", 404);
+
+  const isMatch = await bcrypt.compare(password, user.password);
+  if (!isMatch) throw new AppError("Your password is incorrect", 400);
+
+  // The job is queued first so a failure below still leaves it to finish the deletion.
+  await AccountDeletion.updateOne({ user: userId }, { $setOnInsert: { user: userId } }, { upsert: true });
+  await Post.updateMany({ creator: userId }, { creatorActive: false });
+  await User.deleteOne({ _id: userId });
+};
@@ -9,6 +9,7 @@ import {
   SPECIFIC_MAX,
   TOP_CREATOR_MAX,
   RISING_CREATOR_MAX,
+  HASHTAG_MAX,
 } from "../constants/constants.js";
 import { SESSION_BLEND_ALPHA, HARSKIP_THRESHOLD, WATCHED_THRESHOLD, REENTRY_DELAY_MS } from "../constants/sessionConstants.js";
 import { findOrInitNode, insertIntoPools } from "../utils/nodeHelpers.js";
@@ -60,6 +61,7 @@ async function mergeSessionIntoUser(userId, sessionId) {
   const sessionWatchedCreators = session.watchedCreators || [];
   const sessionSkippedCreators = session.skippedCreators || [];
   const sessionFollowedCreators = session.followedCreators || [];
+  const sessionHashtags = session.hashtagInterests || [];
 
   for (const cat of [...sessionTopCategories, ...sessionRisingCategories]) {
     const persistentCat = findOrInitNode(
@@ -77,7 +79,7 @@ async function mergeSessionIntoUser(userId, sessionId) {
       { key: "name" },
     );
 
-    persistentCat.score = blendScores(persistentCat.score, cat.score, SESSION_BLEND_ALPHA);
+    persistentCat.score = blendScores(SESSION_BLEND_ALPHA, persistentCat.score, cat.score);
     persistentCat.lastUpdated = Date.now();
 
     insertIntoPools(user.topInterests, user.risingInterests, TOP_CAT_MAX, RISING_CAT_MAX, persistentCat, { key: "name" });
@@ -102,7 +104,7 @@ async function mergeSessionIntoUser(userId, sessionId) {
         },
         { key: "name" },
       );
-      persistentSub.score = blendScores(persistentSub.score, sub.score, SESSION_BLEND_ALPHA);
+      persistentSub.score = blendScores(SESSION_BLEND_ALPHA, persistentSub.score, sub.score);
       persistentSub.lastUpdated = Date.now();
 
       insertIntoPools(liveCat.topSubs, liveCat.risingSubs, TOP_SUB_MAX, RISING_SUB_MAX, persistentSub, { key: "name" });
@@ -125,7 +127,7 @@ async function mergeSessionIntoUser(userId, sessionId) {
           },
           { key: "name" },
         );
-        persistentSpec.score = blendScores(persistentSpec.score, sp.score, SESSION_BLEND_ALPHA);
+        persistentSpec.score = blendScores(SESSION_BLEND_ALPHA, persistentSpec.score, sp.score);
         persistentSpec.lastUpdated = Date.now();
 
         insertIntoPools(liveSub.specific, [], SPECIFIC_MAX, 0, persistentSpec, {
@@ -135,6 +137,15 @@ async function mergeSessionIntoUser(userId, sessionId) {
     }
   }
 
+  for (const tag of sessionHashtags) {
+    const persistentTag = findOrInitNode(user.hashtagInterests, [], tag.name, { name: tag.name, score: 0 }, { key: "name" });
+
+    persistentTag.score = blendScores(SESSION_BLEND_ALPHA, persistentTag.score, tag.score);
+    persistentTag.lastUpdated = Date.now();
+
+    insertIntoPools(user.hashtagInterests, [], HASHTAG_MAX, 0, persistentTag, { key: "name" });
+  }
+
   const ci = user.creatorsInterests;
   const dbTop = ci.topCreators;
   const dbRise = ci.risingCreators;
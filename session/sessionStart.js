@@ -62,6 +62,12 @@ async function startSession(userId, sessionId, UserModel) {
     })),
   }));
 
+  sessionData.hashtagInterests = (user.hashtagInterests || []).map((tag) => ({
+    name: tag.name,
+    score: tag.score,
+    lastUpdated: tag.lastUpdated?.getTime() || Date.now(),
+  }));
+
   sessionData.topCreators = (user.creatorsInterests.topCreators || []).map((c) => ({
     creatorId: c.creatorId.toString(),
     score: c.score,
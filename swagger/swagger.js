@@ -128,6 +128,14 @@ const options = {
         name: "Engagement",
         description: "Recording user engagement and skip actions.",
       },
+      {
+        name: "Categories",
+        description: "Browsing and administering the category taxonomy.",
+      },
+      {
+        name: "Search",
+        description: "Full-text search over posts, users and comments.",
+      },
     ],
   },
   apis: ["./routes/*.js", "./swagger/schemas/*.yaml", "./swagger/paths/*.yaml"],
@@ -3,11 +3,17 @@ import jwt from "jsonwebtoken";
 import sinon from "sinon";
 import app from "../../app.js";
 import { insertUser } from "../utils/mockData.js";
+import User from "../../models/userModel.js";
+import mailer from "../../services/mail/mailer.js";
 // import * as redisFlag from "../../utils/isRedisEnabled.js";
 
 describe("Auth Controller Integration", () => {
   describe("POST /api/v1/user/signup", () => {
+    afterEach(() => sinon.restore());
+
     it("signs up a new user and returns token + cookie", async () => {
+      const send = sinon.stub(mailer, "send").resolves();
+
       const res = await request(app)
         .post("/api/v1/user/signup")
         .send({
@@ -22,6 +28,25 @@ describe("Auth Controller Integration", () => {
 
       expect(res.body).to.have.property("token");
       expect(res.headers["set-cookie"]).to.satisfy((cookies) => cookies.some((c) => c.startsWith("jwt=")));
+      expect(res.body.data.user.isVerified).to.equal(false);
+      expect(send.firstCall.args[0]).to.include({ to: "test@email.com" });
+    });
+
+    it("still signs the user up when the verification email fails", async () => {
+      sinon.stub(mailer, "send").rejects(new Error("smtp down"));
+      sinon.stub(console, "error");
+
+      await request(app)
+        .post("/api/v1/user/signup")
+        .send({
+          firstName: "test",
+          lastName: "user",
+          userName: "testuser",
+          email: "test@email.com",
+          password: "password123",
+          passwordConfirm: "password123",
+        })
+        .expect(201);
     });
 
     it("rejects invalid payload", async () => {
@@ -61,6 +86,159 @@ describe("Auth Controller Integration", () => {
     });
   });
 
+  describe("refresh tokens", () => {
+    let user;
+    let passwordPlain;
+
+    const login = async () =>
+      (await request(app).post("/api/v1/user/login").send({ email: user.email, password: passwordPlain }).expect(200)).body;
+    const refresh = (refreshToken) => request(app).post("/api/v1/user/refresh").send({ refreshToken });
+
+    beforeEach(async () => {
+      ({ user, passwordPlain } = await insertUser());
+    });
+
+    it("returns a refresh token with the login and sets it as a cookie", async () => {
+      const res = await request(app).post("/api/v1/user/login").send({ email: user.email, password: passwordPlain }).expect(200);
+
+      expect(res.body.refreshToken).to.be.a("string");
+      expect(res.headers["set-cookie"]).to.satisfy((cookies) => cookies.some((c) => c.startsWith("refreshToken=")));
+    });
+
+    it("rotates the refresh token on every use", async () => {
+      const first = await login();
+
+      const res = await refresh(first.refreshToken).expect(200);
+
+      expect(res.body.refreshToken).to.not.equal(first.refreshToken);
+      await request(app).get("/api/v1/user/me").set("Authorization", `Bearer ${res.body.token}`).expect(200);
+    });
+
+    it("kills the whole family when a spent refresh token is reused", async () => {
+      const first = await login();
+      const second = (await refresh(first.refreshToken).expect(200)).body;
+
+      await refresh(first.refreshToken).expect(401);
+
+      await refresh(second.refreshToken).expect(401);
+      await request(app).get("/api/v1/user/me").set("Authorization", `Bearer ${second.token}`).expect(401);
+    });
+
+    it("revokes the access and refresh token on logout", async () => {
+      const { token, refreshToken } = await login();
+
+      await request(app).get("/api/v1/user/logout").set("Authorization", `Bearer ${token}`).expect(200);
+
+      await request(app).get("/api/v1/user/me").set("Authorization", `Bearer ${token}`).expect(401);
+      await refresh(refreshToken).expect(401);
+    });
+
+    it("logs out every login with logoutAll", async () => {
+      const phone = await login();
+      const laptop = await login();
+
+      await request(app).post("/api/v1/user/logoutAll").set("Authorization", `Bearer ${laptop.token}`).expect(200);
+
+      await request(app).get("/api/v1/user/me").set("Authorization", `Bearer ${phone.token}`).expect(401);
+      await refresh(phone.refreshToken).expect(401);
+      await refresh(laptop.refreshToken).expect(401);
+    });
+  });
+
+  describe("password reset", () => {
+    let user;
+    let send;
+
+    const requestReset = async () => {
+      await request(app).post("/api/v1/user/forgotPassword").send({ email: user.email }).expect(200);
+      return send.lastCall.args[0].text.match(/resetPassword\/([0-9a-f]+)/)[1];
+    };
+
+    beforeEach(async () => {
+      ({ user } = await insertUser());
+      send = sinon.stub(mailer, "send").resolves();
+    });
+
+    afterEach(() => sinon.restore());
+
+    it("answers the same way for unknown emails without sending mail", async () => {
+      const res = await request(app).post("/api/v1/user/forgotPassword").send({ email: "nobody@email.com" }).expect(200);
+
+      expect(res.body.message).to.match(/if an account uses this email/);
+      sinon.assert.notCalled(send);
+    });
+
+    it("resets the password once and invalidates tokens issued before", async () => {
+      const oldToken = jwt.sign({ id: user._id, iat: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET || "secret");
+      const resetToken = await requestReset();
+
+      const res = await request(app)
+        .patch(`/api/v1/user/resetPassword/${resetToken}`)
+        .send({ password: "brandnew123", passwordConfirm: "brandnew123" })
+        .expect(200);
+
+      expect(res.body).to.have.property("token");
+      await request(app).get("/api/v1/user/me").set("Authorization", `Bearer ${oldToken}`).expect(401);
+      await request(app).post("/api/v1/user/login").send({ email: user.email, password: "brandnew123" }).expect(200);
+      await request(app)
+        .patch(`/api/v1/user/resetPassword/${resetToken}`)
+        .send({ password: "another123", passwordConfirm: "another123" })
+        .expect(400);
+    });
+
+    it("rejects a mismatched confirmation", async () => {
+      const resetToken = await requestReset();
+
+      await request(app)
+        .patch(`/api/v1/user/resetPassword/${resetToken}`)
+        .send({ password: "brandnew123", passwordConfirm: "different123" })
+        .expect(400);
+    });
+  });
+
+  describe("email verification", () => {
+    let user;
+    let token;
+    let send;
+
+    const verificationLink = () => send.lastCall.args[0].text.match(/verifyEmail\/([0-9a-f]+)/)[1];
+
+    beforeEach(async () => {
+      ({ user } = await insertUser({ isVerified: false }));
+      token = jwt.sign({ id: user._id }, process.env.JWT_SECRET || "secret");
+      send = sinon.stub(mailer, "send").resolves();
+    });
+
+    afterEach(() => {
+      sinon.restore();
+      delete process.env.UNVERIFIED_BLOCKED_ACTIONS;
+    });
+
+    it("blocks posting until the email is verified", async () => {
+      const res = await request(app).post("/api/v1/post").set("Authorization", `Bearer ${token}`).send({ text: "Hi" }).expect(403);
+
+      expect(res.body.message).to.match(/verify your email/);
+    });
+
+    it("follows UNVERIFIED_BLOCKED_ACTIONS", async () => {
+      process.env.UNVERIFIED_BLOCKED_ACTIONS = "";
+
+      // Past the verification check the request fails validation instead.
+      await request(app).post("/api/v1/post").set("Authorization", `Bearer ${token}`).send({}).expect(400);
+    });
+
+    it("verifies the email with the resent link, once", async () => {
+      await request(app).post("/api/v1/user/resendVerificationEmail").set("Authorization", `Bearer ${token}`).expect(200);
+      const link = verificationLink();
+
+      await request(app).get(`/api/v1/user/verifyEmail/${link}`).expect(200);
+
+      expect((await User.findById(user._id)).isVerified).to.be.true;
+      await request(app).get(`/api/v1/user/verifyEmail/${link}`).expect(400);
+      await request(app).post("/api/v1/user/resendVerificationEmail").set("Authorization", `Bearer ${token}`).expect(400);
+    });
+  });
+
   describe("Protect Middleware", () => {
     let token;
     beforeEach(async () => {
@@ -1,8 +1,21 @@
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 import sinon from "sinon";
 import User from "../../models/userModel.js";
+import Post from "../../models/postModel.js";
+import RefreshToken from "../../models/refreshTokenModel.js";
+import RevokedToken from "../../models/revokedTokenModel.js";
 import AppError from "../../utils/appError.js";
-import { signUpService, loginUserService, verifyTokenService } from "../../services/auth/authService.js";
+import mailer from "../../services/mail/mailer.js";
+import {
+  signUpService,
+  loginUserService,
+  verifyTokenService,
+  forgotPasswordService,
+  resetPasswordService,
+  sendVerificationEmailService,
+  verifyEmailService,
+} from "../../services/auth/authService.js";
 
 describe("Auth Service Unit Tests", () => {
   afterEach(() => {
@@ -51,7 +64,7 @@ describe("Auth Service Unit Tests", () => {
     it("logs in by userName", async () => {
       sinon
         .stub(User, "findOne")
-        .withArgs({ userName: "u" })
+        .withArgs({ userName: "u", active: { $in: [true, false] } })
         .returns({ select: () => Promise.resolve(fakeUser) });
       fakeUser.comparePassword.resolves(true);
 
@@ -64,7 +77,7 @@ describe("Auth Service Unit Tests", () => {
     it("logs in by email", async () => {
       sinon
         .stub(User, "findOne")
-        .withArgs({ email: "u@email.com" })
+        .withArgs({ email: "u@email.com", active: { $in: [true, false] } })
         .returns({ select: () => Promise.resolve(fakeUser) });
       fakeUser.comparePassword.resolves(true);
 
@@ -77,6 +90,20 @@ describe("Auth Service Unit Tests", () => {
       expect(fakeUser.comparePassword.calledOnceWith("p")).to.be.true;
     });
 
+    it("reactivates a deactivated account and its posts", async () => {
+      fakeUser.active = false;
+      sinon.stub(User, "findOne").returns({ select: () => Promise.resolve(fakeUser) });
+      fakeUser.comparePassword.resolves(true);
+      const activate = sinon.stub(User, "updateOne").resolves();
+      const showPosts = sinon.stub(Post, "updateMany").resolves();
+
+      const result = await loginUserService({ email: "u@email.com", password: "p" });
+
+      sinon.assert.calledOnceWithExactly(activate, { _id: "1", active: false }, { active: true });
+      sinon.assert.calledOnceWithExactly(showPosts, { creator: "1", creatorActive: false }, { creatorActive: true });
+      expect(result.active).to.be.undefined;
+    });
+
     it("throws on missing user", async () => {
       sinon.stub(User, "findOne").returns({ select: () => Promise.resolve(null) });
 
@@ -127,5 +154,139 @@ describe("Auth Service Unit Tests", () => {
 
       await expect(verifyTokenService("tok")).to.be.rejectedWith(AppError, /changed password/);
     });
+
+    it("throws if the token or its login was revoked", async () => {
+      verifyStub.callsFake((token, secret, cb) => cb(null, { id: "u", iat: 1, jti: "j1", fam: "f1" }));
+      sinon.stub(User, "findById").resolves({ _id: "u", changedPasswordAfter: () => false });
+      const exists = sinon.stub(RevokedToken, "exists").resolves({ _id: "r1" });
+
+      await expect(verifyTokenService("tok")).to.be.rejectedWith(AppError, /revoked/);
+      expect(exists.firstCall.args[0].key).to.deep.equal({ $in: ["revoked:jti:j1", "revoked:fam:f1"] });
+    });
+  });
+
+  describe("forgotPasswordService", () => {
+    const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+    let fakeUser;
+
+    beforeEach(() => {
+      fakeUser = { email: "u@email.com", firstName: "u", save: sinon.stub().resolves() };
+    });
+
+    it("stores only the hash of the token it mails, with an expiry", async () => {
+      sinon.stub(User, "findOne").withArgs({ email: "u@email.com" }).resolves(fakeUser);
+      const send = sinon.stub(mailer, "send").resolves();
+      const buildURL = sinon.stub().callsFake((token) => `http://localhost/reset/${token}`);
+
+      await forgotPasswordService("u@email.com", buildURL);
+
+      const [token] = buildURL.firstCall.args;
+      expect(token).to.match(/^[0-9a-f]{64}$/);
+      expect(fakeUser.passwordResetToken).to.equal(sha256(token));
+      expect(fakeUser.passwordResetExpires.getTime()).to.be.greaterThan(Date.now());
+      expect(send.firstCall.args[0]).to.include({ to: "u@email.com" });
+      expect(send.firstCall.args[0].text).to.include(`http://localhost/reset/${token}`);
+    });
+
+    it("does nothing for an unknown email", async () => {
+      sinon.stub(User, "findOne").resolves(null);
+      const send = sinon.stub(mailer, "send");
+
+      await forgotPasswordService("nobody@email.com", () => "url");
+
+      sinon.assert.notCalled(send);
+    });
+
+    it("clears the token again when the email cannot be sent", async () => {
+      sinon.stub(User, "findOne").resolves(fakeUser);
+      sinon.stub(mailer, "send").rejects(new Error("smtp down"));
+      sinon.stub(console, "error");
+
+      await expect(forgotPasswordService("u@email.com", () => "url")).to.be.rejectedWith(AppError, /error sending the email/);
+
+      expect(fakeUser.passwordResetToken).to.equal(undefined);
+      expect(fakeUser.passwordResetExpires).to.equal(undefined);
+      sinon.assert.calledTwice(fakeUser.save);
+    });
+  });
+
+  describe("resetPasswordService", () => {
+    it("looks the user up by token hash and unexpired, then sets the password and burns the token", async () => {
+      const fakeUser = { _id: "u1", passwordResetToken: "hash", passwordResetExpires: new Date(), save: sinon.stub().resolves() };
+      const findOne = sinon.stub(User, "findOne").resolves(fakeUser);
+      const families = sinon.stub(RefreshToken, "distinct").resolves([]);
+
+      const result = await resetPasswordService("raw-token", "newpassword", "newpassword");
+
+      const filter = findOne.firstCall.args[0];
+      expect(filter.passwordResetToken).to.equal(crypto.createHash("sha256").update("raw-token").digest("hex"));
+      expect(filter.passwordResetExpires.$gt).to.be.instanceOf(Date);
+      expect(result).to.include({ passwordConfirm: "newpassword", passwordResetToken: undefined, passwordResetExpires: undefined });
+      expect(result.password).to.equal(undefined);
+      sinon.assert.calledOnce(fakeUser.save);
+      sinon.assert.calledWith(families, "family", { user: "u1", revokedAt: null });
+    });
+
+    it("rejects an unknown, used or expired token", async () => {
+      sinon.stub(User, "findOne").resolves(null);
+
+      await expect(resetPasswordService("raw-token", "newpassword", "newpassword")).to.be.rejectedWith(AppError, /invalid or has expired/);
+    });
+
+    it("makes tokens issued before the reset fail changedPasswordAfter", () => {
+      const issuedAt = Math.floor(Date.now() / 1000) - 60;
+      const user = new User({ passwordChangedAt: new Date() });
+
+      expect(user.changedPasswordAfter(issuedAt)).to.be.true;
+      expect(user.changedPasswordAfter(issuedAt + 120)).to.be.false;
+    });
+  });
+
+  describe("sendVerificationEmailService", () => {
+    const user = { _id: "u1", email: "u@email.com", firstName: "u", isVerified: false };
+
+    it("stores a hashed, expiring token and mails the link", async () => {
+      const update = sinon.stub(User, "updateOne").resolves();
+      const send = sinon.stub(mailer, "send").resolves();
+      const buildURL = sinon.stub().callsFake((token) => `http://localhost/verify/${token}`);
+
+      await sendVerificationEmailService(user, buildURL);
+
+      const [token] = buildURL.firstCall.args;
+      const [filter, fields] = update.firstCall.args;
+      expect(filter).to.deep.equal({ _id: "u1" });
+      expect(fields.emailVerificationToken).to.equal(crypto.createHash("sha256").update(token).digest("hex"));
+      expect(fields.emailVerificationExpires.getTime()).to.be.greaterThan(Date.now());
+      expect(send.firstCall.args[0].text).to.include(`http://localhost/verify/${token}`);
+    });
+
+    it("refuses when the email is already verified", async () => {
+      const update = sinon.stub(User, "updateOne");
+
+      await expect(sendVerificationEmailService({ ...user, isVerified: true }, () => "url")).to.be.rejectedWith(
+        AppError,
+        /already verified/,
+      );
+      sinon.assert.notCalled(update);
+    });
+  });
+
+  describe("verifyEmailService", () => {
+    it("marks the account verified and burns the token", async () => {
+      const fakeUser = { isVerified: false, emailVerificationToken: "hash", save: sinon.stub().resolves() };
+      const findOne = sinon.stub(User, "findOne").resolves(fakeUser);
+
+      await verifyEmailService("raw-token");
+
+      expect(findOne.firstCall.args[0].emailVerificationToken).to.equal(crypto.createHash("sha256").update("raw-token").digest("hex"));
+      expect(fakeUser).to.include({ isVerified: true, emailVerificationToken: undefined, emailVerificationExpires: undefined });
+      sinon.assert.calledOnce(fakeUser.save);
+    });
+
+    it("rejects an unknown or expired token", async () => {
+      sinon.stub(User, "findOne").resolves(null);
+
+      await expect(verifyEmailService("raw-token")).to.be.rejectedWith(AppError, /invalid or has expired/);
+    });
   });
 });
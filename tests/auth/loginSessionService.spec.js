@@ -0,0 +1,47 @@
+import sinon from "sinon";
+import mongoose from "mongoose";
+
+import LoginSession from "../../models/loginSessionModel.js";
+import { deviceOf, endLoginService, listLoginSessionsService } from "../../services/auth/loginSessionService.js";
+
+describe("Login Session Service Unit Tests", () => {
+  afterEach(() => sinon.restore());
+
+  const userId = new mongoose.Types.ObjectId();
+
+  describe("deviceOf", () => {
+    it("reads the user agent and ip of the request", () => {
+      const req = { ip: "10.0.0.1", get: (name) => (name === "user-agent" ? "Firefox" : undefined) };
+
+      expect(deviceOf(req)).to.deep.equal({ userAgent: "Firefox", ip: "10.0.0.1" });
+      expect(deviceOf(undefined)).to.deep.equal({ userAgent: "", ip: "" });
+    });
+  });
+
+  describe("endLoginService", () => {
+    it("marks the login revoked", async () => {
+      const end = sinon.stub(LoginSession, "findOneAndUpdate").resolves({ user: userId, sid: "sid-1" });
+
+      await endLoginService("fam-1");
+
+      sinon.assert.calledWithMatch(end, { family: "fam-1", revokedAt: null }, { revokedAt: sinon.match.date });
+    });
+  });
+
+  describe("listLoginSessionsService", () => {
+    it("lists live logins most recent first and flags the current one", async () => {
+      const older = { _id: "a", family: "fam-1", userAgent: "Firefox", ip: "1.1.1.1", lastAccessAt: new Date(1000), sid: "s1" };
+      const newer = { _id: "b", family: "fam-2", userAgent: "Safari", ip: "2.2.2.2", lastAccessAt: new Date(2000), sid: null };
+      const find = sinon.stub(LoginSession, "find").returns({ lean: sinon.stub().resolves([older, newer]) });
+
+      const sessions = await listLoginSessionsService(userId, "fam-1");
+
+      expect(find.firstCall.args[0]).to.include({ user: userId, revokedAt: null });
+      expect(sessions.map((s) => [s._id, s.current])).to.deep.equal([
+        ["b", false],
+        ["a", true],
+      ]);
+      expect(sessions[0]).to.not.have.any.keys("family", "sid");
+    });
+  });
+});
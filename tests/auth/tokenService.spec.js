@@ -0,0 +1,200 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import sinon from "sinon";
+import mongoose from "mongoose";
+
+import User from "../../models/userModel.js";
+import RefreshToken from "../../models/refreshTokenModel.js";
+import RevokedToken from "../../models/revokedTokenModel.js";
+import LoginSession from "../../models/loginSessionModel.js";
+import AppError from "../../utils/appError.js";
+import {
+  issueTokensService,
+  rotateRefreshTokenService,
+  logoutService,
+  revokeAllTokensService,
+  revokeLoginSessionService,
+  isAccessTokenRevoked,
+} from "../../services/auth/tokenService.js";
+import { ACCESS_TOKEN_TTL_SECONDS } from "../../constants/authConstants.js";
+
+describe("Token Service Unit Tests", () => {
+  before(() => {
+    process.env.JWT_SECRET ||= "secret";
+  });
+
+  beforeEach(() => {
+    sinon.stub(LoginSession, "findOneAndUpdate").resolves(null);
+  });
+
+  afterEach(() => sinon.restore());
+
+  const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+  const userId = new mongoose.Types.ObjectId();
+
+  describe("issueTokensService", () => {
+    it("stores only the refresh token's hash and ties the access token to the family", async () => {
+      const create = sinon.stub(RefreshToken, "create").resolves();
+      sinon.stub(LoginSession, "updateOne").resolves();
+
+      const { accessToken, refreshToken } = await issueTokensService(userId, "fam-1");
+
+      const stored = create.firstCall.args[0];
+      expect(stored).to.include({ tokenHash: sha256(refreshToken), user: userId, family: "fam-1" });
+      expect(stored.expiresAt.getTime()).to.be.greaterThan(Date.now());
+
+      const claims = jwt.decode(accessToken);
+      expect(claims).to.include({ id: userId.toString(), fam: "fam-1" });
+      expect(claims.jti).to.be.a("string");
+      expect(claims.exp - claims.iat).to.equal(ACCESS_TOKEN_TTL_SECONDS);
+    });
+
+    it("starts a new family for a fresh login", async () => {
+      const create = sinon.stub(RefreshToken, "create").resolves();
+      sinon.stub(LoginSession, "create").resolves();
+
+      await issueTokensService(userId);
+      await issueTokensService(userId);
+
+      expect(create.firstCall.args[0].family).to.not.equal(create.secondCall.args[0].family);
+    });
+
+    it("records the device of a fresh login, and only touches it on refresh", async () => {
+      const family = sinon.stub(RefreshToken, "create").resolves();
+      const record = sinon.stub(LoginSession, "create").resolves();
+      const touch = sinon.stub(LoginSession, "updateOne").resolves();
+
+      await issueTokensService(userId, null, { userAgent: "Firefox", ip: "10.0.0.1" });
+      await issueTokensService(userId, family.firstCall.args[0].family);
+
+      sinon.assert.calledOnce(record);
+      expect(record.firstCall.args[0]).to.include({ user: userId, userAgent: "Firefox", ip: "10.0.0.1" });
+      expect(record.firstCall.args[0].family).to.equal(family.firstCall.args[0].family);
+      sinon.assert.calledOnceWithMatch(touch, { family: family.firstCall.args[0].family, revokedAt: null });
+    });
+  });
+
+  describe("rotateRefreshTokenService", () => {
+    it("spends the token and issues a new pair in the same family", async () => {
+      const spend = sinon.stub(RefreshToken, "findOneAndUpdate").resolves({ user: userId, family: "fam-1" });
+      sinon.stub(User, "findById").resolves({ _id: userId });
+      const create = sinon.stub(RefreshToken, "create").resolves();
+      sinon.stub(LoginSession, "updateOne").resolves();
+
+      const result = await rotateRefreshTokenService("old-token");
+
+      const [filter, update] = spend.firstCall.args;
+      expect(filter).to.include({ tokenHash: sha256("old-token"), usedAt: null, revokedAt: null });
+      expect(update.usedAt).to.be.instanceOf(Date);
+      expect(create.firstCall.args[0].family).to.equal("fam-1");
+      expect(result.refreshToken).to.not.equal("old-token");
+      expect(result.user._id).to.equal(userId);
+    });
+
+    it("revokes the whole family when a spent token comes back", async () => {
+      sinon.stub(RefreshToken, "findOneAndUpdate").resolves(null);
+      sinon.stub(RefreshToken, "findOne").resolves({ family: "fam-1", usedAt: new Date(), revokedAt: null });
+      const revokeTokens = sinon.stub(RefreshToken, "updateMany").resolves();
+      const revokeAccess = sinon.stub(RevokedToken, "updateOne").resolves();
+
+      await expect(rotateRefreshTokenService("old-token")).to.be.rejectedWith(AppError, /no longer valid/);
+
+      sinon.assert.calledWith(revokeTokens, { family: "fam-1", revokedAt: null });
+      sinon.assert.calledWith(revokeAccess, { key: "revoked:fam:fam-1" });
+    });
+
+    it("rejects an unknown or expired token without revoking anything", async () => {
+      sinon.stub(RefreshToken, "findOneAndUpdate").resolves(null);
+      sinon.stub(RefreshToken, "findOne").resolves(null);
+      const revokeTokens = sinon.stub(RefreshToken, "updateMany");
+
+      await expect(rotateRefreshTokenService("nope")).to.be.rejectedWith(AppError, /invalid or expired/);
+      sinon.assert.notCalled(revokeTokens);
+    });
+  });
+
+  describe("logoutService", () => {
+    it("revokes the access token and the family of the login", async () => {
+      const accessToken = jwt.sign({ id: userId, jti: "jti-1", fam: "fam-1" }, "secret");
+      const revokeAccess = sinon.stub(RevokedToken, "updateOne").resolves();
+      const revokeTokens = sinon.stub(RefreshToken, "updateMany").resolves();
+      sinon.stub(RefreshToken, "findOne").resolves({ family: "fam-1" });
+
+      await logoutService(accessToken, "refresh-token");
+
+      sinon.assert.calledWith(revokeAccess, { key: "revoked:jti:jti-1" });
+      sinon.assert.calledWith(revokeAccess, { key: "revoked:fam:fam-1" });
+      sinon.assert.calledOnceWithExactly(revokeTokens, { family: "fam-1", revokedAt: null }, sinon.match.has("revokedAt"));
+    });
+  });
+
+  describe("revokeAllTokensService", () => {
+    it("revokes every family the user still has", async () => {
+      sinon.stub(RefreshToken, "distinct").resolves(["fam-1", "fam-2"]);
+      const revokeTokens = sinon.stub(RefreshToken, "updateMany").resolves();
+      sinon.stub(RevokedToken, "updateOne").resolves();
+
+      await revokeAllTokensService(userId);
+
+      sinon.assert.calledWith(revokeTokens, { family: "fam-1", revokedAt: null });
+      sinon.assert.calledWith(revokeTokens, { family: "fam-2", revokedAt: null });
+    });
+
+    it("spares the family it is told to keep", async () => {
+      const distinct = sinon.stub(RefreshToken, "distinct").resolves([]);
+
+      await revokeAllTokensService(userId, "fam-1");
+
+      expect(distinct.firstCall.args[1]).to.deep.include({ family: { $ne: "fam-1" } });
+    });
+
+    it("marks each revoked login as ended", async () => {
+      sinon.stub(RefreshToken, "distinct").resolves(["fam-1"]);
+      sinon.stub(RefreshToken, "updateMany").resolves();
+      sinon.stub(RevokedToken, "updateOne").resolves();
+
+      await revokeAllTokensService(userId);
+
+      sinon.assert.calledWithMatch(LoginSession.findOneAndUpdate, { family: "fam-1", revokedAt: null }, { revokedAt: sinon.match.date });
+    });
+  });
+
+  describe("revokeLoginSessionService", () => {
+    it("rejects an id that is not an ObjectId", async () => {
+      await expect(revokeLoginSessionService(userId, "nope")).to.be.rejectedWith(AppError, /invalid session id/);
+    });
+
+    it("only finds the user's own logins", async () => {
+      const sessionId = new mongoose.Types.ObjectId().toString();
+      const findOne = sinon.stub(LoginSession, "findOne").resolves(null);
+
+      await expect(revokeLoginSessionService(userId, sessionId)).to.be.rejectedWith(AppError, /Session not found/);
+      expect(findOne.firstCall.args[0]).to.deep.equal({ _id: sessionId, user: userId, revokedAt: null });
+    });
+
+    it("revokes the family of the login", async () => {
+      sinon.stub(LoginSession, "findOne").resolves({ family: "fam-1" });
+      const revokeTokens = sinon.stub(RefreshToken, "updateMany").resolves();
+      sinon.stub(RevokedToken, "updateOne").resolves();
+
+      await revokeLoginSessionService(userId, new mongoose.Types.ObjectId().toString());
+
+      sinon.assert.calledWith(revokeTokens, { family: "fam-1", revokedAt: null });
+    });
+  });
+
+  describe("isAccessTokenRevoked", () => {
+    it("does not look up tokens that carry no jti or family", async () => {
+      const exists = sinon.stub(RevokedToken, "exists");
+
+      expect(await isAccessTokenRevoked({ id: "u1" })).to.be.false;
+      sinon.assert.notCalled(exists);
+    });
+
+    it("checks the token's own id and its family", async () => {
+      sinon.stub(RevokedToken, "exists").resolves(null);
+
+      expect(await isAccessTokenRevoked({ jti: "jti-1", fam: "fam-1" })).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import request from "supertest";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+
+import app from "../../app.js";
+import { insertUser, insertPost } from "../utils/mockData.js";
+import Bookmark from "../../models/bookmarkModel.js";
+import User from "../../models/userModel.js";
+
+describe("Bookmark Controller Integration", () => {
+  let token;
+  let user;
+  let post;
+
+  beforeEach(async () => {
+    ({ user } = await insertUser());
+    token = jwt.sign({ id: user._id }, process.env.JWT_SECRET || "secret");
+
+    const { user: creator } = await insertUser({ email: "creator@email.com", userName: "creator" });
+    post = await insertPost(creator._id, { category: "cooking" });
+  });
+
+  const save = (postId, body = {}) => request(app).post(`/api/v1/post/${postId}/save`).set("Authorization", `Bearer ${token}`).send(body);
+
+  describe("POST /api/v1/post/:postId/save", () => {
+    it("saves a post and scores it as an interest signal", async () => {
+      const res = await save(post._id).expect(201);
+
+      expect(res.body.data.bookmark.post).to.equal(post._id.toString());
+      expect(res.body.data.bookmark.collectionName).to.equal(null);
+
+      const updated = await User.findById(user._id);
+      expect(updated.topInterests.map((i) => i.name)).to.include("cooking");
+    });
+
+    it("moves an already saved post into a collection without saving it twice", async () => {
+      await save(post._id).expect(201);
+
+      const res = await save(post._id, { collection: "dinner ideas" }).expect(200);
+
+      expect(res.body.data.bookmark.collectionName).to.equal("dinner ideas");
+      expect(await Bookmark.countDocuments({ user: user._id })).to.equal(1);
+    });
+
+    it("404 on non-existent post", async () => {
+      await save(new mongoose.Types.ObjectId()).expect(404);
+    });
+
+    it("rejects an empty collection name", async () => {
+      await save(post._id, { collection: "" }).expect(400);
+    });
+  });
+
+  describe("DELETE /api/v1/post/:postId/save", () => {
+    it("removes the bookmark and takes back the interest it added", async () => {
+      await save(post._id).expect(201);
+      const scored = (await User.findById(user._id)).topInterests.find((i) => i.name === "cooking").score;
+
+      await request(app).delete(`/api/v1/post/${post._id}/save`).set("Authorization", `Bearer ${token}`).expect(204);
+
+      expect(await Bookmark.countDocuments({ user: user._id })).to.equal(0);
+      const after = (await User.findById(user._id)).topInterests.find((i) => i.name === "cooking");
+      expect(after?.score ?? 0).to.be.below(scored);
+    });
+  });
+
+  describe("GET /api/v1/user/me/saved", () => {
+    it("lists saved posts newest first and filters by collection", async () => {
+      const other = await insertPost(user._id, { text: "second" });
+      await save(post._id, { collection: "recipes" }).expect(201);
+      await save(other._id).expect(201);
+
+      let res = await request(app).get("/api/v1/user/me/saved").set("Authorization", `Bearer ${token}`).expect(200);
+      expect(res.body.total).to.equal(2);
+      expect(res.body.data.saved.map((s) => s.post._id)).to.deep.equal([other._id.toString(), post._id.toString()]);
+
+      res = await request(app).get("/api/v1/user/me/saved?collection=recipes").set("Authorization", `Bearer ${token}`).expect(200);
+      expect(res.body.data.saved).to.have.length(1);
+      expect(res.body.data.saved[0].collection).to.equal("recipes");
+    });
+
+    it("lists the user's named collections", async () => {
+      await save(post._id, { collection: "recipes" }).expect(201);
+
+      const res = await request(app).get("/api/v1/user/me/saved/collections").set("Authorization", `Bearer ${token}`).expect(200);
+
+      expect(res.body.data.collections).to.have.length(1);
+      expect(res.body.data.collections[0]).to.include({ name: "recipes", count: 1 });
+    });
+
+    it("fails if not logged in", async () => {
+      await request(app).get("/api/v1/user/me/saved").expect(401);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+import sinon from "sinon";
+import mongoose from "mongoose";
+
+import Bookmark from "../../models/bookmarkModel.js";
+import Post from "../../models/postModel.js";
+import AppError from "../../utils/appError.js";
+import {
+  savePostService,
+  unsavePostService,
+  getSavedPostsService,
+  listCollectionsService,
+} from "../../services/bookmark/bookmarkService.js";
+
+describe("Bookmark Service Unit Tests", () => {
+  afterEach(() => sinon.restore());
+
+  const userId = new mongoose.Types.ObjectId();
+  const postId = new mongoose.Types.ObjectId().toString();
+
+  describe("savePostService", () => {
+    it("creates a bookmark the first time a post is saved", async () => {
+      sinon.stub(Post, "exists").resolves({ _id: postId });
+      sinon.stub(Bookmark, "findOne").resolves(null);
+      const create = sinon.stub(Bookmark, "create").resolves({ _id: "b1" });
+
+      const result = await savePostService(userId, postId, "recipes");
+
+      sinon.assert.calledOnceWithExactly(create, { user: userId, post: postId, collectionName: "recipes" });
+      expect(result).to.deep.equal({ bookmark: { _id: "b1" }, created: true });
+    });
+
+    it("only moves an already saved post to the new collection", async () => {
+      const existing = { collectionName: "recipes", save: sinon.stub().resolves() };
+      sinon.stub(Post, "exists").resolves({ _id: postId });
+      sinon.stub(Bookmark, "findOne").resolves(existing);
+      const create = sinon.stub(Bookmark, "create");
+
+      const result = await savePostService(userId, postId, null);
+
+      expect(existing.collectionName).to.equal(null);
+      sinon.assert.calledOnce(existing.save);
+      sinon.assert.notCalled(create);
+      expect(result.created).to.be.false;
+    });
+
+    it("throws 404 when the post does not exist", async () => {
+      sinon.stub(Post, "exists").resolves(null);
+
+      await expect(savePostService(userId, postId)).to.be.rejectedWith(AppError, /Post not found/);
+    });
+
+    it("only finds posts the viewer is allowed to see", async () => {
+      const viewer = { _id: userId, following: [] };
+      const exists = sinon.stub(Post, "exists").resolves(null);
+
+      await expect(savePostService(userId, postId, null, viewer)).to.be.rejectedWith(AppError, /Post not found/);
+      expect(exists.firstCall.args[0].$or).to.deep.include({ creator: userId });
+    });
+
+    it("throws 400 for an invalid post id", async () => {
+      await expect(savePostService(userId, "nope")).to.be.rejectedWith(AppError, /Invalid postId/);
+    });
+  });
+
+  describe("unsavePostService", () => {
+    it("reports whether a bookmark was removed", async () => {
+      const del = sinon.stub(Bookmark, "deleteOne");
+      del.onFirstCall().resolves({ deletedCount: 1 });
+      del.onSecondCall().resolves({ deletedCount: 0 });
+
+      expect(await unsavePostService(userId, postId)).to.be.true;
+      expect(await unsavePostService(userId, postId)).to.be.false;
+      sinon.assert.calledWith(del, { user: userId, post: postId });
+    });
+  });
+
+  describe("getSavedPostsService", () => {
+    const chain = (docs) => {
+      const query = {};
+      ["sort", "skip", "limit", "populate"].forEach((m) => {
+        query[m] = sinon.stub().returns(query);
+      });
+      query.lean = sinon.stub().resolves(docs);
+      return query;
+    };
+
+    it("filters by collection and drops bookmarks of deleted posts", async () => {
+      const savedAt = new Date("2024-01-01");
+      const find = sinon.stub(Bookmark, "find").returns(
+        chain([
+          { post: { _id: "p1", text: "kept" }, collectionName: "recipes", createdAt: savedAt },
+          { post: null, collectionName: "recipes", createdAt: savedAt },
+        ]),
+      );
+      sinon.stub(Bookmark, "countDocuments").resolves(2);
+
+      const result = await getSavedPostsService(userId, { page: 1, limit: 20, collection: "recipes" });
+
+      sinon.assert.calledOnceWithExactly(find, { user: userId, collectionName: "recipes" });
+      expect(result).to.deep.equal({
+        saved: [{ post: { _id: "p1", text: "kept" }, collection: "recipes", savedAt }],
+        total: 2,
+        page: 1,
+        results: 1,
+      });
+    });
+
+    it("lists every bookmark when no collection is given", async () => {
+      const find = sinon.stub(Bookmark, "find").returns(chain([]));
+      sinon.stub(Bookmark, "countDocuments").resolves(0);
+
+      await getSavedPostsService(userId, { page: 2, limit: 10 });
+
+      sinon.assert.calledOnceWithExactly(find, { user: userId });
+      sinon.assert.calledWith(find.firstCall.returnValue.skip, 10);
+    });
+
+    it("drops saved posts the creator has since hidden from the viewer", async () => {
+      const creator = new mongoose.Types.ObjectId();
+      const viewer = { _id: userId, following: [] };
+      sinon.stub(Bookmark, "find").returns(
+        chain([
+          { post: { _id: "p1", creator, visibility: "followers" }, collectionName: null, createdAt: new Date() },
+          { post: { _id: "p2", creator: userId, visibility: "private" }, collectionName: null, createdAt: new Date() },
+        ]),
+      );
+      sinon.stub(Bookmark, "countDocuments").resolves(2);
+
+      const result = await getSavedPostsService(userId, { viewer });
+
+      expect(result.saved.map((s) => s.post._id)).to.deep.equal(["p2"]);
+    });
+  });
+
+  describe("listCollectionsService", () => {
+    it("returns named collections with their sizes", async () => {
+      const lastSavedAt = new Date();
+      const agg = sinon.stub(Bookmark, "aggregate").resolves([{ _id: "recipes", count: 3, lastSavedAt }]);
+
+      const result = await listCollectionsService(userId);
+
+      expect(agg.firstCall.args[0][0].$match).to.deep.equal({ user: userId, collectionName: { $ne: null } });
+      expect(result).to.deep.equal([{ name: "recipes", count: 3, lastSavedAt }]);
+    });
+  });
+});
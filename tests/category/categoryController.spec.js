@@ -0,0 +1,121 @@
+import request from "supertest";
+import jwt from "jsonwebtoken";
+
+import app from "../../app.js";
+import { insertUser, insertPost } from "../utils/mockData.js";
+import Category from "../../models/categoryModel.js";
+import Post from "../../models/postModel.js";
+import User from "../../models/userModel.js";
+
+describe("Category Controller Integration", () => {
+  let adminToken;
+  let userToken;
+  let user;
+
+  const sign = (id) => jwt.sign({ id }, process.env.JWT_SECRET || "secret");
+
+  beforeEach(async () => {
+    const { user: admin } = await insertUser({ email: "admin@email.com", userName: "admin", role: "admin" });
+    ({ user } = await insertUser());
+    adminToken = sign(admin._id);
+    userToken = sign(user._id);
+
+    await Category.create([
+      { category: "Gaming", subCategories: ["Consoles", "Retro"] },
+      { category: "Tech", subCategories: ["AI", "Gadgets"] },
+    ]);
+  });
+
+  describe("GET /api/v1/category", () => {
+    it("lists the taxonomy without authentication", async () => {
+      const res = await request(app).get("/api/v1/category").expect(200);
+
+      expect(res.body.results).to.equal(2);
+      expect(res.body.data.categories.map((c) => c.category)).to.deep.equal(["Gaming", "Tech"]);
+    });
+
+    it("is not extended by posts saved outside the taxonomy check", async () => {
+      await insertPost(user._id, { category: "Gardening", subCategory: "Roses" });
+
+      const res = await request(app).get("/api/v1/category").expect(200);
+
+      expect(res.body.data.categories.map((c) => c.category)).to.deep.equal(["Gaming", "Tech"]);
+    });
+  });
+
+  describe("POST /api/v1/category", () => {
+    it("lets an admin create a category", async () => {
+      await request(app)
+        .post("/api/v1/category")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ category: "Food", aliases: ["cooking"], subCategories: ["Baking"] })
+        .expect(201);
+
+      expect(await Category.exists({ category: "Food" })).to.exist;
+    });
+
+    it("forbids regular users", async () => {
+      await request(app).post("/api/v1/category").set("Authorization", `Bearer ${userToken}`).send({ category: "Food" }).expect(403);
+    });
+
+    it("returns 409 when the name is an existing alias", async () => {
+      await Category.updateOne({ category: "Tech" }, { $set: { aliases: ["technology"] } });
+
+      await request(app).post("/api/v1/category").set("Authorization", `Bearer ${adminToken}`).send({ category: "Technology" }).expect(409);
+    });
+  });
+
+  describe("DELETE /api/v1/category/:category", () => {
+    it("refuses to delete a category that still has posts", async () => {
+      await insertPost(user._id, { category: "Tech", subCategory: "AI" });
+
+      await request(app).delete("/api/v1/category/Tech").set("Authorization", `Bearer ${adminToken}`).expect(409);
+    });
+  });
+
+  describe("POST /api/v1/category/merge", () => {
+    it("merges a category into another and rewrites posts and interests", async () => {
+      const post = await insertPost(user._id, { category: "Gaming", subCategory: "Retro" });
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { topInterests: [{ name: "Gaming", score: 2, lastUpdated: new Date(), topSubs: [], risingSubs: [] }] } },
+      );
+
+      const res = await request(app)
+        .post("/api/v1/category/merge")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ from: { category: "Gaming" }, into: { category: "Tech" } })
+        .expect(200);
+
+      expect(res.body.data.rewritten).to.deep.equal({ posts: 1, users: 1 });
+      expect(await Post.findById(post._id)).to.include({ category: "Tech", subCategory: "Retro" });
+      expect(await Category.exists({ category: "Gaming" })).to.be.null;
+
+      const tech = await Category.findOne({ category: "Tech" });
+      expect(tech.aliases).to.include("Gaming");
+      expect(tech.subCategories).to.include.members(["Consoles", "Retro"]);
+
+      const updated = await User.findById(user._id);
+      expect(updated.topInterests.map((c) => c.name)).to.deep.equal(["Tech"]);
+    });
+
+    it("merges subcategories and keeps the old name as an alias", async () => {
+      const post = await insertPost(user._id, { category: "Tech", subCategory: "Gadgets" });
+
+      await request(app)
+        .post("/api/v1/category/merge")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ from: { category: "Tech", subCategory: "Gadgets" }, into: { subCategory: "AI" } })
+        .expect(200);
+
+      expect(await Post.findById(post._id)).to.include({ subCategory: "AI" });
+
+      await request(app)
+        .post("/api/v1/post")
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ text: "New phone", category: "tech", subCategory: "gadgets" })
+        .expect(201);
+      expect(await Post.countDocuments({ subCategory: "AI" })).to.equal(2);
+    });
+  });
+});
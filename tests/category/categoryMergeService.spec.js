@@ -0,0 +1,61 @@
+import { mergeCategoryNodes, mergeSubCategoryNodes } from "../../services/category/categoryMergeService.js";
+
+describe("Category Merge Service Unit Tests", () => {
+  const now = Date.now();
+  const node = (name, score, extra = {}) => ({ name, score, lastUpdated: now, ...extra });
+
+  describe("mergeCategoryNodes", () => {
+    it("returns null when the profile has no node for the merged category", () => {
+      expect(mergeCategoryNodes([node("Tech", 2)], [], "Gaming", "Tech")).to.equal(null);
+    });
+
+    it("renames the node when the profile has no target node", () => {
+      const { top, rising } = mergeCategoryNodes([node("Gaming", 2)], [node("Art", 1)], "Gaming", "Games");
+
+      expect([...top, ...rising].map((c) => c.name)).to.have.members(["Games", "Art"]);
+      expect([...top, ...rising].find((c) => c.name === "Games").score).to.equal(2);
+    });
+
+    it("keeps the stronger score and unions the subcategories", () => {
+      const top = [
+        node("Tech", 3, { topSubs: [node("AI", 2)], risingSubs: [] }),
+        node("Gaming", 1, { topSubs: [node("Consoles", 1), node("AI", 5)], risingSubs: [] }),
+      ];
+
+      const merged = mergeCategoryNodes(top, [], "Gaming", "Tech");
+      const all = [...merged.top, ...merged.rising];
+
+      expect(all.map((c) => c.name)).to.deep.equal(["Tech"]);
+      expect(all[0].score).to.equal(3);
+      const subs = [...all[0].topSubs, ...all[0].risingSubs];
+      expect(subs.map((s) => s.name)).to.have.members(["AI", "Consoles"]);
+      expect(subs.find((s) => s.name === "AI").score).to.equal(5);
+    });
+  });
+
+  describe("mergeSubCategoryNodes", () => {
+    it("returns null when the category or subcategory is missing", () => {
+      const top = [node("Tech", 2, { topSubs: [node("AI", 1)], risingSubs: [] })];
+
+      expect(mergeSubCategoryNodes(top, [], "Art", "AI", "ML")).to.equal(null);
+      expect(mergeSubCategoryNodes(top, [], "Tech", "Robots", "AI")).to.equal(null);
+    });
+
+    it("folds the subcategory into its sibling inside the rising pool", () => {
+      const rising = [
+        node("Tech", 1, {
+          topSubs: [node("ML", 2, { specific: [node("LLMs", 1)] })],
+          risingSubs: [node("AI", 1, { specific: [node("Vision", 1)] })],
+        }),
+      ];
+
+      const { top, rising: nextRising } = mergeSubCategoryNodes([], rising, "Tech", "AI", "ML");
+
+      expect(top).to.deep.equal([]);
+      const subs = [...nextRising[0].topSubs, ...nextRising[0].risingSubs];
+      expect(subs.map((s) => s.name)).to.deep.equal(["ML"]);
+      expect(subs[0].specific.map((s) => s.name)).to.have.members(["LLMs", "Vision"]);
+      expect(rising[0].risingSubs).to.have.length(1);
+    });
+  });
+});
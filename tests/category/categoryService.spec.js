@@ -0,0 +1,145 @@
+import sinon from "sinon";
+import mongoose from "mongoose";
+
+import Category from "../../models/categoryModel.js";
+import Post from "../../models/postModel.js";
+import AppError from "../../utils/appError.js";
+import {
+  resolveTopicService,
+  createCategoryService,
+  deleteCategoryService,
+  addSubCategoryService,
+  updateSubCategoryService,
+  deleteSubCategoryService,
+} from "../../services/category/categoryService.js";
+
+describe("Category Service Unit Tests", () => {
+  afterEach(() => sinon.restore());
+
+  const makeDoc = (fields = {}) => {
+    const doc = new Category({
+      category: "Technology",
+      aliases: ["tech"],
+      subCategories: ["Artificial Intelligence", "Gadgets"],
+      subCategoryAliases: [{ alias: "AI", subCategory: "Artificial Intelligence" }],
+      ...fields,
+    });
+    sinon.stub(doc, "save").resolves(doc);
+    sinon.stub(doc, "deleteOne").resolves();
+    return doc;
+  };
+
+  const stubFindOne = (doc) => sinon.stub(Category, "findOne").returns({ collation: sinon.stub().resolves(doc) });
+
+  describe("resolveTopicService", () => {
+    it("maps names and aliases onto the canonical entry", async () => {
+      stubFindOne(makeDoc());
+
+      expect(await resolveTopicService("tech", "ai")).to.deep.equal({ category: "Technology", subCategory: "Artificial Intelligence" });
+    });
+
+    it("matches subcategory names without regard to case", async () => {
+      stubFindOne(makeDoc());
+
+      expect(await resolveTopicService("Technology", "gadgets")).to.include({ subCategory: "Gadgets" });
+    });
+
+    it("rejects an unknown category", async () => {
+      stubFindOne(null);
+
+      await expect(resolveTopicService("Gardening", "Roses")).to.be.rejectedWith(AppError, /unknown category/);
+    });
+
+    it("rejects a subcategory the category does not have", async () => {
+      stubFindOne(makeDoc());
+
+      await expect(resolveTopicService("Technology", "Roses")).to.be.rejectedWith(AppError, /unknown subCategory/);
+    });
+  });
+
+  describe("createCategoryService", () => {
+    it("creates the category when the name and aliases are free", async () => {
+      stubFindOne(null);
+      const create = sinon.stub(Category, "create").resolvesArg(0);
+
+      await createCategoryService({ category: "Food", aliases: ["cooking"], subCategories: ["Baking", "Baking"] });
+
+      sinon.assert.calledOnceWithExactly(create, { category: "Food", aliases: ["cooking"], subCategories: ["Baking"] });
+    });
+
+    it("returns 409 when a name is already taken", async () => {
+      stubFindOne(makeDoc());
+      const create = sinon.stub(Category, "create");
+
+      await expect(createCategoryService({ category: "Tech" })).to.be.rejectedWith(AppError, /already used by category Technology/);
+      sinon.assert.notCalled(create);
+    });
+  });
+
+  describe("deleteCategoryService", () => {
+    it("refuses to delete a category that still has posts", async () => {
+      const doc = makeDoc();
+      stubFindOne(doc);
+      sinon.stub(Post, "exists").resolves({ _id: new mongoose.Types.ObjectId() });
+
+      await expect(deleteCategoryService("tech")).to.be.rejectedWith(AppError, /still has posts/);
+      sinon.assert.notCalled(doc.deleteOne);
+    });
+
+    it("deletes an unused category", async () => {
+      const doc = makeDoc();
+      stubFindOne(doc);
+      sinon.stub(Post, "exists").resolves(null);
+
+      await deleteCategoryService("tech");
+
+      sinon.assert.calledOnce(doc.deleteOne);
+    });
+  });
+
+  describe("subcategories", () => {
+    it("adds a subcategory with its aliases", async () => {
+      const doc = makeDoc();
+      stubFindOne(doc);
+
+      await addSubCategoryService("Technology", { subCategory: "Space", aliases: ["astro"] });
+
+      expect(doc.subCategories).to.include("Space");
+      expect(doc.subCategoryAliases.map((a) => a.alias)).to.include("astro");
+    });
+
+    it("rejects a subcategory name already used as an alias", async () => {
+      stubFindOne(makeDoc());
+
+      await expect(addSubCategoryService("Technology", { subCategory: "ai" })).to.be.rejectedWith(AppError, /already used/);
+    });
+
+    it("replaces the aliases of a subcategory", async () => {
+      const doc = makeDoc();
+      stubFindOne(doc);
+
+      await updateSubCategoryService("Technology", "AI", { aliases: ["ML"] });
+
+      expect(doc.subCategoryAliases.map(({ alias, subCategory }) => ({ alias, subCategory }))).to.deep.equal([
+        { alias: "ML", subCategory: "Artificial Intelligence" },
+      ]);
+    });
+
+    it("removes an unused subcategory and its aliases", async () => {
+      const doc = makeDoc();
+      stubFindOne(doc);
+      sinon.stub(Post, "exists").resolves(null);
+
+      await deleteSubCategoryService("Technology", "AI");
+
+      expect(doc.subCategories).to.deep.equal(["Gadgets"]);
+      expect(doc.subCategoryAliases).to.be.empty;
+    });
+
+    it("returns 404 for a subcategory the category does not have", async () => {
+      stubFindOne(makeDoc());
+
+      await expect(deleteSubCategoryService("Technology", "Roses")).to.be.rejectedWith(AppError, /not found/);
+    });
+  });
+});
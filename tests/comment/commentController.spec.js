@@ -6,6 +6,7 @@ import app from "../../app.js";
 import { insertUser, insertPost } from "../utils/mockData.js";
 import Comment from "../../models/commentModel.js";
 import Post from "../../models/postModel.js";
+import User from "../../models/userModel.js";
 
 describe("Comment Controller Integration", () => {
   let token;
@@ -35,6 +36,17 @@ describe("Comment Controller Integration", () => {
       expect(updatedPost.comments.map(String)).to.include(String(saved._id));
     });
 
+    it("counts a comment toward the commenter's interests", async () => {
+      await request(app)
+        .post(`/api/v1/comment/${post._id}/comments`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ text: "Nice post!" })
+        .expect(201);
+
+      const updatedUser = await User.findById(user._id);
+      expect(updatedUser.topInterests.map((c) => c.name)).to.include(post.category);
+    });
+
     it("rejects invalid payload", async () => {
       await request(app).post(`/api/v1/comment/${post._id}/comments`).set("Authorization", `Bearer ${token}`).send({}).expect(400);
     });
@@ -78,6 +90,18 @@ describe("Comment Controller Integration", () => {
         .expect(401);
     });
 
+    it("rejects deleting own comment through another post", async () => {
+      const otherPost = await insertPost(user._id);
+
+      await request(app)
+        .delete(`/api/v1/comment/${otherPost._id}/comments/${comment._id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .expect(404);
+
+      expect(await Comment.findById(comment._id)).to.exist;
+      expect((await Post.findById(post._id)).comments.map(String)).to.include(String(comment._id));
+    });
+
     it("rejects if comment or post not found", async () => {
       await request(app)
         .delete(`/api/v1/comment/${post._id}/comments/0123456789abcdef01234567`)
@@ -85,4 +109,77 @@ describe("Comment Controller Integration", () => {
         .expect(404);
     });
   });
+
+  describe("replies under /api/v1/comment/:postId/comments/:commentId/replies", () => {
+    let comment;
+    let base;
+
+    beforeEach(async () => {
+      comment = await Comment.create({ author: user._id, post: post._id, text: "Thread starter" });
+      base = `/api/v1/comment/${post._id}/comments/${comment._id}/replies`;
+    });
+
+    it("adds, lists, edits and deletes a reply", async () => {
+      const created = await request(app).post(base).set("Authorization", `Bearer ${token}`).send({ text: "First!" }).expect(201);
+      const replyId = created.body.reply._id;
+
+      const listed = await request(app).get(`${base}?page=1&limit=10`).set("Authorization", `Bearer ${token}`).expect(200);
+      expect(listed.body).to.include({ total: 1, results: 1 });
+
+      const edited = await request(app)
+        .patch(`${base}/${replyId}`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ text: "Second!" })
+        .expect(200);
+      expect(edited.body.reply).to.have.property("text", "Second!");
+
+      await request(app).delete(`${base}/${replyId}`).set("Authorization", `Bearer ${token}`).expect(204);
+
+      const saved = await Comment.findById(comment._id);
+      expect(saved.replies).to.have.length(0);
+    });
+
+    it("counts a reply as a comment engagement for the replier", async () => {
+      await request(app).post(base).set("Authorization", `Bearer ${token}`).send({ text: "Nice" }).expect(201);
+
+      const updatedUser = await User.findById(user._id);
+      expect(updatedUser.topInterests.map((c) => c.name)).to.include(post.category);
+    });
+
+    it("rejects editing someone else's reply", async () => {
+      const created = await request(app).post(base).set("Authorization", `Bearer ${token}`).send({ text: "Mine" }).expect(201);
+
+      const otherUser = await insertUser({ email: "y@y.com", userName: "y" });
+      const otherToken = jwt.sign({ id: otherUser.user._id }, process.env.JWT_SECRET || "secret");
+
+      await request(app)
+        .patch(`${base}/${created.body.reply._id}`)
+        .set("Authorization", `Bearer ${otherToken}`)
+        .send({ text: "Not mine" })
+        .expect(401);
+    });
+  });
+
+  describe("comment likes and ordering", () => {
+    it("likes a comment and ranks it first under sort=top", async () => {
+      const older = await Comment.create({ author: user._id, post: post._id, text: "older" });
+      await Comment.create({ author: user._id, post: post._id, text: "newer" });
+
+      const liked = await request(app)
+        .patch(`/api/v1/comment/${post._id}/comments/${older._id}/like`)
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200);
+      expect(liked.body).to.include({ liked: true, totalLikes: 1 });
+
+      const top = await request(app).get(`/api/v1/post/${post._id}/comments?sort=top`).expect(200);
+      expect(top.body.comments.map((c) => c.text)).to.deep.equal(["older", "newer"]);
+
+      const newest = await request(app).get(`/api/v1/post/${post._id}/comments?sort=new`).expect(200);
+      expect(newest.body.comments.map((c) => c.text)).to.deep.equal(["newer", "older"]);
+    });
+
+    it("rejects an unknown sort", async () => {
+      await request(app).get(`/api/v1/post/${post._id}/comments?sort=hot`).expect(400);
+    });
+  });
 });
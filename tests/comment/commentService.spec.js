@@ -4,7 +4,17 @@ import mongoose from "mongoose";
 import Comment from "../../models/commentModel.js";
 import Post from "../../models/postModel.js";
 import AppError from "../../utils/appError.js";
-import { addCommentService, deleteCommentService } from "../../services/comment/commentService.js";
+import {
+  addCommentService,
+  deleteCommentService,
+  editCommentService,
+  addReplyService,
+  getRepliesService,
+  editReplyService,
+  deleteReplyService,
+  toggleCommentLikeService,
+  toggleReplyLikeService,
+} from "../../services/comment/commentService.js";
 
 describe("Comment Service Unit Tests", () => {
   afterEach(() => {
@@ -18,6 +28,15 @@ describe("Comment Service Unit Tests", () => {
       await expect(addCommentService("user1", "post1", "hello")).to.be.rejectedWith(AppError, /post not found/);
     });
 
+    it("treats a followers-only post of someone the viewer does not follow as missing", async () => {
+      const viewer = { _id: new mongoose.Types.ObjectId(), following: [] };
+      sinon.stub(Post, "findById").resolves({ _id: "post1", creator: new mongoose.Types.ObjectId(), visibility: "followers" });
+      const createStub = sinon.stub(Comment, "create");
+
+      await expect(addCommentService(viewer._id, "post1", "hi", viewer)).to.be.rejectedWith(AppError, /post not found/);
+      sinon.assert.notCalled(createStub);
+    });
+
     it("creates comment, pushes to post, and returns it", async () => {
       const fakePost = { _id: "post1", comments: [], save: sinon.stub() };
       const fakeComment = { _id: "c1", author: "user1", text: "hi" };
@@ -33,6 +52,8 @@ describe("Comment Service Unit Tests", () => {
           author: "user1",
           post: "post1",
           text: "hi",
+          hashtags: [],
+          mentions: [],
         }),
       ).to.be.true;
 
@@ -47,25 +68,42 @@ describe("Comment Service Unit Tests", () => {
   });
 
   describe("deleteCommentService", () => {
+    const postId = new mongoose.Types.ObjectId();
+
     it("throws if comment not found", async () => {
       sinon.stub(Comment, "findById").resolves(null);
 
       await expect(deleteCommentService(new mongoose.Types.ObjectId(), "post1", "c1")).to.be.rejectedWith(AppError, /comment not found/);
     });
 
+    it("treats a comment addressed under another post as missing", async () => {
+      const userId = new mongoose.Types.ObjectId();
+      sinon.stub(Comment, "findById").resolves({ _id: "c1", author: userId, post: postId });
+      const postStub = sinon.stub(Post, "findById");
+      const deleteStub = sinon.stub(Comment, "findByIdAndDelete");
+
+      await expect(deleteCommentService(userId, new mongoose.Types.ObjectId().toString(), "c1")).to.be.rejectedWith(
+        AppError,
+        /comment not found/,
+      );
+      sinon.assert.notCalled(postStub);
+      sinon.assert.notCalled(deleteStub);
+    });
+
     it("throws if post not found", async () => {
-      const fakeComment = { _id: "c1", author: new mongoose.Types.ObjectId() };
+      const fakeComment = { _id: "c1", author: new mongoose.Types.ObjectId(), post: postId };
 
       sinon.stub(Comment, "findById").resolves(fakeComment);
       sinon.stub(Post, "findById").resolves(null);
 
-      await expect(deleteCommentService(fakeComment.author, "post1", "c1")).to.be.rejectedWith(AppError, /Post not found/);
+      await expect(deleteCommentService(fakeComment.author, postId.toString(), "c1")).to.be.rejectedWith(AppError, /Post not found/);
     });
 
     it("throws if user not author", async () => {
       const fakeComment = {
         _id: "c1",
         author: new mongoose.Types.ObjectId("aaaaaaaaaaaaaaaaaaaaaaaa"),
+        post: postId,
       };
 
       sinon.stub(Comment, "findById").resolves(fakeComment);
@@ -73,12 +111,12 @@ describe("Comment Service Unit Tests", () => {
 
       const otherUserId = new mongoose.Types.ObjectId("bbbbbbbbbbbbbbbbbbbbbbbb");
 
-      await expect(deleteCommentService(otherUserId, "post1", "c1")).to.be.rejectedWith(AppError, /permission/);
+      await expect(deleteCommentService(otherUserId, postId.toString(), "c1")).to.be.rejectedWith(AppError, /permission/);
     });
 
     it("deletes comment and removes from post", async () => {
       const userId = new mongoose.Types.ObjectId();
-      const fakeComment = { _id: "c1", author: userId };
+      const fakeComment = { _id: "c1", author: userId, post: postId };
 
       const commentsArr = ["c1", "c2"];
       commentsArr.pull = function (id) {
@@ -96,11 +134,159 @@ describe("Comment Service Unit Tests", () => {
       sinon.stub(Post, "findById").resolves(fakePost);
       const deleteStub = sinon.stub(Comment, "findByIdAndDelete").resolves();
 
-      await deleteCommentService(userId, "post1", "c1");
+      await deleteCommentService(userId, postId.toString(), "c1");
 
       expect(deleteStub.calledOnceWith("c1")).to.be.true;
       expect(fakePost.comments).to.not.include("c1");
       expect(fakePost.save.calledOnce).to.be.true;
     });
   });
+
+  describe("replies", () => {
+    const postId = new mongoose.Types.ObjectId();
+    const authorId = new mongoose.Types.ObjectId();
+
+    const makeComment = (replies = []) => {
+      const comment = new Comment({ author: new mongoose.Types.ObjectId(), post: postId, text: "top", replies });
+      sinon.stub(comment, "save").resolves(comment);
+      return comment;
+    };
+
+    beforeEach(() => {
+      sinon.stub(Post, "findById").resolves({ _id: postId });
+    });
+
+    it("adds a reply authored by the user", async () => {
+      const comment = makeComment();
+      sinon.stub(Comment, "findById").resolves(comment);
+
+      const reply = await addReplyService(authorId, postId, comment._id, "agreed");
+
+      expect(reply.text).to.equal("agreed");
+      expect(reply.author.equals(authorId)).to.be.true;
+      expect(comment.replies).to.have.length(1);
+      sinon.assert.calledOnce(comment.save);
+    });
+
+    it("rejects a comment that belongs to another post", async () => {
+      const comment = makeComment();
+      sinon.stub(Comment, "findById").resolves(comment);
+
+      await expect(addReplyService(authorId, new mongoose.Types.ObjectId(), comment._id, "hi")).to.be.rejectedWith(
+        AppError,
+        /comment not found/,
+      );
+    });
+
+    it("pages through replies in posting order", async () => {
+      const replies = ["one", "two", "three"].map((text) => ({ author: authorId, text }));
+      sinon.stub(Comment, "findById").resolves(makeComment(replies));
+
+      const result = await getRepliesService(postId, "c1", 2, 2);
+
+      expect(result).to.include({ total: 3, page: 2, results: 1 });
+      expect(result.replies[0].text).to.equal("three");
+    });
+
+    it("lets only the author edit a reply", async () => {
+      const comment = makeComment([{ author: authorId, text: "old" }]);
+      const replyId = comment.replies[0]._id;
+      sinon.stub(Comment, "findById").resolves(comment);
+
+      await expect(editReplyService(new mongoose.Types.ObjectId(), postId, comment._id, replyId, "new")).to.be.rejectedWith(
+        AppError,
+        /permission/,
+      );
+
+      const reply = await editReplyService(authorId, postId, comment._id, replyId, "new");
+      expect(reply.text).to.equal("new");
+    });
+
+    it("deletes the author's reply and 404s on unknown replies", async () => {
+      const comment = makeComment([{ author: authorId, text: "bye" }]);
+      const replyId = comment.replies[0]._id;
+      sinon.stub(Comment, "findById").resolves(comment);
+
+      await expect(deleteReplyService(authorId, postId, comment._id, new mongoose.Types.ObjectId())).to.be.rejectedWith(
+        AppError,
+        /reply not found/,
+      );
+
+      await deleteReplyService(authorId, postId, comment._id, replyId);
+      expect(comment.replies).to.have.length(0);
+      sinon.assert.calledOnce(comment.save);
+    });
+  });
+
+  describe("comment and reply likes", () => {
+    const postId = new mongoose.Types.ObjectId();
+    const userId = new mongoose.Types.ObjectId();
+
+    beforeEach(() => {
+      sinon.stub(Post, "findById").resolves({ _id: postId });
+    });
+
+    it("likes a comment the user has not liked yet", async () => {
+      const comment = new Comment({ author: userId, post: postId, text: "top" });
+      sinon.stub(Comment, "findById").resolves(comment);
+      const updateStub = sinon.stub(Comment, "findByIdAndUpdate").resolves({ likes: [userId] });
+
+      const result = await toggleCommentLikeService(userId, postId, comment._id);
+
+      sinon.assert.calledWith(updateStub, comment._id, { $addToSet: { likes: userId } });
+      expect(result).to.include({ liked: true, totalLikes: 1 });
+    });
+
+    it("hides replies and likes under a private post from everyone but its creator", async () => {
+      Post.findById.resolves({ _id: postId, creator: new mongoose.Types.ObjectId(), visibility: "private" });
+      const comment = new Comment({ author: userId, post: postId, text: "top" });
+      sinon.stub(Comment, "findById").resolves(comment);
+      const updateStub = sinon.stub(Comment, "findByIdAndUpdate");
+      const viewer = { _id: userId, following: [] };
+
+      await expect(getRepliesService(postId, comment._id, 1, 20, viewer)).to.be.rejectedWith(AppError, /post not found/);
+      await expect(toggleCommentLikeService(userId, postId, comment._id, viewer)).to.be.rejectedWith(AppError, /post not found/);
+      sinon.assert.notCalled(updateStub);
+    });
+
+    it("unlikes a reply through the positional operator", async () => {
+      const comment = new Comment({ author: userId, post: postId, text: "top", replies: [{ author: userId, text: "r", likes: [userId] }] });
+      const replyId = comment.replies[0]._id;
+      sinon.stub(Comment, "findById").resolves(comment);
+
+      const updated = new Comment({ author: userId, post: postId, text: "top", replies: [{ _id: replyId, author: userId, text: "r" }] });
+      const updateStub = sinon.stub(Comment, "findOneAndUpdate").resolves(updated);
+
+      const result = await toggleReplyLikeService(userId, postId, comment._id, replyId);
+
+      sinon.assert.calledWith(updateStub, { _id: comment._id, "replies._id": replyId }, { $pull: { "replies.$.likes": userId } });
+      expect(result).to.include({ liked: false, totalLikes: 0 });
+    });
+  });
+
+  describe("editCommentService", () => {
+    const postId = new mongoose.Types.ObjectId();
+    const authorId = new mongoose.Types.ObjectId();
+
+    it("keeps the old text as a revision and marks the comment edited", async () => {
+      const comment = new Comment({ author: authorId, post: postId, text: "first draft" });
+      sinon.stub(comment, "save").resolves(comment);
+      const findStub = sinon.stub(Comment, "findById").resolves(comment);
+      sinon.stub(Post, "findById").resolves({ _id: postId });
+
+      await editCommentService(authorId, postId, comment._id, "final");
+
+      sinon.assert.calledWith(findStub, comment._id, "+revisions");
+      expect(comment.text).to.equal("final");
+      expect(comment.editedAt).to.be.instanceOf(Date);
+      expect(comment.revisions[0].text).to.equal("first draft");
+    });
+
+    it("throws if user not author", async () => {
+      sinon.stub(Comment, "findById").resolves(new Comment({ author: authorId, post: postId, text: "x" }));
+      sinon.stub(Post, "findById").resolves({ _id: postId });
+
+      await expect(editCommentService(new mongoose.Types.ObjectId(), postId, "c1", "y")).to.be.rejectedWith(AppError, /permission/);
+    });
+  });
 });
@@ -1,11 +1,25 @@
 import sinon from "sinon";
+import mongoose from "mongoose";
 import Post from "../../models/postModel.js";
+import ProcessedEvent from "../../models/processedEventModel.js";
 import User from "../../models/userModel.js";
 import GlobalStats from "../../models/globalStatsModel.js";
 import CreatorStats from "../../models/creatorStatsModel.js";
 import UserInterestStats from "../../models/userInterestStatsModel.js";
 
-import { getPostAndUserService, markPostSeenService, updateEngagementStatsService } from "../../services/engagement/engagementService.js";
+import {
+  getPostAndUserService,
+  markPostSeenService,
+  updateEngagementStatsService,
+  recordViewDurationService,
+  processEngagementBatchService,
+  scoreInteractionService,
+  resolveRepostService,
+  computeEngagementScore,
+} from "../../services/engagement/engagementService.js";
+import { engagementSchema } from "../../validators/engagementValidator.js";
+import { dwellFactor } from "../../utils/score.js";
+import { DWELL_MIN_MS, DWELL_SATURATION_MS, VIEW_TIME_EMA_ALPHA, WEIGHTS } from "../../constants/scoringConfig.js";
 import AppError from "../../utils/appError.js";
 
 describe("Engagement Service Unit Tests", () => {
@@ -34,6 +48,27 @@ describe("Engagement Service Unit Tests", () => {
     });
   });
 
+  describe("resolveRepostService", () => {
+    it("returns other posts unchanged", async () => {
+      const post = { _id: "p1", kind: "quote", repostOf: "p0" };
+
+      expect(await resolveRepostService(post)).to.equal(post);
+    });
+
+    it("credits a plain repost to the post it shares", async () => {
+      const original = { _id: "p0" };
+      sinon.stub(Post, "findById").withArgs("p0").resolves(original);
+
+      expect(await resolveRepostService({ _id: "p1", kind: "repost", repostOf: "p0" })).to.equal(original);
+    });
+
+    it("throws 404 when the original is gone", async () => {
+      sinon.stub(Post, "findById").resolves(null);
+
+      await expect(resolveRepostService({ _id: "p1", kind: "repost", repostOf: "p0" })).to.be.rejectedWith(AppError, /Post not found/);
+    });
+  });
+
   describe("markPostSeenService", () => {
     it("adds postId to user.seenPosts", async () => {
       const postSeenStub = sinon.stub(User, "findByIdAndUpdate").resolves();
@@ -100,4 +135,228 @@ describe("Engagement Service Unit Tests", () => {
       expect(creatorStatsStub.callCount).to.equal(1);
     });
   });
+
+  describe("recordViewDurationService", () => {
+    it("blends the duration into the rolling average view time", async () => {
+      const postUpdateStub = sinon.stub(Post, "findByIdAndUpdate").resolves();
+
+      await recordViewDurationService("p1", 12000);
+
+      sinon.assert.calledOnce(postUpdateStub);
+      const [postId, pipeline] = postUpdateStub.firstCall.args;
+      expect(postId).to.equal("p1");
+      expect(pipeline[0].$set.averageViewTime.$add[1]).to.be.closeTo(VIEW_TIME_EMA_ALPHA * 12000, 1e-9);
+      expect(pipeline[0].$set.averageViewTime.$add[0].$multiply[1]).to.deep.equal({ $ifNull: ["$averageViewTime", 12000] });
+    });
+
+    it("does nothing without a duration", async () => {
+      const postUpdateStub = sinon.stub(Post, "findByIdAndUpdate").resolves();
+
+      await recordViewDurationService("p1", 0);
+
+      sinon.assert.notCalled(postUpdateStub);
+    });
+  });
+
+  describe("dwellFactor", () => {
+    it("ignores glances and saturates at the configured duration", () => {
+      expect(dwellFactor(DWELL_MIN_MS - 1)).to.equal(0);
+      expect(dwellFactor(DWELL_SATURATION_MS)).to.be.closeTo(1, 1e-9);
+      expect(dwellFactor(DWELL_SATURATION_MS * 4)).to.be.closeTo(1, 1e-9);
+    });
+
+    it("weights a long read above a short one", () => {
+      expect(dwellFactor(30000)).to.be.greaterThan(dwellFactor(5000));
+      expect(dwellFactor(5000)).to.be.greaterThan(dwellFactor(1000));
+    });
+  });
+
+  describe("computeEngagementScore", () => {
+    it("credits a like once: the like endpoint scores it, the client flag is dropped", () => {
+      const { value } = engagementSchema.validate({ postId: "p1", viewed: 1, liked: 1, commented: 1, saved: 1, shared: 1 });
+
+      expect(value).to.not.have.any.keys("liked", "commented", "saved", "shared");
+      expect(computeEngagementScore(value)).to.equal(WEIGHTS.view);
+      expect(computeEngagementScore({ liked: 1 })).to.equal(0);
+    });
+  });
+
+  describe("scoreInteractionService", () => {
+    it("scores the post's topic and creator with the interaction weight in one save", async () => {
+      const creatorId = new mongoose.Types.ObjectId();
+      const userDoc = {
+        _id: "u1",
+        topInterests: [],
+        risingInterests: [],
+        following: [],
+        creatorsInterests: { topCreators: [], risingCreators: [], watchedCreatorsPool: [], skippedCreatorsPool: [] },
+        save: sinon.stub().resolves(),
+      };
+      sinon.stub(Post, "findById").resolves({ category: "Tech", subCategory: "AI", creator: creatorId });
+      sinon.stub(User, "findById").resolves(userDoc);
+      const globalStub = sinon.stub(GlobalStats, "findOneAndUpdate").resolves({ impressionCount: 1, totalEngagement: 1 });
+      sinon.stub(UserInterestStats, "findOneAndUpdate").resolves({ impressionCount: 1, totalEngagement: 1 });
+
+      await scoreInteractionService("u1", undefined, "p1", "comment");
+
+      expect(globalStub.firstCall.args[1]).to.deep.equal({ $inc: { impressionCount: 1, totalEngagement: WEIGHTS.comment } });
+      expect(userDoc.topInterests[0].name).to.equal("Tech");
+      expect(userDoc.creatorsInterests.topCreators[0].creatorId.equals(creatorId)).to.be.true;
+      sinon.assert.calledOnce(userDoc.save);
+    });
+
+    it("adds a hashtag interest node for every tag on the post", async () => {
+      const userDoc = {
+        _id: "u1",
+        topInterests: [],
+        risingInterests: [],
+        hashtagInterests: [{ name: "rust", score: 0.1, lastUpdated: Date.now() }],
+        following: [],
+        creatorsInterests: { topCreators: [], risingCreators: [], watchedCreatorsPool: [], skippedCreatorsPool: [] },
+        save: sinon.stub().resolves(),
+      };
+      sinon
+        .stub(Post, "findById")
+        .resolves({ category: "Tech", subCategory: "AI", hashtags: ["rust", "wasm"], creator: new mongoose.Types.ObjectId() });
+      sinon.stub(User, "findById").resolves(userDoc);
+      sinon.stub(GlobalStats, "findOneAndUpdate").resolves({ impressionCount: 1, totalEngagement: 1 });
+      sinon.stub(UserInterestStats, "findOneAndUpdate").resolves({ impressionCount: 1, totalEngagement: 1 });
+
+      await scoreInteractionService("u1", undefined, "p1", "like");
+
+      expect(userDoc.hashtagInterests.map((h) => h.name)).to.have.members(["rust", "wasm"]);
+      expect(userDoc.hashtagInterests.find((h) => h.name === "rust").score).to.be.greaterThan(0.1);
+    });
+
+    it("returns engagement and score events carrying the interaction weight", async () => {
+      const creatorId = new mongoose.Types.ObjectId();
+      const postId = new mongoose.Types.ObjectId();
+      const userId = new mongoose.Types.ObjectId();
+      sinon.stub(Post, "findById").resolves({ category: "Tech", subCategory: "AI", creator: creatorId });
+      sinon.stub(User, "findById").resolves(null);
+
+      const { engagementEvent, scoreEvent } = await scoreInteractionService(userId, undefined, postId, "save");
+
+      expect(engagementEvent).to.include({ postId: postId.toString(), creatorId: creatorId.toString(), engagementScore: WEIGHTS.save });
+      expect(scoreEvent).to.include({ engagementType: "engagement", scoreDelta: WEIGHTS.save, eventId: engagementEvent.eventId });
+    });
+
+    it("returns null when the post is gone", async () => {
+      sinon.stub(Post, "findById").resolves(null);
+
+      expect(await scoreInteractionService("u1", undefined, "p1", "save")).to.equal(null);
+    });
+  });
+
+  describe("processEngagementBatchService", () => {
+    const creatorId = new mongoose.Types.ObjectId();
+    const postA = { _id: new mongoose.Types.ObjectId(), category: "Tech", subCategory: "AI", creator: creatorId };
+    const postB = { _id: new mongoose.Types.ObjectId(), category: "Art", subCategory: "Film", creator: new mongoose.Types.ObjectId() };
+
+    const makeUserDoc = () => ({
+      _id: "u1",
+      topInterests: [],
+      risingInterests: [],
+      following: [],
+      creatorsInterests: { topCreators: [], risingCreators: [], watchedCreatorsPool: [], skippedCreatorsPool: [] },
+      save: sinon.stub().resolves(),
+    });
+
+    it("processes a mixed batch in one pass and reports each item", async () => {
+      const userDoc = makeUserDoc();
+      const postFind = sinon.stub(Post, "find").resolves([postA, postB]);
+      const userFind = sinon.stub(User, "findById").resolves(userDoc);
+      const seenUpdate = sinon.stub(User, "findByIdAndUpdate").resolves();
+      sinon.stub(GlobalStats, "findOneAndUpdate").resolves({ impressionCount: 1, totalEngagement: 1 });
+      sinon.stub(UserInterestStats, "findOneAndUpdate").resolves({ impressionCount: 1, totalEngagement: 1 });
+
+      const clientTimestamp = "2026-01-05T10:00:00.000Z";
+      const missingId = new mongoose.Types.ObjectId().toString();
+
+      const { results, published } = await processEngagementBatchService("u1", undefined, [
+        { type: "positive", postId: postA._id.toString(), viewed: 1, liked: 1, clientTimestamp },
+        { type: "skip", postId: postB._id.toString(), clientTimestamp },
+        { type: "positive", postId: postA._id.toString() },
+        { type: "skip", postId: missingId, clientTimestamp },
+      ]);
+
+      expect(results.map((r) => r.status)).to.deep.equal(["processed", "processed", "failed", "failed"]);
+      expect(results[0].engagementScore).to.equal(WEIGHTS.view);
+      expect(results[2]).to.include({ index: 2, statusCode: 400 });
+      expect(results[3]).to.include({ index: 3, statusCode: 404, postId: missingId });
+
+      sinon.assert.calledOnce(postFind);
+      sinon.assert.calledOnce(userFind);
+      sinon.assert.calledOnce(userDoc.save);
+      sinon.assert.calledOnceWithExactly(seenUpdate, "u1", { $addToSet: { seenPosts: { $each: [postA._id, postB._id] } } });
+
+      expect(userDoc.topInterests.map((c) => c.name)).to.include("Tech");
+      expect(userDoc.creatorsInterests.topCreators.map((c) => c.creatorId)).to.deep.equal([creatorId]);
+
+      expect(published).to.have.lengthOf(1);
+      expect(published[0].scoreEvent.timestamp).to.equal(clientTimestamp);
+      expect(published[0].engagementEvent).to.include({ category: "Tech", engagementScore: WEIGHTS.view });
+    });
+
+    it("credits engagement with a plain repost to the original post", async () => {
+      const userDoc = makeUserDoc();
+      const repost = { _id: new mongoose.Types.ObjectId(), kind: "repost", repostOf: postA._id, creator: new mongoose.Types.ObjectId() };
+      const postFind = sinon.stub(Post, "find");
+      postFind.onFirstCall().resolves([repost]);
+      postFind.onSecondCall().resolves([postA]);
+      sinon.stub(User, "findById").resolves(userDoc);
+      const seenUpdate = sinon.stub(User, "findByIdAndUpdate").resolves();
+      sinon.stub(GlobalStats, "findOneAndUpdate").resolves({ impressionCount: 1, totalEngagement: 1 });
+      sinon.stub(UserInterestStats, "findOneAndUpdate").resolves({ impressionCount: 1, totalEngagement: 1 });
+
+      const { results, published } = await processEngagementBatchService("u1", undefined, [
+        { type: "positive", postId: repost._id.toString(), viewed: 1, clientTimestamp: "2026-01-05T10:00:00.000Z" },
+      ]);
+
+      expect(results[0].status).to.equal("processed");
+      expect(published[0].engagementEvent).to.include({ postId: postA._id.toString(), creatorId: creatorId.toString() });
+      expect(published[0].scoreEvent.postId).to.equal(postA._id.toString());
+      sinon.assert.calledOnceWithExactly(seenUpdate, "u1", { $addToSet: { seenPosts: { $each: [repost._id] } } });
+    });
+
+    it("drops events whose id was already processed, including repeats within the batch", async () => {
+      const userDoc = makeUserDoc();
+      sinon.stub(Post, "find").resolves([postA]);
+      sinon.stub(User, "findById").resolves(userDoc);
+      sinon.stub(User, "findByIdAndUpdate").resolves();
+      sinon.stub(GlobalStats, "findOneAndUpdate").resolves({ impressionCount: 1, totalEngagement: 1 });
+      sinon.stub(UserInterestStats, "findOneAndUpdate").resolves({ impressionCount: 1, totalEngagement: 1 });
+
+      const claimed = new Set(["dedup:api:u1:seen-before"]);
+      sinon.stub(ProcessedEvent, "create").callsFake(async ({ key }) => {
+        if (claimed.has(key)) throw Object.assign(new Error("E11000"), { code: 11000 });
+        claimed.add(key);
+      });
+
+      const clientTimestamp = "2026-01-05T10:00:00.000Z";
+      const event = { type: "positive", postId: postA._id.toString(), viewed: 1, clientTimestamp };
+
+      const { results, published } = await processEngagementBatchService("u1", undefined, [
+        { ...event, eventId: "seen-before" },
+        { ...event, eventId: "fresh" },
+        { ...event, eventId: "fresh" },
+      ]);
+
+      expect(results.map((r) => r.status)).to.deep.equal(["duplicate", "processed", "duplicate"]);
+      expect(published).to.have.lengthOf(1);
+      expect(published[0].engagementEvent.eventId).to.equal("fresh");
+      expect(published[0].scoreEvent.eventId).to.equal("fresh");
+    });
+
+    it("does not touch the user's seen posts when nothing was processed", async () => {
+      sinon.stub(Post, "find").resolves([]);
+      sinon.stub(User, "findById").resolves(makeUserDoc());
+      const seenUpdate = sinon.stub(User, "findByIdAndUpdate").resolves();
+
+      const { results } = await processEngagementBatchService("u1", undefined, [{ type: "bogus", postId: "x" }]);
+
+      expect(results[0]).to.include({ status: "failed", statusCode: 400 });
+      sinon.assert.notCalled(seenUpdate);
+    });
+  });
 });
@@ -0,0 +1,104 @@
+import sinon from "sinon";
+import ProcessedEvent from "../../models/processedEventModel.js";
+
+import { claimEvent, runOnce, runEachOnce } from "../../services/engagement/eventDedupService.js";
+import { EVENT_DEDUP_TTL_SECONDS } from "../../constants/engagementConstants.js";
+
+describe("Event Dedup Service Unit Tests", () => {
+  afterEach(() => sinon.restore());
+
+  const duplicateKeyError = () => Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+
+  describe("claimEvent", () => {
+    it("claims a new event id for the dedup window", async () => {
+      const create = sinon.stub(ProcessedEvent, "create").resolves();
+
+      const before = Date.now();
+      expect(await claimEvent("api:u1", "evt-1")).to.be.true;
+
+      const [{ key, expiresAt }] = create.firstCall.args;
+      expect(key).to.equal("dedup:api:u1:evt-1");
+      expect(expiresAt.getTime()).to.be.at.least(before + EVENT_DEDUP_TTL_SECONDS * 1000);
+    });
+
+    it("refuses an id that was already claimed", async () => {
+      sinon.stub(ProcessedEvent, "create").rejects(duplicateKeyError());
+
+      expect(await claimEvent("api:u1", "evt-1")).to.be.false;
+    });
+
+    it("surfaces other storage errors", async () => {
+      sinon.stub(ProcessedEvent, "create").rejects(new Error("connection lost"));
+
+      await expect(claimEvent("api:u1", "evt-1")).to.be.rejectedWith(/connection lost/);
+    });
+  });
+
+  describe("runOnce", () => {
+    it("runs the task once and skips replays", async () => {
+      const create = sinon.stub(ProcessedEvent, "create");
+      create.onFirstCall().resolves();
+      create.onSecondCall().rejects(duplicateKeyError());
+      const task = sinon.stub().resolves();
+
+      expect(await runOnce("posts-cum-score", "evt-1", task)).to.be.true;
+      expect(await runOnce("posts-cum-score", "evt-1", task)).to.be.false;
+
+      sinon.assert.calledOnce(task);
+    });
+
+    it("always runs events without an id", async () => {
+      const create = sinon.stub(ProcessedEvent, "create").resolves();
+      const task = sinon.stub().resolves();
+
+      await runOnce("posts-cum-score", undefined, task);
+      await runOnce("posts-cum-score", undefined, task);
+
+      sinon.assert.calledTwice(task);
+      sinon.assert.notCalled(create);
+    });
+
+    it("releases the claim when the task fails so a retry can go through", async () => {
+      sinon.stub(ProcessedEvent, "create").resolves();
+      const release = sinon.stub(ProcessedEvent, "deleteOne").resolves();
+
+      await expect(runOnce("api:u1", "evt-1", () => Promise.reject(new Error("boom")))).to.be.rejectedWith(/boom/);
+
+      sinon.assert.calledOnceWithExactly(release, { key: "dedup:api:u1:evt-1" });
+    });
+  });
+
+  describe("runEachOnce", () => {
+    it("re-runs only the failed write when a partially applied event is redelivered", async () => {
+      const claimed = new Set();
+      sinon.stub(ProcessedEvent, "create").callsFake(async ({ key }) => {
+        if (claimed.has(key)) throw duplicateKeyError();
+        claimed.add(key);
+      });
+      sinon.stub(ProcessedEvent, "deleteOne").callsFake(async ({ key }) => claimed.delete(key));
+
+      const post = sinon.stub().resolves();
+      const creator = sinon.stub();
+      creator.onFirstCall().rejects(new Error("write conflict"));
+      creator.resolves();
+      const tasks = { post, creator };
+
+      await expect(runEachOnce("engagement-stats", "evt-1", tasks)).to.be.rejectedWith(/write conflict/);
+      expect(await runEachOnce("engagement-stats", "evt-1", tasks)).to.be.true;
+      expect(await runEachOnce("engagement-stats", "evt-1", tasks)).to.be.false;
+
+      sinon.assert.calledOnce(post);
+      sinon.assert.calledTwice(creator);
+    });
+
+    it("runs every task when the event has no id", async () => {
+      const create = sinon.stub(ProcessedEvent, "create").resolves();
+      const task = sinon.stub().resolves();
+
+      expect(await runEachOnce("engagement-stats", undefined, { a: task, b: task })).to.be.true;
+
+      sinon.assert.calledTwice(task);
+      sinon.assert.notCalled(create);
+    });
+  });
+});
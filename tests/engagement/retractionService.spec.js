@@ -0,0 +1,101 @@
+import sinon from "sinon";
+import mongoose from "mongoose";
+import Post from "../../models/postModel.js";
+import User from "../../models/userModel.js";
+import { retractEngagementService } from "../../services/engagement/retractionService.js";
+import { validateEngagement, validateScore } from "../../kafka/validator.js";
+import { WEIGHTS, EMA_ALPHA_SESSION } from "../../constants/scoringConfig.js";
+
+describe("Retraction Service Unit Tests", () => {
+  afterEach(() => sinon.restore());
+
+  const userId = new mongoose.Types.ObjectId();
+  const creatorId = new mongoose.Types.ObjectId();
+  const post = { _id: new mongoose.Types.ObjectId(), category: "Tech", subCategory: "AI", specific: null, creator: creatorId };
+
+  const makeUserDoc = (topCreators = []) => ({
+    _id: userId,
+    topInterests: [
+      {
+        name: "Tech",
+        score: 2,
+        lastUpdated: Date.now(),
+        topSubs: [{ name: "AI", score: 2, lastUpdated: Date.now(), specific: [] }],
+        risingSubs: [],
+      },
+    ],
+    risingInterests: [],
+    following: [],
+    creatorsInterests: { topCreators, risingCreators: [], watchedCreatorsPool: [], skippedCreatorsPool: [] },
+    save: sinon.stub().resolves(),
+  });
+
+  it("lowers interest and creator nodes and returns compensating events", async () => {
+    const userDoc = makeUserDoc([{ creatorId, score: 2, lastUpdated: Date.now(), skips: 0 }]);
+    sinon.stub(Post, "findById").resolves(post);
+    sinon.stub(User, "findById").resolves(userDoc);
+
+    const { engagementEvent, scoreEvent } = await retractEngagementService(userId, undefined, post._id, "like");
+
+    const delta = EMA_ALPHA_SESSION * WEIGHTS.like;
+    expect(userDoc.topInterests[0].score).to.be.closeTo(2 - delta, 1e-6);
+    expect(userDoc.topInterests[0].topSubs[0].score).to.be.closeTo(2 - delta, 1e-6);
+    expect(userDoc.creatorsInterests.topCreators[0].score).to.be.closeTo(2 - delta, 1e-6);
+    expect(userDoc.creatorsInterests.topCreators[0].skips).to.equal(0);
+    sinon.assert.calledOnce(userDoc.save);
+
+    expect(engagementEvent).to.include({ engagementScore: -WEIGHTS.like, retraction: true, creatorId: creatorId.toString() });
+    expect(scoreEvent).to.include({ engagementType: "retraction", scoreDelta: -WEIGHTS.like, eventId: engagementEvent.eventId });
+    expect(validateEngagement(engagementEvent)).to.equal(true);
+    expect(validateScore(scoreEvent)).to.equal(true);
+  });
+
+  it("does not start tracking a creator the user never ranked", async () => {
+    const userDoc = makeUserDoc();
+    sinon.stub(Post, "findById").resolves(post);
+    sinon.stub(User, "findById").resolves(userDoc);
+
+    await retractEngagementService(userId, undefined, post._id, "comment");
+
+    expect(userDoc.creatorsInterests.topCreators).to.be.empty;
+    expect(userDoc.creatorsInterests.watchedCreatorsPool).to.be.empty;
+  });
+
+  it("drops a node the retraction pushes below zero", async () => {
+    const userDoc = makeUserDoc([{ creatorId, score: 0.1, lastUpdated: Date.now(), skips: 0 }]);
+    sinon.stub(Post, "findById").resolves(post);
+    sinon.stub(User, "findById").resolves(userDoc);
+
+    await retractEngagementService(userId, undefined, post._id, "comment");
+
+    expect(userDoc.creatorsInterests.topCreators).to.be.empty;
+    expect(userDoc.topInterests[0].name).to.equal("Tech");
+  });
+
+  it("returns null when the post no longer exists", async () => {
+    sinon.stub(Post, "findById").resolves(null);
+    const userFind = sinon.stub(User, "findById");
+
+    expect(await retractEngagementService(userId, undefined, post._id, "like")).to.equal(null);
+    sinon.assert.notCalled(userFind);
+  });
+
+  it("rejects engagement kinds that cannot be retracted", async () => {
+    await expect(retractEngagementService(userId, undefined, post._id, "view")).to.be.rejectedWith(/Unknown engagement kind/);
+  });
+
+  it("only accepts negative scores on retraction events", () => {
+    const event = {
+      postId: post._id.toString(),
+      userId: userId.toString(),
+      category: "Tech",
+      subCategory: "AI",
+      creatorId: creatorId.toString(),
+      engagementScore: 1,
+    };
+
+    expect(validateEngagement(event)).to.equal(true);
+    expect(validateEngagement({ ...event, retraction: true })).to.equal(false);
+    expect(validateEngagement({ ...event, engagementScore: -1 })).to.equal(false);
+  });
+});
@@ -0,0 +1,95 @@
+import diversifyFeed from "../../utils/diversifyFeed.js";
+
+describe("diversifyFeed", () => {
+  const post = (id, overallScore, category, creator, subCategory = `${category}-sub`) => ({
+    _id: id,
+    overallScore,
+    category,
+    subCategory,
+    creator,
+  });
+
+  it("keeps score order when candidates share nothing", () => {
+    const candidates = [post("a", 1, "x", "u1"), post("b", 3, "y", "u2"), post("c", 2, "z", "u3")];
+
+    const result = diversifyFeed(candidates);
+
+    expect(result.map((p) => p._id)).to.eql(["b", "c", "a"]);
+  });
+
+  it("promotes a different topic over a near duplicate with a slightly higher score", () => {
+    const candidates = [post("a", 10, "tech", "u1"), post("b", 9.5, "tech", "u1"), post("c", 9, "art", "u2")];
+
+    const result = diversifyFeed(candidates, { caps: {} });
+
+    expect(result.map((p) => p._id)).to.eql(["a", "c", "b"]);
+    expect(result[2].diversityPenalty).to.equal(1);
+  });
+
+  it("holds back candidates over a per-dimension cap", () => {
+    const candidates = [post("a", 5, "tech", "u1"), post("b", 4, "art", "u1"), post("c", 3, "food", "u1"), post("d", 1, "news", "u2")];
+
+    const result = diversifyFeed(candidates, { caps: { creator: 2 } });
+
+    expect(result.map((p) => p._id)).to.have.members(["a", "b", "d"]);
+  });
+
+  it("ignores dimensions a candidate does not carry", () => {
+    const candidates = [
+      { _id: "a", overallScore: 2 },
+      { _id: "b", overallScore: 1 },
+    ];
+
+    const result = diversifyFeed(candidates);
+
+    expect(result.map((p) => p._id)).to.eql(["a", "b"]);
+    expect(result[1].diversityPenalty).to.equal(0);
+  });
+
+  it("re-ranks a few hundred candidates the same way as comparing against every pick", () => {
+    const categories = ["tech", "art", "food", "news", "sport", "music"];
+    const candidates = Array.from({ length: 400 }, (_, i) =>
+      post(`p${i}`, ((i * 37) % 101) + 1, categories[i % categories.length], `u${i % 45}`, `sub${i % 17}`),
+    );
+
+    // Reference MMR that rescans the whole picked list for every candidate.
+    const shared = (a, b) =>
+      ((a.category === b.category ? 1 : 0) + (a.subCategory === b.subCategory ? 1 : 0) + (a.creator === b.creator ? 2 : 0)) / 4;
+    const expected = [];
+    const pool = candidates.map((c) => ({ ...c }));
+    while (pool.length) {
+      let best = 0;
+      let bestScore = -Infinity;
+      pool.forEach((item, idx) => {
+        const penalty = expected.reduce((max, picked) => Math.max(max, shared(item, picked)), 0);
+        const mmr = 0.7 * (item.overallScore / 101) - 0.3 * penalty;
+        if (mmr > bestScore) {
+          best = idx;
+          bestScore = mmr;
+        }
+      });
+      expected.push(pool.splice(best, 1)[0]);
+    }
+
+    const result = diversifyFeed(candidates, { caps: {} });
+
+    expect(result.map((p) => p._id)).to.eql(expected.map((p) => p._id));
+  });
+
+  it("respects the default caps on a few hundred candidates", () => {
+    const candidates = Array.from({ length: 300 }, (_, i) => post(`p${i}`, 300 - i, `c${i % 5}`, `u${i % 30}`, `s${i % 40}`));
+
+    const result = diversifyFeed(candidates);
+
+    const most = (dimension) => {
+      const counts = {};
+      result.forEach((p) => {
+        counts[p[dimension]] = (counts[p[dimension]] || 0) + 1;
+      });
+      return Math.max(...Object.values(counts));
+    };
+    expect(result).to.have.lengthOf(30);
+    expect(most("category")).to.equal(6);
+    expect(most("creator")).to.be.at.most(2);
+  });
+});
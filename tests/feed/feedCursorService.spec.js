@@ -0,0 +1,64 @@
+import sinon from "sinon";
+import mongoose from "mongoose";
+
+import FeedCursor from "../../models/feedCursorModel.js";
+import { saveFeedCursor, loadFeedCursor } from "../../services/feed/feedCursorService.js";
+
+describe("Feed Cursor Service Unit Tests", () => {
+  afterEach(() => sinon.restore());
+
+  const userId = new mongoose.Types.ObjectId();
+  const postId = new mongoose.Types.ObjectId();
+
+  describe("saveFeedCursor", () => {
+    it("stores remaining candidates and served ids in mongo when redis is disabled", async () => {
+      const createStub = sinon.stub(FeedCursor, "create").resolves();
+
+      const cursorId = await saveFeedCursor(userId, [{ postId, bucket: "TRENDING", overallScore: 2, selectedBy: "Tech" }], ["p1"]);
+
+      expect(cursorId).to.be.a("string");
+      const doc = createStub.firstCall.args[0];
+      expect(doc).to.include({ cursorId, userId: userId.toString() });
+      expect(doc.candidates).to.eql([
+        { postId: postId.toString(), bucket: "TRENDING", overallScore: 2, selectedBy: "Tech", scoreBreakdown: null },
+      ]);
+      expect(doc.served).to.eql(["p1"]);
+      expect(doc.expiresAt).to.be.instanceOf(Date);
+    });
+  });
+
+  describe("loadFeedCursor", () => {
+    it("returns null for an unknown cursor", async () => {
+      sinon.stub(FeedCursor, "findOne").returns({ lean: () => Promise.resolve(null) });
+
+      const state = await loadFeedCursor(userId, "missing");
+      expect(state).to.be.null;
+    });
+
+    it("returns null when the cursor belongs to another user", async () => {
+      sinon.stub(FeedCursor, "findOne").returns({
+        lean: () => Promise.resolve({ userId: new mongoose.Types.ObjectId(), candidates: [], served: [] }),
+      });
+
+      const state = await loadFeedCursor(userId, "c1");
+      expect(state).to.be.null;
+    });
+
+    it("returns candidates and served ids as strings", async () => {
+      sinon.stub(FeedCursor, "findOne").returns({
+        lean: () =>
+          Promise.resolve({
+            userId,
+            candidates: [{ postId, bucket: "RECENT", overallScore: 1, selectedBy: null, scoreBreakdown: { timeDecay: 1 } }],
+            served: [postId],
+          }),
+      });
+
+      const state = await loadFeedCursor(userId, "c1");
+      expect(state).to.eql({
+        candidates: [{ postId: postId.toString(), bucket: "RECENT", overallScore: 1, selectedBy: null, scoreBreakdown: { timeDecay: 1 } }],
+        served: [postId.toString()],
+      });
+    });
+  });
+});
@@ -4,6 +4,9 @@ import mongoose from "mongoose";
 import * as feedService from "../../services/feed/feedService.js";
 import * as feedHelpers from "../../utils/feedHelpers.js";
 import Post from "../../models/postModel.js";
+import { visibilityFilter } from "../../utils/postVisibility.js";
+import GlobalStats from "../../models/globalStatsModel.js";
+import CreatorStats from "../../models/creatorStatsModel.js";
 import { FEED_SIZE } from "../../constants/feedConstants.js";
 
 describe("Feed Service Unit Tests", () => {
@@ -83,6 +86,53 @@ describe("Feed Service Unit Tests", () => {
       expect(creatorPools.skipped).to.eql([{ creatorId: "userD", score: 0.0 }]);
       expect(creatorPools.watched).to.eql([{ creatorId: "userE", score: 0.0 }]);
     });
+
+    it("keys followed creators from the user document by creatorId", () => {
+      const userId = new mongoose.Types.ObjectId();
+      const user = {
+        creatorsInterests: { topCreators: [], risingCreators: [], skippedCreatorsPool: [], watchedCreatorsPool: [] },
+        following: [{ userId, score: 0.5 }],
+      };
+
+      const { creatorPools } = feedService.buildInterestPools(user, {});
+
+      expect(creatorPools.followed).to.eql([{ userId, creatorId: userId, score: 0.5 }]);
+    });
+  });
+
+  describe("batchFetchPosts reposts", () => {
+    it("keeps plain reposts out of category pools and shows followed creators' reposts as CREATOR:FOLLOWED", async () => {
+      const followedId = new mongoose.Types.ObjectId().toString();
+      const topId = new mongoose.Types.ObjectId().toString();
+      const repost = { _id: new mongoose.Types.ObjectId(), creator: new mongoose.Types.ObjectId(followedId), kind: "repost" };
+      const aggregate = sinon.stub(Post, "aggregate").resolves([]);
+      aggregate.withArgs(sinon.match((pipeline) => pipeline[0].$match.creator?.$in)).resolves([repost]);
+
+      const category = { name: "Tech", topSubs: [{ name: "AI", score: 1 }], risingSubs: [] };
+      const creatorBucketMap = { [followedId]: "CREATOR:FOLLOWED", [topId]: "CREATOR:TOP" };
+
+      const posts = await feedService.batchFetchPosts(
+        [category],
+        [],
+        [],
+        [],
+        [followedId, topId],
+        new Set(),
+        creatorBucketMap,
+        { Tech: "CAT:TOP" },
+        [],
+      );
+
+      const categoryMatch = aggregate.getCalls().find((call) => call.args[0][0].$match.category).args[0][0].$match;
+      expect(categoryMatch.kind).to.deep.equal({ $ne: "repost" });
+
+      const creatorMatch = aggregate.getCalls().find((call) => call.args[0][0].$match.creator?.$in).args[0][0].$match;
+      expect(creatorMatch).to.not.have.property("kind");
+      expect(creatorMatch.$or[1].creator.$in.map(String)).to.deep.equal([followedId]);
+
+      expect(posts).to.have.length(1);
+      expect(posts[0].bucket).to.equal("CREATOR:FOLLOWED");
+    });
   });
 
   describe("buildBucketMaps", () => {
@@ -135,6 +185,297 @@ describe("Feed Service Unit Tests", () => {
     });
   });
 
+  describe("scorePosts", () => {
+    it("records per-term contributions that add up to the overall score", async () => {
+      sinon
+        .stub(GlobalStats, "find")
+        .returns({ lean: () => Promise.resolve([{ name: "Tech", impressionCount: 10, totalEngagement: 20 }]) });
+      sinon.stub(CreatorStats, "find").returns({ lean: () => Promise.resolve([]) });
+
+      const creator = new mongoose.Types.ObjectId();
+      const nowMs = Date.now();
+      const posts = [{ _id: "p1", category: "Tech", creator, createdAt: new Date(nowMs), rawScore: 4, trendingScore: 2, bayesianScore: 1 }];
+      const categoryPools = { top: [{ name: "Tech", score: 3 }], rising: [] };
+      const creatorPools = { top: [], rising: [] };
+
+      const [scored] = await feedService.scorePosts(posts, categoryPools, creatorPools, nowMs);
+
+      const { contributions } = scored.scoreBreakdown;
+      const total = Object.values(contributions).reduce((sum, v) => sum + v, 0);
+
+      expect(total).to.be.closeTo(scored.overallScore, 1e-9);
+      expect(scored.scoreBreakdown).to.include({ interestScore: 3, interestSource: "profile", creatorSource: "creatorAverage" });
+      expect(scored.scoreBreakdown.creatorScore).to.be.closeTo(0.2, 1e-9);
+    });
+  });
+
+  describe("scorePosts specific tier", () => {
+    it("adds the matching specific node on top of the category interest", async () => {
+      sinon.stub(GlobalStats, "find").returns({ lean: () => Promise.resolve([]) });
+      sinon.stub(CreatorStats, "find").returns({ lean: () => Promise.resolve([]) });
+
+      const nowMs = Date.now();
+      const creator = new mongoose.Types.ObjectId();
+      const categoryPools = {
+        top: [
+          {
+            name: "Fitness",
+            score: 2,
+            topSubs: [{ name: "Running", score: 1, specific: [{ name: "Marathon", score: 4 }] }],
+            risingSubs: [],
+          },
+        ],
+        rising: [],
+      };
+      const posts = [
+        { _id: "p1", category: "Fitness", subCategory: "Running", specific: "Marathon", creator, createdAt: new Date(nowMs) },
+        { _id: "p2", category: "Fitness", subCategory: "Running", specific: "Trail", creator, createdAt: new Date(nowMs) },
+      ];
+
+      const [matched, other] = await feedService.scorePosts(posts, categoryPools, { top: [], rising: [] }, nowMs);
+
+      expect(matched.scoreBreakdown.specificScore).to.equal(4);
+      expect(other.scoreBreakdown.specificScore).to.equal(0);
+      expect(matched.scoreBreakdown.interestScore).to.be.greaterThan(other.scoreBreakdown.interestScore);
+    });
+  });
+
+  describe("scorePosts hashtag signal", () => {
+    it("adds the strongest matching hashtag node to the interest score", async () => {
+      sinon.stub(GlobalStats, "find").returns({ lean: () => Promise.resolve([]) });
+      sinon.stub(CreatorStats, "find").returns({ lean: () => Promise.resolve([]) });
+
+      const nowMs = Date.now();
+      const creator = new mongoose.Types.ObjectId();
+      const user = { topInterests: [{ name: "Tech", score: 2 }], risingInterests: [], hashtagInterests: [], creatorsInterests: {} };
+      const { categoryPools } = feedService.buildInterestPools(user, {
+        hashtagInterests: [
+          { name: "rust", score: 3 },
+          { name: "wasm", score: 1 },
+        ],
+      });
+      const posts = [
+        { _id: "p1", category: "Tech", hashtags: ["wasm", "rust"], creator, createdAt: new Date(nowMs) },
+        { _id: "p2", category: "Tech", hashtags: ["golang"], creator, createdAt: new Date(nowMs) },
+      ];
+
+      const [tagged, other] = await feedService.scorePosts(posts, categoryPools, { top: [], rising: [] }, nowMs);
+
+      expect(tagged.scoreBreakdown.hashtagScore).to.equal(3);
+      expect(other.scoreBreakdown.hashtagScore).to.equal(0);
+      expect(tagged.scoreBreakdown.interestScore).to.be.greaterThan(other.scoreBreakdown.interestScore);
+    });
+  });
+
+  describe("scorePosts subcategory tier", () => {
+    it("prefers the user's subcategory node and falls back to the smoothed global subcategory average", async () => {
+      const globalFind = sinon.stub(GlobalStats, "find").callsFake((query) => ({
+        lean: () =>
+          Promise.resolve(
+            query.entityType === "subcategory"
+              ? [{ name: "Trail", impressionCount: 100, totalEngagement: 400 }]
+              : [{ name: "Fitness", impressionCount: 10, totalEngagement: 10 }],
+          ),
+      }));
+      sinon.stub(CreatorStats, "find").returns({ lean: () => Promise.resolve([]) });
+
+      const nowMs = Date.now();
+      const creator = new mongoose.Types.ObjectId();
+      const categoryPools = {
+        top: [{ name: "Fitness", score: 2, topSubs: [{ name: "Running", score: 3 }], risingSubs: [] }],
+        rising: [],
+      };
+      const posts = [
+        { _id: "p1", category: "Fitness", subCategory: "Running", creator, createdAt: new Date(nowMs) },
+        { _id: "p2", category: "Fitness", subCategory: "Trail", creator, createdAt: new Date(nowMs) },
+        { _id: "p3", category: "Fitness", subCategory: "Yoga", creator, createdAt: new Date(nowMs) },
+      ];
+
+      const [profile, smoothed, unknown] = await feedService.scorePosts(posts, categoryPools, { top: [], rising: [] }, nowMs);
+
+      expect(globalFind.calledWithMatch({ entityType: "subcategory" })).to.be.true;
+      expect(profile.scoreBreakdown).to.include({ subCategoryScore: 3, subCategorySource: "profile" });
+
+      // prior = choosePriorCount(100) = 40, smoothed = (1 * 40 + 400) / (40 + 100)
+      expect(smoothed.scoreBreakdown.subCategorySource).to.equal("subCategoryAverage");
+      expect(smoothed.scoreBreakdown.subCategoryScore).to.be.closeTo((0.1 * 440) / 140, 1e-9);
+
+      expect(unknown.scoreBreakdown.subCategoryScore).to.be.closeTo(0.1, 1e-9);
+      expect(profile.overallScore).to.be.greaterThan(smoothed.overallScore);
+    });
+  });
+
+  describe("filterByFeedback", () => {
+    it("drops muted topics and creators the user hid", () => {
+      const hidden = new mongoose.Types.ObjectId();
+      const other = new mongoose.Types.ObjectId();
+      const nowMs = Date.now();
+      const posts = [
+        { _id: "p1", category: "Fitness", subCategory: "Running", creator: other },
+        { _id: "p2", category: "Fitness", subCategory: "Yoga", creator: other },
+        { _id: "p3", category: "Tech", creator: hidden },
+        { _id: "p4", category: "Tech", creator: other },
+      ];
+      const feedback = [
+        { action: "notInterested", category: "Fitness", subCategory: "Running" },
+        { action: "hideCreator", creator: hidden, expiresAt: new Date(nowMs + 1000) },
+        { action: "showFewer", creator: other },
+      ];
+
+      const kept = feedService.filterByFeedback(posts, feedback, nowMs).map((p) => p._id);
+
+      expect(kept).to.deep.equal(["p2", "p4"]);
+    });
+
+    it("lets a hidden creator back once the reentry time has passed", () => {
+      const creator = new mongoose.Types.ObjectId();
+      const nowMs = Date.now();
+      const posts = [{ _id: "p1", category: "Tech", creator }];
+
+      const kept = feedService.filterByFeedback(posts, [{ action: "hideCreator", creator, expiresAt: new Date(nowMs - 1) }], nowMs);
+
+      expect(kept).to.have.lengthOf(1);
+    });
+  });
+
+  describe("sampleCategory", () => {
+    it("samples the strongest subcategories with the largest limits", async () => {
+      const aggregate = sinon.stub(Post, "aggregate").resolves([]);
+
+      const category = {
+        name: "Fitness",
+        topSubs: [
+          { name: "Yoga", score: 1 },
+          { name: "Running", score: 5 },
+          { name: "Lifting", score: 3 },
+        ],
+        risingSubs: [],
+      };
+
+      await feedHelpers.sampleCategory(category, new Set(), []);
+
+      const limitsBySub = Object.fromEntries(
+        aggregate.getCalls().map((call) => {
+          const [match, facet] = call.args[0];
+          return [match.$match.subCategory, [facet.$facet.top[1].$limit, facet.$facet.random[0].$sample.size]];
+        }),
+      );
+
+      expect(limitsBySub).to.deep.equal({ Running: [6, 3], Lifting: [4, 2], Yoga: [2, 1] });
+    });
+
+    it("only samples posts the viewer is allowed to see", async () => {
+      const aggregate = sinon.stub(Post, "aggregate").resolves([]);
+      const viewer = { _id: new mongoose.Types.ObjectId(), following: [] };
+      const category = { name: "Fitness", topSubs: [{ name: "Yoga", score: 1 }], risingSubs: [] };
+
+      await feedHelpers.sampleCategory(category, new Set(), [], viewer);
+
+      aggregate.getCalls().forEach((call) => {
+        const [{ $match }] = call.args[0];
+        expect($match.$and[0].$or).to.deep.include({ creator: viewer._id });
+      });
+      sinon.assert.called(aggregate);
+    });
+  });
+
+  describe("fetchGeneralPools paging", () => {
+    it("serves disjoint pages once the first page's ids are marked seen", async () => {
+      const posts = Array.from({ length: 40 }, (_, i) => ({ _id: new mongoose.Types.ObjectId(), trendingScore: 40 - i }));
+      // Like MongoDB, $nin only excludes values of the same type: a string never matches an ObjectId _id.
+      sinon.stub(Post, "aggregate").callsFake(async ([{ $match }, { $facet }]) => {
+        const excluded = $match._id?.$nin || [];
+        const open = posts.filter((p) => !excluded.some((id) => id instanceof mongoose.Types.ObjectId && id.equals(p._id)));
+        return open.slice(0, $facet.top[1].$limit).map((p) => ({ ...p }));
+      });
+
+      const seenPostIds = new Set();
+      const page = async () => {
+        const pools = await feedService.fetchGeneralPools(seenPostIds, Date.now(), []);
+        const ids = Object.values(pools).flatMap((pool) => pool.map((p) => p._id.toString()));
+        ids.forEach((id) => seenPostIds.add(id));
+        return new Set(ids);
+      };
+
+      const first = await page();
+      const second = await page();
+
+      expect(second.size).to.be.above(0);
+      expect([...second].filter((id) => first.has(id))).to.be.empty;
+    });
+  });
+
+  describe("scorePosts stats preloading", () => {
+    it("loads category and creator stats once for the whole candidate set", async () => {
+      const creatorA = new mongoose.Types.ObjectId();
+      const creatorB = new mongoose.Types.ObjectId();
+
+      const globalFind = sinon.stub(GlobalStats, "find").returns({
+        lean: () =>
+          Promise.resolve([
+            { name: "Tech", impressionCount: 4, totalEngagement: 8 },
+            { name: "Art", impressionCount: 0, totalEngagement: 0 },
+          ]),
+      });
+      const creatorFind = sinon.stub(CreatorStats, "find").returns({
+        lean: () => Promise.resolve([{ creatorId: creatorA, impressionCount: 2, totalEngagement: 10 }]),
+      });
+
+      const nowMs = Date.now();
+      const posts = [
+        { _id: "p1", category: "Tech", creator: creatorA, createdAt: new Date(nowMs) },
+        { _id: "p2", category: "Tech", creator: creatorB, createdAt: new Date(nowMs) },
+        { _id: "p3", category: "Art", creator: creatorA, createdAt: new Date(nowMs) },
+      ];
+
+      const scored = await feedService.scorePosts(posts, { top: [], rising: [] }, { top: [], rising: [] }, nowMs);
+
+      expect(globalFind.calledOnce).to.be.true;
+      expect(creatorFind.calledOnce).to.be.true;
+      expect(globalFind.firstCall.args[0].name.$in).to.have.members(["Tech", "Art"]);
+
+      expect(scored[0].scoreBreakdown.interestScore).to.be.closeTo(0.2, 1e-9);
+      expect(scored[0].scoreBreakdown.creatorScore).to.be.closeTo(0.5, 1e-9);
+      expect(scored[1].scoreBreakdown.creatorScore).to.be.closeTo(0.2, 1e-9);
+      expect(scored[2].scoreBreakdown.interestScore).to.equal(0);
+    });
+  });
+
+  describe("hydrateCursorCandidates", () => {
+    it("reloads unseen cursor candidates in ranked order with their bucket and score", async () => {
+      const ids = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()].map(String);
+      const candidates = [
+        { postId: ids[0], bucket: "CAT:TOP", overallScore: 3 },
+        { postId: ids[1], bucket: "TRENDING", overallScore: 2 },
+        { postId: ids[2], bucket: "RECENT", overallScore: 1 },
+      ];
+
+      sinon.stub(Post, "find").returns({
+        lean: () =>
+          Promise.resolve([
+            { _id: ids[2], text: "c" },
+            { _id: ids[0], text: "a" },
+          ]),
+      });
+
+      const seen = new Set([ids[1]]);
+      const result = await feedService.hydrateCursorCandidates(candidates, seen);
+
+      expect(result.map((p) => p.text)).to.eql(["a", "c"]);
+      expect(result[0]).to.include({ bucket: "CAT:TOP", overallScore: 3 });
+      expect(seen.has(ids[0])).to.be.true;
+      expect(seen.has(ids[2])).to.be.true;
+    });
+
+    it("returns an empty list without querying when every candidate was served", async () => {
+      const findStub = sinon.stub(Post, "find");
+      const result = await feedService.hydrateCursorCandidates([{ postId: "p1", bucket: "B", overallScore: 0 }], new Set(["p1"]));
+
+      expect(result).to.eql([]);
+      expect(findStub.called).to.be.false;
+    });
+  });
+
   describe("assembleFeed", () => {
     it("pads with explore when under FEED_SIZE", async () => {
       const scored = Array(5)
@@ -151,6 +492,17 @@ describe("Feed Service Unit Tests", () => {
       expect(result.slice(-fakeExplore.length)).to.eql(fakeExplore);
     });
 
+    it("caps posts from the same creator on a page", async () => {
+      const scored = Array(10)
+        .fill()
+        .map((_, i) => ({ _id: `${i}`, bucket: `B${i}`, creator: "same", category: `c${i}`, overallScore: 10 - i }));
+
+      const result = await feedService.assembleFeed(scored, new Set(), () => Promise.resolve([]));
+
+      expect(result).to.have.length(2);
+      expect(result.map((p) => p._id)).to.have.members(["0", "1"]);
+    });
+
     it("truncates when over FEED_SIZE", async () => {
       const many = Array(FEED_SIZE + 3)
         .fill()
@@ -209,6 +561,48 @@ describe("Feed Service Unit Tests", () => {
         specific: "sp",
       });
       expect(out.creator).to.include({ userName: "u", isFollowed: true });
+      expect(out).to.not.have.property("explain");
+    });
+
+    it("drops a private original from the repost card of a viewer who may not see it", async () => {
+      const viewer = { _id: new mongoose.Types.ObjectId(), following: [] };
+      const raw = [{ _id: "r1", kind: "repost", creator: new mongoose.Types.ObjectId(), repostOf: new mongoose.Types.ObjectId() }];
+      // Mongoose leaves a ref that fails `match` as null.
+      const populate = sinon.stub(Post, "populate").resolves([{ ...raw[0], repostOf: null }]);
+
+      const [out] = await feedService.formatFeedPosts(raw, viewer);
+
+      const repostPath = populate.firstCall.args[1].find((p) => p.path === "repostOf");
+      expect(repostPath.match).to.eql(visibilityFilter(viewer));
+      expect(repostPath.match.$or).to.deep.include({ creator: viewer._id });
+      expect(repostPath.match).to.deep.include({ creatorActive: { $ne: false } });
+      expect(out.kind).to.equal("repost");
+      expect(out.repostOf).to.equal(null);
+    });
+
+    it("adds the explain block when requested", async () => {
+      const raw = [
+        {
+          _id: "p1",
+          creator: new mongoose.Types.ObjectId(),
+          bucket: "CAT:TOP",
+          selectedBy: "Tech",
+          overallScore: 1,
+          scoreBreakdown: { contributions: { interest: 1 } },
+          selection: { position: 1 },
+        },
+      ];
+      sinon.stub(Post, "populate").resolves(raw);
+
+      const [out] = await feedService.formatFeedPosts(raw, { following: [] }, { explain: true });
+
+      expect(out.explain).to.eql({
+        pool: "CAT:TOP",
+        selectedBy: "Tech",
+        score: { contributions: { interest: 1 } },
+        diversityPenalty: null,
+        selection: { position: 1 },
+      });
     });
   });
 });
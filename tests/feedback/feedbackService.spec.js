@@ -0,0 +1,141 @@
+import sinon from "sinon";
+import mongoose from "mongoose";
+import Post from "../../models/postModel.js";
+import User from "../../models/userModel.js";
+
+import { applyFeedbackService, undoFeedbackService } from "../../services/feedback/feedbackService.js";
+import { HIDDEN_CREATOR_REENTRY_MS } from "../../constants/sessionConstants.js";
+import { SKIP_THRESHOLD, NOT_INTERESTED_WEIGHT, SHOW_FEWER_WEIGHT, SHOW_FEWER_SKIPS } from "../../constants/scoringConfig.js";
+import AppError from "../../utils/appError.js";
+
+describe("Feedback Service Unit Tests", () => {
+  afterEach(() => sinon.restore());
+
+  const creatorId = new mongoose.Types.ObjectId();
+  const post = { _id: new mongoose.Types.ObjectId(), category: "Fitness", subCategory: "Running", creator: creatorId };
+
+  const makeUserDoc = () => ({
+    topInterests: [],
+    risingInterests: [],
+    following: [],
+    creatorsInterests: {
+      topCreators: [{ creatorId, score: 3 }],
+      risingCreators: [],
+      watchedCreatorsPool: [],
+      skippedCreatorsPool: [],
+    },
+    save: sinon.stub().resolves(),
+  });
+
+  const stubFeedbackWrites = () =>
+    sinon.stub(User, "findByIdAndUpdate").callsFake((id, update) => {
+      if (update.$push) return Promise.resolve({ feedback: [update.$push.feedback] });
+      return Promise.resolve();
+    });
+
+  describe("applyFeedbackService", () => {
+    it("moves a hidden creator straight into the skipped pool until the configured reentry", async () => {
+      const userDoc = makeUserDoc();
+      sinon.stub(Post, "findById").resolves(post);
+      sinon.stub(User, "findById").resolves(userDoc);
+      stubFeedbackWrites();
+
+      const before = Date.now();
+      const entry = await applyFeedbackService("u1", undefined, post._id.toString(), "hideCreator");
+
+      const { topCreators, skippedCreatorsPool } = userDoc.creatorsInterests;
+      expect(topCreators).to.be.empty;
+      expect(skippedCreatorsPool).to.have.lengthOf(1);
+      expect(skippedCreatorsPool[0].skips).to.equal(SKIP_THRESHOLD);
+      expect(skippedCreatorsPool[0].reentryAt.getTime()).to.be.at.least(before + HIDDEN_CREATOR_REENTRY_MS);
+
+      expect(entry).to.include({ action: "hideCreator", creator: creatorId });
+      expect(entry.expiresAt).to.deep.equal(skippedCreatorsPool[0].reentryAt);
+    });
+
+    it("records the muted topic and replaces an earlier entry for the same topic", async () => {
+      sinon.stub(Post, "findById").resolves(post);
+      sinon.stub(User, "findById").resolves(makeUserDoc());
+      const updates = stubFeedbackWrites();
+
+      const entry = await applyFeedbackService("u1", undefined, post._id.toString(), "notInterested");
+
+      expect(entry).to.include({ action: "notInterested", category: "Fitness", subCategory: "Running", weight: NOT_INTERESTED_WEIGHT });
+      sinon.assert.calledWith(updates, "u1", {
+        $pull: { feedback: { action: "notInterested", category: "Fitness", subCategory: "Running" } },
+      });
+      sinon.assert.calledWith(updates, "u1", { $addToSet: { seenPosts: post._id.toString() } });
+    });
+  });
+
+  describe("undoFeedbackService", () => {
+    it("throws 404 when the entry does not exist", async () => {
+      sinon.stub(User, "findById").returns({ select: () => Promise.resolve({ feedback: [] }) });
+
+      await expect(undoFeedbackService("u1", undefined, "missing")).to.be.rejectedWith(AppError, /Feedback not found/);
+    });
+
+    it("lets a hidden creator back and drops the entry", async () => {
+      const feedbackId = new mongoose.Types.ObjectId();
+      const userDoc = makeUserDoc();
+      userDoc.creatorsInterests.skippedCreatorsPool.push({ creatorId, skips: SKIP_THRESHOLD });
+
+      const findById = sinon.stub(User, "findById");
+      findById.onFirstCall().returns({
+        select: () => Promise.resolve({ feedback: [{ _id: feedbackId, action: "hideCreator", creator: creatorId }] }),
+      });
+      findById.onSecondCall().resolves(userDoc);
+      const updates = sinon.stub(User, "findByIdAndUpdate").resolves();
+
+      await undoFeedbackService("u1", undefined, feedbackId.toString());
+
+      expect(userDoc.creatorsInterests.skippedCreatorsPool).to.be.empty;
+      sinon.assert.calledOnceWithExactly(updates, "u1", { $pull: { feedback: { _id: feedbackId } } });
+    });
+
+    const stubUndo = (entry, userDoc) => {
+      const findById = sinon.stub(User, "findById");
+      findById.onFirstCall().returns({ select: () => Promise.resolve({ feedback: [entry] }) });
+      findById.resolves(userDoc);
+      sinon.stub(User, "findByIdAndUpdate").resolves();
+    };
+
+    it("gives back the creator weight and skips taken by showFewer", async () => {
+      const userDoc = makeUserDoc();
+      userDoc.creatorsInterests.topCreators = [{ creatorId, score: 1, lastUpdated: Date.now(), skips: SHOW_FEWER_SKIPS }];
+      const entry = {
+        _id: new mongoose.Types.ObjectId(),
+        action: "showFewer",
+        creator: creatorId,
+        weight: SHOW_FEWER_WEIGHT,
+        skips: SHOW_FEWER_SKIPS,
+      };
+      stubUndo(entry, userDoc);
+
+      await undoFeedbackService("u1", undefined, entry._id.toString());
+
+      const [node] = userDoc.creatorsInterests.topCreators;
+      expect(node.skips).to.equal(0);
+      expect(node.score).to.be.above(1);
+    });
+
+    it("gives back the topic weight taken by notInterested", async () => {
+      const userDoc = makeUserDoc();
+      userDoc.topInterests = [{ name: "Fitness", score: 1, lastUpdated: Date.now(), topSubs: [], risingSubs: [] }];
+      const entry = {
+        _id: new mongoose.Types.ObjectId(),
+        action: "notInterested",
+        category: "Fitness",
+        weight: NOT_INTERESTED_WEIGHT,
+        hashtags: [],
+      };
+      stubUndo(entry, userDoc);
+
+      await undoFeedbackService("u1", undefined, entry._id.toString());
+
+      const fitness = userDoc.topInterests.find((c) => c.name === "Fitness");
+      expect(fitness.score).to.be.above(1);
+      sinon.assert.calledOnce(userDoc.save);
+    });
+  });
+});
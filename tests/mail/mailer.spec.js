@@ -0,0 +1,34 @@
+import sinon from "sinon";
+
+import mailer, { mailTransportKind } from "../../services/mail/mailer.js";
+
+describe("Mailer Unit Tests", () => {
+  afterEach(() => sinon.restore());
+
+  describe("mailTransportKind", () => {
+    it("defaults to the console outside production", () => {
+      expect(mailTransportKind({})).to.equal("console");
+      expect(mailTransportKind({ MAIL_TRANSPORT: "file", NODE_ENV: "development" })).to.equal("file");
+    });
+
+    it("rejects a transport it does not know", () => {
+      expect(() => mailTransportKind({ MAIL_TRANSPORT: "smpt" })).to.throw(/unknown MAIL_TRANSPORT "smpt"/);
+    });
+
+    it("only accepts smtp in production", () => {
+      expect(() => mailTransportKind({ NODE_ENV: "production" })).to.throw(/must be "smtp" in production/);
+      expect(() => mailTransportKind({ NODE_ENV: "production", MAIL_TRANSPORT: "file" })).to.throw(/must be "smtp"/);
+      expect(mailTransportKind({ NODE_ENV: "production", MAIL_TRANSPORT: "smtp" })).to.equal("smtp");
+    });
+  });
+
+  describe("send", () => {
+    it("logs only the recipient and subject on the console transport", async () => {
+      const log = sinon.stub(console, "log");
+
+      await mailer.send({ to: "u@email.com", subject: "Reset", text: "secret-link/abc123" });
+
+      sinon.assert.calledOnceWithExactly(log, "== mail to u@email.com: Reset");
+    });
+  });
+});
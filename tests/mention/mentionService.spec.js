@@ -0,0 +1,112 @@
+import sinon from "sinon";
+import mongoose from "mongoose";
+
+import User from "../../models/userModel.js";
+import Post from "../../models/postModel.js";
+import Comment from "../../models/commentModel.js";
+import { extractHashtags, extractMentions } from "../../utils/textEntities.js";
+import { extractEntitiesService, getMentionsService } from "../../services/mention/mentionService.js";
+import { MAX_HASHTAGS } from "../../constants/contentConstants.js";
+
+describe("Mention Service Unit Tests", () => {
+  afterEach(() => sinon.restore());
+
+  describe("extractHashtags", () => {
+    it("returns distinct lower-cased tags in order of appearance", () => {
+      expect(extractHashtags("Loving #NodeJS and #rust, more #nodejs! #café")).to.deep.equal(["nodejs", "rust", "café"]);
+    });
+
+    it("ignores anchors inside words, numeric tags and entities", () => {
+      expect(extractHashtags("C# is fine, see page#2 or #42 &#39; ##double")).to.deep.equal([]);
+    });
+
+    it("caps the number of tags kept", () => {
+      const text = Array.from({ length: MAX_HASHTAGS + 5 }, (_, i) => `#tag${i}`).join(" ");
+      expect(extractHashtags(text)).to.have.length(MAX_HASHTAGS);
+    });
+
+    it("handles missing text", () => {
+      expect(extractHashtags(undefined)).to.deep.equal([]);
+    });
+  });
+
+  describe("extractMentions", () => {
+    it("returns distinct lower-cased user names and skips e-mail addresses", () => {
+      expect(extractMentions("Thanks @Alice and @bob.smith. Mail me at carol@example.com, cc @alice")).to.deep.equal([
+        "alice",
+        "bob.smith",
+      ]);
+    });
+  });
+
+  describe("extractEntitiesService", () => {
+    it("resolves mentioned user names to ids and drops unknown ones", async () => {
+      const aliceId = new mongoose.Types.ObjectId();
+      const find = sinon.stub(User, "find").returns({ lean: () => Promise.resolve([{ _id: aliceId, userName: "alice" }]) });
+
+      const entities = await extractEntitiesService("hey @alice and @nobody #News");
+
+      expect(find.firstCall.args[0]).to.deep.equal({ userName: { $in: ["alice", "nobody"] } });
+      expect(entities).to.deep.equal({ hashtags: ["news"], mentions: [aliceId] });
+    });
+
+    it("does not query users when the text has no mentions", async () => {
+      const find = sinon.stub(User, "find");
+
+      expect(await extractEntitiesService("just #tags")).to.deep.equal({ hashtags: ["tags"], mentions: [] });
+      sinon.assert.notCalled(find);
+    });
+  });
+
+  describe("getMentionsService", () => {
+    const chain = (docs) => ({ sort: () => ({ limit: () => ({ lean: () => Promise.resolve(docs) }) }) });
+
+    it("merges post, comment and reply mentions newest first and pages the result", async () => {
+      const userId = new mongoose.Types.ObjectId();
+      const postId = new mongoose.Types.ObjectId();
+      const commentId = new mongoose.Types.ObjectId();
+      const replyId = new mongoose.Types.ObjectId();
+
+      sinon.stub(Post, "find").returns(chain([{ _id: postId, creator: "a", text: "post", createdAt: new Date("2024-01-01") }]));
+      const aggregate = sinon.stub(Comment, "aggregate");
+      aggregate
+        .withArgs(sinon.match((pipeline) => pipeline[0].$match.mentions))
+        .resolves([{ _id: commentId, post: postId, author: "b", text: "comment", createdAt: new Date("2024-01-03") }]);
+      aggregate
+        .withArgs(sinon.match((pipeline) => pipeline[0].$match["replies.mentions"]))
+        .resolves([
+          { _id: commentId, post: postId, reply: { _id: replyId, author: "c", text: "reply", createdAt: new Date("2024-01-02") } },
+        ]);
+
+      const first = await getMentionsService(userId, 1, 2);
+      expect(first.mentions.map((m) => m.type)).to.deep.equal(["comment", "reply"]);
+      expect(first.mentions[1]).to.include({ postId, commentId, replyId, text: "reply" });
+
+      const second = await getMentionsService(userId, 2, 2);
+      expect(second.mentions.map((m) => m.type)).to.deep.equal(["post"]);
+      expect(second.results).to.equal(1);
+    });
+
+    it("only reads mentions on posts the viewer may see", async () => {
+      const userId = new mongoose.Types.ObjectId();
+      const viewer = { _id: userId, following: [] };
+      const find = sinon.stub(Post, "find").returns(chain([]));
+      const aggregate = sinon.stub(Comment, "aggregate").resolves([]);
+
+      await getMentionsService(userId, 1, 20, viewer);
+
+      expect(find.firstCall.args[0]).to.include.keys("creatorActive", "$or");
+      aggregate.getCalls().forEach(({ args: [pipeline] }) => {
+        const lookup = pipeline.find((stage) => stage.$lookup);
+        const match = pipeline[pipeline.indexOf(lookup) + 1].$match;
+        expect(lookup.$lookup.as).to.equal("postDoc");
+        expect(match.postDoc).to.deep.equal({ $ne: [] });
+        expect(match).to.include.keys("postDoc.creatorActive", "$or");
+      });
+    });
+
+    it("rejects an invalid user id", async () => {
+      await expect(getMentionsService("nope")).to.be.rejectedWith(/Invalid userId/);
+    });
+  });
+});
@@ -5,6 +5,8 @@ import mongoose from "mongoose";
 import app from "../../app.js";
 import { insertUser, insertPost } from "../utils/mockData.js";
 import Post from "../../models/postModel.js";
+import Category from "../../models/categoryModel.js";
+import User from "../../models/userModel.js";
 
 describe("Post Controller Integration", () => {
   let token;
@@ -16,6 +18,18 @@ describe("Post Controller Integration", () => {
     token = jwt.sign({ id: user._id }, process.env.JWT_SECRET || "secret");
 
     post = await insertPost(user._id);
+
+    await Category.create([
+      { category: "general", subCategories: ["sub"] },
+      {
+        category: "News",
+        aliases: ["headlines"],
+        subCategories: ["Tech"],
+        subCategoryAliases: [{ alias: "technology", subCategory: "Tech" }],
+      },
+      { category: "Fitness", subCategories: ["Running"] },
+      { category: "music", subCategories: ["jazz"] },
+    ]);
   });
 
   describe("POST /api/v1/post", () => {
@@ -42,9 +56,68 @@ describe("Post Controller Integration", () => {
       expect(saved.category).to.equal(payload.category);
     });
 
+    it("stores the optional specific topic", async () => {
+      const payload = { text: "Race day", category: "Fitness", subCategory: "Running", specific: "Marathon" };
+
+      const res = await request(app).post("/api/v1/post").set("Authorization", `Bearer ${token}`).send(payload).expect(201);
+
+      expect(res.body.data.post).to.include({ specific: "Marathon" });
+    });
+
+    it("stores the canonical taxonomy names when aliases are sent", async () => {
+      const payload = { text: "Breaking", category: "Headlines", subCategory: "technology" };
+
+      const res = await request(app).post("/api/v1/post").set("Authorization", `Bearer ${token}`).send(payload).expect(201);
+
+      expect(res.body.data.post).to.include({ category: "News", subCategory: "Tech" });
+    });
+
+    it("rejects a category that is not in the taxonomy", async () => {
+      const payload = { text: "Hello", category: "Gardening", subCategory: "Roses" };
+
+      await request(app).post("/api/v1/post").set("Authorization", `Bearer ${token}`).send(payload).expect(400);
+      expect(await Post.countDocuments({ category: "Gardening" })).to.equal(0);
+    });
+
     it("rejects missing required fields", async () => {
       await request(app).post("/api/v1/post").set("Authorization", `Bearer ${token}`).send({ image: "", subCategory: "X" }).expect(400);
     });
+
+    it("rejects a post without a subCategory", async () => {
+      const res = await request(app)
+        .post("/api/v1/post")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ text: "Hello", category: "Fitness", subCategory: "" })
+        .expect(400);
+
+      expect(res.body.message).to.match(/subCategory/);
+    });
+  });
+
+  describe("GET /api/v1/post/hashtag/:tag", () => {
+    it("stores hashtags on create and lists the tagged posts newest first", async () => {
+      const send = (text) =>
+        request(app)
+          .post("/api/v1/post")
+          .set("Authorization", `Bearer ${token}`)
+          .send({ text, category: "News", subCategory: "Tech" })
+          .expect(201);
+
+      const first = await send("Launch day #Space #rockets");
+      await send("Nothing tagged here");
+      const second = await send("More #space news");
+
+      expect(first.body.data.post.hashtags).to.deep.equal(["space", "rockets"]);
+
+      const res = await request(app).get("/api/v1/post/hashtag/%23SPACE").set("Authorization", `Bearer ${token}`).expect(200);
+
+      expect(res.body).to.include({ hashtag: "space", total: 2, results: 2 });
+      expect(res.body.posts.map((p) => p._id)).to.deep.equal([second.body.data.post._id, first.body.data.post._id]);
+    });
+
+    it("rejects a tag with invalid characters", async () => {
+      await request(app).get("/api/v1/post/hashtag/not-a-tag").set("Authorization", `Bearer ${token}`).expect(400);
+    });
   });
 
   describe("GET /api/v1/posts/:postId", () => {
@@ -65,6 +138,62 @@ describe("Post Controller Integration", () => {
     });
   });
 
+  describe("post visibility", () => {
+    let strangerToken;
+
+    beforeEach(async () => {
+      const { user: stranger } = await insertUser({ email: "stranger@example.com", userName: "stranger" });
+      strangerToken = jwt.sign({ id: stranger._id }, process.env.JWT_SECRET || "secret");
+    });
+
+    it("creates a followers-only post", async () => {
+      const res = await request(app)
+        .post("/api/v1/post")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ text: "Friends only", category: "Fitness", subCategory: "Running", visibility: "followers" })
+        .expect(201);
+
+      expect(res.body.data.post.visibility).to.equal("followers");
+    });
+
+    it("rejects an unknown visibility", async () => {
+      await request(app)
+        .post("/api/v1/post")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ text: "Hi", category: "Fitness", subCategory: "Running", visibility: "secret" })
+        .expect(400);
+    });
+
+    it("answers 404 for a private post and its comments to anyone but the creator", async () => {
+      const hidden = await insertPost(user._id, { visibility: "private" });
+
+      await request(app).get(`/api/v1/post/${hidden._id}`).set("Authorization", `Bearer ${strangerToken}`).expect(404);
+      await request(app).get(`/api/v1/post/${hidden._id}/comments`).expect(404);
+      await request(app).get(`/api/v1/post/${hidden._id}`).set("Authorization", `Bearer ${token}`).expect(200);
+      await request(app).get(`/api/v1/post/${hidden._id}/comments`).set("Authorization", `Bearer ${token}`).expect(200);
+    });
+
+    it("changes visibility without marking the post edited", async () => {
+      const res = await request(app)
+        .patch(`/api/v1/post/${post._id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ visibility: "private" })
+        .expect(200);
+
+      const saved = await Post.findById(post._id).select("+revisions");
+      expect(saved.visibility).to.equal("private");
+      expect(saved.editedAt).to.equal(null);
+      expect(saved.revisions).to.be.empty;
+      expect(res.body.data.visibility).to.equal("private");
+    });
+
+    it("refuses to repost a post that is not public", async () => {
+      const hidden = await insertPost(user._id, { visibility: "followers" });
+
+      await request(app).post(`/api/v1/post/${hidden._id}/repost`).set("Authorization", `Bearer ${token}`).send({}).expect(403);
+    });
+  });
+
   describe("PATCH /api/v1/posts/:postId/like", () => {
     it("likes then unlikes a post", async () => {
       let res = await request(app).patch(`/api/v1/post/${post._id}/like`).set("Authorization", `Bearer ${token}`).expect(200);
@@ -78,11 +207,65 @@ describe("Post Controller Integration", () => {
       expect(res.body.likes).to.not.include(user._id.toString());
     });
 
+    it("counts a like toward the liker's interests", async () => {
+      await request(app).patch(`/api/v1/post/${post._id}/like`).set("Authorization", `Bearer ${token}`).expect(200);
+
+      const updatedUser = await User.findById(user._id);
+      expect(updatedUser.topInterests.map((c) => c.name)).to.include(post.category);
+    });
+
     it("404 on non-existent post", async () => {
       await request(app).patch(`/api/v1/post/${new mongoose.Types.ObjectId()}/like`).set("Authorization", `Bearer ${token}`).expect(404);
     });
   });
 
+  describe("POST /api/v1/post/:postId/repost", () => {
+    const repost = (postId, body = {}) =>
+      request(app).post(`/api/v1/post/${postId}/repost`).set("Authorization", `Bearer ${token}`).send(body);
+
+    it("reposts a post under the original's topic and counts the share", async () => {
+      const res = await repost(post._id).expect(201);
+
+      expect(res.body.data.post).to.include({ kind: "repost", repostOf: post._id.toString(), category: "general" });
+      expect((await Post.findById(post._id)).shareCount).to.equal(1);
+    });
+
+    it("rejects reposting the same post twice", async () => {
+      await repost(post._id).expect(201);
+      await repost(post._id).expect(409);
+    });
+
+    it("quotes a post with the reposter's own text", async () => {
+      const res = await repost(post._id, { text: "worth a read #mustread" }).expect(201);
+
+      expect(res.body.data.post).to.include({ kind: "quote", text: "worth a read #mustread" });
+      expect(res.body.data.post.hashtags).to.deep.equal(["mustread"]);
+    });
+
+    it("undoes a repost", async () => {
+      await repost(post._id).expect(201);
+
+      await request(app).delete(`/api/v1/post/${post._id}/repost`).set("Authorization", `Bearer ${token}`).expect(204);
+
+      expect(await Post.countDocuments({ repostOf: post._id })).to.equal(0);
+      expect((await Post.findById(post._id)).shareCount).to.equal(0);
+    });
+
+    it("removes plain reposts but keeps quotes when the original is deleted", async () => {
+      await repost(post._id).expect(201);
+      await repost(post._id, { text: "quoted" }).expect(201);
+
+      await request(app).delete(`/api/v1/post/${post._id}`).set("Authorization", `Bearer ${token}`).expect(204);
+
+      const left = await Post.find({ repostOf: post._id });
+      expect(left.map((p) => p.kind)).to.deep.equal(["quote"]);
+    });
+
+    it("404 on non-existent post", async () => {
+      await repost(new mongoose.Types.ObjectId()).expect(404);
+    });
+  });
+
   describe("DELETE /api/v1/posts/:postId", () => {
     it("deletes own post", async () => {
       await request(app).delete(`/api/v1/post/${post._id}`).set("Authorization", `Bearer ${token}`).expect(204);
@@ -105,4 +288,67 @@ describe("Post Controller Integration", () => {
       await request(app).delete(`/api/v1/post/${new mongoose.Types.ObjectId()}`).set("Authorization", `Bearer ${token}`).expect(404);
     });
   });
+
+  describe("PATCH /api/v1/post/:postId", () => {
+    it("edits the text, records a revision and marks the post edited", async () => {
+      const res = await request(app)
+        .patch(`/api/v1/post/${post._id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ text: "updated text" })
+        .expect(200);
+
+      expect(res.body.data).to.have.property("text", "updated text");
+
+      const fetched = await request(app).get(`/api/v1/post/${post._id}`).set("Authorization", `Bearer ${token}`).expect(200);
+      expect(fetched.body.data.editedAt).to.be.a("string");
+      expect(fetched.body.data).to.not.have.property("revisions");
+
+      const saved = await Post.findById(post._id).select("+revisions");
+      expect(saved.revisions).to.have.length(1);
+      expect(saved.revisions[0]).to.include({ text: "test text", category: "general" });
+    });
+
+    it("re-parses hashtags when the text changes", async () => {
+      const res = await request(app)
+        .patch(`/api/v1/post/${post._id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ text: "now with #Tags" })
+        .expect(200);
+
+      expect(res.body.data.hashtags).to.deep.equal(["tags"]);
+    });
+
+    it("moves the post to another taxonomy category", async () => {
+      await request(app)
+        .patch(`/api/v1/post/${post._id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ category: "music", subCategory: "jazz" })
+        .expect(200);
+
+      const saved = await Post.findById(post._id);
+      expect(saved).to.include({ category: "music", subCategory: "jazz" });
+      expect(await Category.exists({ category: "general" })).to.exist;
+    });
+
+    it("rejects moving the post to an unknown subcategory", async () => {
+      await request(app)
+        .patch(`/api/v1/post/${post._id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ category: "music", subCategory: "polka" })
+        .expect(400);
+
+      expect(await Post.findById(post._id)).to.include({ category: "general", subCategory: "sub" });
+    });
+
+    it("rejects a category change without a subcategory", async () => {
+      await request(app).patch(`/api/v1/post/${post._id}`).set("Authorization", `Bearer ${token}`).send({ category: "music" }).expect(400);
+    });
+
+    it("rejects editing someone else's post", async () => {
+      const { user: other } = await insertUser({ email: "x@x.com", userName: "x" });
+      const otherToken = jwt.sign({ id: other._id }, process.env.JWT_SECRET || "secret");
+
+      await request(app).patch(`/api/v1/post/${post._id}`).set("Authorization", `Bearer ${otherToken}`).send({ text: "nope" }).expect(401);
+    });
+  });
 });
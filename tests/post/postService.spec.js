@@ -3,20 +3,60 @@ import mongoose from "mongoose";
 
 import Post from "../../models/postModel.js";
 import Comment from "../../models/commentModel.js";
+import Bookmark from "../../models/bookmarkModel.js";
+import Category from "../../models/categoryModel.js";
 import AppError from "../../utils/appError.js";
-import { createPostService, getPostService, toggleLikeService, deletePostService } from "../../services/post/postService.js";
+import { MAX_REVISIONS } from "../../constants/contentConstants.js";
+import {
+  createPostService,
+  getPostService,
+  getPostCommentsService,
+  toggleLikeService,
+  deletePostService,
+  editPostService,
+  repostService,
+  undoRepostService,
+} from "../../services/post/postService.js";
 
 describe("Post Service Unit Tests", () => {
   afterEach(() => sinon.restore());
 
+  const stubTaxonomy = (doc) => sinon.stub(Category, "findOne").returns({ collation: sinon.stub().resolves(doc) });
+
   describe("createPostService", () => {
     it("creates a post with given data", async () => {
       const fake = { _id: "p1", creator: "u1", content: "Hello" };
+      stubTaxonomy({ category: "Tech", subCategories: ["AI"], subCategoryAliases: [] });
       const stub = sinon.stub(Post, "create").resolves(fake);
-      const result = await createPostService("u1", { content: "Hello" });
-      expect(stub.calledOnceWith({ creator: "u1", content: "Hello" })).to.be.true;
+      const result = await createPostService("u1", { content: "Hello", category: "Tech", subCategory: "AI" });
+      expect(stub.calledOnceWith({ creator: "u1", content: "Hello", category: "Tech", subCategory: "AI", hashtags: [], mentions: [] })).to
+        .be.true;
       expect(result).to.equal(fake);
     });
+
+    it("stores the canonical names when aliases are used", async () => {
+      stubTaxonomy({
+        category: "Technology",
+        subCategories: ["Artificial Intelligence"],
+        subCategoryAliases: [{ alias: "AI", subCategory: "Artificial Intelligence" }],
+      });
+      const stub = sinon.stub(Post, "create").resolvesArg(0);
+
+      await createPostService("u1", { text: "Hi", category: "tech", subCategory: "ai" });
+
+      expect(stub.firstCall.args[0]).to.include({ category: "Technology", subCategory: "Artificial Intelligence" });
+    });
+
+    it("rejects a category missing from the taxonomy", async () => {
+      stubTaxonomy(null);
+      const stub = sinon.stub(Post, "create");
+
+      await expect(createPostService("u1", { text: "Hi", category: "Nope", subCategory: "X" })).to.be.rejectedWith(
+        AppError,
+        /unknown category/,
+      );
+      sinon.assert.notCalled(stub);
+    });
   });
 
   describe("getPostService", () => {
@@ -31,6 +71,92 @@ describe("Post Service Unit Tests", () => {
       const result = await getPostService("p1");
       expect(result).to.equal(fake);
     });
+
+    it("hides a followers-only post from viewers who do not follow the creator", async () => {
+      const creator = new mongoose.Types.ObjectId();
+      const viewer = { _id: new mongoose.Types.ObjectId(), following: [] };
+      sinon.stub(Post, "findById").resolves({ _id: "p1", creator, visibility: "followers" });
+
+      await expect(getPostService("p1", viewer)).to.be.rejectedWith(AppError, /post not found/);
+    });
+
+    it("shows a followers-only post to a follower", async () => {
+      const creator = new mongoose.Types.ObjectId();
+      const viewer = { _id: new mongoose.Types.ObjectId(), following: [{ userId: creator }] };
+      const fake = { _id: "p1", creator, visibility: "followers" };
+      sinon.stub(Post, "findById").resolves(fake);
+
+      expect(await getPostService("p1", viewer)).to.equal(fake);
+    });
+  });
+
+  describe("getPostCommentsService", () => {
+    const postId = new mongoose.Types.ObjectId();
+    const asOf = new Date("2026-03-01T12:00:00.000Z");
+
+    const stubPost = (fields = {}) =>
+      sinon.stub(Post, "findById").resolves({ _id: postId, creator: new mongoose.Types.ObjectId(), ...fields });
+
+    const stubFind = (docs) => {
+      const query = { sort: sinon.stub(), skip: sinon.stub(), limit: sinon.stub().resolves(docs) };
+      query.sort.returns(query);
+      query.skip.returns(query);
+      sinon.stub(Comment, "find").returns(query);
+      return query;
+    };
+
+    it("orders oldest first with an _id tiebreak and skips later comments", async () => {
+      stubPost();
+      const query = stubFind([{ _id: "c1" }]);
+      const countStub = sinon.stub(Comment, "countDocuments").resolves(1);
+
+      const result = await getPostCommentsService(postId.toString(), 2, 10, { sort: "old", asOf });
+
+      const match = Comment.find.firstCall.args[0];
+      expect(match.post.equals(postId)).to.be.true;
+      expect(match.createdAt).to.deep.equal({ $lte: asOf });
+      sinon.assert.calledWith(query.sort, { createdAt: 1, _id: 1 });
+      sinon.assert.calledWith(query.skip, 10);
+      sinon.assert.calledWith(countStub, match);
+      expect(result).to.include({ total: 1, page: 2, results: 1, sort: "old", asOf: asOf.toISOString() });
+    });
+
+    it("ranks top comments by decayed likes against the listing time", async () => {
+      stubPost();
+      const aggregateStub = sinon.stub(Comment, "aggregate").resolves([{ _id: "c2" }, { _id: "c1" }]);
+      sinon.stub(Comment, "countDocuments").resolves(2);
+
+      const result = await getPostCommentsService(postId.toString(), 1, 20, { sort: "top", asOf });
+
+      const pipeline = aggregateStub.firstCall.args[0];
+      expect(pipeline.find((stage) => stage.$sort).$sort).to.deep.equal({ rankScore: -1, createdAt: -1, _id: -1 });
+      expect(JSON.stringify(pipeline)).to.include(asOf.toISOString());
+      expect(result.results).to.equal(2);
+    });
+
+    it("rejects malformed post ids", async () => {
+      await expect(getPostCommentsService("nope")).to.be.rejectedWith(AppError, /Invalid postId/);
+    });
+
+    it("does not list comments of a post the viewer cannot see", async () => {
+      stubPost({ visibility: "private" });
+      const find = sinon.stub(Comment, "find");
+
+      await expect(getPostCommentsService(postId.toString(), 1, 20, { asOf })).to.be.rejectedWith(AppError, /post not found/);
+      sinon.assert.notCalled(find);
+    });
+
+    it("does not list comments on a post whose creator is deactivated", async () => {
+      const stored = { _id: postId, creator: new mongoose.Types.ObjectId(), visibility: "public", creatorActive: false };
+      // Only hand back the projected fields, as MongoDB would.
+      sinon
+        .stub(Post, "findById")
+        .callsFake(async (id, projection) => Object.fromEntries(["_id", ...projection.split(" ")].map((key) => [key, stored[key]])));
+      const find = sinon.stub(Comment, "find");
+
+      await expect(getPostCommentsService(postId.toString(), 1, 20, { asOf })).to.be.rejectedWith(AppError, /post not found/);
+      sinon.assert.notCalled(find);
+    });
   });
 
   describe("toggleLikeService", () => {
@@ -40,9 +166,17 @@ describe("Post Service Unit Tests", () => {
       await expect(toggleLikeService(uid, "p1")).to.be.rejectedWith(AppError, /Post not found/);
     });
 
+    it("treats a post the viewer may not see as missing", async () => {
+      sinon.stub(Post, "findById").resolves({ _id: "p1", creator: new mongoose.Types.ObjectId(), visibility: "private", likes: [] });
+      const update = sinon.stub(Post, "findByIdAndUpdate");
+
+      await expect(toggleLikeService(uid, "p1", { _id: uid, following: [] })).to.be.rejectedWith(AppError, /Post not found/);
+      sinon.assert.notCalled(update);
+    });
+
     it("likes a post not already liked", async () => {
       const postDoc = { _id: "p1", likes: [], save: () => {} };
-      sinon.stub(Post, "findById").withArgs("p1", "likes").resolves(postDoc);
+      sinon.stub(Post, "findById").withArgs("p1", "likes creator visibility creatorActive").resolves(postDoc);
       const updated = { likes: [uid] };
       sinon
         .stub(Post, "findByIdAndUpdate")
@@ -57,7 +191,7 @@ describe("Post Service Unit Tests", () => {
 
     it("unlikes a post already liked", async () => {
       const postDoc = { _id: "p1", likes: [uid] };
-      sinon.stub(Post, "findById").withArgs("p1", "likes").resolves(postDoc);
+      sinon.stub(Post, "findById").withArgs("p1", "likes creator visibility creatorActive").resolves(postDoc);
       const updated = { likes: [] };
       sinon
         .stub(Post, "findByIdAndUpdate")
@@ -89,10 +223,217 @@ describe("Post Service Unit Tests", () => {
       sinon.stub(Post, "findById").resolves(postDoc);
       const delPost = sinon.stub(Post, "findByIdAndDelete").resolves();
       const delComment = sinon.stub(Comment, "deleteMany").resolves();
+      const delBookmark = sinon.stub(Bookmark, "deleteMany").resolves();
+      const delReposts = sinon.stub(Post, "deleteMany").resolves();
       const res = await deletePostService(uid, "p1");
       expect(delPost.calledOnceWith(postDoc._id)).to.be.true;
       expect(delComment.calledOnceWith({ post: postDoc._id })).to.be.true;
-      expect(res).to.be.true;
+      expect(delBookmark.calledOnceWith({ post: postDoc._id })).to.be.true;
+      expect(delReposts.calledOnceWith({ repostOf: postDoc._id, kind: "repost" })).to.be.true;
+      expect(res).to.equal(postDoc);
+    });
+
+    it("lowers the original's share count when a repost is deleted", async () => {
+      const originalId = new mongoose.Types.ObjectId();
+      sinon.stub(Post, "findById").resolves({ _id: "p2", creator: uid, kind: "repost", repostOf: originalId });
+      sinon.stub(Post, "findByIdAndDelete").resolves();
+      sinon.stub(Comment, "deleteMany").resolves();
+      sinon.stub(Bookmark, "deleteMany").resolves();
+      const delReposts = sinon.stub(Post, "deleteMany").resolves();
+      const inc = sinon.stub(Post, "updateOne").resolves();
+
+      await deletePostService(uid, "p2");
+
+      sinon.assert.calledOnceWithExactly(inc, { _id: originalId }, { $inc: { shareCount: -1 } });
+      sinon.assert.notCalled(delReposts);
+    });
+  });
+
+  describe("repostService", () => {
+    const uid = new mongoose.Types.ObjectId();
+    const original = {
+      _id: new mongoose.Types.ObjectId(),
+      kind: "post",
+      category: "Tech",
+      subCategory: "AI",
+      specific: "LLMs",
+      hashtags: ["ai"],
+    };
+
+    it("creates a plain repost that takes the original's topic and bumps its share count", async () => {
+      sinon.stub(Post, "findById").resolves(original);
+      sinon.stub(Post, "exists").resolves(null);
+      const create = sinon.stub(Post, "create").callsFake(async (doc) => doc);
+      const inc = sinon.stub(Post, "updateOne").resolves();
+
+      const post = await repostService(uid, original._id);
+
+      sinon.assert.calledOnceWithExactly(create, {
+        creator: uid,
+        kind: "repost",
+        repostOf: original._id,
+        text: "",
+        category: "Tech",
+        subCategory: "AI",
+        specific: "LLMs",
+        visibility: "public",
+        hashtags: ["ai"],
+        mentions: [],
+      });
+      sinon.assert.calledOnceWithExactly(inc, { _id: original._id }, { $inc: { shareCount: 1 } });
+      expect(post.kind).to.equal("repost");
+    });
+
+    it("refuses to share a post that is not public", async () => {
+      sinon.stub(Post, "findById").resolves({ ...original, visibility: "followers" });
+      const create = sinon.stub(Post, "create");
+
+      await expect(repostService(uid, original._id)).to.be.rejectedWith(AppError, /only public posts/);
+      sinon.assert.notCalled(create);
+    });
+
+    it("creates a quote with its own hashtags when text is given", async () => {
+      sinon.stub(Post, "findById").resolves(original);
+      const create = sinon.stub(Post, "create").callsFake(async (doc) => doc);
+      sinon.stub(Post, "updateOne").resolves();
+
+      await repostService(uid, original._id, "so true #hot");
+
+      expect(create.firstCall.args[0]).to.include({ kind: "quote", text: "so true #hot", category: "Tech" });
+      expect(create.firstCall.args[0].hashtags).to.deep.equal(["hot"]);
+    });
+
+    it("shares the original when reposting a plain repost", async () => {
+      const repost = { _id: new mongoose.Types.ObjectId(), kind: "repost", repostOf: original._id };
+      const findById = sinon.stub(Post, "findById");
+      findById.withArgs(repost._id).resolves(repost);
+      findById.withArgs(original._id).resolves(original);
+      sinon.stub(Post, "exists").resolves(null);
+      const create = sinon.stub(Post, "create").callsFake(async (doc) => doc);
+      sinon.stub(Post, "updateOne").resolves();
+
+      await repostService(uid, repost._id);
+
+      expect(create.firstCall.args[0].repostOf).to.equal(original._id);
+    });
+
+    it("rejects reposting the same post twice", async () => {
+      sinon.stub(Post, "findById").resolves(original);
+      sinon.stub(Post, "exists").resolves({ _id: "r1" });
+
+      await expect(repostService(uid, original._id)).to.be.rejectedWith(AppError, /already reposted/);
+    });
+
+    it("throws 404 when the post does not exist", async () => {
+      sinon.stub(Post, "findById").resolves(null);
+
+      await expect(repostService(uid, original._id)).to.be.rejectedWith(AppError, /post not found/);
+    });
+  });
+
+  describe("undoRepostService", () => {
+    const uid = new mongoose.Types.ObjectId();
+
+    it("deletes the user's repost and lowers the share count", async () => {
+      const originalId = new mongoose.Types.ObjectId();
+      const repost = { _id: new mongoose.Types.ObjectId(), repostOf: originalId };
+      const del = sinon.stub(Post, "findOneAndDelete").resolves(repost);
+      sinon.stub(Comment, "deleteMany").resolves();
+      sinon.stub(Bookmark, "deleteMany").resolves();
+      const inc = sinon.stub(Post, "updateOne").resolves();
+
+      const result = await undoRepostService(uid, originalId);
+
+      sinon.assert.calledOnceWithExactly(del, { repostOf: originalId, creator: uid, kind: "repost" });
+      sinon.assert.calledOnceWithExactly(inc, { _id: originalId }, { $inc: { shareCount: -1 } });
+      expect(result).to.equal(repost);
+    });
+
+    it("throws 404 when there is nothing to undo", async () => {
+      sinon.stub(Post, "findOneAndDelete").resolves(null);
+
+      await expect(undoRepostService(uid, "p1")).to.be.rejectedWith(AppError, /not reposted/);
+    });
+  });
+
+  describe("editPostService", () => {
+    const uid = new mongoose.Types.ObjectId();
+
+    const stubPost = (fields) => {
+      const post = new Post({ creator: uid, text: "old", category: "Tech", subCategory: "AI", ...fields });
+      sinon.stub(post, "save").resolves(post);
+      sinon.stub(Post, "findById").returns({ select: sinon.stub().resolves(post) });
+      return post;
+    };
+
+    it("throws if user not creator", async () => {
+      stubPost();
+      await expect(editPostService(new mongoose.Types.ObjectId(), "p1", { text: "new" })).to.be.rejectedWith(AppError, /permission/);
+    });
+
+    it("stores the replaced version and marks the post edited", async () => {
+      const post = stubPost();
+      stubTaxonomy({ category: "Art", subCategories: ["Film"], subCategoryAliases: [] });
+
+      await editPostService(uid, "p1", { text: "new", category: "Art", subCategory: "Film" });
+
+      expect(post).to.include({ text: "new", category: "Art", subCategory: "Film" });
+      expect(post.editedAt).to.be.instanceOf(Date);
+      expect(post.revisions).to.have.length(1);
+      expect(post.revisions[0]).to.include({ text: "old", category: "Tech", subCategory: "AI" });
+      sinon.assert.calledOnce(post.save);
+    });
+
+    it("skips saving when nothing changes", async () => {
+      const post = stubPost();
+
+      await editPostService(uid, "p1", { text: "old" });
+
+      expect(post.revisions).to.be.empty;
+      sinon.assert.notCalled(post.save);
+    });
+
+    it("keeps only the most recent revisions", async () => {
+      const revisions = Array.from({ length: MAX_REVISIONS }, (_, i) => ({ text: `v${i}` }));
+      const post = stubPost({ revisions });
+
+      await editPostService(uid, "p1", { text: "newest" });
+
+      expect(post.revisions).to.have.length(MAX_REVISIONS);
+      expect(post.revisions[0].text).to.equal("v1");
+      expect(post.revisions[MAX_REVISIONS - 1].text).to.equal("old");
+    });
+
+    it("refuses to edit a plain repost", async () => {
+      stubPost({ kind: "repost", text: "" });
+
+      await expect(editPostService(uid, "p1", { text: "new" })).to.be.rejectedWith(AppError, /reposts cannot be edited/);
+    });
+
+    it("changes visibility without recording a revision", async () => {
+      const post = stubPost();
+
+      await editPostService(uid, "p1", { visibility: "private" });
+
+      expect(post.visibility).to.equal("private");
+      expect(post.revisions).to.be.empty;
+      expect(post.editedAt).to.be.null;
+      sinon.assert.calledOnce(post.save);
+    });
+
+    it("lets a plain repost change only its visibility", async () => {
+      const post = stubPost({ kind: "repost", text: "" });
+
+      await editPostService(uid, "p1", { visibility: "followers" });
+
+      expect(post.visibility).to.equal("followers");
+      sinon.assert.calledOnce(post.save);
+    });
+
+    it("refuses to move a quote to another category", async () => {
+      stubPost({ kind: "quote" });
+
+      await expect(editPostService(uid, "p1", { category: "Art", subCategory: "Film" })).to.be.rejectedWith(AppError, /keeps the category/);
     });
   });
 });
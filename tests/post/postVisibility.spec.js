@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+
+import { visibilityFilter, canViewPost } from "../../utils/postVisibility.js";
+
+describe("Post Visibility Unit Tests", () => {
+  const creator = new mongoose.Types.ObjectId();
+  const follower = { _id: new mongoose.Types.ObjectId(), following: [{ userId: creator }] };
+  const stranger = { _id: new mongoose.Types.ObjectId(), following: [] };
+
+  describe("canViewPost", () => {
+    it("shows public posts and posts stored before visibility existed to everyone", () => {
+      expect(canViewPost({ creator, visibility: "public" }, null)).to.be.true;
+      expect(canViewPost({ creator }, null)).to.be.true;
+    });
+
+    it("shows followers-only posts to followers and the creator only", () => {
+      const post = { creator, visibility: "followers" };
+
+      expect(canViewPost(post, follower)).to.be.true;
+      expect(canViewPost(post, { _id: creator, following: [] })).to.be.true;
+      expect(canViewPost(post, stranger)).to.be.false;
+      expect(canViewPost(post, null)).to.be.false;
+    });
+
+    it("shows private posts to the creator only, even when the creator is populated", () => {
+      const post = { creator: { _id: creator, userName: "ada" }, visibility: "private" };
+
+      expect(canViewPost(post, { _id: creator, following: [] })).to.be.true;
+      expect(canViewPost(post, follower)).to.be.false;
+    });
+
+    it("hides every post of a deactivated account, even from its creator", () => {
+      const post = { creator, visibility: "public", creatorActive: false };
+
+      expect(canViewPost(post, null)).to.be.false;
+      expect(canViewPost(post, { _id: creator, following: [] })).to.be.false;
+    });
+  });
+
+  describe("visibilityFilter", () => {
+    it("limits anonymous viewers to public posts", () => {
+      expect(visibilityFilter(null)).to.deep.equal({ creatorActive: { $ne: false }, visibility: { $nin: ["followers", "private"] } });
+    });
+
+    it("adds followed creators' followers-only posts and the viewer's own posts", () => {
+      expect(visibilityFilter(follower)).to.deep.equal({
+        creatorActive: { $ne: false },
+        $or: [
+          { visibility: { $nin: ["followers", "private"] } },
+          { visibility: "followers", creator: { $in: [creator] } },
+          { creator: follower._id },
+        ],
+      });
+    });
+
+    it("points at a looked-up post when given a prefix", () => {
+      expect(visibilityFilter(null, "post.")).to.deep.equal({
+        "post.creatorActive": { $ne: false },
+        "post.visibility": { $nin: ["followers", "private"] },
+      });
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import request from "supertest";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+
+import app from "../../app.js";
+import { insertUser, insertPost } from "../utils/mockData.js";
+import Post from "../../models/postModel.js";
+import User from "../../models/userModel.js";
+import Comment from "../../models/commentModel.js";
+
+describe("Search Controller Integration", () => {
+  let token;
+  let user;
+  let author;
+
+  before(async () => {
+    await Promise.all([Post.syncIndexes(), User.syncIndexes(), Comment.syncIndexes()]);
+  });
+
+  beforeEach(async () => {
+    ({ user } = await insertUser());
+    ({ user: author } = await insertUser({ email: "rustacean@email.com", userName: "rustacean", firstName: "ferris" }));
+    token = jwt.sign({ id: user._id }, process.env.JWT_SECRET || "secret");
+  });
+
+  const search = (query) => request(app).get("/api/v1/search").query(query).set("Authorization", `Bearer ${token}`);
+
+  it("finds posts, users and comments in one call", async () => {
+    const post = await insertPost(author._id, { text: "Learning rust this weekend" });
+    await Comment.create({ author: author._id, post: post._id, text: "rust is fun" });
+
+    const res = await search({ q: "rustacean rust" }).expect(200);
+
+    expect(res.body.data.posts.map((p) => p._id)).to.deep.equal([post._id.toString()]);
+    expect(res.body.data.users.map((u) => u.userName)).to.include("rustacean");
+    expect(res.body.data.comments).to.have.length(1);
+    expect(res.body.cursors).to.deep.equal({ posts: null, users: null, comments: null });
+  });
+
+  it("leaves out comments by a deactivated author and on deleted posts", async () => {
+    const post = await insertPost(user._id, { text: "weekend plans" });
+    await Comment.create({ author: author._id, post: post._id, text: "rust all weekend" });
+    await Comment.create({ author: user._id, post: new mongoose.Types.ObjectId(), text: "rust on a deleted post" });
+    await User.updateOne({ _id: author._id }, { active: false });
+
+    const res = await search({ q: "rust", type: "comments" }).expect(200);
+
+    expect(res.body.data.comments).to.be.empty;
+  });
+
+  it("ranks posts from the user's top categories first", async () => {
+    const other = await insertPost(author._id, { text: "rust tips", category: "general" });
+    const preferred = await insertPost(author._id, { text: "rust tips", category: "coding" });
+    await User.updateOne({ _id: user._id }, { $set: { topInterests: [{ name: "coding", score: 1, topSubs: [], risingSubs: [] }] } });
+
+    const res = await search({ q: "rust", type: "posts" }).expect(200);
+
+    expect(res.body.data.posts.map((p) => p._id)).to.deep.equal([preferred._id.toString(), other._id.toString()]);
+  });
+
+  it("pages posts with the returned cursor", async () => {
+    await Promise.all([1, 2, 3].map((i) => insertPost(author._id, { text: `rust post ${i}` })));
+
+    const first = await search({ q: "rust", type: "posts", limit: 2 }).expect(200);
+    expect(first.body.data.posts).to.have.length(2);
+    expect(first.body.cursors.posts).to.be.a("string");
+
+    const second = await search({ q: "rust", type: "posts", limit: 2, cursor: first.body.cursors.posts }).expect(200);
+    expect(second.body.data.posts).to.have.length(1);
+    expect(second.body.cursors.posts).to.equal(null);
+
+    const ids = [...first.body.data.posts, ...second.body.data.posts].map((p) => p._id);
+    expect(new Set(ids).size).to.equal(3);
+  });
+
+  it("filters posts by creator and date range", async () => {
+    await insertPost(user._id, { text: "rust from me" });
+    const old = await insertPost(author._id, { text: "old rust", createdAt: new Date("2020-01-01") });
+    await insertPost(author._id, { text: "new rust" });
+
+    const res = await search({ q: "rust", type: "posts", creator: author._id.toString(), to: "2021-01-01" }).expect(200);
+
+    expect(res.body.data.posts.map((p) => p._id)).to.deep.equal([old._id.toString()]);
+  });
+
+  it("rejects a missing query", async () => {
+    await search({ type: "posts" }).expect(400);
+  });
+
+  it("requires authentication", async () => {
+    await request(app).get("/api/v1/search").query({ q: "rust" }).expect(401);
+  });
+});
@@ -0,0 +1,122 @@
+import sinon from "sinon";
+import mongoose from "mongoose";
+
+import Post from "../../models/postModel.js";
+import User from "../../models/userModel.js";
+import Comment from "../../models/commentModel.js";
+import Category from "../../models/categoryModel.js";
+import AppError from "../../utils/appError.js";
+import { searchService, encodeSearchCursor, decodeSearchCursor } from "../../services/search/searchService.js";
+import { SEARCH_CATEGORY_BOOST, SEARCH_CREATOR_BOOST } from "../../constants/searchConstants.js";
+
+describe("Search Service Unit Tests", () => {
+  afterEach(() => sinon.restore());
+
+  const creatorId = new mongoose.Types.ObjectId();
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    following: [],
+    topInterests: [{ name: "Tech" }],
+    creatorsInterests: { topCreators: [{ creatorId }] },
+  };
+  const hit = (score) => ({ _id: new mongoose.Types.ObjectId(), searchScore: score });
+
+  describe("cursors", () => {
+    it("round-trips the score and id of the last hit", () => {
+      const last = hit(1.25);
+
+      expect(decodeSearchCursor(encodeSearchCursor(last))).to.deep.equal({ searchScore: 1.25, _id: last._id });
+    });
+
+    it("rejects a cursor that was not issued by the API", () => {
+      expect(() => decodeSearchCursor("not-a-cursor")).to.throw(AppError, /invalid search cursor/);
+    });
+  });
+
+  describe("searchService", () => {
+    it("searches every type and boosts the user's top categories and creators", async () => {
+      const postAgg = sinon.stub(Post, "aggregate").resolves([hit(3)]);
+      sinon.stub(User, "aggregate").resolves([]);
+      sinon.stub(Comment, "aggregate").resolves([]);
+
+      const result = await searchService(user, { q: "rust", type: "all", limit: 20 });
+
+      expect(result).to.have.keys("posts", "users", "comments");
+      expect(result.posts.items).to.have.length(1);
+      expect(result.posts.nextCursor).to.equal(null);
+
+      const pipeline = postAgg.firstCall.args[0];
+      expect(pipeline[0].$match).to.have.keys("$text", "creatorActive", "$or");
+      expect(pipeline[0].$match.$text).to.deep.equal({ $search: "rust" });
+      const [, ...boosts] = pipeline[1].$addFields.searchScore.$multiply[1].$add;
+      expect(boosts).to.deep.equal([
+        { $cond: [{ $in: ["$category", ["Tech"]] }, SEARCH_CATEGORY_BOOST, 0] },
+        { $cond: [{ $in: ["$creator", [creatorId]] }, SEARCH_CREATOR_BOOST, 0] },
+      ]);
+    });
+
+    it("applies filters and returns a cursor when there are more hits", async () => {
+      const from = new Date("2024-01-01");
+      const to = new Date("2024-02-01");
+      const creator = new mongoose.Types.ObjectId().toString();
+      sinon.stub(Category, "findOne").returns({ collation: sinon.stub().resolves({ category: "Technology" }) });
+      const postAgg = sinon.stub(Post, "aggregate").resolves([hit(3), hit(2), hit(1)]);
+
+      const result = await searchService(user, { q: "rust", type: "posts", category: "tech", creator, from, to, limit: 2 });
+
+      expect(postAgg.firstCall.args[0][0].$match).to.deep.include({
+        category: "Technology",
+        creator: new mongoose.Types.ObjectId(creator),
+        createdAt: { $gte: from, $lte: to },
+      });
+      expect(result.posts.items).to.have.length(2);
+      expect(decodeSearchCursor(result.posts.nextCursor).searchScore).to.equal(2);
+    });
+
+    it("continues after the cursor position", async () => {
+      const last = hit(2);
+      const postAgg = sinon.stub(Post, "aggregate").resolves([]);
+
+      await searchService(user, { q: "rust", type: "posts", limit: 20, cursor: encodeSearchCursor(last) });
+
+      const keyset = postAgg.firstCall.args[0].find((stage) => stage.$match && !stage.$match.$text);
+      expect(keyset.$match.$or).to.deep.equal([{ searchScore: { $lt: 2 } }, { searchScore: 2, _id: { $lt: last._id } }]);
+    });
+
+    it("only matches posts and comments the user is allowed to see", async () => {
+      const postAgg = sinon.stub(Post, "aggregate").resolves([]);
+      const commentAgg = sinon.stub(Comment, "aggregate").resolves([]);
+      sinon.stub(User, "aggregate").resolves([]);
+
+      await searchService(user, { q: "rust", type: "all", limit: 20 });
+
+      expect(postAgg.firstCall.args[0][0].$match.$or).to.deep.include({ creator: user._id });
+      const postStage = commentAgg.firstCall.args[0].find((stage) => stage.$match?.$or);
+      expect(postStage.$match.$or).to.deep.include({ "postDoc.creator": user._id });
+    });
+
+    it("drops comments on deleted posts and by inactive authors", async () => {
+      const commentAgg = sinon.stub(Comment, "aggregate").resolves([]);
+
+      await searchService(user, { q: "rust", type: "comments", limit: 20 });
+
+      const stages = commentAgg.firstCall.args[0];
+      expect(stages.find((stage) => stage.$match?.$or).$match).to.include.keys("postDoc", "postDoc.creatorActive");
+      expect(stages.find((stage) => stage.$lookup?.as === "authorDoc").$lookup.localField).to.equal("author");
+      expect(stages).to.deep.include({ $match: { authorDoc: { $ne: [] }, "authorDoc.active": { $ne: false } } });
+    });
+
+    it("requires a single type when paging", async () => {
+      await expect(searchService(user, { q: "rust", type: "all", limit: 20, cursor: "abc" })).to.be.rejectedWith(AppError, /single type/);
+    });
+
+    it("rejects a category missing from the taxonomy", async () => {
+      sinon.stub(Category, "findOne").returns({ collation: sinon.stub().resolves(null) });
+
+      await expect(searchService(user, { q: "rust", type: "posts", category: "Nope", limit: 20 })).to.be.rejectedWith(
+        AppError,
+        /unknown category/,
+      );
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import sinon from "sinon";
+import mongoose from "mongoose";
+
+import User from "../../models/userModel.js";
+import Post from "../../models/postModel.js";
+import Comment from "../../models/commentModel.js";
+import Bookmark from "../../models/bookmarkModel.js";
+import FeedCursor from "../../models/feedCursorModel.js";
+import RefreshToken from "../../models/refreshTokenModel.js";
+import LoginSession from "../../models/loginSessionModel.js";
+import UserInterestStats from "../../models/userInterestStatsModel.js";
+import CreatorStats from "../../models/creatorStatsModel.js";
+import AccountDeletion from "../../models/accountDeletionModel.js";
+import { runAccountDeletion, processAccountDeletions } from "../../services/user/accountDeletionService.js";
+import { ACCOUNT_DELETION_MAX_ATTEMPTS } from "../../constants/accountConstants.js";
+
+const STEP_COUNT = 7;
+
+describe("Account Deletion Service Unit Tests", () => {
+  afterEach(() => sinon.restore());
+
+  const userId = new mongoose.Types.ObjectId();
+  const jobId = new mongoose.Types.ObjectId();
+  const batch = (docs) => ({ limit: () => ({ lean: sinon.stub().resolves(docs) }) });
+
+  let progress;
+
+  beforeEach(() => {
+    progress = sinon.stub(AccountDeletion, "updateOne").resolves();
+  });
+
+  const stubCleanup = () => ({
+    deleteUser: sinon.stub(User, "deleteOne").resolves(),
+    pullFromUsers: sinon.stub(User, "updateMany").resolves(),
+    findPosts: sinon.stub(Post, "find").returns(batch([])),
+    deletePosts: sinon.stub(Post, "deleteMany").resolves(),
+    pullFromPosts: sinon.stub(Post, "updateMany").resolves(),
+    credit: sinon.stub(Post, "bulkWrite").resolves(),
+    findComments: sinon.stub(Comment, "find").returns(batch([])),
+    deleteComments: sinon.stub(Comment, "deleteMany").resolves(),
+    pullFromComments: sinon.stub(Comment, "updateMany").resolves(),
+    deleteBookmarks: sinon.stub(Bookmark, "deleteMany").resolves(),
+    deleteCursors: sinon.stub(FeedCursor, "deleteMany").resolves(),
+    deleteTokens: sinon.stub(RefreshToken, "deleteMany").resolves(),
+    deleteLogins: sinon.stub(LoginSession, "deleteMany").resolves(),
+    deleteInterestStats: sinon.stub(UserInterestStats, "deleteMany").resolves(),
+    deleteCreatorStats: sinon.stub(CreatorStats, "deleteMany").resolves(),
+  });
+
+  describe("runAccountDeletion", () => {
+    it("runs every step, saving progress after each, and marks the job done", async () => {
+      const stubs = stubCleanup();
+
+      await runAccountDeletion({ _id: jobId, user: userId, step: 0, attempts: 1 });
+
+      sinon.assert.calledOnceWithExactly(stubs.deleteUser, { _id: userId });
+      sinon.assert.calledWith(stubs.deleteTokens, { user: userId });
+      sinon.assert.calledWith(stubs.deleteInterestStats, { userId });
+      sinon.assert.calledWith(stubs.deleteCreatorStats, { creatorId: userId });
+      const steps = progress
+        .getCalls()
+        .map((c) => c.args[1].step)
+        .filter((s) => s !== undefined);
+      expect(steps).to.deep.equal([1, 2, 3, 4, 5, 6, 7]);
+      expect(progress.lastCall.args[1]).to.include({ status: "done", lockedUntil: null });
+    });
+
+    it("resumes at the step it had reached", async () => {
+      const stubs = stubCleanup();
+
+      await runAccountDeletion({ _id: jobId, user: userId, step: STEP_COUNT - 1, attempts: 2 });
+
+      sinon.assert.notCalled(stubs.deleteUser);
+      sinon.assert.notCalled(stubs.findPosts);
+      sinon.assert.calledWith(stubs.deleteInterestStats, { userId });
+    });
+
+    it("deletes the user's posts in batches with what hangs off them", async () => {
+      const stubs = stubCleanup();
+      const original = new mongoose.Types.ObjectId();
+      const posts = [{ _id: new mongoose.Types.ObjectId(), repostOf: original }, { _id: new mongoose.Types.ObjectId() }];
+      stubs.findPosts.onFirstCall().returns(batch(posts));
+      const ids = posts.map((p) => p._id);
+
+      await runAccountDeletion({ _id: jobId, user: userId, step: 2, attempts: 1 });
+
+      sinon.assert.calledWith(stubs.findPosts, { creator: userId });
+      sinon.assert.calledWith(stubs.deleteComments, { post: { $in: ids } });
+      sinon.assert.calledWith(stubs.deleteBookmarks, { post: { $in: ids } });
+      sinon.assert.calledWith(stubs.deletePosts, { repostOf: { $in: ids }, kind: "repost" });
+      sinon.assert.calledWith(stubs.deletePosts, { _id: { $in: ids } });
+      expect(stubs.credit.firstCall.args[0]).to.deep.equal([
+        { updateOne: { filter: { _id: original }, update: { $inc: { shareCount: -1 } } } },
+      ]);
+    });
+
+    it("keeps the job locked and records the error when a step fails", async () => {
+      sinon.stub(User, "deleteOne").rejects(new Error("boom"));
+
+      await runAccountDeletion({ _id: jobId, user: userId, step: 0, attempts: 1 });
+
+      sinon.assert.calledOnceWithExactly(progress, { _id: jobId }, { lastError: "boom" });
+    });
+
+    it("gives up after the last attempt", async () => {
+      sinon.stub(User, "deleteOne").rejects(new Error("boom"));
+
+      await runAccountDeletion({ _id: jobId, user: userId, step: 0, attempts: ACCOUNT_DELETION_MAX_ATTEMPTS });
+
+      expect(progress.lastCall.args[1]).to.deep.equal({ lastError: "boom", status: "failed" });
+    });
+  });
+
+  describe("processAccountDeletions", () => {
+    it("claims due jobs one at a time until none are left", async () => {
+      const claim = sinon.stub(AccountDeletion, "findOneAndUpdate");
+      claim.onFirstCall().resolves({ _id: jobId, user: userId, step: STEP_COUNT, attempts: 1 });
+      claim.onSecondCall().resolves(null);
+
+      expect(await processAccountDeletions()).to.equal(1);
+
+      const [filter, update] = claim.firstCall.args;
+      expect(filter.status).to.equal("pending");
+      expect(update.lockedUntil.getTime()).to.be.greaterThan(Date.now());
+      expect(update.$inc).to.deep.equal({ attempts: 1 });
+    });
+  });
+});
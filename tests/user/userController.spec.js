@@ -6,6 +6,12 @@ import mongoose from "mongoose";
 import app from "../../app.js";
 import { insertUser, insertPost } from "../utils/mockData.js";
 import User from "../../models/userModel.js";
+import Category from "../../models/categoryModel.js";
+import Post from "../../models/postModel.js";
+import Comment from "../../models/commentModel.js";
+import CreatorStats from "../../models/creatorStatsModel.js";
+import AccountDeletion from "../../models/accountDeletionModel.js";
+import { processAccountDeletions } from "../../services/user/accountDeletionService.js";
 
 describe("User Controller Integration", () => {
   let token;
@@ -40,6 +46,117 @@ describe("User Controller Integration", () => {
     });
   });
 
+  describe("GET /api/v1/user/me/mentions", () => {
+    it("lists posts and comments that mention the current user, newest first", async () => {
+      const otherToken = jwt.sign({ id: otherUser._id }, process.env.JWT_SECRET || "secret");
+      await Category.create({ category: "general", subCategories: ["sub"] });
+
+      await request(app)
+        .post("/api/v1/post")
+        .set("Authorization", `Bearer ${otherToken}`)
+        .send({ text: "shout out to @primaryUser", category: "general", subCategory: "sub" })
+        .expect(201);
+      await request(app)
+        .post(`/api/v1/comment/${post._id}/comments`)
+        .set("Authorization", `Bearer ${otherToken}`)
+        .send({ text: "@PrimaryUser nice one" })
+        .expect(201);
+
+      const res = await request(app).get("/api/v1/user/me/mentions").set("Authorization", `Bearer ${token}`).expect(200);
+
+      expect(res.body.results).to.equal(2);
+      expect(res.body.data.mentions.map((m) => m.type)).to.deep.equal(["comment", "post"]);
+      expect(res.body.data.mentions[0].author).to.equal(otherUser._id.toString());
+    });
+
+    it("leaves out mentions on posts the user may not see", async () => {
+      const hidden = await insertPost(otherUser._id, { text: "secret @primaryUser", visibility: "private", mentions: [user._id] });
+      await Comment.create({ author: otherUser._id, post: hidden._id, text: "@primaryUser psst", mentions: [user._id] });
+
+      const res = await request(app).get("/api/v1/user/me/mentions").set("Authorization", `Bearer ${token}`).expect(200);
+
+      expect(res.body.results).to.equal(0);
+    });
+
+    it("fails if not logged in", async () => {
+      await request(app).get("/api/v1/user/me/mentions").expect(401);
+    });
+  });
+
+  describe("/api/v1/user/me/sessions", () => {
+    let passwordPlain;
+
+    const login = async (userAgent) =>
+      (
+        await request(app)
+          .post("/api/v1/user/login")
+          .set("User-Agent", userAgent)
+          .send({ email: "sessions@example.com", password: passwordPlain })
+          .expect(200)
+      ).body;
+    const listSessions = (accessToken) => request(app).get("/api/v1/user/me/sessions").set("Authorization", `Bearer ${accessToken}`);
+
+    beforeEach(async () => {
+      ({ passwordPlain } = await insertUser({ email: "sessions@example.com", userName: "sessionsUser" }));
+    });
+
+    it("lists every login with its device and flags the current one", async () => {
+      await login("Phone");
+      const laptop = await login("Laptop");
+
+      const res = await listSessions(laptop.token).expect(200);
+
+      expect(res.body.results).to.equal(2);
+      const current = res.body.data.sessions.find((s) => s.current);
+      expect(current.userAgent).to.equal("Laptop");
+      expect(res.body.data.sessions.map((s) => s.userAgent)).to.have.members(["Phone", "Laptop"]);
+    });
+
+    it("revokes one session, which logs that device out", async () => {
+      const phone = await login("Phone");
+      const laptop = await login("Laptop");
+      const { sessions } = (await listSessions(laptop.token)).body.data;
+      const phoneSession = sessions.find((s) => s.userAgent === "Phone");
+
+      await request(app).delete(`/api/v1/user/me/sessions/${phoneSession._id}`).set("Authorization", `Bearer ${laptop.token}`).expect(204);
+
+      await listSessions(phone.token).expect(401);
+      await request(app).post("/api/v1/user/refresh").send({ refreshToken: phone.refreshToken }).expect(401);
+      expect((await listSessions(laptop.token)).body.results).to.equal(1);
+    });
+
+    it("does not revoke another user's session", async () => {
+      const laptop = await login("Laptop");
+      const { sessions } = (await listSessions(laptop.token)).body.data;
+
+      await request(app).delete(`/api/v1/user/me/sessions/${sessions[0]._id}`).set("Authorization", `Bearer ${token}`).expect(404);
+    });
+
+    it("revokes every other session but keeps the current one", async () => {
+      const phone = await login("Phone");
+      const tablet = await login("Tablet");
+      const laptop = await login("Laptop");
+
+      await request(app).delete("/api/v1/user/me/sessions").set("Authorization", `Bearer ${laptop.token}`).expect(204);
+
+      await listSessions(phone.token).expect(401);
+      await listSessions(tablet.token).expect(401);
+      const res = await listSessions(laptop.token).expect(200);
+      expect(res.body.data.sessions.map((s) => s.userAgent)).to.deep.equal(["Laptop"]);
+    });
+
+    it("refuses to revoke other sessions from a token that predates login tracking", async () => {
+      const laptop = await login("Laptop");
+      const { _id: userId } = await User.findOne({ email: "sessions@example.com" });
+      const legacyToken = jwt.sign({ id: userId }, process.env.JWT_SECRET || "secret");
+
+      const res = await request(app).delete("/api/v1/user/me/sessions").set("Authorization", `Bearer ${legacyToken}`).expect(400);
+
+      expect(res.body.message).to.match(/sign in again/);
+      expect((await listSessions(laptop.token).expect(200)).body.results).to.equal(1);
+    });
+  });
+
   describe("POST /api/v1/user/:id/follow", () => {
     it("follows another user and returns message", async () => {
       const res = await request(app).post(`/api/v1/user/${otherUser._id}/follow`).set("Authorization", `Bearer ${token}`).expect(200);
@@ -67,6 +184,23 @@ describe("User Controller Integration", () => {
     it("404 on nonexistent user", async () => {
       await request(app).get(`/api/v1/user/${new mongoose.Types.ObjectId()}/posts`).set("Authorization", `Bearer ${token}`).expect(404);
     });
+
+    it("shows followers-only posts to followers and private posts to no one else", async () => {
+      await insertPost(user._id, { text: "followers", visibility: "followers" });
+      await insertPost(user._id, { text: "private", visibility: "private" });
+      const otherToken = jwt.sign({ id: otherUser._id }, process.env.JWT_SECRET || "secret");
+      const texts = (res) => res.body.data.posts.map((p) => p.text).sort();
+
+      const anonymous = await request(app).get(`/api/v1/user/${user._id}/posts`).expect(200);
+      expect(texts(anonymous)).to.deep.equal(["test text"]);
+
+      await request(app).post(`/api/v1/user/${user._id}/follow`).set("Authorization", `Bearer ${otherToken}`).expect(200);
+      const follower = await request(app).get(`/api/v1/user/${user._id}/posts`).set("Authorization", `Bearer ${otherToken}`).expect(200);
+      expect(texts(follower)).to.deep.equal(["followers", "test text"]);
+
+      const own = await request(app).get(`/api/v1/user/${user._id}/posts`).set("Authorization", `Bearer ${token}`).expect(200);
+      expect(texts(own)).to.deep.equal(["followers", "private", "test text"]);
+    });
   });
 
   describe("PATCH /api/v1/user/updateMe", () => {
@@ -114,4 +248,70 @@ describe("User Controller Integration", () => {
         .expect(400);
     });
   });
+
+  describe("PATCH /api/v1/user/deactivateMe", () => {
+    const viewPost = () =>
+      request(app)
+        .get(`/api/v1/post/${post._id}`)
+        .set("Authorization", `Bearer ${jwt.sign({ id: otherUser._id }, process.env.JWT_SECRET || "secret")}`);
+
+    it("hides the profile and posts until the user logs in again", async () => {
+      await request(app).patch("/api/v1/user/deactivateMe").set("Authorization", `Bearer ${token}`).expect(200);
+
+      await request(app).get(`/api/v1/user/${user._id}/posts`).expect(404);
+      await viewPost().expect(404);
+
+      const login = await request(app)
+        .post("/api/v1/user/login")
+        .send({ email: "primary@example.com", password: "password123" })
+        .expect(200);
+
+      expect(login.body.data.user.active).to.be.undefined;
+      await viewPost().expect(200);
+    });
+  });
+
+  describe("DELETE /api/v1/user/deleteMe", () => {
+    const otherToken = () => jwt.sign({ id: otherUser._id }, process.env.JWT_SECRET || "secret");
+
+    it("rejects a wrong password", async () => {
+      await request(app).delete("/api/v1/user/deleteMe").set("Authorization", `Bearer ${token}`).send({ password: "nope" }).expect(400);
+
+      expect(await AccountDeletion.exists({ user: user._id })).to.be.null;
+    });
+
+    it("removes the account at once and everything pointing at it once the job ran", async () => {
+      const otherPost = await insertPost(otherUser._id, { likes: [user._id] });
+      await request(app).post(`/api/v1/user/${otherUser._id}/follow`).set("Authorization", `Bearer ${token}`).expect(200);
+      await request(app).post(`/api/v1/user/${user._id}/follow`).set("Authorization", `Bearer ${otherToken()}`).expect(200);
+      await request(app)
+        .post(`/api/v1/comment/${otherPost._id}/comments`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ text: "bye" })
+        .expect(201);
+      await CreatorStats.create({ creatorId: user._id, impressionCount: 3 });
+
+      await request(app)
+        .delete("/api/v1/user/deleteMe")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ password: "password123" })
+        .expect(202);
+
+      await request(app).get("/api/v1/user/me").set("Authorization", `Bearer ${token}`).expect(401);
+      await request(app).get(`/api/v1/post/${post._id}`).set("Authorization", `Bearer ${otherToken()}`).expect(404);
+
+      expect(await processAccountDeletions()).to.equal(1);
+
+      expect(await Post.exists({ creator: user._id })).to.be.null;
+      expect(await Comment.exists({ author: user._id })).to.be.null;
+      expect(await CreatorStats.exists({ creatorId: user._id })).to.be.null;
+      const other = await User.findById(otherUser._id);
+      expect(other.followers).to.have.lengthOf(0);
+      expect(other.following).to.have.lengthOf(0);
+      const liked = await Post.findById(otherPost._id);
+      expect(liked.likes).to.have.lengthOf(0);
+      expect(liked.comments).to.have.lengthOf(0);
+      expect((await AccountDeletion.findOne({ user: user._id })).status).to.equal("done");
+    });
+  });
 });
@@ -4,9 +4,18 @@ import bcrypt from "bcrypt";
 
 import User from "../../models/userModel.js";
 import Post from "../../models/postModel.js";
+import RefreshToken from "../../models/refreshTokenModel.js";
+import AccountDeletion from "../../models/accountDeletionModel.js";
 import AppError from "../../utils/appError.js";
 
-import { followUnFollowService, getUserPostsService, updateMeService, updateMyPasswordService } from "../../services/user/userService.js";
+import {
+  followUnFollowService,
+  getUserPostsService,
+  updateMeService,
+  updateMyPasswordService,
+  deactivateMeService,
+  deleteMeService,
+} from "../../services/user/userService.js";
 
 describe("User Service Unit Tests", () => {
   afterEach(() => sinon.restore());
@@ -116,7 +125,24 @@ describe("User Service Unit Tests", () => {
       expect(page).to.equal(2);
       expect(results).to.equal(3);
       expect(posts).to.equal(fakePosts);
-      expect(findStub.calledWith({ creator: userId })).to.be.true;
+      expect(findStub.calledWith({ creator: userId, creatorActive: { $ne: false }, visibility: { $nin: ["followers", "private"] } })).to.be
+        .true;
+    });
+
+    it("includes followers-only posts when the viewer follows the user", async () => {
+      const viewer = { _id: new mongoose.Types.ObjectId(), following: [{ userId }] };
+      sinon.stub(User, "findById").resolves({ _id: userId });
+      const findStub = sinon.stub(Post, "find").returns({
+        sort: () => ({
+          skip: () => ({ limit: () => Promise.resolve([]) }),
+        }),
+      });
+
+      await getUserPostsService(userId, 1, 15, viewer);
+
+      const filter = findStub.firstCall.args[0];
+      expect(filter.creator).to.equal(userId);
+      expect(filter.$or).to.deep.include({ visibility: "followers", creator: { $in: [userId] } });
     });
   });
 
@@ -178,6 +204,7 @@ describe("User Service Unit Tests", () => {
       sinon.stub(User, "findById").returns({
         select: sinon.stub().resolves(fakeUser),
       });
+      const families = sinon.stub(RefreshToken, "distinct").resolves([]);
 
       const result = await updateMyPasswordService(userId, "oldPass", "newPass", "newPass");
 
@@ -185,6 +212,50 @@ describe("User Service Unit Tests", () => {
       expect(fakeUser.passwordConfirm).to.equal("newPass");
       expect(fakeUser.save.calledOnce).to.be.true;
       expect(result).to.equal(fakeUser);
+      sinon.assert.calledWith(families, "family", { user: userId, revokedAt: null });
+    });
+  });
+
+  describe("deactivateMeService", () => {
+    it("logs out everywhere, then hides the profile and its posts", async () => {
+      const userId = new mongoose.Types.ObjectId();
+      const families = sinon.stub(RefreshToken, "distinct").resolves([]);
+      const deactivate = sinon.stub(User, "updateOne").resolves();
+      const hidePosts = sinon.stub(Post, "updateMany").resolves();
+
+      await deactivateMeService(userId);
+
+      sinon.assert.calledWith(families, "family", { user: userId, revokedAt: null });
+      sinon.assert.calledOnceWithExactly(deactivate, { _id: userId }, { active: false });
+      sinon.assert.calledOnceWithExactly(hidePosts, { creator: userId }, { creatorActive: false });
+      sinon.assert.callOrder(families, deactivate);
+    });
+  });
+
+  describe("deleteMeService", () => {
+    const userId = new mongoose.Types.ObjectId();
+    const currentHash = bcrypt.hashSync("pass", 1);
+
+    it("refuses a wrong password without touching anything", async () => {
+      sinon.stub(User, "findById").returns({ select: sinon.stub().resolves({ password: currentHash }) });
+      const queue = sinon.stub(AccountDeletion, "updateOne");
+
+      await expect(deleteMeService(userId, "wrong")).to.be.rejectedWith(AppError, /password is incorrect/);
+      sinon.assert.notCalled(queue);
+    });
+
+    it("queues the cleanup job before removing the profile", async () => {
+      sinon.stub(User, "findById").returns({ select: sinon.stub().resolves({ password: currentHash }) });
+      const queue = sinon.stub(AccountDeletion, "updateOne").resolves();
+      const hidePosts = sinon.stub(Post, "updateMany").resolves();
+      const remove = sinon.stub(User, "deleteOne").resolves();
+
+      await deleteMeService(userId, "pass");
+
+      sinon.assert.calledOnceWithMatch(queue, { user: userId }, { $setOnInsert: { user: userId } }, { upsert: true });
+      sinon.assert.calledOnceWithExactly(hidePosts, { creator: userId }, { creatorActive: false });
+      sinon.assert.calledOnceWithExactly(remove, { _id: userId });
+      sinon.assert.callOrder(queue, remove);
     });
   });
 });
@@ -15,6 +15,7 @@ export async function insertUser(overrides = {}) {
     passwordConfirm: passwordPlain,
     bio: "",
     profilePicture: "",
+    isVerified: true,
     seenPosts: [],
     topInterests: [],
     risingInterests: [],
@@ -0,0 +1,82 @@
+import { DIVERSITY_LAMBDA, DIVERSITY_WEIGHTS, DIVERSITY_CAPS } from "../constants/feedConstants.js";
+
+const dimensionValue = (item, dimension) => {
+  const value = item[dimension];
+  if (value === undefined || value === null || value === "") return null;
+  return value.toString();
+};
+
+function similarity(a, b, weights, totalWeight) {
+  let shared = 0;
+  Object.entries(weights).forEach(([dimension, weight]) => {
+    const va = dimensionValue(a, dimension);
+    if (va !== null && va === dimensionValue(b, dimension)) shared += weight;
+  });
+  return totalWeight > 0 ? shared / totalWeight : 0;
+}
+
+function diversifyFeed(
+  candidates,
+  { lambda = DIVERSITY_LAMBDA, weights = DIVERSITY_WEIGHTS, caps = DIVERSITY_CAPS, scoreKey = "overallScore" } = {},
+) {
+  if (!candidates.length) return [];
+
+  const scale = Math.max(...candidates.map((item) => Math.abs(item[scoreKey] || 0))) || 1;
+  const relevance = (item) => (item[scoreKey] || 0) / scale;
+
+  const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0);
+
+  const counts = {};
+  Object.keys(caps).forEach((dimension) => {
+    counts[dimension] = {};
+  });
+
+  const withinCaps = (item) =>
+    Object.entries(caps).every(([dimension, cap]) => {
+      const value = dimensionValue(item, dimension);
+      return value === null || (counts[dimension][value] || 0) < cap;
+    });
+
+  const chosen = [];
+  let pool = candidates.slice();
+  // Highest similarity of each candidate to anything picked so far. Only the
+  // latest pick can raise it, so each round compares against that one item.
+  const maxSim = new Map(pool.map((item) => [item, 0]));
+
+  while (pool.length) {
+    pool = pool.filter(withinCaps);
+    if (!pool.length) break;
+
+    let best = null;
+    let bestScore = -Infinity;
+    let bestPenalty = 0;
+
+    pool.forEach((item) => {
+      const penalty = maxSim.get(item);
+      const mmr = lambda * relevance(item) - (1 - lambda) * penalty;
+      if (mmr > bestScore) {
+        best = item;
+        bestScore = mmr;
+        bestPenalty = penalty;
+      }
+    });
+
+    best.diversityScore = bestScore;
+    best.diversityPenalty = bestPenalty;
+    chosen.push(best);
+
+    Object.keys(caps).forEach((dimension) => {
+      const value = dimensionValue(best, dimension);
+      if (value !== null) counts[dimension][value] = (counts[dimension][value] || 0) + 1;
+    });
+
+    pool.splice(pool.indexOf(best), 1);
+    pool.forEach((item) => {
+      maxSim.set(item, Math.max(maxSim.get(item), similarity(item, best, weights, totalWeight)));
+    });
+  }
+
+  return chosen;
+}
+
+export default diversifyFeed;
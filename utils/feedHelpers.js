@@ -1,11 +1,30 @@
+import mongoose from "mongoose";
 import Post from "../models/postModel.js";
-
-export async function fetchCandidates({ filter, sort, topLimit, rndLimit, bucket, skippedCreators = [] }) {
+import { visibilityFilter } from "./postVisibility.js";
+import { TOP_SUB_SAMPLE_LIMITS, EXTRA_SUB_SAMPLE_LIMITS } from "../constants/feedConstants.js";
+
+// Plain reposts carry nothing of their own, so only the followed-creator pool
+// (which passes includeReposts) surfaces them.
+const NOT_A_REPOST = { kind: { $ne: "repost" } };
+
+// Every candidate query is limited to posts `viewer` may see; without a viewer only public posts qualify.
+export async function fetchCandidates({
+  filter,
+  sort,
+  topLimit,
+  rndLimit,
+  bucket,
+  skippedCreators = [],
+  includeReposts = false,
+  viewer = null,
+}) {
   const docs = await Post.aggregate([
     {
       $match: {
+        ...(!includeReposts && NOT_A_REPOST),
         ...filter,
         ...(skippedCreators.length && { creator: { $nin: skippedCreators } }),
+        $and: [visibilityFilter(viewer)],
       },
     },
     {
@@ -26,16 +45,22 @@ export async function fetchCandidates({ filter, sort, topLimit, rndLimit, bucket
   return docs;
 }
 
-export async function fetchTop({ filter, limit, sort, bucket }) {
-  const docs = await Post.find(filter).sort(sort).limit(limit).lean();
+export async function fetchTop({ filter, limit, sort, bucket, viewer = null }) {
+  const docs = await Post.find({ ...filter, $and: [visibilityFilter(viewer)] })
+    .sort(sort)
+    .limit(limit)
+    .lean();
   docs.forEach((d) => {
     d.bucket = bucket;
   });
   return docs;
 }
 
-export async function fetchRandom({ filter, limit, bucket }) {
-  const docs = await Post.aggregate([{ $match: filter }, { $sample: { size: limit } }]);
+export async function fetchRandom({ filter, limit, bucket, viewer = null }) {
+  const docs = await Post.aggregate([
+    { $match: { ...NOT_A_REPOST, ...filter, $and: [visibilityFilter(viewer)] } },
+    { $sample: { size: limit } },
+  ]);
   docs.forEach((d) => {
     d.bucket = bucket;
   });
@@ -51,21 +76,48 @@ export function pickRandom(arr, n) {
   return out;
 }
 
+export function pickWeighted(arr, n, weightOf = (item) => item.score) {
+  const a = arr.slice();
+  const out = [];
+  while (out.length < n && a.length) {
+    const weights = a.map((item) => Math.max(weightOf(item) ?? 0, 0));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    let idx = Math.floor(Math.random() * a.length);
+    if (total > 0) {
+      let r = Math.random() * total;
+      idx = weights.findIndex((w) => {
+        r -= w;
+        return r < 0;
+      });
+      if (idx === -1) idx = a.length - 1;
+    }
+    out.push(a.splice(idx, 1)[0]);
+  }
+  return out;
+}
+
 export function makeSeenSet(user) {
   return new Set((user.seenPosts || []).map((id) => id.toString()));
 }
 
-export async function sampleCategory(categoryObj, seenSet, skippedCreators) {
+// Seen ids are kept as strings, and Mongoose does not cast inside aggregate
+// pipelines, so they are turned back into ObjectIds before excluding by _id.
+export const notSeen = (seenSet) => ({ $nin: [...seenSet].map((id) => new mongoose.Types.ObjectId(id)) });
+
+export async function sampleCategory(categoryObj, seenSet, skippedCreators, viewer = null) {
   const result = [];
   const catName = categoryObj.name;
 
-  const topTwoSubs = categoryObj.topSubs.slice(0, 2);
-  const extraTopSub = pickRandom(categoryObj.topSubs.slice(2), 1);
-  const subsToSample = [...topTwoSubs, ...extraTopSub];
+  const rankedSubs = [...(categoryObj.topSubs || [])].sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+  const leadingSubs = rankedSubs.slice(0, TOP_SUB_SAMPLE_LIMITS.length);
+  const extraTopSub = pickWeighted(rankedSubs.slice(TOP_SUB_SAMPLE_LIMITS.length), 1);
+  const subsToSample = [...leadingSubs, ...extraTopSub];
+
+  const topSubPromises = subsToSample.map(async (sub, rank) => {
+    const { topLimit, rndLimit } = TOP_SUB_SAMPLE_LIMITS[rank] ?? EXTRA_SUB_SAMPLE_LIMITS;
 
-  const topSubPromises = subsToSample.map(async (sub) => {
     const filter = {
-      _id: { $nin: Array.from(seenSet) },
+      _id: notSeen(seenSet),
       category: catName,
       subCategory: sub.name,
     };
@@ -73,10 +125,11 @@ export async function sampleCategory(categoryObj, seenSet, skippedCreators) {
     const candidates = await fetchCandidates({
       filter,
       sort: { bayesianScore: -1, createdAt: -1 },
-      topLimit: 5,
-      rndLimit: 3,
+      topLimit,
+      rndLimit,
       bucket: `INT:${catName}`,
       skippedCreators,
+      viewer,
     });
 
     candidates.forEach((p) => {
@@ -87,13 +140,40 @@ export async function sampleCategory(categoryObj, seenSet, skippedCreators) {
 
   await Promise.all(topSubPromises);
 
-  const topOneRising = categoryObj.risingSubs.slice(0, 1);
-  const extraRising = pickRandom(categoryObj.risingSubs.slice(1), 1);
+  const specificPromises = subsToSample.flatMap((sub) =>
+    (sub.specific || []).map(async (spec) => {
+      const filter = {
+        _id: notSeen(seenSet),
+        category: catName,
+        subCategory: sub.name,
+        specific: spec.name,
+      };
+
+      const candidates = await fetchCandidates({
+        filter,
+        sort: { bayesianScore: -1, createdAt: -1 },
+        topLimit: 3,
+        rndLimit: 1,
+        bucket: `INT:${catName}`,
+        skippedCreators,
+        viewer,
+      });
+
+      candidates.forEach((p) => {
+        result.push(p);
+      });
+    }),
+  );
+
+  await Promise.all(specificPromises);
+
+  const topOneRising = (categoryObj.risingSubs || []).slice(0, 1);
+  const extraRising = pickRandom((categoryObj.risingSubs || []).slice(1), 1);
   const risingToSample = [...topOneRising, ...extraRising];
 
   const risingSubPromises = risingToSample.map(async (sub) => {
     const filter = {
-      _id: { $nin: Array.from(seenSet) },
+      _id: notSeen(seenSet),
       category: catName,
       subCategory: sub.name,
     };
@@ -105,6 +185,7 @@ export async function sampleCategory(categoryObj, seenSet, skippedCreators) {
       rndLimit: 3,
       bucket: `INT:${catName}`,
       skippedCreators,
+      viewer,
     });
 
     candidates.forEach((p) => {
@@ -51,9 +51,22 @@ function interleaveByBucket(candidates, nonExploreLimit, scoreKey = "overallScor
     eligible.sort((a, b) => (b[scoreKey] || 0) - (a[scoreKey] || 0));
 
     const pick = eligible[0];
+    const bk = pick[bucketKey];
+
+    const outranking = pool.filter((item) => (item[scoreKey] || 0) > (pick[scoreKey] || 0));
+    pick.selection = {
+      position: chosen.length + 1,
+      bucketPicks: (counts[bk] || 0) + 1,
+      bucketCap: caps[bk] ?? nonExploreLimit,
+      eligibleCount: eligible.length,
+      outrankedBy: {
+        bucketFull: outranking.filter((item) => !available.includes(item)).length,
+        bucketAhead: outranking.filter((item) => available.includes(item)).length,
+      },
+    };
+
     chosen.push(pick);
 
-    const bk = pick[bucketKey];
     counts[bk] = (counts[bk] || 0) + 1;
 
     const idx = pool.indexOf(pick);
@@ -1,5 +1,5 @@
 import mongoose from "mongoose";
-import { emaUpdate } from "./score.js";
+import { emaUpdate, decayedScore } from "./score.js";
 
 function identifiersEqual(val, identifier) {
   if (val && typeof val.equals === "function") {
@@ -33,6 +33,12 @@ export function updateNodeScore(node, engagementScore) {
   node.lastUpdated = Date.now();
 }
 
+export function adjustNodeScore(node, delta) {
+  node.score = (node.score ? decayedScore(node.score, node.lastUpdated) : 0) + delta;
+
+  node.lastUpdated = Date.now();
+}
+
 function removeExistingCandidate(arr, identifier, keyField = "name") {
   const idx = arr.findIndex((x) => identifiersEqual(x[keyField], identifier));
   if (idx !== -1) {
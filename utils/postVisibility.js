@@ -0,0 +1,63 @@
+import Post from "../models/postModel.js";
+
+// $nin rather than "public" so posts stored before visibility existed still match.
+const RESTRICTED = ["followers", "private"];
+
+const followedIds = (viewer) => (viewer.following || []).map((f) => f.userId);
+
+/**
+ * Query filter for the posts `viewer` may see: public posts, followers-only
+ * posts by creators they follow, and all of their own. Without a viewer only
+ * public posts match. Posts of deactivated accounts never match. `prefix`
+ * points the filter at a looked-up post (e.g. "post.") instead of the
+ * top-level document.
+ */
+export function visibilityFilter(viewer, prefix = "") {
+  const field = (name) => `${prefix}${name}`;
+  const active = { [field("creatorActive")]: { $ne: false } };
+  const publicOnly = { [field("visibility")]: { $nin: RESTRICTED } };
+  if (!viewer) return { ...active, ...publicOnly };
+
+  return {
+    ...active,
+    $or: [
+      publicOnly,
+      { [field("visibility")]: "followers", [field("creator")]: { $in: followedIds(viewer) } },
+      { [field("creator")]: viewer._id },
+    ],
+  };
+}
+
+export function canViewPost(post, viewer) {
+  if (post.creatorActive === false) return false;
+
+  const visibility = post.visibility ?? "public";
+  if (visibility === "public") return true;
+  if (!viewer) return false;
+
+  const creatorId = (post.creator?._id ?? post.creator).toString();
+  if (creatorId === viewer._id.toString()) return true;
+
+  return visibility === "followers" && followedIds(viewer).some((id) => id.toString() === creatorId);
+}
+
+/**
+ * Aggregation stages that join each comment to its post (as `postDoc`) and keep
+ * only comments on posts `viewer` may see. A comment whose post is gone has an
+ * empty `postDoc`, which the `$ne`/`$nin` of the visibility filter would let
+ * through, so it is dropped explicitly. `project` adds post fields to the join.
+ */
+export function joinVisiblePost(viewer, project = {}) {
+  return [
+    {
+      $lookup: {
+        from: Post.collection.name,
+        localField: "post",
+        foreignField: "_id",
+        as: "postDoc",
+        pipeline: [{ $project: { creator: 1, visibility: 1, creatorActive: 1, ...project } }],
+      },
+    },
+    { $match: { postDoc: { $ne: [] }, ...visibilityFilter(viewer, "postDoc.") } },
+  ];
+}
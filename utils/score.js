@@ -1,4 +1,11 @@
-import { EMA_ALPHA_DB, EMA_ALPHA_SESSION, MS_PER_DAY, HALF_LIFE_DAYS } from "../constants/scoringConfig.js";
+import {
+  EMA_ALPHA_DB,
+  EMA_ALPHA_SESSION,
+  MS_PER_DAY,
+  HALF_LIFE_DAYS,
+  DWELL_MIN_MS,
+  DWELL_SATURATION_MS,
+} from "../constants/scoringConfig.js";
 
 export function decayedScore(oldScore, lastUpdated) {
   const deltaDays = (Date.now() - new Date(lastUpdated)) / MS_PER_DAY;
@@ -13,3 +20,10 @@ export function emaUpdate(oldScore, lastUpdated, newEngagementScore, mode = "ses
 
   return alpha * newEngagementScore + (1 - alpha) * decayed;
 }
+
+export function dwellFactor(viewDurationMs = 0) {
+  if (viewDurationMs < DWELL_MIN_MS) return 0;
+
+  const capped = Math.min(viewDurationMs, DWELL_SATURATION_MS);
+  return Math.log1p(capped / 1000) / Math.log1p(DWELL_SATURATION_MS / 1000);
+}
@@ -0,0 +1,28 @@
+import { MAX_HASHTAGS, MAX_MENTIONS } from "../constants/contentConstants.js";
+
+// A tag must start the text or follow something that is not part of a word,
+// so "c#" or "page#2" are not tags. Tags need at least one letter ("#1" is not one).
+const HASHTAG_RE = /(?:^|[^\p{L}\p{N}_&#])#([\p{L}\p{N}_]{1,64})/gu;
+const HAS_LETTER_RE = /\p{L}/u;
+
+// Mentions must not follow a word character, which keeps e-mail addresses out.
+const MENTION_RE = /(?:^|[^\w@.])@([\w.]{2,32})/g;
+
+const uniqueCapped = (values, max) => [...new Set(values)].slice(0, max);
+
+export function extractHashtags(text = "") {
+  const tags = [...(text || "").matchAll(HASHTAG_RE)].map((m) => m[1]).filter((tag) => HAS_LETTER_RE.test(tag));
+
+  return uniqueCapped(
+    tags.map((tag) => tag.toLowerCase()),
+    MAX_HASHTAGS,
+  );
+}
+
+export function extractMentions(text = "") {
+  const names = [...(text || "").matchAll(MENTION_RE)]
+    .map((m) => m[1].replace(/\.+$/, "").toLowerCase())
+    .filter((name) => name.length >= 2);
+
+  return uniqueCapped(names, MAX_MENTIONS);
+}
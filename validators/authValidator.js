@@ -35,3 +35,24 @@ export const signUpSchema = Joi.object({
     "string.empty": "Password confirmation cannot be empty.",
   }),
 });
+
+export const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required(),
+});
+
+export const resetPasswordSchema = Joi.object({
+  password: Joi.string().min(8).required().messages({
+    "string.min": "Password must be at least 8 characters long.",
+  }),
+  passwordConfirm: Joi.string().valid(Joi.ref("password")).required().messages({
+    "any.only": "Password confirmation must match password.",
+  }),
+});
+
+export const refreshSchema = Joi.object({
+  refreshToken: Joi.string(),
+});
+
+export const deleteMeSchema = Joi.object({
+  password: Joi.string().required(),
+});
@@ -0,0 +1,35 @@
+import Joi from "joi";
+
+const name = Joi.string().trim().min(1).max(64);
+
+export const createCategorySchema = Joi.object({
+  category: name.required(),
+  aliases: Joi.array().items(name).unique().default([]),
+  subCategories: Joi.array().items(name).unique().default([]),
+});
+
+export const updateAliasesSchema = Joi.object({
+  aliases: Joi.array().items(name).unique().required(),
+});
+
+export const addSubCategorySchema = Joi.object({
+  subCategory: name.required(),
+  aliases: Joi.array().items(name).unique().default([]),
+});
+
+export const mergeTaxonomySchema = Joi.object({
+  from: Joi.object({
+    category: name.required(),
+    subCategory: name,
+  }).required(),
+  into: Joi.object({
+    category: name,
+    subCategory: name,
+  }).required(),
+}).custom((value, helpers) => {
+  const { from, into } = value;
+  if (from.subCategory ? !into.subCategory : !into.category || into.subCategory) {
+    return helpers.message("merge a category into a category, or a subCategory into a subCategory");
+  }
+  return value;
+});
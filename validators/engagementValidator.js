@@ -1,15 +1,38 @@
 import Joi from "joi";
+import { MAX_VIEW_DURATION_MS } from "../constants/scoringConfig.js";
+import { MAX_ENGAGEMENT_BATCH } from "../constants/engagementConstants.js";
 
 export const engagementSchema = Joi.object({
   postId: Joi.string().required(),
   viewed: Joi.number().integer().min(0).max(1).default(0),
   completed: Joi.number().integer().min(0).max(1).default(0),
-  liked: Joi.number().integer().min(0).max(1).default(0),
-  commented: Joi.number().integer().min(0).max(1).default(0),
-  shared: Joi.number().integer().min(0).max(1).default(0),
+  // Likes, comments, saves and shares are scored by their own endpoints. Older
+  // clients still report them here, so they are accepted and dropped rather
+  // than credited a second time.
+  liked: Joi.any().strip(),
+  commented: Joi.any().strip(),
+  saved: Joi.any().strip(),
+  shared: Joi.any().strip(),
   followed: Joi.number().integer().min(0).max(1).default(0),
+  viewDurationMs: Joi.number().integer().min(0).max(MAX_VIEW_DURATION_MS).default(0),
+  eventId: Joi.string().trim().min(1).max(64),
+});
+
+export const feedbackSchema = Joi.object({
+  postId: Joi.string().required(),
+  action: Joi.string().valid("notInterested", "showFewer", "hidePost", "hideCreator").required(),
 });
 
 export const skipSchema = Joi.object({
   postId: Joi.string().required(),
+  eventId: Joi.string().trim().min(1).max(64),
+});
+
+export const engagementBatchSchema = Joi.object({
+  events: Joi.array().items(Joi.object().unknown(true)).min(1).max(MAX_ENGAGEMENT_BATCH).required(),
+});
+
+export const batchEventSchema = engagementSchema.keys({
+  type: Joi.string().valid("positive", "skip").required(),
+  clientTimestamp: Joi.date().iso().required(),
 });
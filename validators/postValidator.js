@@ -1,12 +1,59 @@
 import Joi from "joi";
+import { COMMENT_SORTS } from "../constants/commentConstants.js";
+import { MAX_BOOKMARK_COLLECTION_LENGTH, POST_VISIBILITIES } from "../constants/contentConstants.js";
 
 export const createPostSchema = Joi.object({
   text: Joi.string().required(),
   image: Joi.string().allow(""),
   category: Joi.string().required(),
-  subCategory: Joi.string().allow(""),
+  subCategory: Joi.string().required(),
+  specific: Joi.string().allow(""),
+  visibility: Joi.string().valid(...POST_VISIBILITIES),
 });
 
+export const editPostSchema = Joi.object({
+  text: Joi.string(),
+  image: Joi.string().allow(""),
+  category: Joi.string(),
+  subCategory: Joi.string(),
+  specific: Joi.string().allow("", null),
+  visibility: Joi.string().valid(...POST_VISIBILITIES),
+})
+  .min(1)
+  .and("category", "subCategory");
+
 export const postIdParamSchema = Joi.object({
   postId: Joi.string().required(),
 });
+
+export const postCommentsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  sort: Joi.string()
+    .valid(...COMMENT_SORTS)
+    .default("new"),
+  asOf: Joi.date().iso(),
+});
+
+export const hashtagParamSchema = Joi.object({
+  tag: Joi.string()
+    .pattern(/^#?[\p{L}\p{N}_]{1,64}$/u)
+    .required()
+    .messages({ "string.pattern.base": "tag must be a single hashtag made of letters, digits or underscores" }),
+});
+
+export const hashtagPostsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+export const savePostSchema = Joi.object({
+  collection: Joi.string().trim().min(1).max(MAX_BOOKMARK_COLLECTION_LENGTH).allow(null).default(null),
+});
+
+export const repostSchema = Joi.object({
+  text: Joi.string().trim(),
+  visibility: Joi.string()
+    .valid(...POST_VISIBILITIES)
+    .default("public"),
+});
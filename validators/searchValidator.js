@@ -0,0 +1,17 @@
+import Joi from "joi";
+import { SEARCH_TYPES, SEARCH_DEFAULT_LIMIT, SEARCH_MAX_LIMIT } from "../constants/searchConstants.js";
+
+const searchQuerySchema = Joi.object({
+  q: Joi.string().trim().min(1).max(100).required(),
+  type: Joi.string()
+    .valid(...SEARCH_TYPES)
+    .default("all"),
+  category: Joi.string().trim(),
+  creator: Joi.string().hex().length(24),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().min(Joi.ref("from")),
+  limit: Joi.number().integer().min(1).max(SEARCH_MAX_LIMIT).default(SEARCH_DEFAULT_LIMIT),
+  cursor: Joi.string(),
+});
+
+export default searchQuerySchema;
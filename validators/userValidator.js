@@ -1,9 +1,18 @@
 import Joi from "joi";
+import { MAX_BOOKMARK_COLLECTION_LENGTH } from "../constants/contentConstants.js";
 
 export const userIdParamSchema = Joi.object({
   id: Joi.string().required(),
 });
 
+export const feedbackIdParamSchema = Joi.object({
+  feedbackId: Joi.string().required(),
+});
+
+export const sessionIdParamSchema = Joi.object({
+  sessionId: Joi.string().required(),
+});
+
 export const updateMeSchema = Joi.object({
   userName: Joi.string().min(2).max(32),
   bio: Joi.string().max(256),
@@ -14,3 +23,9 @@ export const updatePasswordSchema = Joi.object({
   newPassword: Joi.string().min(6).required(),
   newPasswordConfirm: Joi.string().valid(Joi.ref("newPassword")).required(),
 });
+
+export const savedPostsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  collection: Joi.string().trim().min(1).max(MAX_BOOKMARK_COLLECTION_LENGTH),
+});